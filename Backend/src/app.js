@@ -11,6 +11,8 @@ import oauthRoutes from "./routes/oauthRoutes.js";
 import portfolioRoutes from "./routes/portfolioRoutes.js";
 import fundReferenceRoutes from "./routes/fundReference.routes.js";
 import analysisRoutes from "./routes/analysis.routes.js";
+import goalRoutes from "./routes/goal.routes.js";
+import netWorthRoutes from "./routes/netWorth.routes.js";
 
 // Import OAuth strategy
 import configureGoogleStrategy from "./utils/OAuth.js";
@@ -174,6 +176,12 @@ app.use("/api/funds", strictRateLimiter, fundReferenceRoutes);
 // Portfolio analysis (has its own rate limiting in analysis.routes.js)
 app.use("/api/analysis", analysisRoutes);
 
+// Financial goals (protected, strict rate limiting applied in goal.routes.js)
+app.use("/api/goals", goalRoutes);
+
+// Net worth and liabilities (protected, strict rate limiting applied in netWorth.routes.js)
+app.use("/api/net-worth", netWorthRoutes);
+
 // Test endpoint (dev only)
 if (NODE_ENV === "development") {
   app.get("/api/test", (req, res) => {
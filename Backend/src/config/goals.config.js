@@ -0,0 +1,55 @@
+/**
+ * Goal Planning Assumptions
+ *
+ * Expected long-run returns used to project linked funds to a goal's
+ * target date, and defaults for goals created without them.
+ *
+ * ⚠️ Planning assumptions for demo projections - not a forecast
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// RETURNS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Expected annual return (%) by FundReference.assetType
+ * "Other" covers funds missing from the reference data
+ */
+export const EXPECTED_RETURNS = {
+  Equity: 12,
+  Hybrid: 10,
+  Debt: 7,
+  Gold: 8,
+  "Real Estate": 6,
+  Other: 7,
+};
+
+/**
+ * Return (%) used for the extra SIP when no fund is linked yet
+ */
+export const DEFAULT_EXPECTED_RETURN = 10;
+
+// ═══════════════════════════════════════════════════════════════
+// GOAL DEFAULTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Inflation (% p.a.) applied to target amounts when not given
+ */
+export const DEFAULT_INFLATION_RATE = 6;
+
+/**
+ * Projected corpus at or above this share of the target (%) is
+ * "at risk" rather than "off track"
+ */
+export const AT_RISK_THRESHOLD = 75;
+
+export const GOAL_PRIORITIES = ["high", "medium", "low"];
+
+export default {
+  EXPECTED_RETURNS,
+  DEFAULT_EXPECTED_RETURN,
+  DEFAULT_INFLATION_RATE,
+  AT_RISK_THRESHOLD,
+  GOAL_PRIORITIES,
+};
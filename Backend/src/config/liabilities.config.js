@@ -0,0 +1,45 @@
+/**
+ * Liability Rules
+ *
+ * Loan and card types the net worth tracker accepts, and the limits
+ * on their terms. Interest is charged monthly on the reducing balance
+ * (rate / 12), the way Indian banks quote EMIs.
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════
+
+export const LIABILITY_TYPES = [
+  "home_loan",
+  "car_loan",
+  "credit_card",
+  "personal_loan",
+];
+
+/**
+ * Types that may revolve without an EMI or tenure (the balance is
+ * carried as entered); every other type is repaid over a tenure
+ */
+export const REVOLVING_LIABILITY_TYPES = ["credit_card"];
+
+// ═══════════════════════════════════════════════════════════════
+// TERMS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Highest interest rate accepted (% p.a.) - credit cards run near 42%
+ */
+export const MAX_LIABILITY_RATE = 60;
+
+/**
+ * Longest remaining tenure accepted (months) - 40 years
+ */
+export const MAX_TENURE_MONTHS = 480;
+
+export default {
+  LIABILITY_TYPES,
+  REVOLVING_LIABILITY_TYPES,
+  MAX_LIABILITY_RATE,
+  MAX_TENURE_MONTHS,
+};
@@ -28,6 +28,21 @@ export const MAX_SIPS_PER_FUND = 10;
  */
 export const MAX_LUMPSUMS_PER_FUND = 20;
 
+/**
+ * Maximum redemptions per fund
+ */
+export const MAX_REDEMPTIONS_PER_FUND = 20;
+
+/**
+ * Maximum financial goals per user
+ */
+export const MAX_GOALS_PER_USER = 20;
+
+/**
+ * Maximum loans / card balances per user
+ */
+export const MAX_LIABILITIES_PER_USER = 20;
+
 // ═══════════════════════════════════════════════════════════════
 // INPUT LIMITS
 // ═══════════════════════════════════════════════════════════════
@@ -61,6 +76,9 @@ export const LIMIT_ERROR_MESSAGES = {
   MAX_FUNDS: `Portfolio cannot have more than ${MAX_FUNDS_PER_PORTFOLIO} funds. Please remove some funds or create a new portfolio.`,
   MAX_SIPS: `Fund cannot have more than ${MAX_SIPS_PER_FUND} SIP entries.`,
   MAX_LUMPSUMS: `Fund cannot have more than ${MAX_LUMPSUMS_PER_FUND} lumpsum entries.`,
+  MAX_REDEMPTIONS: `Fund cannot have more than ${MAX_REDEMPTIONS_PER_FUND} redemption entries.`,
+  MAX_GOALS: `You have reached the maximum limit of ${MAX_GOALS_PER_USER} goals. Please delete an existing goal to create a new one.`,
+  MAX_LIABILITIES: `You have reached the maximum limit of ${MAX_LIABILITIES_PER_USER} liabilities. Please delete an existing one to add another.`,
   MAX_AMOUNT: `Investment amount exceeds maximum allowed limit of ₹${(
     MAX_INVESTMENT_AMOUNT / 10000000
   ).toFixed(0)} Cr.`,
@@ -71,6 +89,9 @@ export default {
   MAX_FUNDS_PER_PORTFOLIO,
   MAX_SIPS_PER_FUND,
   MAX_LUMPSUMS_PER_FUND,
+  MAX_REDEMPTIONS_PER_FUND,
+  MAX_GOALS_PER_USER,
+  MAX_LIABILITIES_PER_USER,
   MAX_PORTFOLIO_NAME_LENGTH,
   MAX_FUND_NAME_LENGTH,
   MAX_INVESTMENT_AMOUNT,
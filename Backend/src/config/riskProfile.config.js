@@ -0,0 +1,200 @@
+/**
+ * Investor Risk Profile Rules
+ *
+ * Onboarding survey questions (same ids / option text as the
+ * frontend SurveyQuestions.jsx) with a risk score per option, and the
+ * risk categories the total score maps to.
+ *
+ * Option scores run 0 (most cautious) → 4 (most risk-seeking).
+ * Knowledge questions carry less weight than attitude / horizon.
+ *
+ * ⚠️ A rule of thumb for demo insights - not a regulatory risk profiling
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// SURVEY QUESTIONS
+// ═══════════════════════════════════════════════════════════════
+
+export const SURVEY_QUESTIONS = [
+  {
+    id: "investment_goal",
+    weight: 1,
+    options: [
+      { label: "Building long-term wealth", score: 4 },
+      { label: "Saving for retirement", score: 3 },
+      { label: "Generating regular income", score: 1 },
+      { label: "Preserving capital", score: 0 },
+      { label: "Funding a major purchase", score: 1 },
+    ],
+  },
+  {
+    id: "time_horizon",
+    weight: 2,
+    options: [
+      { label: "Less than 3 years", score: 0 },
+      { label: "3-5 years", score: 1 },
+      { label: "5-10 years", score: 2 },
+      { label: "10-20 years", score: 3 },
+      { label: "More than 20 years", score: 4 },
+    ],
+  },
+  {
+    id: "portfolio_fall_reaction",
+    weight: 2,
+    options: [
+      { label: "Sell everything immediately", score: 0 },
+      { label: "Sell some investments to reduce risk", score: 1 },
+      { label: "Hold steady and wait", score: 3 },
+      { label: "Buy more while prices are lower", score: 4 },
+      { label: "Review and adjust strategy", score: 2 },
+    ],
+  },
+  {
+    id: "risk_preference",
+    weight: 2,
+    options: [
+      { label: "I want maximum safety, even if returns are low", score: 0 },
+      { label: "I prefer stable returns with minimal fluctuations", score: 1 },
+      { label: "I accept moderate fluctuations for better returns", score: 2 },
+      { label: "I seek high returns and can handle volatility", score: 3 },
+      { label: "I maximize growth potential despite high risk", score: 4 },
+    ],
+  },
+  {
+    id: "inflation_understanding",
+    weight: 0.5,
+    options: [
+      { label: "I don't consider inflation much", score: 0 },
+      {
+        label: "I know inflation exists but unsure how it affects me",
+        score: 1,
+      },
+      { label: "I ensure returns at least match inflation", score: 2 },
+      { label: "I actively seek returns that beat inflation", score: 3 },
+      {
+        label: "I structure my entire portfolio around inflation protection",
+        score: 4,
+      },
+    ],
+  },
+  {
+    id: "rebalancing_understanding",
+    weight: 0.5,
+    options: [
+      { label: "I've never heard of it", score: 0 },
+      { label: "I've heard of it but don't understand it", score: 1 },
+      { label: "I understand the concept but haven't done it", score: 2 },
+      { label: "I rebalance occasionally when I remember", score: 3 },
+      { label: "I rebalance regularly on a set schedule", score: 4 },
+    ],
+  },
+  {
+    id: "market_volatility_comfort",
+    weight: 1.5,
+    options: [
+      {
+        label: "Very uncomfortable - I lose sleep over market swings",
+        score: 0,
+      },
+      { label: "Uncomfortable - I check my portfolio anxiously", score: 1 },
+      { label: "Neutral - I notice but don't obsess", score: 2 },
+      { label: "Comfortable - It's part of investing", score: 3 },
+      { label: "Very comfortable - I see it as opportunity", score: 4 },
+    ],
+  },
+  {
+    id: "investment_experience",
+    weight: 1,
+    options: [
+      { label: "Complete beginner - just starting out", score: 0 },
+      { label: "Novice - less than 2 years", score: 1 },
+      { label: "Intermediate - 2-5 years", score: 2 },
+      { label: "Experienced - 5-10 years", score: 3 },
+      { label: "Very experienced - more than 10 years", score: 4 },
+    ],
+  },
+];
+
+// ═══════════════════════════════════════════════════════════════
+// RISK CATEGORIES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Categories by minimum score (0-100), most cautious first
+ * allocation: suggested % range per asset type (Hybrid funds are
+ * split into equity / debt by the caller)
+ * marketCapLimits: max % of the whole portfolio in mid / small caps
+ */
+export const RISK_CATEGORIES = [
+  {
+    category: "Conservative",
+    minScore: 0,
+    allocation: {
+      Equity: { min: 10, max: 25 },
+      Debt: { min: 65, max: 85 },
+      Gold: { min: 5, max: 10 },
+    },
+    marketCapLimits: { MidCap: 10, SmallCap: 5 },
+  },
+  {
+    category: "Moderately Conservative",
+    minScore: 20,
+    allocation: {
+      Equity: { min: 25, max: 45 },
+      Debt: { min: 45, max: 65 },
+      Gold: { min: 5, max: 10 },
+    },
+    marketCapLimits: { MidCap: 15, SmallCap: 10 },
+  },
+  {
+    category: "Moderate",
+    minScore: 40,
+    allocation: {
+      Equity: { min: 45, max: 60 },
+      Debt: { min: 30, max: 45 },
+      Gold: { min: 5, max: 15 },
+    },
+    marketCapLimits: { MidCap: 20, SmallCap: 15 },
+  },
+  {
+    category: "Moderately Aggressive",
+    minScore: 60,
+    allocation: {
+      Equity: { min: 60, max: 75 },
+      Debt: { min: 15, max: 30 },
+      Gold: { min: 5, max: 10 },
+    },
+    marketCapLimits: { MidCap: 30, SmallCap: 20 },
+  },
+  {
+    category: "Aggressive",
+    minScore: 80,
+    allocation: {
+      Equity: { min: 75, max: 90 },
+      Debt: { min: 5, max: 20 },
+      Gold: { min: 0, max: 10 },
+    },
+    marketCapLimits: { MidCap: 40, SmallCap: 30 },
+  },
+];
+
+/**
+ * Short horizons cap the category whatever the other answers say -
+ * money needed soon shouldn't ride out an equity crash
+ */
+export const HORIZON_CATEGORY_CAPS = {
+  "Less than 3 years": "Moderately Conservative",
+  "3-5 years": "Moderate",
+};
+
+/**
+ * Equity share assumed for Hybrid funds (equity-oriented hybrids hold ≥65%)
+ */
+export const HYBRID_EQUITY_SHARE = 65;
+
+/**
+ * Percentage points outside a range before a mismatch is rated high
+ */
+export const HIGH_MISMATCH_GAP = 15;
+
+export const RISK_CATEGORY_NAMES = RISK_CATEGORIES.map((c) => c.category);
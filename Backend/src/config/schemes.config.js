@@ -0,0 +1,133 @@
+/**
+ * Retirement Scheme Rules (PPF, EPF, NPS)
+ *
+ * Used by the retirement scheme service to value PPF / EPF balances
+ * and work out lock-in and maturity dates. Month keys are "YYYY-MM";
+ * financial years start in April.
+ *
+ * ⚠️ Notified rates are updated here by hand when the government
+ * announces them - months after the last entry reuse the latest rate
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// PPF
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * PPF interest rate (% p.a.) from a month onwards
+ * Notified quarterly since Apr 2016; months before the first entry
+ * use its rate
+ */
+export const PPF_RATES = [
+  { fromKey: "2003-03", rate: 8.0 },
+  { fromKey: "2011-12", rate: 8.6 },
+  { fromKey: "2012-04", rate: 8.8 },
+  { fromKey: "2013-04", rate: 8.7 },
+  { fromKey: "2016-04", rate: 8.1 },
+  { fromKey: "2016-10", rate: 8.0 },
+  { fromKey: "2017-04", rate: 7.9 },
+  { fromKey: "2017-07", rate: 7.8 },
+  { fromKey: "2018-01", rate: 7.6 },
+  { fromKey: "2018-10", rate: 8.0 },
+  { fromKey: "2019-07", rate: 7.9 },
+  { fromKey: "2020-04", rate: 7.1 },
+];
+
+/**
+ * An account matures this many full financial years after the year
+ * it was opened in
+ */
+export const PPF_LOCK_IN_YEARS = 15;
+
+/**
+ * Partial withdrawals are allowed once this many full financial years
+ * have passed since the year of opening
+ */
+export const PPF_WITHDRAWAL_AFTER_YEARS = 5;
+
+/**
+ * Deposit limits per financial year (₹)
+ */
+export const PPF_YEARLY_LIMIT = 150000;
+
+// ═══════════════════════════════════════════════════════════════
+// EPF
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * EPF interest rate (% p.a.) declared for each financial year, by the
+ * year it starts in (2023 = FY 2023-24)
+ */
+export const EPF_RATES = {
+  2005: 8.5,
+  2006: 8.5,
+  2007: 8.5,
+  2008: 8.5,
+  2009: 8.5,
+  2010: 9.5,
+  2011: 8.25,
+  2012: 8.5,
+  2013: 8.75,
+  2014: 8.75,
+  2015: 8.8,
+  2016: 8.65,
+  2017: 8.55,
+  2018: 8.65,
+  2019: 8.5,
+  2020: 8.5,
+  2021: 8.1,
+  2022: 8.15,
+  2023: 8.25,
+  2024: 8.25,
+};
+
+/**
+ * The balance is paid out on retirement at this age
+ */
+export const EPF_RETIREMENT_AGE = 58;
+
+// ═══════════════════════════════════════════════════════════════
+// NPS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Tier I is locked in until this age (Tier II has no lock-in)
+ */
+export const NPS_RETIREMENT_AGE = 60;
+
+/**
+ * Most that can go to scheme E (equity) under active choice (%)
+ */
+export const NPS_MAX_EQUITY = 75;
+
+/**
+ * Asset class schemes an NPS account is split across
+ * E: equity, C: corporate bonds, G: government securities
+ */
+export const NPS_SCHEMES = {
+  E: "equity",
+  C: "corporate",
+  G: "government",
+};
+
+export const NPS_TIERS = ["I", "II"];
+
+/**
+ * FundNAV name of a scheme's NAV series ("NPS Scheme E - Tier I")
+ */
+export const getNpsSchemeName = (scheme, tier) =>
+  `NPS Scheme ${scheme} - Tier ${tier}`;
+
+export default {
+  PPF_RATES,
+  PPF_LOCK_IN_YEARS,
+  PPF_WITHDRAWAL_AFTER_YEARS,
+  PPF_YEARLY_LIMIT,
+  EPF_RATES,
+  EPF_RETIREMENT_AGE,
+  NPS_RETIREMENT_AGE,
+  NPS_MAX_EQUITY,
+  NPS_SCHEMES,
+  NPS_TIERS,
+  getNpsSchemeName,
+};
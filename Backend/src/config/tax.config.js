@@ -0,0 +1,83 @@
+/**
+ * Capital Gains Tax Rules (India, mutual funds)
+ *
+ * Used by the tax service to classify lots as short / long term and
+ * pick the rate. Month keys are "YYYY-MM"; holding periods are in
+ * whole months between purchase and sale month.
+ *
+ * ⚠️ Simplified for estimation:
+ * - No indexation, surcharge or grandfathering (31 Jan 2018)
+ * - Budget 2024 rates apply to sales from Aug 2024 (month granularity)
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// RATES & THRESHOLDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Rate regimes by sale month
+ * Budget 2024 changed rates for transfers on/after 23 Jul 2024
+ */
+export const TAX_REGIMES = [
+  {
+    label: "Before 23 Jul 2024",
+    fromKey: "0000-01",
+    equityStcgRate: 0.15,
+    equityLtcgRate: 0.1,
+    otherLtcgRate: 0.2,
+    otherLtMinMonths: 36,
+  },
+  {
+    label: "From 23 Jul 2024",
+    fromKey: "2024-08",
+    equityStcgRate: 0.2,
+    equityLtcgRate: 0.125,
+    otherLtcgRate: 0.125,
+    otherLtMinMonths: 24,
+  },
+];
+
+/**
+ * Equity-oriented funds are long term when held MORE than this
+ */
+export const EQUITY_LT_MIN_MONTHS = 12;
+
+/**
+ * Debt funds bought on/after this month are "specified" funds:
+ * all gains are short term and taxed at slab rate (Sec 50AA)
+ */
+export const SPECIFIED_DEBT_FROM_KEY = "2023-04";
+
+/**
+ * Yearly exemption on equity LTCG, by first year of the financial year
+ */
+export const LTCG_EXEMPTIONS = [
+  { fromYear: 0, amount: 100000 },
+  { fromYear: 2024, amount: 125000 },
+];
+
+/**
+ * Health & education cess on tax
+ */
+export const CESS_RATE = 0.04;
+
+/**
+ * Slab rate assumed when the user does not provide one (percent)
+ */
+export const DEFAULT_SLAB_RATE = 30;
+
+/**
+ * Hybrid funds matching this are treated as equity-oriented (≥65% equity)
+ */
+export const EQUITY_HYBRID_PATTERN =
+  /equity|aggressive|arbitrage|balanced advantage/i;
+
+export default {
+  TAX_REGIMES,
+  EQUITY_LT_MIN_MONTHS,
+  SPECIFIED_DEBT_FROM_KEY,
+  LTCG_EXEMPTIONS,
+  CESS_RATE,
+  DEFAULT_SLAB_RATE,
+  EQUITY_HYBRID_PATTERN,
+};
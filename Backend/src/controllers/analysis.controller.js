@@ -4,6 +4,11 @@
  * Handles HTTP requests for portfolio analysis
  * - POST /api/analysis/generate - Generate full analysis
  * - GET|POST /api/analysis/sample - Generate sample portfolio analysis
+ * - GET /api/analysis/tax/:portfolioId - Capital gains tax estimate
+ * - POST /api/analysis/rebalance/:portfolioId - Rebalancing trade plan
+ * - POST /api/analysis/projection/:portfolioId - Monte Carlo projection
+ * - POST /api/analysis/simulate - What-if analysis of an unsaved portfolio
+ * - POST /api/analysis/simulate/:portfolioId - Saved portfolio with edits
  *
  * ⚠️ Controllers should NOT contain business logic
  * ⚠️ All logic lives in services
@@ -13,19 +18,28 @@ import {
   generateAnalysis,
   generateSampleAnalysis,
   validatePortfolioForAnalysis,
+  generateTaxReport,
+  generateRebalancePlan,
+  generateProjection,
+  simulateAnalysis,
+  generateForkAnalysis,
+  applyPortfolioEdits,
 } from "../services/analysis/index.js";
 import Portfolio from "../models/portfolioModel.js";
+import FundNAV from "../models/FundNAVModel.js";
+import { sumSipContributions } from "../utils/nav/index.js";
 
 /**
  * Generate portfolio analysis
  * POST /api/analysis/generate
  *
- * Request body: { portfolioId: string }
- * Response: Complete analysis object
+ * Request body: { portfolioId: string, asOf?: "YYYY-MM",
+ *   weightBy?: "marketValue" | "cost" }
+ * Response: Complete analysis object, valued as of asOf (default: latest NAV)
  */
 export const generatePortfolioAnalysis = async (req, res) => {
   try {
-    const { portfolioId } = req.body;
+    const { portfolioId, asOf, weightBy } = req.body;
     const userId = req.user._id;
 
     // Validate input
@@ -60,7 +74,10 @@ export const generatePortfolioAnalysis = async (req, res) => {
     }
 
     // Generate analysis
-    const analysis = await generateAnalysis(portfolioId, userId);
+    const analysis = await generateAnalysis(portfolioId, userId, {
+      asOf,
+      weightBy,
+    });
 
     return res.status(200).json({
       success: true,
@@ -199,6 +216,7 @@ export const getPortfolioSummary = async (req, res) => {
           fundCount: 0,
           sipCount: 0,
           lumpsumCount: 0,
+          redemptionCount: 0,
           totalInvested: 0,
           createdAt: portfolio.createdAt,
           updatedAt: portfolio.updatedAt,
@@ -207,10 +225,16 @@ export const getPortfolioSummary = async (req, res) => {
       });
     }
 
+    // Ongoing SIPs count up to the latest month with NAV data
+    const asOfKey = await FundNAV.getLatestNavMonth(
+      portfolio.funds.map((fund) => fund.assetName)
+    );
+
     // Calculate basic summary
     let totalInvested = 0;
     let sipCount = 0;
     let lumpsumCount = 0;
+    let redemptionCount = 0;
 
     for (const fund of portfolio.funds) {
       // Sum SIPs (safely handle null/undefined)
@@ -218,8 +242,7 @@ export const getPortfolioSummary = async (req, res) => {
         for (const sip of fund.sips) {
           if (sip && sip.amount > 0) {
             sipCount++;
-            const months = calculateSipMonths(sip);
-            totalInvested += sip.amount * months;
+            totalInvested += sumSipContributions(sip, asOfKey);
           }
         }
       }
@@ -233,6 +256,39 @@ export const getPortfolioSummary = async (req, res) => {
           }
         }
       }
+
+      // Stock / ETF buys at their trade price
+      if (fund.security && Array.isArray(fund.security.buys)) {
+        for (const buy of fund.security.buys) {
+          totalInvested += buy.shares * buy.price;
+        }
+      }
+
+      // PPF deposits and EPF contributions (plus any balance carried in)
+      if (fund.ppf && Array.isArray(fund.ppf.contributions)) {
+        for (const deposit of fund.ppf.contributions) {
+          totalInvested += deposit.amount;
+        }
+      }
+      if (fund.epf) {
+        totalInvested += fund.epf.openingBalance?.amount || 0;
+        for (const c of fund.epf.contributions || []) {
+          totalInvested += sumSipContributions(
+            { ...c, amount: c.employee + c.employer },
+            asOfKey
+          );
+        }
+      }
+
+      // Real estate / gold / other: what was paid for it
+      if (fund.manualAsset) {
+        totalInvested += fund.manualAsset.purchaseCost;
+      }
+
+      // Redemptions reduce holdings, not the amount invested
+      if (fund.redemptions && Array.isArray(fund.redemptions)) {
+        redemptionCount += fund.redemptions.length;
+      }
     }
 
     return res.status(200).json({
@@ -243,6 +299,8 @@ export const getPortfolioSummary = async (req, res) => {
         fundCount: portfolio.funds.length,
         sipCount,
         lumpsumCount,
+        redemptionCount,
+        transferCount: (portfolio.transfers || []).length,
         totalInvested,
         createdAt: portfolio.createdAt,
         updatedAt: portfolio.updatedAt,
@@ -267,48 +325,239 @@ export const getPortfolioSummary = async (req, res) => {
 };
 
 /**
- * Calculate SIP months for summary
- * Returns 0 if SIP data is invalid
+ * Capital gains tax estimate
+ * GET /api/analysis/tax/:portfolioId?fy=2024-25&slabRate=30
+ *
+ * Realized tax for the financial year plus estimated tax if all
+ * remaining units were sold at the latest NAV
  */
-function calculateSipMonths(sip) {
-  // Validate SIP has required fields
-  if (!sip || !sip.startYear || !sip.startMonth) {
-    return 0;
+export const getPortfolioTax = async (req, res) => {
+  try {
+    const { portfolioId } = req.params;
+    const userId = req.user._id;
+    const { fy, slabRate } = req.query;
+
+    const portfolio = await Portfolio.exists({ _id: portfolioId, userId });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
+    }
+
+    const report = await generateTaxReport(portfolioId, userId, {
+      fy,
+      slabRate,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Tax report error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to calculate tax",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
   }
+};
+
+/**
+ * Rebalancing plan towards the portfolio's target allocation
+ * POST /api/analysis/rebalance/:portfolioId
+ *
+ * Request body: { mode?: "fresh_money" | "sell_and_buy", amount?: number,
+ *   slabRate?: number, targetAllocation?: { assetTypes, categories? } }
+ * Response: drift per asset type / category, trades per fund, tax on sells
+ */
+export const getRebalancePlan = async (req, res) => {
+  try {
+    const { portfolioId } = req.params;
+    const userId = req.user._id;
+    const { mode, amount, slabRate, targetAllocation } = req.body;
+
+    const portfolio = await Portfolio.findOne({ _id: portfolioId, userId })
+      .select("targetAllocation")
+      .lean();
 
-  const NAV_CUTOFF_YEAR = 2024;
-  const NAV_CUTOFF_MONTH = 12;
-
-  const startDate = new Date(sip.startYear, sip.startMonth - 1, 1);
-
-  let endDate;
-  if (sip.isOngoing) {
-    endDate = new Date(NAV_CUTOFF_YEAR, NAV_CUTOFF_MONTH - 1, 1);
-  } else {
-    // Validate end date fields for non-ongoing SIPs
-    if (!sip.endYear || !sip.endMonth) {
-      // Default to cutoff if end date not specified
-      endDate = new Date(NAV_CUTOFF_YEAR, NAV_CUTOFF_MONTH - 1, 1);
-    } else {
-      endDate = new Date(sip.endYear, sip.endMonth - 1, 1);
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
     }
+
+    if (!targetAllocation && !portfolio.targetAllocation) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Set a target allocation for this portfolio (or send one) first",
+      });
+    }
+
+    const plan = await generateRebalancePlan(portfolioId, userId, {
+      mode,
+      amount,
+      slabRate,
+      targetAllocation,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    console.error("Rebalance plan error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to build rebalancing plan",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
   }
+};
 
-  // Ensure start date is not after end date
-  if (startDate > endDate) {
-    return 0;
+/**
+ * Monte Carlo projection of future portfolio value
+ * POST /api/analysis/projection/:portfolioId
+ *
+ * Request body: { years?: number, target?: number, simulations?: number,
+ *   seed?: number, assumptions?: "auto" | "history" | "pattern" }
+ * Response: 10th / 50th / 90th percentile value per year, probability of
+ *   reaching the target
+ */
+export const getProjection = async (req, res) => {
+  try {
+    const { portfolioId } = req.params;
+    const userId = req.user._id;
+    const { years, target, simulations, seed, assumptions } = req.body;
+
+    const portfolio = await Portfolio.exists({ _id: portfolioId, userId });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
+    }
+
+    const projection = await generateProjection(portfolioId, userId, {
+      years,
+      target,
+      simulations,
+      seed,
+      assumptions,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: projection,
+    });
+  } catch (error) {
+    console.error("Projection error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run projection",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
   }
+};
+
+/**
+ * What-if analysis of a portfolio that is not saved
+ * POST /api/analysis/simulate
+ *
+ * Request body: { name?: string, funds: [...], transfers?: [...]
+ *   (create portfolio shape), asOf?: "YYYY-MM",
+ *   weightBy?: "marketValue" | "cost" }
+ * Response: Complete analysis object, same shape as /generate
+ */
+export const simulatePortfolioAnalysis = async (req, res) => {
+  try {
+    const { name, funds, transfers, asOf, weightBy } = req.body;
+    const userId = req.user._id;
 
-  const months =
-    (endDate.getFullYear() - startDate.getFullYear()) * 12 +
-    (endDate.getMonth() - startDate.getMonth()) +
-    1;
+    const analysis = await simulateAnalysis(
+      { name, funds, transfers },
+      userId,
+      { asOf, weightBy }
+    );
 
-  return Math.max(0, months);
-}
+    return res.status(200).json({
+      success: true,
+      data: analysis,
+    });
+  } catch (error) {
+    console.error("Simulation error:", error);
 
-export default {
-  generatePortfolioAnalysis,
-  generateSamplePortfolioAnalysis,
-  getPortfolioSummary,
+    return res.status(500).json({
+      success: false,
+      message: "Failed to simulate portfolio",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Fork a saved portfolio, apply edits and compare
+ * POST /api/analysis/simulate/:portfolioId
+ *
+ * Request body: { edits: [{ type, fundName, ... }], asOf?: "YYYY-MM",
+ *   weightBy?: "marketValue" | "cost" }
+ * Response: analysis of the edited portfolio and its diff against the
+ *   saved one (the saved portfolio is not changed)
+ */
+export const getForkAnalysis = async (req, res) => {
+  try {
+    const { portfolioId } = req.params;
+    const userId = req.user._id;
+    const { edits, asOf, weightBy } = req.body;
+
+    const portfolio = await Portfolio.findOne({ _id: portfolioId, userId })
+      .select("funds transfers")
+      .lean();
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
+    }
+
+    const { errors } = applyPortfolioEdits(
+      portfolio.funds,
+      edits,
+      portfolio.transfers
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Edits could not be applied",
+        errors,
+      });
+    }
+
+    const result = await generateForkAnalysis(portfolioId, userId, edits, {
+      asOf,
+      weightBy,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Fork analysis error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to simulate portfolio edits",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
 };
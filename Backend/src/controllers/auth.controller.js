@@ -1,6 +1,7 @@
 import User from "../models/User.js";
 import { generateToken } from "../utils/jwt.js";
 import { hashPassword, comparePassword } from "../utils/password.js";
+import { scoreRiskProfile } from "../services/profile/riskProfile.service.js";
 
 /**
  * @desc    Register new user
@@ -308,3 +309,40 @@ export const completeOnboarding = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Save onboarding survey answers and derived risk profile
+ * @route   PUT /api/auth/risk-profile
+ * @access  Private
+ */
+export const updateRiskProfile = async (req, res) => {
+  try {
+    let riskProfile;
+    try {
+      riskProfile = scoreRiskProfile(req.body.answers);
+    } catch (scoringError) {
+      return res.status(400).json({
+        success: false,
+        message: scoringError.message,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { riskProfile },
+      { new: true, runValidators: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Risk profile saved: ${riskProfile.category}`,
+      data: { user, riskProfile: user.riskProfile },
+    });
+  } catch (error) {
+    console.error("Update risk profile error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error saving risk profile",
+    });
+  }
+};
@@ -1,4 +1,6 @@
 import FundReference from "../models/FundReferenceModel.js";
+import FundNAV from "../models/FundNAVModel.js";
+import SecurityReference from "../models/SecurityReferenceModel.js";
 import {
   validateFund,
   validateFunds,
@@ -90,6 +92,59 @@ export const searchFundsHandler = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Search listed stocks / ETFs by symbol or name (autocomplete)
+ * @route   GET /api/funds/securities/search?q=hdfc&type=Stock&limit=10
+ * @access  Private
+ */
+export const searchSecuritiesHandler = async (req, res) => {
+  try {
+    const { q, type, limit = 10 } = req.query;
+
+    if (type && !["Stock", "ETF"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be Stock or ETF",
+      });
+    }
+
+    if (!q || q.length < 2) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        data: { securities: [] },
+      });
+    }
+
+    const securities = await SecurityReference.searchSecurities(
+      q,
+      type || null,
+      Math.min(parseInt(limit) || 10, 50)
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: securities.length,
+      data: {
+        securities: securities.map((s) => ({
+          symbol: s.symbol,
+          name: s.name,
+          securityType: s.securityType,
+          sector: s.sector,
+          marketCap: s.marketCap,
+          category: s.category,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Search securities error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error searching securities",
+    });
+  }
+};
+
 /**
  * @desc    Validate a single fund name
  * @route   POST /api/funds/validate
@@ -253,6 +308,42 @@ export const getAMCs = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get the month range covered by NAV data
+ * @route   GET /api/funds/meta/nav-coverage
+ * @access  Private
+ */
+export const getNavCoverage = async (req, res) => {
+  try {
+    const coverage = await FundNAV.getNavCoverage();
+
+    if (!coverage) {
+      return res.status(404).json({
+        success: false,
+        message: "No NAV data available",
+      });
+    }
+
+    const startYear = parseInt(coverage.startKey.slice(0, 4));
+    const endYear = parseInt(coverage.endKey.slice(0, 4));
+    const years = [];
+    for (let year = startYear; year <= endYear; year++) {
+      years.push(year);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { ...coverage, years },
+    });
+  } catch (error) {
+    console.error("Get NAV coverage error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching NAV coverage",
+    });
+  }
+};
+
 /**
  * @desc    Get fund by ID or name
  * @route   GET /api/funds/:identifier
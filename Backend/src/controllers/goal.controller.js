@@ -0,0 +1,253 @@
+import Goal from "../models/GoalModel.js";
+import {
+  MAX_GOALS_PER_USER,
+  LIMIT_ERROR_MESSAGES,
+} from "../config/limits.config.js";
+import {
+  findLinkErrors,
+  analyzeGoals,
+} from "../services/goals/goal.service.js";
+
+/**
+ * Goal Controller
+ *
+ * Handles CRUD operations for user goals and goal projections
+ * - All routes are protected (req.user is available)
+ * - userId is ALWAYS taken from req.user._id, never from request body
+ *
+ * ⚠️ Projection logic lives in services/goals
+ */
+
+/**
+ * @desc    Create a new goal
+ * @route   POST /api/goals
+ * @access  Private
+ */
+export const createGoal = async (req, res) => {
+  try {
+    const userId = req.user._id; // From auth middleware - NEVER from request body
+    const { linkedFunds = [] } = req.body;
+
+    // ══════════════════════════════════════════════════════════
+    // ABUSE PREVENTION: Check goal limit per user
+    // ══════════════════════════════════════════════════════════
+    const existingCount = await Goal.countDocuments({ userId });
+    if (existingCount >= MAX_GOALS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: LIMIT_ERROR_MESSAGES.MAX_GOALS,
+      });
+    }
+
+    const linkErrors = await findLinkErrors(userId, linkedFunds);
+    if (linkErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: linkErrors.join(", "),
+      });
+    }
+
+    const goal = await Goal.create({ ...req.body, userId });
+
+    return res.status(201).json({
+      success: true,
+      message: "Goal created successfully",
+      data: {
+        goal,
+      },
+    });
+  } catch (error) {
+    console.error("Create goal error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(", "),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error creating goal",
+    });
+  }
+};
+
+/**
+ * @desc    Get all goals for logged-in user
+ * @route   GET /api/goals
+ * @access  Private
+ */
+export const getGoals = async (req, res) => {
+  try {
+    const goals = await Goal.find({ userId: req.user._id })
+      .sort({ targetYear: 1, targetMonth: 1 }) // Nearest first
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      count: goals.length,
+      data: {
+        goals,
+      },
+    });
+  } catch (error) {
+    console.error("Get goals error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching goals",
+    });
+  }
+};
+
+/**
+ * @desc    Project every goal: corpus, shortfall and extra SIP needed
+ * @route   GET /api/goals/analysis
+ * @access  Private
+ */
+export const getGoalAnalysis = async (req, res) => {
+  try {
+    const analysis = await analyzeGoals(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      data: analysis,
+    });
+  } catch (error) {
+    console.error("Goal analysis error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to analyze goals",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Get single goal by ID
+ * @route   GET /api/goals/:id
+ * @access  Private
+ */
+export const getGoalById = async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id, // Ensure user owns this goal
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: "Goal not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        goal,
+      },
+    });
+  } catch (error) {
+    console.error("Get goal error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching goal",
+    });
+  }
+};
+
+/**
+ * @desc    Update goal (linkedFunds, when sent, replaces the list)
+ * @route   PUT /api/goals/:id
+ * @access  Private
+ */
+export const updateGoal = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: "Goal not found",
+      });
+    }
+
+    if (req.body.linkedFunds) {
+      const linkErrors = await findLinkErrors(
+        userId,
+        req.body.linkedFunds,
+        goal._id
+      );
+      if (linkErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: linkErrors.join(", "),
+        });
+      }
+    }
+
+    goal.set(req.body);
+    await goal.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Goal updated successfully",
+      data: {
+        goal,
+      },
+    });
+  } catch (error) {
+    console.error("Update goal error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(", "),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error updating goal",
+    });
+  }
+};
+
+/**
+ * @desc    Delete goal
+ * @route   DELETE /api/goals/:id
+ * @access  Private
+ */
+export const deleteGoal = async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: "Goal not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Goal deleted successfully",
+      data: null,
+    });
+  } catch (error) {
+    console.error("Delete goal error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error deleting goal",
+    });
+  }
+};
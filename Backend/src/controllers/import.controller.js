@@ -0,0 +1,75 @@
+import {
+  previewCsvImport,
+  previewCasImport,
+} from "../services/import/index.js";
+
+/**
+ * Import Controller
+ *
+ * Turns uploaded statements/spreadsheets into portfolio previews
+ * - Nothing is persisted here
+ * - Frontend reviews the preview and saves via POST /api/portfolio
+ */
+
+/**
+ * @desc    Parse a transaction CSV and return a portfolio preview
+ * @route   POST /api/portfolio/import/csv
+ * @access  Private
+ */
+export const importCsvPortfolio = async (req, res) => {
+  try {
+    const { csv, name } = req.body;
+
+    const preview = await previewCsvImport(csv, { name });
+
+    return res.status(200).json({
+      success: true,
+      message: preview.canImport
+        ? "CSV parsed successfully"
+        : "CSV parsed with errors",
+      data: preview,
+    });
+  } catch (error) {
+    console.error("CSV import error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error importing CSV",
+      error:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Parse CAS statement text and return a portfolio preview
+ * @route   POST /api/portfolio/import/cas
+ * @access  Private
+ */
+export const importCasPortfolio = async (req, res) => {
+  try {
+    const { text, name } = req.body;
+
+    const preview = await previewCasImport(text, { name });
+
+    return res.status(200).json({
+      success: true,
+      message: preview.canImport
+        ? "Statement parsed successfully"
+        : "Statement parsed with errors",
+      data: preview,
+    });
+  } catch (error) {
+    console.error("CAS import error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error importing statement",
+      error:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export default {
+  importCsvPortfolio,
+  importCasPortfolio,
+};
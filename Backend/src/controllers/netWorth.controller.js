@@ -0,0 +1,265 @@
+import Liability from "../models/LiabilityModel.js";
+import {
+  MAX_LIABILITIES_PER_USER,
+  LIMIT_ERROR_MESSAGES,
+} from "../config/limits.config.js";
+import { analyzeNetWorth } from "../services/netWorth/netWorth.service.js";
+import { generateAmortizationSchedule } from "../services/netWorth/liability.service.js";
+
+/**
+ * Net Worth Controller
+ *
+ * Handles CRUD operations for user liabilities, their amortization
+ * schedules and the user's net worth
+ * - All routes are protected (req.user is available)
+ * - userId is ALWAYS taken from req.user._id, never from request body
+ *
+ * ⚠️ Amortization and net worth logic lives in services/netWorth
+ */
+
+/**
+ * @desc    Net worth: portfolio values minus liabilities, with history
+ * @route   GET /api/net-worth
+ * @access  Private
+ */
+export const getNetWorth = async (req, res) => {
+  try {
+    const netWorth = await analyzeNetWorth(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      data: netWorth,
+    });
+  } catch (error) {
+    console.error("Net worth error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to calculate net worth",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @desc    Add a liability
+ * @route   POST /api/net-worth/liabilities
+ * @access  Private
+ */
+export const createLiability = async (req, res) => {
+  try {
+    const userId = req.user._id; // From auth middleware - NEVER from request body
+
+    // ══════════════════════════════════════════════════════════
+    // ABUSE PREVENTION: Check liability limit per user
+    // ══════════════════════════════════════════════════════════
+    const existingCount = await Liability.countDocuments({ userId });
+    if (existingCount >= MAX_LIABILITIES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: LIMIT_ERROR_MESSAGES.MAX_LIABILITIES,
+      });
+    }
+
+    const liability = await Liability.create({ ...req.body, userId });
+
+    return res.status(201).json({
+      success: true,
+      message: "Liability added successfully",
+      data: {
+        liability,
+      },
+    });
+  } catch (error) {
+    console.error("Create liability error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(", "),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error adding liability",
+    });
+  }
+};
+
+/**
+ * @desc    Get all liabilities for logged-in user
+ * @route   GET /api/net-worth/liabilities
+ * @access  Private
+ */
+export const getLiabilities = async (req, res) => {
+  try {
+    const liabilities = await Liability.find({ userId: req.user._id })
+      .sort({ createdAt: 1 }) // Oldest first
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      count: liabilities.length,
+      data: {
+        liabilities,
+      },
+    });
+  } catch (error) {
+    console.error("Get liabilities error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching liabilities",
+    });
+  }
+};
+
+/**
+ * @desc    Get single liability by ID
+ * @route   GET /api/net-worth/liabilities/:id
+ * @access  Private
+ */
+export const getLiabilityById = async (req, res) => {
+  try {
+    const liability = await Liability.findOne({
+      _id: req.params.id,
+      userId: req.user._id, // Ensure user owns this liability
+    });
+
+    if (!liability) {
+      return res.status(404).json({
+        success: false,
+        message: "Liability not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        liability,
+      },
+    });
+  } catch (error) {
+    console.error("Get liability error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching liability",
+    });
+  }
+};
+
+/**
+ * @desc    Month-by-month amortization schedule of a liability
+ * @route   GET /api/net-worth/liabilities/:id/schedule
+ * @access  Private
+ */
+export const getLiabilitySchedule = async (req, res) => {
+  try {
+    const liability = await Liability.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!liability) {
+      return res.status(404).json({
+        success: false,
+        message: "Liability not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        liability,
+        schedule: generateAmortizationSchedule(liability),
+      },
+    });
+  } catch (error) {
+    console.error("Liability schedule error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error building amortization schedule",
+    });
+  }
+};
+
+/**
+ * @desc    Update liability (e.g. a fresh balance from the statement)
+ * @route   PUT /api/net-worth/liabilities/:id
+ * @access  Private
+ */
+export const updateLiability = async (req, res) => {
+  try {
+    const liability = await Liability.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!liability) {
+      return res.status(404).json({
+        success: false,
+        message: "Liability not found",
+      });
+    }
+
+    liability.set(req.body);
+    await liability.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Liability updated successfully",
+      data: {
+        liability,
+      },
+    });
+  } catch (error) {
+    console.error("Update liability error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(", "),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error updating liability",
+    });
+  }
+};
+
+/**
+ * @desc    Delete liability
+ * @route   DELETE /api/net-worth/liabilities/:id
+ * @access  Private
+ */
+export const deleteLiability = async (req, res) => {
+  try {
+    const liability = await Liability.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!liability) {
+      return res.status(404).json({
+        success: false,
+        message: "Liability not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Liability deleted successfully",
+      data: null,
+    });
+  } catch (error) {
+    console.error("Delete liability error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Error deleting liability",
+    });
+  }
+};
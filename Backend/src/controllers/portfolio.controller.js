@@ -39,12 +39,162 @@ const transformForFrontend = (portfolio) => {
         amount: l.amount,
         month: l.month,
       })),
+      redemptions: (fund.redemptions || []).map((r) => ({
+        year: r.year,
+        month: r.month,
+        units: r.units,
+        amount: r.amount,
+      })),
     };
   });
 
   return transformed;
 };
 
+/**
+ * Transform STP / switch entries from the request to the stored format
+ * STPs carry a monthly amount; switches either units or an amount
+ */
+const transformTransfers = (transfers = []) =>
+  transfers.map((t) => {
+    const units = t.type === "switch" ? parseFloat(t.units) || null : null;
+
+    return {
+      type: t.type,
+      fromFund: t.fromFund,
+      toFund: t.toFund,
+      units,
+      amount: units ? null : parseFloat(t.amount),
+      month: parseInt(t.month) || 1,
+      year: parseInt(t.year),
+      endMonth: t.type === "stp" && t.endYear ? parseInt(t.endMonth) : null,
+      endYear: t.type === "stp" && t.endYear ? parseInt(t.endYear) : null,
+    };
+  });
+
+/**
+ * Transform fixed deposit terms from the request to the stored format
+ * Only "FD" funds keep them
+ */
+const transformFixedDeposit = (fund) => {
+  const deposit = fund.fixedDeposit;
+  if (fund.assetType !== "FD" || !deposit) return null;
+
+  return {
+    principal: parseFloat(deposit.principal),
+    rate: parseFloat(deposit.rate),
+    compounding: deposit.compounding || "quarterly",
+    startMonth: parseInt(deposit.startMonth) || 1,
+    startYear: parseInt(deposit.startYear),
+    tenureMonths: parseInt(deposit.tenureMonths),
+  };
+};
+
+/**
+ * Transform stock / ETF shares and buys from the request to the
+ * stored format. Only "Stock" / "ETF" funds keep them
+ */
+const transformSecurity = (fund) => {
+  const security = fund.security;
+  if (!["Stock", "ETF"].includes(fund.assetType) || !security) return null;
+
+  return {
+    symbol: String(security.symbol).trim().toUpperCase(),
+    shares: parseFloat(security.shares),
+    buys: (security.buys || []).map((b) => ({
+      shares: parseFloat(b.shares),
+      price: parseFloat(b.price),
+      month: parseInt(b.month) || 1,
+      year: parseInt(b.year),
+    })),
+  };
+};
+
+/**
+ * Transform PPF / EPF / NPS account terms from the request to the
+ * stored format. Only funds of the matching type keep them
+ */
+const transformPpf = (fund) => {
+  const ppf = fund.ppf;
+  if (fund.assetType !== "PPF" || !ppf) return null;
+
+  return {
+    openedMonth: parseInt(ppf.openedMonth) || 1,
+    openedYear: parseInt(ppf.openedYear),
+    contributions: (ppf.contributions || []).map((c) => ({
+      amount: parseFloat(c.amount),
+      month: parseInt(c.month) || 1,
+      year: parseInt(c.year),
+    })),
+  };
+};
+
+const transformEpf = (fund) => {
+  const epf = fund.epf;
+  if (fund.assetType !== "EPF" || !epf) return null;
+
+  const opening = epf.openingBalance;
+  return {
+    openingBalance: opening
+      ? {
+          amount: parseFloat(opening.amount),
+          month: parseInt(opening.month) || 1,
+          year: parseInt(opening.year),
+        }
+      : null,
+    contributions: (epf.contributions || []).map((c) => ({
+      employee: parseFloat(c.employee),
+      employer: parseFloat(c.employer) || 0,
+      startMonth: parseInt(c.startMonth) || 1,
+      startYear: parseInt(c.startYear),
+      isOngoing: c.isOngoing !== false,
+      endMonth: c.isOngoing === false ? parseInt(c.endMonth) : null,
+      endYear: c.isOngoing === false ? parseInt(c.endYear) : null,
+    })),
+    birthMonth: parseInt(epf.birthMonth) || null,
+    birthYear: parseInt(epf.birthYear) || null,
+  };
+};
+
+const transformNps = (fund) => {
+  const nps = fund.nps;
+  if (fund.assetType !== "NPS" || !nps) return null;
+
+  return {
+    tier: nps.tier === "II" ? "II" : "I",
+    allocation: {
+      E: parseFloat(nps.allocation.E) || 0,
+      C: parseFloat(nps.allocation.C) || 0,
+      G: parseFloat(nps.allocation.G) || 0,
+    },
+    birthMonth: parseInt(nps.birthMonth) || null,
+    birthYear: parseInt(nps.birthYear) || null,
+  };
+};
+
+/**
+ * Transform the purchase and valuations of a real estate / gold / other
+ * asset from the request to the stored format. Only those types keep
+ * them
+ */
+const transformManualAsset = (fund) => {
+  const asset = fund.manualAsset;
+  if (!["Real Estate", "Gold", "Other"].includes(fund.assetType) || !asset) {
+    return null;
+  }
+
+  return {
+    purchaseCost: parseFloat(asset.purchaseCost),
+    purchaseMonth: parseInt(asset.purchaseMonth) || 1,
+    purchaseYear: parseInt(asset.purchaseYear),
+    valuations: (asset.valuations || []).map((v) => ({
+      value: parseFloat(v.value),
+      month: parseInt(v.month) || 1,
+      year: parseInt(v.year),
+    })),
+  };
+};
+
 /**
  * @desc    Create a new portfolio
  * @route   POST /api/portfolio
@@ -52,7 +202,7 @@ const transformForFrontend = (portfolio) => {
  */
 export const createPortfolio = async (req, res) => {
   try {
-    const { name, funds } = req.body;
+    const { name, funds, transfers = [] } = req.body;
     const userId = req.user._id; // From auth middleware - NEVER from request body
 
     // ══════════════════════════════════════════════════════════
@@ -110,13 +260,33 @@ export const createPortfolio = async (req, res) => {
         fund.lumpsums &&
         fund.lumpsums.some((l) => l.amount && parseFloat(l.amount) > 0);
 
+      // Funded only by an STP / switch from another fund
+      const isTransferTarget = transfers.some(
+        (t) => t.toFund === fund.assetName
+      );
+
+      // FD holdings carry deposit terms, stocks / ETFs their buys,
+      // PPF / EPF their contributions, real estate / gold / other their
+      // purchase
+      const hasHolding = Boolean(
+        transformFixedDeposit(fund) ||
+          transformSecurity(fund) ||
+          transformPpf(fund) ||
+          transformEpf(fund) ||
+          transformManualAsset(fund)
+      );
+
       // ✅ SIP-only: allowed
       // ✅ Lumpsum-only: allowed
-      // ❌ Neither: invalid
-      if (!hasSip && !hasLumpsum) {
+      // ✅ Transfer-only: allowed
+      // ✅ Fixed deposit / stock / ETF / PPF / EPF / valued asset: allowed
+      // ❌ None: invalid
+      if (!hasSip && !hasLumpsum && !isTransferTarget && !hasHolding) {
         return res.status(400).json({
           success: false,
-          message: `Fund ${i + 1} must have either SIP or lumpsum investment`,
+          message: `Fund ${
+            i + 1
+          } must have a SIP, lumpsum or transfer into it`,
         });
       }
     }
@@ -126,8 +296,16 @@ export const createPortfolio = async (req, res) => {
       const transformed = {
         assetType: fund.assetType,
         assetName: fund.assetName,
+        idcwOption: fund.idcwOption || null,
         sips: [],
         lumpsums: [],
+        redemptions: [],
+        fixedDeposit: transformFixedDeposit(fund),
+        security: transformSecurity(fund),
+        ppf: transformPpf(fund),
+        epf: transformEpf(fund),
+        nps: transformNps(fund),
+        manualAsset: transformManualAsset(fund),
       };
 
       // NEW FORMAT: Handle sips array from frontend
@@ -141,6 +319,9 @@ export const createPortfolio = async (req, res) => {
             isOngoing: s.isOngoing !== false, // Default to true
             endMonth: s.isOngoing === false ? parseInt(s.endMonth) : null,
             endYear: s.isOngoing === false ? parseInt(s.endYear) : null,
+            stepUpType: s.stepUpType || null,
+            stepUpValue: s.stepUpType ? parseFloat(s.stepUpValue) || 0 : 0,
+            pausedMonths: s.pausedMonths || [],
           }));
       }
       // OLD FORMAT: Convert single SIP amount to sips array entry (backward compatibility)
@@ -165,6 +346,18 @@ export const createPortfolio = async (req, res) => {
           }));
       }
 
+      // Convert redemptions (by units or by amount)
+      if (fund.redemptions && fund.redemptions.length > 0) {
+        transformed.redemptions = fund.redemptions
+          .filter((r) => parseFloat(r.units) > 0 || parseFloat(r.amount) > 0)
+          .map((r) => ({
+            units: parseFloat(r.units) > 0 ? parseFloat(r.units) : null,
+            amount: parseFloat(r.units) > 0 ? null : parseFloat(r.amount),
+            month: parseInt(r.month) || 1,
+            year: parseInt(r.year),
+          }));
+      }
+
       return transformed;
     });
 
@@ -173,6 +366,7 @@ export const createPortfolio = async (req, res) => {
       userId,
       name: name || "My Portfolio",
       funds: transformedFunds,
+      transfers: transformTransfers(transfers),
     });
 
     return res.status(201).json({
@@ -293,7 +487,7 @@ export const updatePortfolio = async (req, res) => {
   try {
     const userId = req.user._id;
     const portfolioId = req.params.id;
-    const { name, funds } = req.body;
+    const { name, funds, transfers } = req.body;
 
     // Find portfolio and verify ownership
     const portfolio = await Portfolio.findOne({
@@ -316,8 +510,16 @@ export const updatePortfolio = async (req, res) => {
         const transformed = {
           assetType: fund.assetType,
           assetName: fund.assetName,
+          idcwOption: fund.idcwOption || null,
           sips: [],
           lumpsums: [],
+          redemptions: [],
+          fixedDeposit: transformFixedDeposit(fund),
+          security: transformSecurity(fund),
+          ppf: transformPpf(fund),
+          epf: transformEpf(fund),
+          nps: transformNps(fund),
+          manualAsset: transformManualAsset(fund),
         };
 
         // NEW FORMAT: Handle sips array from frontend
@@ -331,6 +533,9 @@ export const updatePortfolio = async (req, res) => {
               isOngoing: s.isOngoing !== false, // Default to true
               endMonth: s.isOngoing === false ? parseInt(s.endMonth) : null,
               endYear: s.isOngoing === false ? parseInt(s.endYear) : null,
+              stepUpType: s.stepUpType || null,
+              stepUpValue: s.stepUpType ? parseFloat(s.stepUpValue) || 0 : 0,
+              pausedMonths: s.pausedMonths || [],
             }));
         }
         // OLD FORMAT: Convert single SIP amount to sips array entry (backward compatibility)
@@ -356,9 +561,26 @@ export const updatePortfolio = async (req, res) => {
             }));
         }
 
+        // Convert redemptions (by units or by amount)
+        if (fund.redemptions && fund.redemptions.length > 0) {
+          transformed.redemptions = fund.redemptions
+            .filter(
+              (r) => parseFloat(r.units) > 0 || parseFloat(r.amount) > 0
+            )
+            .map((r) => ({
+              units: parseFloat(r.units) > 0 ? parseFloat(r.units) : null,
+              amount: parseFloat(r.units) > 0 ? null : parseFloat(r.amount),
+              month: parseInt(r.month) || 1,
+              year: parseInt(r.year),
+            }));
+        }
+
         return transformed;
       });
     }
+    if (Array.isArray(transfers)) {
+      portfolio.transfers = transformTransfers(transfers);
+    }
 
     await portfolio.save();
 
@@ -422,3 +644,58 @@ export const deletePortfolio = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Set the portfolio's target allocation
+ * @route   PUT /api/portfolio/:id/target-allocation
+ * @access  Private
+ */
+export const updateTargetAllocation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const portfolioId = req.params.id;
+    const { assetTypes, categories } = req.body;
+
+    const portfolio = await Portfolio.findOneAndUpdate(
+      { _id: portfolioId, userId },
+      {
+        targetAllocation: {
+          assetTypes,
+          categories,
+          updatedAt: new Date(),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Target allocation saved",
+      data: {
+        targetAllocation: portfolio.targetAllocation,
+      },
+    });
+  } catch (error) {
+    console.error("Update target allocation error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(", "),
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error saving target allocation",
+    });
+  }
+};
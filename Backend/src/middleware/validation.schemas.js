@@ -6,6 +6,15 @@
  */
 
 import { z } from "zod";
+import { SURVEY_QUESTIONS } from "../config/riskProfile.config.js";
+import { GOAL_PRIORITIES } from "../config/goals.config.js";
+import { PPF_YEARLY_LIMIT, NPS_MAX_EQUITY } from "../config/schemes.config.js";
+import {
+  LIABILITY_TYPES,
+  REVOLVING_LIABILITY_TYPES,
+  MAX_LIABILITY_RATE,
+  MAX_TENURE_MONTHS,
+} from "../config/liabilities.config.js";
 
 // ═══════════════════════════════════════════════════════════════
 // COMMON SCHEMAS
@@ -18,6 +27,14 @@ const objectIdSchema = z
   .string()
   .regex(/^[0-9a-fA-F]{24}$/, "Invalid ID format");
 
+/**
+ * Month key schema ("2024-06")
+ */
+const monthKeySchema = (field) =>
+  z
+    .string()
+    .regex(/^\d{4}-(0[1-9]|1[0-2])$/, `${field} must be a month like 2024-06`);
+
 /**
  * Email schema
  */
@@ -81,6 +98,25 @@ export const changePasswordSchema = z.object({
   newPassword: passwordSchema,
 });
 
+/**
+ * Risk profile schema
+ * Every survey question must be answered with one of its options
+ */
+export const riskProfileSchema = z.object({
+  answers: z
+    .object(
+      Object.fromEntries(
+        SURVEY_QUESTIONS.map((question) => [
+          question.id,
+          z.enum(question.options.map((option) => option.label), {
+            message: `Choose one of the options for ${question.id}`,
+          }),
+        ])
+      )
+    )
+    .strict(),
+});
+
 // ═══════════════════════════════════════════════════════════════
 // PORTFOLIO SCHEMAS
 // ═══════════════════════════════════════════════════════════════
@@ -88,76 +124,467 @@ export const changePasswordSchema = z.object({
 /**
  * SIP entry schema
  */
-const sipSchema = z.object({
+const sipSchema = z
+  .object({
+    amount: z
+      .number()
+      .positive("SIP amount must be positive")
+      .max(10000000, "SIP amount too large"),
+    startYear: z
+      .number()
+      .int()
+      .min(2000, "Invalid start year")
+      .max(new Date().getFullYear() + 1, "Start year cannot be in the future"),
+    startMonth: z
+      .number()
+      .int()
+      .min(1, "Invalid month")
+      .max(12, "Invalid month")
+      .optional()
+      .default(1),
+    isOngoing: z.boolean().optional().default(true),
+    endYear: z
+      .number()
+      .int()
+      .min(2000, "Invalid end year")
+      .max(new Date().getFullYear() + 10, "End year too far in future")
+      .optional(),
+    endMonth: z.number().int().min(1).max(12).optional(),
+    // Annual step-up: "percent" compounds, "amount" adds rupees each year
+    stepUpType: z.enum(["percent", "amount"]).optional(),
+    stepUpValue: z
+      .number()
+      .positive("Step-up must be positive")
+      .max(10000000, "Step-up too large")
+      .optional(),
+    pausedMonths: z
+      .array(monthKeySchema("Paused month"))
+      .max(600, "Too many paused months")
+      .optional()
+      .default([]),
+  })
+  .refine((data) => !data.stepUpType || data.stepUpValue, {
+    message: "Step-up needs a value",
+    path: ["stepUpValue"],
+  })
+  .refine(
+    (data) => data.stepUpType !== "percent" || data.stepUpValue <= 100,
+    { message: "Step-up cannot exceed 100% a year", path: ["stepUpValue"] }
+  );
+
+/**
+ * Lumpsum entry schema
+ */
+const lumpsumSchema = z.object({
   amount: z
     .number()
-    .positive("SIP amount must be positive")
-    .max(10000000, "SIP amount too large"),
+    .positive("Lumpsum amount must be positive")
+    .max(100000000, "Lumpsum amount too large"),
+  year: z
+    .number()
+    .int()
+    .min(2000, "Invalid year")
+    .max(new Date().getFullYear() + 1, "Year cannot be in the future"),
+  month: z.number().int().min(1).max(12).optional().default(1),
+});
+
+/**
+ * Redemption entry schema
+ * Either units or amount must be given, not both
+ */
+const redemptionSchema = z
+  .object({
+    units: z.number().positive("Units must be positive").optional(),
+    amount: z
+      .number()
+      .positive("Redemption amount must be positive")
+      .max(100000000, "Redemption amount too large")
+      .optional(),
+    year: z
+      .number()
+      .int()
+      .min(2000, "Invalid year")
+      .max(new Date().getFullYear() + 1, "Year cannot be in the future"),
+    month: z.number().int().min(1).max(12).optional().default(1),
+  })
+  .refine((data) => Boolean(data.units) !== Boolean(data.amount), {
+    message: "Redemption must specify either units or amount",
+  });
+
+/**
+ * Fixed deposit terms schema ("FD" funds)
+ */
+const fixedDepositSchema = z.object({
+  principal: z
+    .number()
+    .positive("Deposit principal must be positive")
+    .max(100000000, "Deposit principal too large"),
+  rate: z
+    .number()
+    .positive("Interest rate must be positive")
+    .max(25, "Interest rate cannot exceed 25%"),
+  compounding: z
+    .enum(["monthly", "quarterly", "half_yearly", "yearly"])
+    .optional()
+    .default("quarterly"),
   startYear: z
     .number()
     .int()
     .min(2000, "Invalid start year")
-    .max(new Date().getFullYear() + 1, "Start year cannot be in the future"),
-  startMonth: z
+    .max(new Date().getFullYear(), "Start year cannot be in the future"),
+  startMonth: z.number().int().min(1).max(12).optional().default(1),
+  tenureMonths: z
     .number()
     .int()
-    .min(1, "Invalid month")
-    .max(12, "Invalid month")
-    .optional()
-    .default(1),
+    .min(1, "Tenure must be at least 1 month")
+    .max(120, "Tenure cannot exceed 10 years"),
+});
+
+/**
+ * Stock / ETF holding schema ("Stock" / "ETF" funds)
+ * Shares held now plus the buys behind them; sales are redemptions
+ * by units (shares)
+ */
+const securityBuySchema = z.object({
+  shares: z
+    .number()
+    .positive("Shares bought must be positive")
+    .max(100000000, "Too many shares"),
+  price: z
+    .number()
+    .positive("Buy price must be positive")
+    .max(10000000, "Buy price too large"),
+  year: z
+    .number()
+    .int()
+    .min(2000, "Invalid year")
+    .max(new Date().getFullYear(), "Year cannot be in the future"),
+  month: z.number().int().min(1).max(12).optional().default(1),
+});
+
+const securitySchema = z.object({
+  symbol: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-Z0-9&-]{1,20}$/, "Invalid symbol"),
+  shares: z.number().min(0, "Shares cannot be negative"),
+  buys: z
+    .array(securityBuySchema)
+    .min(1, "Add at least one buy")
+    .max(500, "Too many buys"),
+});
+
+const SECURITY_ASSET_TYPES = ["Stock", "ETF"];
+
+/**
+ * Whether shares bought less shares sold match the shares held
+ */
+const sharesMatch = (fund) => {
+  const bought = fund.security.buys.reduce((sum, b) => sum + b.shares, 0);
+  const sold = fund.redemptions.reduce((sum, r) => sum + (r.units || 0), 0);
+  return Math.abs(bought - sold - fund.security.shares) < 1e-6;
+};
+
+/**
+ * Birth month / year of an EPF / NPS account holder (for the
+ * retirement date)
+ */
+const birthYearSchema = z
+  .number()
+  .int()
+  .min(1930, "Invalid birth year")
+  .max(new Date().getFullYear(), "Birth year cannot be in the future")
+  .optional();
+
+const birthMonthSchema = z.number().int().min(1).max(12).optional();
+
+/**
+ * PPF account schema ("PPF" funds)
+ * Opening month plus dated deposits, within the yearly deposit limit
+ */
+const ppfDepositSchema = z.object({
+  amount: z
+    .number()
+    .positive("Deposit amount must be positive")
+    .max(PPF_YEARLY_LIMIT, "Deposit is above the PPF yearly limit"),
+  year: z
+    .number()
+    .int()
+    .min(1990, "Invalid year")
+    .max(new Date().getFullYear(), "Year cannot be in the future"),
+  month: z.number().int().min(1).max(12).optional().default(1),
+});
+
+/**
+ * Financial year (by its first calendar year) of a month / year
+ */
+const financialYearOf = (month, year) => (month >= 4 ? year : year - 1);
+
+const ppfSchema = z
+  .object({
+    openedYear: z
+      .number()
+      .int()
+      .min(1990, "Invalid opening year")
+      .max(new Date().getFullYear(), "Opening year cannot be in the future"),
+    openedMonth: z.number().int().min(1).max(12).optional().default(1),
+    contributions: z
+      .array(ppfDepositSchema)
+      .min(1, "Add at least one deposit")
+      .max(600, "Too many deposits"),
+  })
+  .refine(
+    (data) =>
+      data.contributions.every(
+        (c) => c.year * 12 + c.month >= data.openedYear * 12 + data.openedMonth
+      ),
+    {
+      message: "Deposits cannot be before the account was opened",
+      path: ["contributions"],
+    }
+  )
+  .refine(
+    (data) => {
+      const yearly = {};
+      for (const c of data.contributions) {
+        const fy = financialYearOf(c.month, c.year);
+        yearly[fy] = (yearly[fy] || 0) + c.amount;
+      }
+      return Object.values(yearly).every((sum) => sum <= PPF_YEARLY_LIMIT);
+    },
+    {
+      message: "PPF deposits cannot exceed ₹1,50,000 in a financial year",
+      path: ["contributions"],
+    }
+  );
+
+/**
+ * EPF account schema ("EPF" funds)
+ * Monthly employee / employer contributions per period, plus an
+ * optional balance carried in
+ */
+const epfContributionSchema = z.object({
+  employee: z
+    .number()
+    .positive("Employee contribution must be positive")
+    .max(10000000, "Contribution too large"),
+  employer: z
+    .number()
+    .min(0, "Employer contribution cannot be negative")
+    .max(10000000, "Contribution too large"),
+  startYear: z
+    .number()
+    .int()
+    .min(1990, "Invalid start year")
+    .max(new Date().getFullYear(), "Start year cannot be in the future"),
+  startMonth: z.number().int().min(1).max(12).optional().default(1),
+  isOngoing: z.boolean().optional().default(true),
   endYear: z
     .number()
     .int()
-    .min(2000, "Invalid end year")
-    .max(new Date().getFullYear() + 10, "End year too far in future")
+    .min(1990, "Invalid end year")
+    .max(new Date().getFullYear() + 50, "End year too far in future")
     .optional(),
   endMonth: z.number().int().min(1).max(12).optional(),
 });
 
+const epfSchema = z
+  .object({
+    openingBalance: z
+      .object({
+        amount: z
+          .number()
+          .positive("Opening balance must be positive")
+          .max(100000000, "Opening balance too large"),
+        year: z
+          .number()
+          .int()
+          .min(1990, "Invalid year")
+          .max(new Date().getFullYear(), "Year cannot be in the future"),
+        month: z.number().int().min(1).max(12).optional().default(1),
+      })
+      .optional(),
+    contributions: z
+      .array(epfContributionSchema)
+      .max(50, "Too many contribution periods")
+      .optional()
+      .default([]),
+    birthYear: birthYearSchema,
+    birthMonth: birthMonthSchema,
+  })
+  .refine((data) => data.contributions.length > 0 || data.openingBalance, {
+    message: "Add a contribution or an opening balance",
+    path: ["contributions"],
+  });
+
 /**
- * Lumpsum entry schema
+ * NPS account schema ("NPS" funds)
+ * Tier and E / C / G split; money goes in as SIPs / lumpsums
  */
-const lumpsumSchema = z.object({
-  amount: z
+const npsSchema = z.object({
+  tier: z.enum(["I", "II"]).optional().default("I"),
+  allocation: z
+    .object({
+      E: z
+        .number()
+        .min(0, "Allocation cannot be negative")
+        .max(NPS_MAX_EQUITY, `Scheme E cannot exceed ${NPS_MAX_EQUITY}%`),
+      C: z.number().min(0, "Allocation cannot be negative").max(100),
+      G: z.number().min(0, "Allocation cannot be negative").max(100),
+    })
+    .refine((data) => Math.abs(data.E + data.C + data.G - 100) < 0.01, {
+      message: "NPS allocation must add up to 100%",
+    }),
+  birthYear: birthYearSchema,
+  birthMonth: birthMonthSchema,
+});
+
+// Fund entry field holding each retirement scheme's terms
+const SCHEME_FIELDS = { PPF: "ppf", EPF: "epf", NPS: "nps" };
+
+/**
+ * Retirement scheme rules for a fund entry
+ * - Scheme terms only on funds of that type
+ * - PPF / EPF money goes in through their deposits / contributions
+ * - Only Tier II NPS accounts can be withdrawn from
+ */
+const checkSchemeTerms = (data, ctx) => {
+  for (const [type, field] of Object.entries(SCHEME_FIELDS)) {
+    if (data.assetType !== type && data[field]) {
+      ctx.addIssue({
+        code: "custom",
+        message: `${type} terms are only for ${type} holdings`,
+        path: [field],
+      });
+    }
+  }
+
+  if (
+    ["PPF", "EPF"].includes(data.assetType) &&
+    (data.sips.length > 0 ||
+      data.lumpsums.length > 0 ||
+      data.redemptions.length > 0)
+  ) {
+    ctx.addIssue({
+      code: "custom",
+      message:
+        `Record ${data.assetType} money as its deposits / contributions, ` +
+        "not SIPs, lumpsums or redemptions",
+      path: [SCHEME_FIELDS[data.assetType]],
+    });
+  }
+
+  if (
+    data.assetType === "NPS" &&
+    data.nps?.tier === "I" &&
+    data.redemptions.length > 0
+  ) {
+    ctx.addIssue({
+      code: "custom",
+      message: "Tier I NPS accounts cannot have redemptions",
+      path: ["redemptions"],
+    });
+  }
+};
+
+/**
+ * Manually valued asset schema ("Real Estate" / "Gold" / "Other" funds)
+ * Purchase cost and month plus the user's own dated valuations
+ */
+const manualAssetValuationSchema = z.object({
+  value: z
     .number()
-    .positive("Lumpsum amount must be positive")
-    .max(100000000, "Lumpsum amount too large"),
+    .positive("Valuation must be positive")
+    .max(10000000000, "Valuation too large"),
   year: z
     .number()
     .int()
-    .min(2000, "Invalid year")
-    .max(new Date().getFullYear() + 1, "Year cannot be in the future"),
+    .min(1970, "Invalid year")
+    .max(new Date().getFullYear(), "Year cannot be in the future"),
   month: z.number().int().min(1).max(12).optional().default(1),
 });
 
+const manualAssetSchema = z
+  .object({
+    purchaseCost: z
+      .number()
+      .positive("Purchase cost must be positive")
+      .max(10000000000, "Purchase cost too large"),
+    purchaseYear: z
+      .number()
+      .int()
+      .min(1970, "Invalid purchase year")
+      .max(new Date().getFullYear(), "Purchase year cannot be in the future"),
+    purchaseMonth: z.number().int().min(1).max(12).optional().default(1),
+    valuations: z
+      .array(manualAssetValuationSchema)
+      .max(240, "Too many valuations")
+      .optional()
+      .default([]),
+  })
+  .refine(
+    (data) =>
+      data.valuations.every(
+        (v) =>
+          v.year * 12 + v.month >= data.purchaseYear * 12 + data.purchaseMonth
+      ),
+    {
+      message: "Valuations cannot be before the purchase",
+      path: ["valuations"],
+    }
+  )
+  .refine(
+    (data) =>
+      new Set(data.valuations.map((v) => v.year * 12 + v.month)).size ===
+      data.valuations.length,
+    {
+      message: "Only one valuation per month",
+      path: ["valuations"],
+    }
+  );
+
+const MANUAL_ASSET_TYPES = ["Real Estate", "Gold", "Other"];
+
+/**
+ * Asset type schema
+ */
+const assetTypeSchema = z.enum(
+  [
+    "Mutual Fund",
+    "Stock",
+    "ETF",
+    "Bond",
+    "FD",
+    "PPF",
+    "EPF",
+    "NPS",
+    "Gold",
+    "Real Estate",
+    "Equity",
+    "Debt",
+    "Hybrid",
+    "Other",
+  ],
+  {
+    errorMap: () => ({ message: "Invalid asset type" }),
+  }
+);
+
 /**
  * Fund entry schema
  */
 const fundSchema = z
   .object({
-    assetType: z.enum(
-      [
-        "Mutual Fund",
-        "Stock",
-        "ETF",
-        "Bond",
-        "FD",
-        "Gold",
-        "Real Estate",
-        "Equity",
-        "Debt",
-        "Hybrid",
-        "Other",
-      ],
-      {
-        errorMap: () => ({ message: "Invalid asset type" }),
-      }
-    ),
+    assetType: assetTypeSchema,
     assetName: z
       .string()
       .min(3, "Fund name too short")
       .max(200, "Fund name too long"),
 
+    // IDCW plans only; omitted for growth plans
+    idcwOption: z.enum(["payout", "reinvest"]).optional(),
+
     // New format: array of SIPs
     sips: z.array(sipSchema).optional().default([]),
 
@@ -167,40 +594,415 @@ const fundSchema = z
 
     // Lumpsums
     lumpsums: z.array(lumpsumSchema).optional().default([]),
+
+    // Withdrawals
+    redemptions: z.array(redemptionSchema).optional().default([]),
+
+    // "FD" funds: deposit terms instead of SIPs / lumpsums
+    fixedDeposit: fixedDepositSchema.optional(),
+
+    // "Stock" / "ETF" funds: symbol, shares and buys
+    security: securitySchema.optional(),
+
+    // "PPF" / "EPF" / "NPS" funds: account terms
+    ppf: ppfSchema.optional(),
+    epf: epfSchema.optional(),
+    nps: npsSchema.optional(),
+
+    // "Real Estate" / "Gold" / "Other" funds: purchase and valuations
+    manualAsset: manualAssetSchema.optional(),
+  })
+  .refine((data) => data.assetType === "FD" || !data.fixedDeposit, {
+    message: "Deposit terms are only for FD holdings",
+    path: ["fixedDeposit"],
   })
   .refine(
-    (data) => {
-      // Must have at least one SIP or lumpsum
-      const hasSips = data.sips && data.sips.length > 0;
-      const hasLegacySip = data.sip && data.sip > 0;
-      const hasLumpsums = data.lumpsums && data.lumpsums.length > 0;
-      return hasSips || hasLegacySip || hasLumpsums;
-    },
-    { message: "Fund must have at least one SIP or lumpsum investment" }
+    (data) =>
+      data.assetType !== "FD" ||
+      !data.fixedDeposit ||
+      (data.sips.length === 0 &&
+        data.lumpsums.length === 0 &&
+        data.redemptions.length === 0),
+    {
+      message: "A fixed deposit cannot have SIPs, lumpsums or redemptions",
+      path: ["fixedDeposit"],
+    }
+  )
+  .refine(
+    (data) => SECURITY_ASSET_TYPES.includes(data.assetType) || !data.security,
+    { message: "Shares are only for Stock / ETF holdings", path: ["security"] }
+  )
+  .refine(
+    (data) =>
+      !SECURITY_ASSET_TYPES.includes(data.assetType) ||
+      !data.security ||
+      (data.sips.length === 0 &&
+        data.lumpsums.length === 0 &&
+        data.redemptions.every((r) => r.units)),
+    {
+      message:
+        "Record stock / ETF trades as buys and sales in shares, " +
+        "not SIPs, lumpsums or amounts",
+      path: ["security"],
+    }
+  )
+  .refine(
+    (data) =>
+      !SECURITY_ASSET_TYPES.includes(data.assetType) ||
+      !data.security ||
+      data.redemptions.some((r) => !r.units) ||
+      sharesMatch(data),
+    {
+      message: "Shares held must equal shares bought less shares sold",
+      path: ["security", "shares"],
+    }
+  )
+  .refine(
+    (data) => MANUAL_ASSET_TYPES.includes(data.assetType) || !data.manualAsset,
+    {
+      message: "Valuations are only for real estate, gold and other holdings",
+      path: ["manualAsset"],
+    }
+  )
+  .refine(
+    (data) =>
+      !MANUAL_ASSET_TYPES.includes(data.assetType) ||
+      !data.manualAsset ||
+      (data.sips.length === 0 &&
+        data.lumpsums.length === 0 &&
+        data.redemptions.length === 0),
+    {
+      message:
+        "A valued asset cannot have SIPs, lumpsums or redemptions - " +
+        "record its purchase and valuations",
+      path: ["manualAsset"],
+    }
+  )
+  .superRefine(checkSchemeTerms);
+
+/**
+ * Whether a fund has money of its own going in (SIP, lumpsum, deposit,
+ * share buys, PPF / EPF contributions or an asset's purchase)
+ */
+const hasInvestment = (fund) => {
+  const hasSips = fund.sips && fund.sips.length > 0;
+  const hasLegacySip = fund.sip && fund.sip > 0;
+  const hasLumpsums = fund.lumpsums && fund.lumpsums.length > 0;
+  const hasHolding = Boolean(
+    fund.fixedDeposit ||
+      fund.security ||
+      fund.ppf ||
+      fund.epf ||
+      fund.manualAsset
   );
+  return hasSips || hasLegacySip || hasLumpsums || hasHolding;
+};
+
+/**
+ * Transfer entry schema - money moved between two funds of the portfolio
+ * stp: monthly amount from month/year until endMonth/endYear (no end =
+ * runs to the valuation month); switch: one-off amount or units
+ */
+const transferFundName = z
+  .string()
+  .min(3, "Fund name too short")
+  .max(200, "Fund name too long");
+
+const transferYear = z
+  .number()
+  .int()
+  .min(2000, "Invalid year")
+  .max(new Date().getFullYear() + 1, "Year cannot be in the future");
+
+const transferSchema = z
+  .discriminatedUnion("type", [
+    z
+      .object({
+        type: z.literal("stp"),
+        fromFund: transferFundName,
+        toFund: transferFundName,
+        amount: z
+          .number()
+          .positive("STP amount must be positive")
+          .max(100000000, "STP amount too large"),
+        year: transferYear,
+        month: z.number().int().min(1).max(12).optional().default(1),
+        endYear: transferYear.optional(),
+        endMonth: z.number().int().min(1).max(12).optional(),
+      })
+      .refine((data) => !data.endYear === !data.endMonth, {
+        message: "STP end needs both month and year",
+        path: ["endMonth"],
+      })
+      .refine(
+        (data) =>
+          !data.endYear ||
+          !data.endMonth ||
+          data.endYear * 12 + data.endMonth >= data.year * 12 + data.month,
+        { message: "STP cannot end before it starts", path: ["endYear"] }
+      ),
+    z
+      .object({
+        type: z.literal("switch"),
+        fromFund: transferFundName,
+        toFund: transferFundName,
+        units: z.number().positive("Units must be positive").optional(),
+        amount: z
+          .number()
+          .positive("Switch amount must be positive")
+          .max(100000000, "Switch amount too large")
+          .optional(),
+        year: transferYear,
+        month: z.number().int().min(1).max(12).optional().default(1),
+      })
+      .refine((data) => Boolean(data.units) !== Boolean(data.amount), {
+        message: "Switch must specify either units or amount",
+      }),
+  ])
+  .refine((data) => data.fromFund !== data.toFund, {
+    message: "Cannot transfer a fund into itself",
+    path: ["toFund"],
+  });
+
+/**
+ * Portfolio-level checks on funds and transfers
+ * - Every fund needs a SIP, a lumpsum or a transfer into it
+ *   ("FD" funds need their deposit terms, stocks / ETFs their shares,
+ *   PPF / EPF / NPS their account terms, real estate / gold / other
+ *   their purchase)
+ * - FD / stock / ETF / real estate / gold / other entries saved as SIPs
+ *   / lumpsums before their holding terms existed stay valid
+ * - Fund names are unique within the portfolio (analysis keys by name)
+ * - Transfers must be between funds of the same portfolio, not FDs,
+ *   stocks, ETFs, retirement schemes or valued assets
+ */
+const checkFundsAndTransfers = (data, ctx) => {
+  if (!data.funds) return;
+  const transfers = data.transfers || [];
+
+  data.funds.forEach((fund, index) => {
+    if (fund.assetType === "FD") {
+      if (!fund.fixedDeposit && !hasInvestment(fund)) {
+        ctx.addIssue({
+          code: "custom",
+          message: "FD holdings need deposit terms",
+          path: ["funds", index, "fixedDeposit"],
+        });
+      }
+      return;
+    }
+
+    if (SECURITY_ASSET_TYPES.includes(fund.assetType)) {
+      if (!fund.security && !hasInvestment(fund)) {
+        ctx.addIssue({
+          code: "custom",
+          message: "Stock and ETF holdings need a symbol, shares and buys",
+          path: ["funds", index, "security"],
+        });
+      }
+      return;
+    }
+
+    if (MANUAL_ASSET_TYPES.includes(fund.assetType)) {
+      if (!fund.manualAsset && !hasInvestment(fund)) {
+        ctx.addIssue({
+          code: "custom",
+          message:
+            "Real estate, gold and other holdings need a purchase cost " +
+            "and month",
+          path: ["funds", index, "manualAsset"],
+        });
+      }
+      return;
+    }
+
+    const schemeField = SCHEME_FIELDS[fund.assetType];
+    if (schemeField && !fund[schemeField]) {
+      ctx.addIssue({
+        code: "custom",
+        message: `${fund.assetType} holdings need their account details`,
+        path: ["funds", index, schemeField],
+      });
+      return;
+    }
+    if (fund.ppf || fund.epf) return;
+
+    const isTransferTarget = transfers.some(
+      (t) => t.toFund === fund.assetName
+    );
+    if (!hasInvestment(fund) && !isTransferTarget) {
+      ctx.addIssue({
+        code: "custom",
+        message:
+          "Fund must have at least one SIP, lumpsum or transfer into it",
+        path: ["funds", index],
+      });
+    }
+  });
+
+  const names = new Set();
+  data.funds.forEach((fund, index) => {
+    if (names.has(fund.assetName)) {
+      ctx.addIssue({
+        code: "custom",
+        message: "Each holding in a portfolio needs a unique name",
+        path: ["funds", index, "assetName"],
+      });
+    }
+    names.add(fund.assetName);
+  });
+  const deposits = new Set(
+    data.funds.filter((f) => f.assetType === "FD").map((f) => f.assetName)
+  );
+  const securities = new Set(
+    data.funds
+      .filter((f) => SECURITY_ASSET_TYPES.includes(f.assetType))
+      .map((f) => f.assetName)
+  );
+  const schemes = new Set(
+    data.funds.filter((f) => SCHEME_FIELDS[f.assetType]).map((f) => f.assetName)
+  );
+  const manualAssets = new Set(
+    data.funds
+      .filter((f) => MANUAL_ASSET_TYPES.includes(f.assetType))
+      .map((f) => f.assetName)
+  );
+  transfers.forEach((transfer, index) => {
+    if (!names.has(transfer.fromFund) || !names.has(transfer.toFund)) {
+      ctx.addIssue({
+        code: "custom",
+        message: "Transfers must be between funds in the portfolio",
+        path: ["transfers", index],
+      });
+    } else if (
+      deposits.has(transfer.fromFund) ||
+      deposits.has(transfer.toFund)
+    ) {
+      ctx.addIssue({
+        code: "custom",
+        message: "Fixed deposits cannot be part of a transfer",
+        path: ["transfers", index],
+      });
+    } else if (
+      securities.has(transfer.fromFund) ||
+      securities.has(transfer.toFund)
+    ) {
+      ctx.addIssue({
+        code: "custom",
+        message: "Stocks and ETFs cannot be part of a transfer",
+        path: ["transfers", index],
+      });
+    } else if (schemes.has(transfer.fromFund) || schemes.has(transfer.toFund)) {
+      ctx.addIssue({
+        code: "custom",
+        message: "PPF, EPF and NPS accounts cannot be part of a transfer",
+        path: ["transfers", index],
+      });
+    } else if (
+      manualAssets.has(transfer.fromFund) ||
+      manualAssets.has(transfer.toFund)
+    ) {
+      ctx.addIssue({
+        code: "custom",
+        message: "Real estate, gold and other assets cannot be transferred",
+        path: ["transfers", index],
+      });
+    }
+  });
+};
 
 /**
  * Create portfolio schema
  */
-export const createPortfolioSchema = z.object({
-  name: z
+export const createPortfolioSchema = z
+  .object({
+    name: z
+      .string()
+      .min(1, "Portfolio name is required")
+      .max(100, "Portfolio name too long")
+      .optional()
+      .default("My Portfolio"),
+    funds: z
+      .array(fundSchema)
+      .min(1, "Portfolio must have at least one fund")
+      .max(20, "Portfolio cannot have more than 20 funds"),
+    transfers: z
+      .array(transferSchema)
+      .max(50, "Portfolio cannot have more than 50 transfers")
+      .optional()
+      .default([]),
+  })
+  .superRefine(checkFundsAndTransfers);
+
+/**
+ * Update portfolio schema
+ * Transfers sent without funds are checked against the saved funds
+ * (portfolio model validator)
+ */
+export const updatePortfolioSchema = z
+  .object({
+    name: z.string().min(1).max(100).optional(),
+    funds: z.array(fundSchema).min(1).max(20).optional(),
+    transfers: z.array(transferSchema).max(50).optional(),
+  })
+  .superRefine(checkFundsAndTransfers);
+
+/**
+ * Target allocation schema
+ * Percent per asset type, optionally per fund category - each level
+ * must add up to 100
+ */
+const targetPercent = z
+  .number()
+  .min(0, "Target cannot be negative")
+  .max(100, "Target cannot exceed 100%");
+
+const sumsTo100 = (targets) =>
+  Math.abs(Object.values(targets).reduce((sum, v) => sum + v, 0) - 100) <
+  0.01;
+
+export const targetAllocationSchema = z.object({
+  assetTypes: z
+    .partialRecord(
+      z.enum(["Equity", "Debt", "Hybrid", "Gold", "Real Estate", "Other"]),
+      targetPercent
+    )
+    .refine(sumsTo100, { message: "Asset type targets must add up to 100" }),
+  categories: z
+    .record(z.string().trim().min(1).max(100), targetPercent)
+    .refine((targets) => Object.keys(targets).length <= 30, {
+      message: "Too many category targets",
+    })
+    .refine(sumsTo100, { message: "Category targets must add up to 100" })
+    .optional(),
+});
+
+// ═══════════════════════════════════════════════════════════════
+// IMPORT SCHEMAS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * CSV import schema
+ * CSV is sent as text inside JSON (fits within the 1mb body limit)
+ */
+export const csvImportSchema = z.object({
+  csv: z
     .string()
-    .min(1, "Portfolio name is required")
-    .max(100, "Portfolio name too long")
-    .optional()
-    .default("My Portfolio"),
-  funds: z
-    .array(fundSchema)
-    .min(1, "Portfolio must have at least one fund")
-    .max(20, "Portfolio cannot have more than 20 funds"),
+    .min(1, "CSV content is required")
+    .max(900000, "CSV file too large"),
+  name: z.string().min(1).max(100).optional(),
 });
 
 /**
- * Update portfolio schema
+ * CAS statement import schema
+ * Statement text (plain text or extracted from the PDF)
  */
-export const updatePortfolioSchema = z.object({
+export const casImportSchema = z.object({
+  text: z
+    .string()
+    .min(1, "Statement text is required")
+    .max(900000, "Statement too large"),
   name: z.string().min(1).max(100).optional(),
-  funds: z.array(fundSchema).min(1).max(20).optional(),
 });
 
 // ═══════════════════════════════════════════════════════════════
@@ -209,11 +1011,325 @@ export const updatePortfolioSchema = z.object({
 
 /**
  * Generate analysis schema
+ * asOf: optional valuation month ("2024-06"); defaults to the latest NAV
  */
 export const generateAnalysisSchema = z.object({
   portfolioId: objectIdSchema,
+  asOf: monthKeySchema("asOf").optional(),
+  weightBy: z.enum(["marketValue", "cost"]).optional(),
+});
+
+/**
+ * What-if simulation schema
+ * Same fund structure as create portfolio; nothing is saved
+ */
+export const simulateSchema = z
+  .object({
+    name: z.string().min(1).max(100).optional(),
+    funds: z
+      .array(fundSchema)
+      .min(1, "Portfolio must have at least one fund")
+      .max(20, "Portfolio cannot have more than 20 funds"),
+    transfers: z.array(transferSchema).max(50).optional().default([]),
+    asOf: monthKeySchema("asOf").optional(),
+    weightBy: z.enum(["marketValue", "cost"]).optional(),
+  })
+  .superRefine(checkFundsAndTransfers);
+
+/**
+ * Fork-and-tweak edit schema - one change to a saved portfolio
+ */
+const editFundName = z
+  .string()
+  .trim()
+  .min(3, "Fund name too short")
+  .max(200, "Fund name too long");
+
+const editAmount = z
+  .number()
+  .positive("Amount must be positive")
+  .max(100000000, "Amount too large");
+
+const portfolioEditSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("set_sip"),
+    fundName: editFundName,
+    amount: editAmount,
+    from: monthKeySchema("from").optional(),
+  }),
+  z
+    .object({
+      type: z.literal("add_sip"),
+      fundName: editFundName,
+      amount: editAmount,
+      from: monthKeySchema("from"),
+      to: monthKeySchema("to").optional(),
+      assetType: assetTypeSchema.optional(),
+    })
+    .refine((data) => !data.to || data.to >= data.from, {
+      message: "SIP cannot end before it starts",
+      path: ["to"],
+    }),
+  z.object({
+    type: z.literal("add_lumpsum"),
+    fundName: editFundName,
+    amount: editAmount,
+    month: monthKeySchema("month"),
+    assetType: assetTypeSchema.optional(),
+  }),
+  z.object({
+    type: z.literal("swap_fund"),
+    fundName: editFundName,
+    newFundName: editFundName,
+  }),
+  z.object({
+    type: z.literal("remove_fund"),
+    fundName: editFundName,
+  }),
+]);
+
+/**
+ * Fork analysis schema - edits are applied in order
+ */
+export const forkAnalysisSchema = z.object({
+  edits: z
+    .array(portfolioEditSchema)
+    .min(1, "Add at least one edit")
+    .max(20, "At most 20 edits"),
+  asOf: monthKeySchema("asOf").optional(),
+  weightBy: z.enum(["marketValue", "cost"]).optional(),
+});
+
+/**
+ * Tax report query schema
+ * fy: financial year label ("2024-25"), slabRate: income tax slab in percent
+ */
+export const taxQuerySchema = z.object({
+  fy: z
+    .string()
+    .regex(/^\d{4}-\d{2}$/, "Financial year must look like 2024-25")
+    .refine(
+      (fy) =>
+        (parseInt(fy.slice(0, 4)) + 1) % 100 === parseInt(fy.slice(5, 7)),
+      { message: "Financial year must be consecutive years, e.g. 2024-25" }
+    )
+    .optional(),
+  slabRate: z.coerce
+    .number()
+    .min(0, "Slab rate cannot be negative")
+    .max(50, "Slab rate too high")
+    .optional(),
+});
+
+/**
+ * Rebalance plan schema
+ * mode: add fresh money only, or sell overweight funds and buy the rest
+ * amount: fresh money to invest (default: the least that reaches target)
+ * targetAllocation: try out targets without saving them
+ */
+export const rebalanceSchema = z
+  .object({
+    mode: z.enum(["fresh_money", "sell_and_buy"]).default("sell_and_buy"),
+    amount: z
+      .number()
+      .positive("Amount must be positive")
+      .max(1000000000, "Amount too large")
+      .optional(),
+    slabRate: z
+      .number()
+      .min(0, "Slab rate cannot be negative")
+      .max(50, "Slab rate too high")
+      .optional(),
+    targetAllocation: targetAllocationSchema.optional(),
+  })
+  .refine((data) => data.mode === "fresh_money" || data.amount === undefined, {
+    message: "Amount only applies to fresh_money mode",
+    path: ["amount"],
+  });
+
+/**
+ * Projection schema (Monte Carlo)
+ * seed: same seed + inputs give the same bands
+ * assumptions: where return / volatility come from (auto: NAV history
+ *   when long enough, else the category pattern)
+ */
+export const projectionSchema = z.object({
+  years: z
+    .number()
+    .int()
+    .min(1, "Horizon must be at least 1 year")
+    .max(40, "Horizon cannot exceed 40 years")
+    .default(10),
+  target: z
+    .number()
+    .positive("Target must be positive")
+    .max(10000000000, "Target too large")
+    .optional(),
+  simulations: z
+    .number()
+    .int()
+    .min(100, "Run at least 100 simulations")
+    .max(5000, "At most 5000 simulations")
+    .default(1000),
+  seed: z.number().int().min(0).max(4294967295).optional(),
+  assumptions: z.enum(["auto", "history", "pattern"]).default("auto"),
+});
+
+// ═══════════════════════════════════════════════════════════════
+// GOAL SCHEMAS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Linked fund schema - a share of one fund in one of the user's portfolios
+ */
+const linkedFundSchema = z.object({
+  portfolioId: objectIdSchema,
+  fundName: z.string().trim().min(1).max(200, "Fund name too long"),
+  allocationPercent: z
+    .number()
+    .min(1, "Allocation must be at least 1%")
+    .max(100, "Allocation cannot exceed 100%")
+    .optional(),
 });
 
+const goalFields = {
+  name: z
+    .string()
+    .trim()
+    .min(1, "Goal name is required")
+    .max(100, "Goal name too long"),
+  // In today's rupees
+  targetAmount: z
+    .number()
+    .positive("Target amount must be positive")
+    .max(1000000000, "Target amount too large"),
+  targetMonth: z
+    .number()
+    .int()
+    .min(1, "Invalid month")
+    .max(12, "Invalid month"),
+  targetYear: z
+    .number()
+    .int()
+    .min(new Date().getFullYear(), "Target year cannot be in the past")
+    .max(2100, "Target year too far in future"),
+  inflationRate: z
+    .number()
+    .min(0, "Inflation cannot be negative")
+    .max(20, "Inflation cannot exceed 20%")
+    .optional(),
+  priority: z.enum(GOAL_PRIORITIES).optional(),
+  linkedFunds: z
+    .array(linkedFundSchema)
+    .max(20, "Goal cannot have more than 20 linked funds")
+    .optional(),
+};
+
+/**
+ * Create goal schema
+ */
+export const createGoalSchema = z.object(goalFields);
+
+/**
+ * Update goal schema - any subset of fields; linkedFunds replaces the list
+ */
+export const updateGoalSchema = z.object(goalFields).partial();
+
+// ═══════════════════════════════════════════════════════════════
+// LIABILITY SCHEMAS
+// ═══════════════════════════════════════════════════════════════
+
+const liabilityFields = {
+  name: z
+    .string()
+    .trim()
+    .min(1, "Liability name is required")
+    .max(100, "Liability name too long"),
+  type: z.enum(LIABILITY_TYPES),
+  // As read in balanceMonth / balanceYear, after that month's EMI
+  outstandingPrincipal: z
+    .number()
+    .min(0, "Outstanding principal cannot be negative")
+    .max(1000000000, "Outstanding principal too large"),
+  // % p.a.
+  interestRate: z
+    .number()
+    .min(0, "Interest rate cannot be negative")
+    .max(
+      MAX_LIABILITY_RATE,
+      `Interest rate cannot exceed ${MAX_LIABILITY_RATE}%`
+    ),
+  // Worked out from the tenure when not given
+  emi: z
+    .number()
+    .positive("EMI must be positive")
+    .max(100000000, "EMI too large")
+    .nullable()
+    .optional(),
+  // EMIs left after the balance month
+  tenureMonths: z
+    .number()
+    .int()
+    .min(1, "Tenure must be at least 1 month")
+    .max(MAX_TENURE_MONTHS, `Tenure cannot exceed ${MAX_TENURE_MONTHS} months`)
+    .nullable()
+    .optional(),
+  balanceMonth: z
+    .number()
+    .int()
+    .min(1, "Invalid month")
+    .max(12, "Invalid month"),
+  balanceYear: z
+    .number()
+    .int()
+    .min(1990, "Invalid balance year")
+    .max(new Date().getFullYear(), "Balance year cannot be in the future"),
+  // When the loan was taken - counted in net worth history from here
+  startMonth: z
+    .number()
+    .int()
+    .min(1, "Invalid month")
+    .max(12, "Invalid month")
+    .nullable()
+    .optional(),
+  startYear: z
+    .number()
+    .int()
+    .min(1990, "Invalid start year")
+    .max(new Date().getFullYear(), "Start year cannot be in the future")
+    .nullable()
+    .optional(),
+};
+
+/**
+ * Create liability schema - loans (and cards on EMI) need a tenure
+ */
+export const createLiabilitySchema = z
+  .object(liabilityFields)
+  .refine(
+    (data) =>
+      data.tenureMonths ||
+      (REVOLVING_LIABILITY_TYPES.includes(data.type) && !data.emi),
+    { message: "Loans need the number of EMIs left", path: ["tenureMonths"] }
+  )
+  .refine((data) => Boolean(data.startMonth) === Boolean(data.startYear), {
+    message: "Start month and year go together",
+    path: ["startMonth"],
+  })
+  .refine(
+    (data) =>
+      !data.startYear ||
+      data.startYear * 12 + data.startMonth <=
+        data.balanceYear * 12 + data.balanceMonth,
+    { message: "Loan start cannot be after the balance", path: ["startMonth"] }
+  );
+
+/**
+ * Update liability schema - any subset of fields (the model checks the
+ * combined terms)
+ */
+export const updateLiabilitySchema = z.object(liabilityFields).partial();
+
 // ═══════════════════════════════════════════════════════════════
 // OAUTH SCHEMAS
 // ═══════════════════════════════════════════════════════════════
@@ -286,11 +1402,27 @@ export default {
   loginSchema,
   updateProfileSchema,
   changePasswordSchema,
+  riskProfileSchema,
   // Portfolio
   createPortfolioSchema,
   updatePortfolioSchema,
+  targetAllocationSchema,
+  // Import
+  csvImportSchema,
+  casImportSchema,
   // Analysis
   generateAnalysisSchema,
+  simulateSchema,
+  forkAnalysisSchema,
+  taxQuerySchema,
+  rebalanceSchema,
+  projectionSchema,
+  // Goals
+  createGoalSchema,
+  updateGoalSchema,
+  // Liabilities
+  createLiabilitySchema,
+  updateLiabilitySchema,
   // OAuth
   oauthTokenSchema,
   // Middleware
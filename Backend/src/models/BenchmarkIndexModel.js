@@ -0,0 +1,88 @@
+/**
+ * BenchmarkIndex Model
+ *
+ * Stores historical monthly values of benchmark indices
+ * (the FundReference.benchmark names, e.g. "NIFTY 100").
+ * This is READ-ONLY reference data - not user-editable.
+ *
+ * Key Format: YYYY-MM (e.g., "2024-01", "2024-12")
+ * Same shape as FundNAV so the NAV utilities work on it unchanged.
+ */
+
+import mongoose from "mongoose";
+
+const benchmarkIndexSchema = new mongoose.Schema(
+  {
+    // Index name - must match FundReference.benchmark exactly
+    indexName: {
+      type: String,
+      required: [true, "Index name is required"],
+      trim: true,
+      index: true,
+    },
+
+    // Month in YYYY-MM format
+    date: {
+      type: String,
+      required: [true, "Date is required"],
+      match: [/^\d{4}-\d{2}$/, "Date must be in YYYY-MM format"],
+      index: true,
+    },
+
+    // Index level (total return, so dividends are reflected)
+    value: {
+      type: Number,
+      required: [true, "Index value is required"],
+      min: [0, "Index value cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound unique index: one value per index per month
+benchmarkIndexSchema.index({ indexName: 1, date: 1 }, { unique: true });
+
+/**
+ * Static method: Get series for multiple indices
+ * Returns { indexName: { date: value } }
+ */
+benchmarkIndexSchema.statics.getMultipleIndexSeries = async function (
+  indexNames
+) {
+  const records = await this.find({ indexName: { $in: indexNames } })
+    .select("indexName date value -_id")
+    .sort({ indexName: 1, date: 1 })
+    .lean();
+
+  const result = {};
+  for (const record of records) {
+    if (!result[record.indexName]) {
+      result[record.indexName] = {};
+    }
+    result[record.indexName][record.date] = record.value;
+  }
+
+  return result;
+};
+
+/**
+ * Static method: Bulk upsert index values
+ * Used by seed scripts
+ */
+benchmarkIndexSchema.statics.bulkUpsertValues = async function (records) {
+  const operations = records.map((record) => ({
+    updateOne: {
+      filter: { indexName: record.indexName, date: record.date },
+      update: { $set: record },
+      upsert: true,
+    },
+  }));
+
+  return this.bulkWrite(operations);
+};
+
+const BenchmarkIndex = mongoose.model("BenchmarkIndex", benchmarkIndexSchema);
+
+export default BenchmarkIndex;
@@ -0,0 +1,90 @@
+/**
+ * FundDividend Model
+ *
+ * IDCW (Income Distribution cum Capital Withdrawal) history of a fund:
+ * one document per fund per month with the dividend paid per unit.
+ * This is READ-ONLY reference data - not user-editable.
+ *
+ * The fund's NAV for a dividend month is the ex-dividend NAV, so units
+ * bought in that month don't receive it (see performance.service).
+ *
+ * Key Format: YYYY-MM (e.g., "2024-03")
+ */
+
+import mongoose from "mongoose";
+
+const fundDividendSchema = new mongoose.Schema(
+  {
+    // Fund name - must match FundReference.fundName exactly
+    fundName: {
+      type: String,
+      required: [true, "Fund name is required"],
+      trim: true,
+      index: true,
+    },
+
+    // Month of the record date in YYYY-MM format
+    date: {
+      type: String,
+      required: [true, "Date is required"],
+      match: [/^\d{4}-\d{2}$/, "Date must be in YYYY-MM format"],
+    },
+
+    // Dividend per unit (₹)
+    dividendPerUnit: {
+      type: Number,
+      required: [true, "Dividend per unit is required"],
+      min: [0, "Dividend cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One dividend per fund per month
+fundDividendSchema.index({ fundName: 1, date: 1 }, { unique: true });
+
+/**
+ * Static method: Dividend history for multiple funds
+ * Returns { fundName: { "YYYY-MM": dividendPerUnit } }
+ * Funds that never paid a dividend are left out
+ */
+fundDividendSchema.statics.getMultipleFundDividends = async function (
+  fundNames
+) {
+  const records = await this.find({ fundName: { $in: fundNames } })
+    .select("fundName date dividendPerUnit -_id")
+    .sort({ fundName: 1, date: 1 })
+    .lean();
+
+  const result = {};
+  for (const record of records) {
+    if (!result[record.fundName]) {
+      result[record.fundName] = {};
+    }
+    result[record.fundName][record.date] = record.dividendPerUnit;
+  }
+
+  return result;
+};
+
+/**
+ * Static method: Bulk upsert dividend records
+ * Used by seed scripts
+ */
+fundDividendSchema.statics.bulkUpsertDividends = async function (records) {
+  const operations = records.map((record) => ({
+    updateOne: {
+      filter: { fundName: record.fundName, date: record.date },
+      update: { $set: record },
+      upsert: true,
+    },
+  }));
+
+  return this.bulkWrite(operations);
+};
+
+const FundDividend = mongoose.model("FundDividend", fundDividendSchema);
+
+export default FundDividend;
@@ -0,0 +1,133 @@
+/**
+ * FundHolding Model
+ *
+ * Stock-level holdings of a fund as disclosed for a month
+ * (AMC monthly portfolio disclosure). One document per stock.
+ * This is READ-ONLY reference data - loaded from disclosure files
+ * by scripts/loadFundHoldings.js, not user-editable.
+ *
+ * Funds without a disclosure fall back to their HoldingTemplate
+ * in the diversification analysis.
+ */
+
+import mongoose from "mongoose";
+
+const fundHoldingSchema = new mongoose.Schema(
+  {
+    // Fund name - must match FundReference.fundName exactly
+    fundName: {
+      type: String,
+      required: [true, "Fund name is required"],
+      trim: true,
+      index: true,
+    },
+
+    // Disclosure month in YYYY-MM format
+    asOf: {
+      type: String,
+      required: [true, "Disclosure month is required"],
+      match: [/^\d{4}-\d{2}$/, "Disclosure month must be in YYYY-MM format"],
+    },
+
+    // Company / instrument name as disclosed
+    stockName: {
+      type: String,
+      required: [true, "Stock name is required"],
+      trim: true,
+    },
+
+    // ISIN - preferred key for matching stocks across funds
+    isin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{2}[A-Z0-9]{9}\d$/, "Invalid ISIN"],
+    },
+
+    sector: {
+      type: String,
+      trim: true,
+    },
+
+    // % of fund net assets
+    weight: {
+      type: Number,
+      required: [true, "Weight is required"],
+      min: [0, "Weight cannot be negative"],
+      max: [100, "Weight cannot exceed 100%"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One row per stock per fund per disclosure month
+fundHoldingSchema.index(
+  { fundName: 1, asOf: 1, stockName: 1 },
+  { unique: true }
+);
+
+/**
+ * Static method: Latest disclosure per fund on or before asOfKey
+ * Returns { fundName: { asOf, holdings: [{ stockName, isin, sector, weight }] } }
+ * Funds with no disclosure are left out
+ */
+fundHoldingSchema.statics.getLatestHoldings = async function (
+  fundNames,
+  asOfKey = null
+) {
+  const match = { fundName: { $in: fundNames } };
+  if (asOfKey) {
+    match.asOf = { $lte: asOfKey };
+  }
+
+  const latest = await this.aggregate([
+    { $match: match },
+    { $group: { _id: "$fundName", asOf: { $max: "$asOf" } } },
+  ]);
+  if (latest.length === 0) {
+    return {};
+  }
+
+  const records = await this.find({
+    $or: latest.map((l) => ({ fundName: l._id, asOf: l.asOf })),
+  })
+    .select("fundName asOf stockName isin sector weight -_id")
+    .sort({ fundName: 1, weight: -1 })
+    .lean();
+
+  const result = {};
+  for (const record of records) {
+    if (!result[record.fundName]) {
+      result[record.fundName] = { asOf: record.asOf, holdings: [] };
+    }
+    result[record.fundName].holdings.push({
+      stockName: record.stockName,
+      isin: record.isin || null,
+      sector: record.sector || null,
+      weight: record.weight,
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Static method: Replace a fund's disclosure for one month
+ * Used by the loader script so re-loading a file doesn't leave stale rows
+ */
+fundHoldingSchema.statics.replaceDisclosure = async function (
+  fundName,
+  asOf,
+  holdings
+) {
+  await this.deleteMany({ fundName, asOf });
+  return this.insertMany(
+    holdings.map((holding) => ({ ...holding, fundName, asOf }))
+  );
+};
+
+const FundHolding = mongoose.model("FundHolding", fundHoldingSchema);
+
+export default FundHolding;
@@ -80,6 +80,43 @@ fundNAVSchema.statics.getLatestNav = async function (fundName) {
   return record;
 };
 
+/**
+ * Static method: Get the latest month with NAV data
+ * Optionally limited to some funds and/or months at or before asOfKey
+ * Returns "YYYY-MM" or null
+ */
+fundNAVSchema.statics.getLatestNavMonth = async function (
+  fundNames = null,
+  asOfKey = null
+) {
+  const query = {};
+  if (fundNames) query.fundName = { $in: fundNames };
+  if (asOfKey) query.date = { $lte: asOfKey };
+
+  const record = await this.findOne(query)
+    .select("date -_id")
+    .sort({ date: -1 })
+    .lean();
+  return record ? record.date : null;
+};
+
+/**
+ * Static method: Get the overall NAV date range
+ * Returns { startKey, endKey } or null when no NAV data is seeded
+ */
+fundNAVSchema.statics.getNavCoverage = async function () {
+  const [range] = await this.aggregate([
+    {
+      $group: {
+        _id: null,
+        startKey: { $min: "$date" },
+        endKey: { $max: "$date" },
+      },
+    },
+  ]);
+  return range ? { startKey: range.startKey, endKey: range.endKey } : null;
+};
+
 /**
  * Static method: Get NAV series for multiple funds
  * Returns { fundName: { date: nav } }
@@ -110,6 +110,17 @@ const fundReferenceSchema = new mongoose.Schema(
       },
     },
 
+    // Plan option: "growth" keeps income inside the NAV, "idcw" pays
+    // it out as dividends (history in FundDividend)
+    planOption: {
+      type: String,
+      enum: {
+        values: ["growth", "idcw"],
+        message: "Plan option must be growth or idcw",
+      },
+      default: "growth",
+    },
+
     // Whether this fund is active/available
     isActive: {
       type: Boolean,
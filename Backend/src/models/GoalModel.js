@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_INFLATION_RATE,
+  GOAL_PRIORITIES,
+} from "../config/goals.config.js";
+
+/**
+ * Goal Model
+ *
+ * A user's financial goal (house, education, retirement …)
+ * - Linked to user via userId
+ * - Target amount is in today's rupees; inflation is applied up to
+ *   the target month during goal analysis
+ * - Funds from the user's portfolios are linked by percentage, so one
+ *   fund can be split across goals (at most 100% in total)
+ * - No projections stored - those happen at query time via goal services
+ */
+
+/**
+ * Linked Fund Schema
+ * A share of one fund in one of the user's portfolios
+ */
+const linkedFundSchema = new mongoose.Schema(
+  {
+    portfolioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Portfolio",
+      required: [true, "Portfolio ID is required"],
+    },
+    // Matched by name - fund entries get new _ids when a portfolio is edited
+    fundName: {
+      type: String,
+      required: [true, "Fund name is required"],
+      trim: true,
+    },
+    // Share of the fund's value (and ongoing SIPs) counted for this goal
+    allocationPercent: {
+      type: Number,
+      min: [1, "Allocation must be at least 1%"],
+      max: [100, "Allocation cannot exceed 100%"],
+      default: 100,
+    },
+  },
+  { _id: false }
+);
+
+const goalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Goal name is required"],
+      trim: true,
+      maxlength: [100, "Goal name cannot exceed 100 characters"],
+    },
+    // In today's rupees
+    targetAmount: {
+      type: Number,
+      required: [true, "Target amount is required"],
+      min: [1, "Target amount must be positive"],
+    },
+    targetMonth: {
+      type: Number,
+      required: [true, "Target month is required"],
+      min: 1,
+      max: 12,
+    },
+    targetYear: {
+      type: Number,
+      required: [true, "Target year is required"],
+      min: 2000,
+      max: 2100,
+    },
+    // % p.a.
+    inflationRate: {
+      type: Number,
+      min: [0, "Inflation cannot be negative"],
+      max: [20, "Inflation cannot exceed 20%"],
+      default: DEFAULT_INFLATION_RATE,
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: GOAL_PRIORITIES,
+        message: "Priority must be high, medium or low",
+      },
+      default: "medium",
+    },
+    linkedFunds: {
+      type: [linkedFundSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+goalSchema.index({ userId: 1, targetYear: 1, targetMonth: 1 });
+
+/**
+ * Transform output for JSON responses
+ */
+goalSchema.methods.toJSON = function () {
+  const goal = this.toObject();
+  delete goal.__v;
+  return goal;
+};
+
+const Goal = mongoose.model("Goal", goalSchema);
+
+export default Goal;
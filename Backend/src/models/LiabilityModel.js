@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import {
+  LIABILITY_TYPES,
+  REVOLVING_LIABILITY_TYPES,
+  MAX_LIABILITY_RATE,
+  MAX_TENURE_MONTHS,
+} from "../config/liabilities.config.js";
+
+/**
+ * Liability Model
+ *
+ * A user's loan or card balance (home loan, car loan, credit card,
+ * personal loan), subtracted from their portfolios for net worth
+ * - Linked to user via userId
+ * - Outstanding principal is as read in balanceMonth / balanceYear,
+ *   after that month's EMI; tenure counts the EMIs left after it
+ * - Loans need a tenure; the EMI is worked out from it when not given
+ * - Credit cards without a tenure carry their balance unchanged
+ * - No schedules stored - those happen at query time via net worth
+ *   services
+ */
+
+const liabilitySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Liability name is required"],
+      trim: true,
+      maxlength: [100, "Liability name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Liability type is required"],
+      enum: {
+        values: LIABILITY_TYPES,
+        message:
+          "Type must be home_loan, car_loan, credit_card or personal_loan",
+      },
+    },
+    outstandingPrincipal: {
+      type: Number,
+      required: [true, "Outstanding principal is required"],
+      min: [0, "Outstanding principal cannot be negative"],
+    },
+    // % p.a., charged monthly on the reducing balance
+    interestRate: {
+      type: Number,
+      required: [true, "Interest rate is required"],
+      min: [0, "Interest rate cannot be negative"],
+      max: [
+        MAX_LIABILITY_RATE,
+        `Interest rate cannot exceed ${MAX_LIABILITY_RATE}%`,
+      ],
+    },
+    // Monthly installment (null = worked out from the tenure)
+    emi: {
+      type: Number,
+      min: [1, "EMI must be positive"],
+      default: null,
+    },
+    // EMIs left after the balance month
+    tenureMonths: {
+      type: Number,
+      min: [1, "Tenure must be at least 1 month"],
+      max: [MAX_TENURE_MONTHS, `Tenure cannot exceed ${MAX_TENURE_MONTHS}`],
+      default: null,
+    },
+    // Month the outstanding principal was read
+    balanceMonth: {
+      type: Number,
+      required: [true, "Balance month is required"],
+      min: 1,
+      max: 12,
+    },
+    balanceYear: {
+      type: Number,
+      required: [true, "Balance year is required"],
+      min: 1990,
+      max: 2100,
+    },
+    // Month the loan was taken - net worth history counts it from here
+    // (from the balance month when not given)
+    startMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: null,
+    },
+    startYear: {
+      type: Number,
+      min: 1990,
+      max: 2100,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+/**
+ * Loans must have a tenure; EMI needs one too, and a start month must
+ * come with its year and not be after the balance month
+ */
+liabilitySchema.pre("validate", function (next) {
+  const isRevolving = REVOLVING_LIABILITY_TYPES.includes(this.type);
+  if (!this.tenureMonths && (!isRevolving || this.emi)) {
+    this.invalidate(
+      "tenureMonths",
+      isRevolving
+        ? "A card balance on EMI needs the months left"
+        : "Loans need the number of EMIs left"
+    );
+  }
+
+  if (Boolean(this.startMonth) !== Boolean(this.startYear)) {
+    this.invalidate("startMonth", "Start month and year go together");
+  } else if (
+    this.startYear &&
+    this.startYear * 12 + this.startMonth >
+      this.balanceYear * 12 + this.balanceMonth
+  ) {
+    this.invalidate("startMonth", "Loan start cannot be after the balance");
+  }
+  next();
+});
+
+liabilitySchema.index({ userId: 1, createdAt: 1 });
+
+/**
+ * Transform output for JSON responses
+ */
+liabilitySchema.methods.toJSON = function () {
+  const liability = this.toObject();
+  delete liability.__v;
+  return liability;
+};
+
+const Liability = mongoose.model("Liability", liabilitySchema);
+
+export default Liability;
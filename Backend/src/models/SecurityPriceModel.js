@@ -0,0 +1,100 @@
+/**
+ * SecurityPrice Model
+ *
+ * Stores monthly closing prices of listed stocks and ETFs.
+ * This is READ-ONLY reference data - loaded from CSV files by
+ * scripts/loadSecurityPrices.js, not user-editable.
+ *
+ * Key Format: YYYY-MM (e.g., "2024-01", "2024-12")
+ * Closes stand in for NAVs when stock / ETF holdings are valued.
+ */
+
+import mongoose from "mongoose";
+
+const securityPriceSchema = new mongoose.Schema(
+  {
+    // Exchange symbol - must match SecurityReference.symbol
+    symbol: {
+      type: String,
+      required: [true, "Symbol is required"],
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+
+    // Month in YYYY-MM format
+    month: {
+      type: String,
+      required: [true, "Month is required"],
+      match: [/^\d{4}-\d{2}$/, "Month must be in YYYY-MM format"],
+    },
+
+    // Closing price on the last trading day of the month
+    close: {
+      type: Number,
+      required: [true, "Close is required"],
+      min: [0, "Close cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One close per symbol per month
+securityPriceSchema.index({ symbol: 1, month: 1 }, { unique: true });
+
+/**
+ * Static method: Get price series for multiple symbols
+ * Returns { symbol: { month: close } }
+ */
+securityPriceSchema.statics.getMultiplePriceSeries = async function (
+  symbols
+) {
+  const records = await this.find({ symbol: { $in: symbols } })
+    .select("symbol month close -_id")
+    .sort({ symbol: 1, month: 1 })
+    .lean();
+
+  const result = {};
+  for (const record of records) {
+    if (!result[record.symbol]) {
+      result[record.symbol] = {};
+    }
+    result[record.symbol][record.month] = record.close;
+  }
+
+  return result;
+};
+
+/**
+ * Static method: Get the latest month with prices for some symbols
+ * Returns "YYYY-MM" or null
+ */
+securityPriceSchema.statics.getLatestPriceMonth = async function (symbols) {
+  const record = await this.findOne({ symbol: { $in: symbols } })
+    .select("month -_id")
+    .sort({ month: -1 })
+    .lean();
+  return record ? record.month : null;
+};
+
+/**
+ * Static method: Bulk upsert prices
+ * Used by the CSV loader script
+ */
+securityPriceSchema.statics.bulkUpsertPrices = async function (records) {
+  const operations = records.map((record) => ({
+    updateOne: {
+      filter: { symbol: record.symbol, month: record.month },
+      update: { $set: record },
+      upsert: true,
+    },
+  }));
+
+  return this.bulkWrite(operations);
+};
+
+const SecurityPrice = mongoose.model("SecurityPrice", securityPriceSchema);
+
+export default SecurityPrice;
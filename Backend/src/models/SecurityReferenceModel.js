@@ -0,0 +1,155 @@
+/**
+ * SecurityReference Model
+ *
+ * Reference data for listed stocks and ETFs held directly:
+ * - Stocks: sector and market cap, so direct holdings add to the
+ *   portfolio's sector / market cap exposure
+ * - ETFs: asset type, category and holding template, like a fund
+ *
+ * This is READ-ONLY reference data - seeded, not user-editable.
+ * Monthly closes live in SecurityPrice.
+ */
+
+import mongoose from "mongoose";
+
+// Market cap buckets (HoldingTemplate.marketCapExposure keys)
+export const MARKET_CAP_BUCKETS = ["LargeCap", "MidCap", "SmallCap"];
+
+const securityReferenceSchema = new mongoose.Schema(
+  {
+    // Exchange symbol (NSE), e.g. "HDFCBANK"
+    symbol: {
+      type: String,
+      required: [true, "Symbol is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, "Symbol cannot exceed 20 characters"],
+    },
+
+    // Company / ETF name - stock names match fund disclosures
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+    },
+
+    securityType: {
+      type: String,
+      required: [true, "Security type is required"],
+      enum: {
+        values: ["Stock", "ETF"],
+        message: "Security type must be Stock or ETF",
+      },
+      index: true,
+    },
+
+    // ISIN - preferred key for matching stocks with fund holdings
+    isin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{2}[A-Z0-9]{9}\d$/, "Invalid ISIN"],
+    },
+
+    // Stocks: HoldingTemplate sector names (Banking, IT, FMCG, …)
+    sector: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    // Stocks only
+    marketCap: {
+      type: String,
+      enum: {
+        values: [...MARKET_CAP_BUCKETS, null],
+        message: "Market cap must be LargeCap, MidCap or SmallCap",
+      },
+      default: null,
+    },
+
+    // ETFs: same classification as FundReference
+    assetType: {
+      type: String,
+      enum: {
+        values: ["Equity", "Debt", "Hybrid", "Gold"],
+        message: "Asset type must be Equity, Debt, Hybrid, or Gold",
+      },
+      default: "Equity",
+    },
+    category: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Category cannot exceed 100 characters"],
+      default: null,
+    },
+    holdingTemplateKey: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+
+    // Whether this security is active/available
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Static method: Reference data for symbols
+ * Returns { symbol: reference }
+ */
+securityReferenceSchema.statics.getBySymbols = async function (symbols) {
+  const records = await this.find({ symbol: { $in: symbols } })
+    .select("-_id -__v -createdAt -updatedAt")
+    .lean();
+
+  const result = {};
+  for (const record of records) {
+    result[record.symbol] = record;
+  }
+  return result;
+};
+
+/**
+ * Static method: Search by symbol or name (partial match)
+ */
+securityReferenceSchema.statics.searchSecurities = function (
+  searchTerm,
+  securityType = null,
+  limit = 10
+) {
+  const pattern = new RegExp(escapeRegex(searchTerm), "i");
+  const query = {
+    $or: [{ symbol: pattern }, { name: pattern }],
+    isActive: true,
+  };
+  if (securityType) {
+    query.securityType = securityType;
+  }
+
+  return this.find(query).sort({ symbol: 1 }).limit(limit);
+};
+
+/**
+ * Escape special regex characters in string
+ */
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const SecurityReference = mongoose.model(
+  "SecurityReference",
+  securityReferenceSchema
+);
+
+export default SecurityReference;
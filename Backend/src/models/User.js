@@ -1,4 +1,46 @@
 import mongoose from "mongoose";
+import { RISK_CATEGORY_NAMES } from "../config/riskProfile.config.js";
+
+// Suggested % range for one asset type
+const allocationRangeSchema = new mongoose.Schema(
+  {
+    min: { type: Number, min: 0, max: 100 },
+    max: { type: Number, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+// Onboarding survey answers and the profile derived from them
+// (see services/profile/riskProfile.service.js)
+const riskProfileSchema = new mongoose.Schema(
+  {
+    // { questionId: option label } as answered
+    answers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    category: {
+      type: String,
+      enum: RISK_CATEGORY_NAMES,
+    },
+    horizonCapped: {
+      type: Boolean,
+      default: false,
+    },
+    allocation: {
+      Equity: allocationRangeSchema,
+      Debt: allocationRangeSchema,
+      Gold: allocationRangeSchema,
+    },
+    completedAt: Date,
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -39,6 +81,10 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    riskProfile: {
+      type: riskProfileSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
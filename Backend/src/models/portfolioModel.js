@@ -7,12 +7,23 @@ import mongoose from "mongoose";
  * - Linked to user via userId
  * - Contains array of funds with raw investment data
  * - Supports multiple SIPs and lumpsums per fund
+ * - Redemptions (by units or by amount) are consumed FIFO during analysis
+ * - "FD" funds hold deposit terms instead of SIPs / lumpsums
+ * - "Stock" / "ETF" funds hold a symbol, shares and buy trades; sales
+ *   are redemptions by units (shares)
+ * - "PPF" / "EPF" funds hold dated deposits / monthly contributions
+ *   instead of SIPs / lumpsums; "NPS" funds keep SIPs / lumpsums and add
+ *   a tier and E / C / G allocation
+ * - "Real Estate" / "Gold" / "Other" funds hold a purchase cost and the
+ *   user's dated valuations instead of SIPs / lumpsums
+ * - Optional target allocation used by the rebalancing planner
  * - No calculations stored - those happen at query time via analysis services
  */
 
 /**
  * SIP Entry Schema
- * Each SIP is an independent cashflow stream
+ * Each SIP is an independent cashflow stream, optionally stepping up
+ * every year and skipping paused months
  */
 const sipEntrySchema = new mongoose.Schema(
   {
@@ -49,6 +60,23 @@ const sipEntrySchema = new mongoose.Schema(
       min: 1990,
       default: null,
     },
+    // Annual step-up on each anniversary of the start month:
+    // "percent" compounds stepUpValue %, "amount" adds stepUpValue ₹
+    stepUpType: {
+      type: String,
+      enum: ["percent", "amount", null],
+      default: null,
+    },
+    stepUpValue: {
+      type: Number,
+      min: [0, "Step-up cannot be negative"],
+      default: 0,
+    },
+    // Skipped installments ("YYYY-MM")
+    pausedMonths: {
+      type: [String],
+      default: [],
+    },
   },
   { _id: true }
 );
@@ -80,6 +108,464 @@ const lumpsumEntrySchema = new mongoose.Schema(
   { _id: true }
 );
 
+/**
+ * Redemption Entry Schema
+ * A withdrawal specified either in units or in rupees (exactly one)
+ */
+const redemptionEntrySchema = new mongoose.Schema(
+  {
+    units: {
+      type: Number,
+      min: [0, "Units cannot be negative"],
+      default: null,
+    },
+    amount: {
+      type: Number,
+      min: [0, "Amount cannot be negative"],
+      default: null,
+    },
+    month: {
+      type: Number,
+      required: [true, "Redemption month is required"],
+      min: 1,
+      max: 12,
+    },
+    year: {
+      type: Number,
+      required: [true, "Redemption year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+  },
+  { _id: true }
+);
+
+redemptionEntrySchema.pre("validate", function (next) {
+  const hasUnits = this.units > 0;
+  const hasAmount = this.amount > 0;
+  if (hasUnits === hasAmount) {
+    this.invalidate(
+      "units",
+      "Redemption must specify either units or amount (not both)"
+    );
+  }
+  next();
+});
+
+/**
+ * Transfer Entry Schema
+ * Money moved between two funds of the portfolio (by assetName):
+ * - stp: a monthly amount from month/year until endMonth/endYear
+ *   (no end = runs to the valuation month)
+ * - switch: a one-off move of an amount or of source fund units
+ */
+const transferEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Transfer type is required"],
+      enum: {
+        values: ["stp", "switch"],
+        message: "Transfer type must be stp or switch",
+      },
+    },
+    fromFund: {
+      type: String,
+      required: [true, "Source fund is required"],
+      trim: true,
+    },
+    toFund: {
+      type: String,
+      required: [true, "Target fund is required"],
+      trim: true,
+    },
+    units: {
+      type: Number,
+      min: [0, "Units cannot be negative"],
+      default: null,
+    },
+    amount: {
+      type: Number,
+      min: [0, "Amount cannot be negative"],
+      default: null,
+    },
+    month: {
+      type: Number,
+      required: [true, "Transfer month is required"],
+      min: 1,
+      max: 12,
+    },
+    year: {
+      type: Number,
+      required: [true, "Transfer year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+    // STP only
+    endMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: null,
+    },
+    endYear: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+transferEntrySchema.pre("validate", function (next) {
+  const hasUnits = this.units > 0;
+  const hasAmount = this.amount > 0;
+  if (this.type === "stp" ? !hasAmount || hasUnits : hasUnits === hasAmount) {
+    this.invalidate(
+      "amount",
+      this.type === "stp"
+        ? "STP must specify a monthly amount"
+        : "Switch must specify either units or amount (not both)"
+    );
+  }
+  if (this.fromFund === this.toFund) {
+    this.invalidate("toFund", "Cannot transfer a fund into itself");
+  }
+  next();
+});
+
+/**
+ * Fixed Deposit Schema
+ * Terms of a cumulative bank FD, valued by accrued interest
+ */
+const fixedDepositSchema = new mongoose.Schema(
+  {
+    principal: {
+      type: Number,
+      required: [true, "Deposit principal is required"],
+      min: [0, "Principal cannot be negative"],
+    },
+    // Annual interest rate (%)
+    rate: {
+      type: Number,
+      required: [true, "Interest rate is required"],
+      min: [0, "Interest rate cannot be negative"],
+      max: [25, "Interest rate cannot exceed 25%"],
+    },
+    compounding: {
+      type: String,
+      enum: {
+        values: ["monthly", "quarterly", "half_yearly", "yearly"],
+        message:
+          "Compounding must be monthly, quarterly, half_yearly or yearly",
+      },
+      default: "quarterly",
+    },
+    startMonth: {
+      type: Number,
+      required: [true, "Deposit month is required"],
+      min: 1,
+      max: 12,
+    },
+    startYear: {
+      type: Number,
+      required: [true, "Deposit year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+    tenureMonths: {
+      type: Number,
+      required: [true, "Tenure is required"],
+      min: [1, "Tenure must be at least 1 month"],
+      max: [120, "Tenure cannot exceed 10 years"],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Security Buy Schema
+ * One purchase of a stock / ETF at its trade price
+ */
+const securityBuySchema = new mongoose.Schema(
+  {
+    shares: {
+      type: Number,
+      required: [true, "Shares bought are required"],
+      min: [0, "Shares cannot be negative"],
+    },
+    price: {
+      type: Number,
+      required: [true, "Buy price is required"],
+      min: [0, "Price cannot be negative"],
+    },
+    month: {
+      type: Number,
+      required: [true, "Buy month is required"],
+      min: 1,
+      max: 12,
+    },
+    year: {
+      type: Number,
+      required: [true, "Buy year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Security Schema
+ * A stock / ETF held directly, priced from SecurityPrice by symbol
+ */
+const securitySchema = new mongoose.Schema(
+  {
+    // Exchange symbol (SecurityReference.symbol)
+    symbol: {
+      type: String,
+      required: [true, "Symbol is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [20, "Symbol cannot exceed 20 characters"],
+    },
+    // Shares held now (buys less shares sold)
+    shares: {
+      type: Number,
+      required: [true, "Shares held are required"],
+      min: [0, "Shares cannot be negative"],
+    },
+    buys: {
+      type: [securityBuySchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Birth month / year of the account holder, for retirement dates
+ */
+const birthFields = {
+  birthMonth: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: null,
+  },
+  birthYear: {
+    type: Number,
+    min: 1930,
+    max: new Date().getFullYear(),
+    default: null,
+  },
+};
+
+/**
+ * PPF Deposit Schema
+ * One deposit into a PPF account
+ */
+const ppfDepositSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, "Deposit amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    month: {
+      type: Number,
+      required: [true, "Deposit month is required"],
+      min: 1,
+      max: 12,
+    },
+    year: {
+      type: Number,
+      required: [true, "Deposit year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * PPF Schema
+ * Account opening month and deposits, valued at notified rates
+ */
+const ppfSchema = new mongoose.Schema(
+  {
+    openedMonth: {
+      type: Number,
+      required: [true, "Opening month is required"],
+      min: 1,
+      max: 12,
+    },
+    openedYear: {
+      type: Number,
+      required: [true, "Opening year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+    contributions: {
+      type: [ppfDepositSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * EPF Contribution Schema
+ * Monthly employee + employer contribution over a period (one job or
+ * one salary level)
+ */
+const epfContributionSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: Number,
+      required: [true, "Employee contribution is required"],
+      min: [0, "Contribution cannot be negative"],
+    },
+    employer: {
+      type: Number,
+      required: [true, "Employer contribution is required"],
+      min: [0, "Contribution cannot be negative"],
+    },
+    startMonth: {
+      type: Number,
+      required: [true, "Start month is required"],
+      min: 1,
+      max: 12,
+    },
+    startYear: {
+      type: Number,
+      required: [true, "Start year is required"],
+      min: 1990,
+      max: new Date().getFullYear(),
+    },
+    isOngoing: {
+      type: Boolean,
+      default: true,
+    },
+    endMonth: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: null,
+    },
+    endYear: {
+      type: Number,
+      min: 1990,
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * EPF Schema
+ * Contributions (and a balance carried in) earning declared rates
+ */
+const epfSchema = new mongoose.Schema(
+  {
+    // Balance on a month before the contributions entered here
+    openingBalance: {
+      type: lumpsumEntrySchema,
+      default: null,
+    },
+    contributions: {
+      type: [epfContributionSchema],
+      default: [],
+    },
+    ...birthFields,
+  },
+  { _id: false }
+);
+
+/**
+ * NPS Schema
+ * Tier and E / C / G split of an NPS account; money goes in through
+ * the fund's SIPs / lumpsums
+ */
+const npsSchema = new mongoose.Schema(
+  {
+    tier: {
+      type: String,
+      enum: {
+        values: ["I", "II"],
+        message: "NPS tier must be I or II",
+      },
+      default: "I",
+    },
+    // Percent per scheme (E: equity, C: corporate, G: government)
+    allocation: {
+      E: { type: Number, min: 0, max: 75, default: 50 },
+      C: { type: Number, min: 0, max: 100, default: 25 },
+      G: { type: Number, min: 0, max: 100, default: 25 },
+    },
+    ...birthFields,
+  },
+  { _id: false }
+);
+
+/**
+ * Valuation Entry Schema
+ * The user's estimate of what an asset was worth in a month
+ */
+const valuationEntrySchema = new mongoose.Schema(
+  {
+    value: {
+      type: Number,
+      required: [true, "Valuation is required"],
+      min: [0, "Valuation cannot be negative"],
+    },
+    month: {
+      type: Number,
+      required: [true, "Valuation month is required"],
+      min: 1,
+      max: 12,
+    },
+    year: {
+      type: Number,
+      required: [true, "Valuation year is required"],
+      min: 1970,
+      max: new Date().getFullYear(),
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Manual Asset Schema
+ * Purchase and valuations of an asset with no price feed (real estate,
+ * gold jewellery, other)
+ */
+const manualAssetSchema = new mongoose.Schema(
+  {
+    purchaseCost: {
+      type: Number,
+      required: [true, "Purchase cost is required"],
+      min: [0, "Purchase cost cannot be negative"],
+    },
+    purchaseMonth: {
+      type: Number,
+      required: [true, "Purchase month is required"],
+      min: 1,
+      max: 12,
+    },
+    purchaseYear: {
+      type: Number,
+      required: [true, "Purchase year is required"],
+      min: 1970,
+      max: new Date().getFullYear(),
+    },
+    valuations: {
+      type: [valuationEntrySchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Fund Schema
  * Each fund can have multiple SIPs and lumpsums
@@ -95,6 +581,9 @@ const fundSchema = new mongoose.Schema(
         "ETF",
         "Bond",
         "FD",
+        "PPF",
+        "EPF",
+        "NPS",
         "Gold",
         "Real Estate",
         "Other",
@@ -106,6 +595,12 @@ const fundSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "Asset name cannot exceed 200 characters"],
     },
+    // IDCW plans: dividends paid out or reinvested (null = growth plan)
+    idcwOption: {
+      type: String,
+      enum: ["payout", "reinvest", null],
+      default: null,
+    },
     // Multiple SIP entries (each is an independent cashflow)
     sips: {
       type: [sipEntrySchema],
@@ -116,10 +611,111 @@ const fundSchema = new mongoose.Schema(
       type: [lumpsumEntrySchema],
       default: [],
     },
+    // Withdrawals (units sold FIFO against SIP/lumpsum purchases)
+    redemptions: {
+      type: [redemptionEntrySchema],
+      default: [],
+    },
+    // "FD" funds only
+    fixedDeposit: {
+      type: fixedDepositSchema,
+      default: null,
+    },
+    // "Stock" / "ETF" funds only
+    security: {
+      type: securitySchema,
+      default: null,
+    },
+    // "PPF" / "EPF" / "NPS" funds only
+    ppf: {
+      type: ppfSchema,
+      default: null,
+    },
+    epf: {
+      type: epfSchema,
+      default: null,
+    },
+    nps: {
+      type: npsSchema,
+      default: null,
+    },
+    // "Real Estate" / "Gold" / "Other" funds only
+    manualAsset: {
+      type: manualAssetSchema,
+      default: null,
+    },
   },
   { _id: true }
 );
 
+// FD / Stock / ETF / Real Estate / Gold / Other entries saved before
+// deposit terms, shares or valuations existed keep their SIPs/lumpsums
+fundSchema.pre("validate", function (next) {
+  if (this.assetType !== "FD" && this.fixedDeposit) {
+    this.invalidate("fixedDeposit", "Deposit terms are only for FD holdings");
+  }
+  if (!["Stock", "ETF"].includes(this.assetType) && this.security) {
+    this.invalidate("security", "Shares are only for Stock / ETF holdings");
+  }
+  for (const type of ["PPF", "EPF", "NPS"]) {
+    const field = type.toLowerCase();
+    if (this.assetType !== type && this[field]) {
+      this.invalidate(field, `${type} terms are only for ${type} holdings`);
+    }
+  }
+  if (
+    !["Real Estate", "Gold", "Other"].includes(this.assetType) &&
+    this.manualAsset
+  ) {
+    this.invalidate(
+      "manualAsset",
+      "Valuations are only for real estate, gold and other holdings"
+    );
+  }
+  if (
+    this.nps &&
+    this.nps.allocation.E + this.nps.allocation.C + this.nps.allocation.G !==
+      100
+  ) {
+    this.invalidate("nps", "NPS allocation must add up to 100%");
+  }
+  next();
+});
+
+/**
+ * Target Allocation Schema
+ * Percent of the portfolio per asset type (FundReference.assetType),
+ * optionally refined per fund category. Each level adds up to 100.
+ */
+const targetAllocationSchema = new mongoose.Schema(
+  {
+    assetTypes: {
+      type: Map,
+      of: {
+        type: Number,
+        min: [0, "Target cannot be negative"],
+        max: [100, "Target cannot exceed 100%"],
+      },
+      required: [true, "Asset type targets are required"],
+    },
+    // Planning happens at category level when present
+    categories: {
+      type: Map,
+      of: {
+        type: Number,
+        min: [0, "Target cannot be negative"],
+        max: [100, "Target cannot exceed 100%"],
+      },
+      default: undefined,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const portfolioSchema = new mongoose.Schema(
   {
     userId: {
@@ -137,13 +733,42 @@ const portfolioSchema = new mongoose.Schema(
     },
     funds: {
       type: [fundSchema],
+      validate: [
+        {
+          validator: function (funds) {
+            return funds.length > 0;
+          },
+          message: "Portfolio must have at least one fund",
+        },
+        {
+          // Analysis looks holdings up by name
+          validator: function (funds) {
+            const names = funds.map((f) => f.assetName);
+            return new Set(names).size === names.length;
+          },
+          message: "Each holding in a portfolio needs a unique name",
+        },
+      ],
+    },
+    // STPs and switches between the funds above
+    transfers: {
+      type: [transferEntrySchema],
+      default: [],
       validate: {
-        validator: function (funds) {
-          return funds.length > 0;
+        validator: function (transfers) {
+          const names = new Set(this.funds.map((f) => f.assetName));
+          return transfers.every(
+            (t) => names.has(t.fromFund) && names.has(t.toFund)
+          );
         },
-        message: "Portfolio must have at least one fund",
+        message: "Transfers must be between funds in the portfolio",
       },
     },
+    // Desired mix for rebalancing (null until the user sets one)
+    targetAllocation: {
+      type: targetAllocationSchema,
+      default: null,
+    },
     // Track if this is a sample/demo portfolio
     isSample: {
       type: Boolean,
@@ -7,6 +7,11 @@
  * GET    /api/analysis/sample          - Generate sample analysis (no auth)
  * POST   /api/analysis/sample          - Generate sample analysis (no auth)
  * GET    /api/analysis/summary/:id     - Get portfolio summary (auth required)
+ * GET    /api/analysis/tax/:id         - Capital gains tax estimate (auth required)
+ * POST   /api/analysis/rebalance/:id   - Rebalancing trade plan (auth required)
+ * POST   /api/analysis/projection/:id  - Monte Carlo projection (auth required)
+ * POST   /api/analysis/simulate        - What-if analysis (auth required)
+ * POST   /api/analysis/simulate/:id    - Edited copy + diff (auth required)
  */
 
 import express from "express";
@@ -14,12 +19,26 @@ import {
   generatePortfolioAnalysis,
   generateSamplePortfolioAnalysis,
   getPortfolioSummary,
+  getPortfolioTax,
+  getRebalancePlan,
+  getProjection,
+  simulatePortfolioAnalysis,
+  getForkAnalysis,
 } from "../controllers/analysis.controller.js";
 import { protect } from "../middleware/auth.middleware.js";
 import {
   analysisRateLimiter,
   validateObjectId,
 } from "../middleware/security.middleware.js";
+import {
+  validate,
+  generateAnalysisSchema,
+  taxQuerySchema,
+  rebalanceSchema,
+  projectionSchema,
+  simulateSchema,
+  forkAnalysisSchema,
+} from "../middleware/validation.schemas.js";
 
 const router = express.Router();
 
@@ -30,9 +49,15 @@ router.use(analysisRateLimiter);
  * @route   POST /api/analysis/generate
  * @desc    Generate complete portfolio analysis
  * @access  Private
- * @body    { portfolioId: string }
+ * @body    { portfolioId: string, asOf?: "YYYY-MM",
+ *            weightBy?: "marketValue" | "cost" }
  */
-router.post("/generate", protect, generatePortfolioAnalysis);
+router.post(
+  "/generate",
+  protect,
+  validate(generateAnalysisSchema),
+  generatePortfolioAnalysis
+);
 
 /**
  * @route   GET|POST /api/analysis/sample
@@ -54,4 +79,78 @@ router.get(
   getPortfolioSummary
 );
 
+/**
+ * @route   GET /api/analysis/tax/:portfolioId
+ * @desc    Capital gains tax (realized for a FY + unrealized estimate)
+ * @access  Private
+ * @query   { fy?: "2024-25", slabRate?: number (percent) }
+ */
+router.get(
+  "/tax/:portfolioId",
+  protect,
+  validateObjectId("portfolioId"),
+  validate(taxQuerySchema, "query"),
+  getPortfolioTax
+);
+
+/**
+ * @route   POST /api/analysis/rebalance/:portfolioId
+ * @desc    Drift from target allocation and the trades to fix it
+ * @access  Private
+ * @body    { mode?: "fresh_money" | "sell_and_buy", amount?: number,
+ *            slabRate?: number, targetAllocation?: object }
+ */
+router.post(
+  "/rebalance/:portfolioId",
+  protect,
+  validateObjectId("portfolioId"),
+  validate(rebalanceSchema),
+  getRebalancePlan
+);
+
+/**
+ * @route   POST /api/analysis/projection/:portfolioId
+ * @desc    Monte Carlo projection: yearly 10/50/90 percentile bands
+ * @access  Private
+ * @body    { years?: number, target?: number, simulations?: number,
+ *            seed?: number, assumptions?: "auto" | "history" | "pattern" }
+ */
+router.post(
+  "/projection/:portfolioId",
+  protect,
+  validateObjectId("portfolioId"),
+  validate(projectionSchema),
+  getProjection
+);
+
+/**
+ * @route   POST /api/analysis/simulate
+ * @desc    What-if analysis of a portfolio that is never saved
+ * @access  Private
+ * @body    { name?: string, funds: [...], asOf?: "YYYY-MM",
+ *            weightBy?: "marketValue" | "cost" }
+ */
+router.post(
+  "/simulate",
+  protect,
+  validate(simulateSchema),
+  simulatePortfolioAnalysis
+);
+
+/**
+ * @route   POST /api/analysis/simulate/:portfolioId
+ * @desc    Fork a saved portfolio, apply edits, diff against the original
+ * @access  Private
+ * @body    { edits: [{ type: "set_sip" | "add_sip" | "add_lumpsum" |
+ *            "swap_fund" | "remove_fund", fundName, ... }],
+ *            asOf?: "YYYY-MM", weightBy?: "marketValue" | "cost" }
+ */
+router.post(
+  "/simulate/:portfolioId",
+  protect,
+  validateObjectId("portfolioId"),
+  validate(forkAnalysisSchema),
+  getForkAnalysis
+);
+
 export default router;
@@ -7,6 +7,7 @@ import {
   updateProfile,
   changePassword,
   completeOnboarding,
+  updateRiskProfile,
 } from "../controllers/auth.controller.js";
 import { exchangeOAuthToken } from "../controllers/oauth.controller.js";
 import { protect } from "../middleware/auth.middleware.js";
@@ -17,6 +18,7 @@ import {
   loginSchema,
   updateProfileSchema,
   changePasswordSchema,
+  riskProfileSchema,
   oauthTokenSchema,
 } from "../middleware/validation.schemas.js";
 
@@ -37,6 +39,7 @@ import {
  * - GET /api/auth/me - Get current user
  * - PUT /api/auth/profile - Update profile
  * - PUT /api/auth/password - Change password
+ * - PUT /api/auth/risk-profile - Save survey answers / risk profile
  */
 
 const router = express.Router();
@@ -84,5 +87,11 @@ router.put(
   changePassword
 );
 router.put("/onboarding/complete", protect, completeOnboarding);
+router.put(
+  "/risk-profile",
+  protect,
+  validate(riskProfileSchema),
+  updateRiskProfile
+);
 
 export default router;
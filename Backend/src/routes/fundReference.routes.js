@@ -2,12 +2,14 @@ import express from "express";
 import {
   getAllFunds,
   searchFundsHandler,
+  searchSecuritiesHandler,
   validateFundHandler,
   validatePortfolioFunds,
   getSuggestionsHandler,
   getCategories,
   getAssetTypes,
   getAMCs,
+  getNavCoverage,
   getFundByIdentifier,
   analyzeFundsHandler,
 } from "../controllers/fundReference.controller.js";
@@ -16,7 +18,7 @@ import { protect } from "../middleware/auth.middleware.js";
 /**
  * FundReference Routes
  *
- * READ-ONLY routes for fund reference data
+ * READ-ONLY routes for fund (and stock / ETF) reference data
  * All routes require authentication
  * No create/update/delete routes - data is seeded only
  */
@@ -32,12 +34,14 @@ router.use(protect);
 router.get("/meta/categories", getCategories);
 router.get("/meta/asset-types", getAssetTypes);
 router.get("/meta/amcs", getAMCs);
+router.get("/meta/nav-coverage", getNavCoverage);
 
 // ==================
 // SEARCH & SUGGESTIONS
 // ==================
 router.get("/search", searchFundsHandler);
 router.get("/suggestions", getSuggestionsHandler);
+router.get("/securities/search", searchSecuritiesHandler);
 
 // ==================
 // VALIDATION ROUTES
@@ -0,0 +1,50 @@
+import express from "express";
+import {
+  createGoal,
+  getGoals,
+  getGoalById,
+  updateGoal,
+  deleteGoal,
+  getGoalAnalysis,
+} from "../controllers/goal.controller.js";
+import { protect } from "../middleware/auth.middleware.js";
+import {
+  validateObjectId,
+  strictRateLimiter,
+} from "../middleware/security.middleware.js";
+import {
+  validate,
+  createGoalSchema,
+  updateGoalSchema,
+} from "../middleware/validation.schemas.js";
+
+/**
+ * Goal Routes
+ *
+ * All routes are protected - require valid JWT
+ * userId is ALWAYS derived from req.user (JWT), never from request body
+ * Strict rate limiting applied to prevent API abuse
+ */
+
+const router = express.Router();
+
+// All routes require authentication and strict rate limiting
+router.use(protect);
+router.use(strictRateLimiter);
+
+router
+  .route("/")
+  .post(validate(createGoalSchema), createGoal) // POST /api/goals - Create new goal
+  .get(getGoals); // GET /api/goals - Get all user goals
+
+// Before /:id so "analysis" isn't taken for an ID
+router.get("/analysis", getGoalAnalysis); // GET /api/goals/analysis - Project all goals
+
+router
+  .route("/:id")
+  .all(validateObjectId("id")) // Validate MongoDB ObjectId
+  .get(getGoalById) // GET /api/goals/:id - Get single goal
+  .put(validate(updateGoalSchema), updateGoal) // PUT /api/goals/:id - Update goal
+  .delete(deleteGoal); // DELETE /api/goals/:id - Delete goal
+
+export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import {
+  getNetWorth,
+  createLiability,
+  getLiabilities,
+  getLiabilityById,
+  getLiabilitySchedule,
+  updateLiability,
+  deleteLiability,
+} from "../controllers/netWorth.controller.js";
+import { protect } from "../middleware/auth.middleware.js";
+import {
+  validateObjectId,
+  strictRateLimiter,
+} from "../middleware/security.middleware.js";
+import {
+  validate,
+  createLiabilitySchema,
+  updateLiabilitySchema,
+} from "../middleware/validation.schemas.js";
+
+/**
+ * Net Worth Routes
+ *
+ * All routes are protected - require valid JWT
+ * userId is ALWAYS derived from req.user (JWT), never from request body
+ * Strict rate limiting applied to prevent API abuse
+ */
+
+const router = express.Router();
+
+// All routes require authentication and strict rate limiting
+router.use(protect);
+router.use(strictRateLimiter);
+
+router.get("/", getNetWorth); // GET /api/net-worth - Net worth and history
+
+router
+  .route("/liabilities")
+  .post(validate(createLiabilitySchema), createLiability) // POST /api/net-worth/liabilities - Add liability
+  .get(getLiabilities); // GET /api/net-worth/liabilities - Get all user liabilities
+
+router
+  .route("/liabilities/:id")
+  .all(validateObjectId("id")) // Validate MongoDB ObjectId
+  .get(getLiabilityById) // GET /api/net-worth/liabilities/:id - Get single liability
+  .put(validate(updateLiabilitySchema), updateLiability) // PUT /api/net-worth/liabilities/:id - Update liability
+  .delete(deleteLiability); // DELETE /api/net-worth/liabilities/:id - Delete liability
+
+router.get(
+  "/liabilities/:id/schedule",
+  validateObjectId("id"),
+  getLiabilitySchedule
+); // GET /api/net-worth/liabilities/:id/schedule - Amortization schedule
+
+export default router;
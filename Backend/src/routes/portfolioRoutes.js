@@ -5,7 +5,12 @@ import {
   getPortfolioById,
   updatePortfolio,
   deletePortfolio,
+  updateTargetAllocation,
 } from "../controllers/portfolio.controller.js";
+import {
+  importCsvPortfolio,
+  importCasPortfolio,
+} from "../controllers/import.controller.js";
 import { protect } from "../middleware/auth.middleware.js";
 import {
   validateObjectId,
@@ -15,6 +20,9 @@ import {
   validate,
   createPortfolioSchema,
   updatePortfolioSchema,
+  targetAllocationSchema,
+  csvImportSchema,
+  casImportSchema,
 } from "../middleware/validation.schemas.js";
 
 /**
@@ -37,6 +45,10 @@ router
   .post(validate(createPortfolioSchema), createPortfolio) // POST /api/portfolio - Create new portfolio
   .get(getPortfolios); // GET /api/portfolio - Get all user portfolios
 
+// Import previews (nothing is saved - client confirms via POST /)
+router.post("/import/csv", validate(csvImportSchema), importCsvPortfolio); // POST /api/portfolio/import/csv - Preview CSV import
+router.post("/import/cas", validate(casImportSchema), importCasPortfolio); // POST /api/portfolio/import/cas - Preview CAS statement import
+
 router
   .route("/:id")
   .all(validateObjectId("id")) // Validate MongoDB ObjectId
@@ -44,4 +56,11 @@ router
   .put(validate(updatePortfolioSchema), updatePortfolio) // PUT /api/portfolio/:id - Update portfolio
   .delete(deletePortfolio); // DELETE /api/portfolio/:id - Delete portfolio
 
+router.put(
+  "/:id/target-allocation",
+  validateObjectId("id"),
+  validate(targetAllocationSchema),
+  updateTargetAllocation
+); // PUT /api/portfolio/:id/target-allocation - Set target allocation
+
 export default router;
@@ -0,0 +1,125 @@
+/**
+ * Load Fund Holdings Disclosure
+ *
+ * Reads a monthly portfolio disclosure CSV and stores the stock-level
+ * holdings in the FundHolding collection. Re-loading a fund/month
+ * replaces what was stored for it.
+ *
+ * Usage:
+ *   npm run load:holdings -- --file=./disclosures/2024-12.csv
+ *   npm run load:holdings -- --file=./disclosures/2024-12.csv --dry-run
+ *
+ * Options:
+ *   --file=PATH  Disclosure CSV (fund name, month, stock name, weight,
+ *                optional isin and sector columns)
+ *   --dry-run    Parse and report only, write nothing
+ */
+
+import fs from "fs";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import FundHolding from "../models/FundHoldingModel.js";
+import FundReference from "../models/FundReferenceModel.js";
+import { parseHoldingsDisclosure } from "../services/import/holdingsImport.service.js";
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGODB_URI environment variable is not set");
+  console.error("   Please set MONGODB_URI in your .env file");
+  process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const fileArg = args.find((a) => a.startsWith("--file="));
+
+if (!fileArg) {
+  console.error("❌ Missing --file=PATH argument");
+  process.exit(1);
+}
+
+const filePath = fileArg.slice("--file=".length);
+
+async function loadFundHoldings() {
+  console.log("\n📥 Fund Holdings Loader");
+  console.log("═".repeat(50));
+  console.log(`File: ${filePath}`);
+  console.log(`Dry run: ${dryRun ? "Yes" : "No"}`);
+  console.log("");
+
+  let csvText;
+  try {
+    csvText = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    console.error(`❌ Cannot read file: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { disclosures, errors } = parseHoldingsDisclosure(csvText);
+
+  if (errors.length > 0) {
+    console.log(`⚠️  ${errors.length} row(s) skipped:`);
+    errors.forEach((e) =>
+      console.log(`   ${e.line ? `Line ${e.line}: ` : ""}${e.message}`)
+    );
+    console.log("");
+  }
+
+  if (disclosures.length === 0) {
+    console.error("❌ No holdings to load");
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    console.log("📡 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    // Warn about funds the analysis will never look up
+    const fundNames = [...new Set(disclosures.map((d) => d.fundName))];
+    const known = await FundReference.distinct("fundName", {
+      fundName: { $in: fundNames },
+    });
+    const unknown = fundNames.filter((name) => !known.includes(name));
+    if (unknown.length > 0) {
+      console.log("⚠️  Warning: Not in FundReference (name must match):");
+      unknown.forEach((name) => console.log(`   - ${name}`));
+      console.log("");
+    }
+
+    for (const { fundName, asOf, holdings } of disclosures) {
+      const totalWeight = holdings.reduce((sum, h) => sum + h.weight, 0);
+      console.log(
+        `   ${fundName} (${asOf}): ${holdings.length} holdings, ${totalWeight.toFixed(
+          2
+        )}% of assets`
+      );
+
+      if (!dryRun) {
+        await FundHolding.replaceDisclosure(fundName, asOf, holdings);
+      }
+    }
+
+    console.log("\n" + "═".repeat(50));
+    console.log(
+      dryRun
+        ? "✅ Dry run complete - nothing written\n"
+        : `✅ Loaded ${disclosures.length} disclosure(s)\n`
+    );
+  } catch (error) {
+    console.error("\n❌ Error loading holdings:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("📡 Disconnected from MongoDB");
+  }
+}
+
+// Run the script
+loadFundHoldings();
@@ -0,0 +1,129 @@
+/**
+ * Load Security Prices
+ *
+ * Reads a stock / ETF price CSV and stores monthly closes in the
+ * SecurityPrice collection. Re-loading a symbol/month overwrites it.
+ *
+ * Usage:
+ *   npm run load:prices -- --file=./prices/nse-2024.csv
+ *   npm run load:prices -- --file=./prices/nse-2024.csv --dry-run
+ *
+ * Options:
+ *   --file=PATH  Price CSV (symbol, month or date, close columns)
+ *   --dry-run    Parse and report only, write nothing
+ */
+
+import fs from "fs";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import SecurityPrice from "../models/SecurityPriceModel.js";
+import SecurityReference from "../models/SecurityReferenceModel.js";
+import { parseSecurityPrices } from "../services/import/priceImport.service.js";
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGODB_URI environment variable is not set");
+  console.error("   Please set MONGODB_URI in your .env file");
+  process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const fileArg = args.find((a) => a.startsWith("--file="));
+
+if (!fileArg) {
+  console.error("❌ Missing --file=PATH argument");
+  process.exit(1);
+}
+
+const filePath = fileArg.slice("--file=".length);
+
+async function loadSecurityPrices() {
+  console.log("\n📥 Security Price Loader");
+  console.log("═".repeat(50));
+  console.log(`File: ${filePath}`);
+  console.log(`Dry run: ${dryRun ? "Yes" : "No"}`);
+  console.log("");
+
+  let csvText;
+  try {
+    csvText = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    console.error(`❌ Cannot read file: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { prices, errors } = parseSecurityPrices(csvText);
+
+  if (errors.length > 0) {
+    console.log(`⚠️  ${errors.length} row(s) skipped:`);
+    errors.forEach((e) =>
+      console.log(`   ${e.line ? `Line ${e.line}: ` : ""}${e.message}`)
+    );
+    console.log("");
+  }
+
+  if (prices.length === 0) {
+    console.error("❌ No prices to load");
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    console.log("📡 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    // Warn about symbols without sector / market cap data
+    const symbols = [...new Set(prices.map((p) => p.symbol))];
+    const known = await SecurityReference.distinct("symbol", {
+      symbol: { $in: symbols },
+    });
+    const unknown = symbols.filter((symbol) => !known.includes(symbol));
+    if (unknown.length > 0) {
+      console.log("⚠️  Warning: Not in SecurityReference (no sector info):");
+      unknown.forEach((symbol) => console.log(`   - ${symbol}`));
+      console.log("");
+    }
+
+    for (const symbol of symbols) {
+      const months = prices
+        .filter((p) => p.symbol === symbol)
+        .map((p) => p.month)
+        .sort();
+      console.log(
+        `   ${symbol}: ${months.length} months (${months[0]} → ${
+          months[months.length - 1]
+        })`
+      );
+    }
+
+    if (!dryRun) {
+      console.log(`\n💾 Inserting ${prices.length} price records...`);
+      const result = await SecurityPrice.bulkUpsertPrices(prices);
+      console.log(`   ✅ Inserted: ${result.upsertedCount}`);
+      console.log(`   🔄 Updated: ${result.modifiedCount}`);
+    }
+
+    console.log("\n" + "═".repeat(50));
+    console.log(
+      dryRun
+        ? "✅ Dry run complete - nothing written\n"
+        : `✅ Loaded prices for ${symbols.length} symbol(s)\n`
+    );
+  } catch (error) {
+    console.error("\n❌ Error loading prices:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("📡 Disconnected from MongoDB");
+  }
+}
+
+// Run the script
+loadSecurityPrices();
@@ -0,0 +1,142 @@
+/**
+ * Seed Benchmark Index Data
+ *
+ * Populates BenchmarkIndex collection with monthly index values
+ * for every benchmark used by FundReference
+ * Period: Jan 2019 → Dec 2024 by default
+ *
+ * Usage:
+ *   npm run seed:benchmarks
+ *   npm run seed:benchmarks -- --clean
+ *   npm run seed:benchmarks -- --from=2015 --to=2025
+ *
+ * Options:
+ *   --clean      Clear existing index data before seeding
+ *   --from=YYYY  First year to generate (default 2019)
+ *   --to=YYYY    Last year to generate (default 2024)
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import BenchmarkIndex from "../models/BenchmarkIndexModel.js";
+import FundReference from "../models/FundReferenceModel.js";
+import { getBenchmarkIndexSeedData } from "../utils/BenchmarkIndexSeed.js";
+import {
+  DEFAULT_NAV_START_YEAR,
+  DEFAULT_NAV_END_YEAR,
+} from "../utils/FundNavSeed.js";
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGODB_URI environment variable is not set");
+  console.error("   Please set MONGODB_URI in your .env file");
+  process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const cleanFirst = args.includes("--clean");
+
+/**
+ * Read a --name=YYYY year argument
+ */
+function getYearArg(name, fallback) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  if (!arg) return fallback;
+
+  const year = parseInt(arg.split("=")[1]);
+  if (!Number.isInteger(year) || year < 1990 || year > 2100) {
+    console.error(`❌ Invalid --${name} year: ${arg.split("=")[1]}`);
+    process.exit(1);
+  }
+  return year;
+}
+
+const startYear = getYearArg("from", DEFAULT_NAV_START_YEAR);
+const endYear = getYearArg("to", DEFAULT_NAV_END_YEAR);
+
+if (startYear > endYear) {
+  console.error("❌ --from year must be before or equal to --to year");
+  process.exit(1);
+}
+
+async function seedBenchmarkIndex() {
+  console.log("\n🌱 Benchmark Index Seeding Script");
+  console.log("═".repeat(50));
+  console.log(`Clean: ${cleanFirst ? "Yes" : "No"}`);
+  console.log(`Period: Jan ${startYear} → Dec ${endYear}`);
+  console.log("");
+
+  try {
+    // Connect to MongoDB
+    console.log("📡 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    // Optionally clean existing data
+    if (cleanFirst) {
+      console.log("🧹 Cleaning existing index data...");
+      const deleteResult = await BenchmarkIndex.deleteMany({});
+      console.log(`   Deleted ${deleteResult.deletedCount} existing records\n`);
+    }
+
+    const records = getBenchmarkIndexSeedData({ startYear, endYear });
+    const indexNames = [...new Set(records.map((r) => r.indexName))];
+
+    console.log(
+      `📊 Seeding ${indexNames.length} indices (${records.length} records)...\n`
+    );
+
+    // Warn about benchmarks used by funds that have no series
+    const usedBenchmarks = await FundReference.distinct("benchmark", {
+      isActive: true,
+    });
+    const missing = usedBenchmarks.filter(
+      (name) => name && !indexNames.includes(name)
+    );
+    if (missing.length > 0) {
+      console.log("⚠️  Warning: No series generated for these benchmarks:");
+      missing.forEach((name) => console.log(`   - ${name}`));
+      console.log("   (Funds using them won't get a benchmark comparison)\n");
+    }
+
+    // Bulk upsert index records
+    console.log("💾 Inserting index records...");
+    const result = await BenchmarkIndex.bulkUpsertValues(records);
+
+    console.log(`   ✅ Inserted: ${result.upsertedCount}`);
+    console.log(`   🔄 Updated: ${result.modifiedCount}`);
+    console.log(`   📝 Matched: ${result.matchedCount}\n`);
+
+    // Verification
+    console.log("🔍 Verification:");
+    const series = await BenchmarkIndex.getMultipleIndexSeries(indexNames);
+    for (const name of indexNames) {
+      const months = Object.keys(series[name] || {}).sort();
+      if (months.length === 0) continue;
+
+      const first = series[name][months[0]];
+      const last = series[name][months[months.length - 1]];
+      const returnPct = (((last - first) / first) * 100).toFixed(2);
+      console.log(
+        `   ${name}: ${months[0]} → ${months[months.length - 1]} (${returnPct}%)`
+      );
+    }
+
+    console.log("\n" + "═".repeat(50));
+    console.log("✅ Benchmark index seeding completed successfully!\n");
+  } catch (error) {
+    console.error("\n❌ Error seeding benchmark data:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("📡 Disconnected from MongoDB");
+  }
+}
+
+// Run the script
+seedBenchmarkIndex();
@@ -0,0 +1,189 @@
+/**
+ * Seed Fund Dividend (IDCW) Data
+ *
+ * Adds IDCW plans of a few growth funds:
+ * - FundReference entries (copied from the growth plan, planOption "idcw")
+ * - Their ex-dividend NAV series (FundNAV)
+ * - Their dividend history (FundDividend)
+ * Period: Jan 2019 → Dec 2024 by default
+ *
+ * Run after seed:funds and the template migration so the copied
+ * entries keep the growth plan's holding template.
+ *
+ * Usage:
+ *   npm run seed:dividends
+ *   npm run seed:dividends -- --clean
+ *   npm run seed:dividends -- --from=2015 --to=2025
+ *
+ * Options:
+ *   --clean      Clear existing dividend data before seeding
+ *   --from=YYYY  First year to generate (default 2019)
+ *   --to=YYYY    Last year to generate (default 2024)
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import FundDividend from "../models/FundDividendModel.js";
+import FundNAV from "../models/FundNAVModel.js";
+import FundReference from "../models/FundReferenceModel.js";
+import {
+  getFundDividendSeedData,
+  IDCW_PLANS,
+} from "../utils/FundDividendSeed.js";
+import {
+  DEFAULT_NAV_START_YEAR,
+  DEFAULT_NAV_END_YEAR,
+} from "../utils/FundNavSeed.js";
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGODB_URI environment variable is not set");
+  console.error("   Please set MONGODB_URI in your .env file");
+  process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const cleanFirst = args.includes("--clean");
+
+/**
+ * Read a --name=YYYY year argument
+ */
+function getYearArg(name, fallback) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  if (!arg) return fallback;
+
+  const year = parseInt(arg.split("=")[1]);
+  if (!Number.isInteger(year) || year < 1990 || year > 2100) {
+    console.error(`❌ Invalid --${name} year: ${arg.split("=")[1]}`);
+    process.exit(1);
+  }
+  return year;
+}
+
+const startYear = getYearArg("from", DEFAULT_NAV_START_YEAR);
+const endYear = getYearArg("to", DEFAULT_NAV_END_YEAR);
+
+if (startYear > endYear) {
+  console.error("❌ --from year must be before or equal to --to year");
+  process.exit(1);
+}
+
+/**
+ * Upsert the FundReference entry of each IDCW plan
+ * Returns the names of plans whose growth fund is missing
+ */
+async function upsertIdcwReferences() {
+  const missing = [];
+
+  for (const plan of IDCW_PLANS) {
+    const growth = await FundReference.findOne({
+      fundName: plan.growthFundName,
+    }).lean();
+
+    if (!growth) {
+      missing.push(plan.growthFundName);
+      continue;
+    }
+
+    await FundReference.updateOne(
+      { fundName: plan.fundName },
+      {
+        $set: {
+          fundName: plan.fundName,
+          assetType: growth.assetType,
+          category: growth.category,
+          amc: growth.amc,
+          benchmark: growth.benchmark,
+          popularityRank: growth.popularityRank,
+          holdingTemplateKey: growth.holdingTemplateKey,
+          planOption: "idcw",
+          isActive: growth.isActive,
+        },
+      },
+      { upsert: true, runValidators: true }
+    );
+  }
+
+  return missing;
+}
+
+async function seedFundDividends() {
+  console.log("\n🌱 Fund Dividend (IDCW) Seeding Script");
+  console.log("═".repeat(50));
+  console.log(`Clean: ${cleanFirst ? "Yes" : "No"}`);
+  console.log(`Period: Jan ${startYear} → Dec ${endYear}`);
+  console.log("");
+
+  try {
+    // Connect to MongoDB
+    console.log("📡 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    // Optionally clean existing data
+    if (cleanFirst) {
+      console.log("🧹 Cleaning existing dividend data...");
+      const deleteResult = await FundDividend.deleteMany({});
+      console.log(`   Deleted ${deleteResult.deletedCount} existing records\n`);
+    }
+
+    // IDCW plans in FundReference
+    console.log(`📚 Adding ${IDCW_PLANS.length} IDCW plans to FundReference`);
+    const missing = await upsertIdcwReferences();
+    if (missing.length > 0) {
+      console.log("⚠️  Warning: Growth funds not found in FundReference:");
+      missing.forEach((name) => console.log(`   - ${name}`));
+      console.log("   (Run npm run seed:funds first; NAVs still seeded)");
+    }
+    console.log("");
+
+    const { navRecords, dividendRecords } = getFundDividendSeedData({
+      startYear,
+      endYear,
+    });
+
+    // Bulk upsert NAV and dividend records
+    console.log(`💾 Inserting ${navRecords.length} NAV records...`);
+    const navResult = await FundNAV.bulkUpsertNav(navRecords);
+    console.log(`   ✅ Inserted: ${navResult.upsertedCount}`);
+    console.log(`   🔄 Updated: ${navResult.modifiedCount}\n`);
+
+    console.log(`💾 Inserting ${dividendRecords.length} dividend records...`);
+    const result = await FundDividend.bulkUpsertDividends(dividendRecords);
+    console.log(`   ✅ Inserted: ${result.upsertedCount}`);
+    console.log(`   🔄 Updated: ${result.modifiedCount}`);
+    console.log(`   📝 Matched: ${result.matchedCount}\n`);
+
+    // Verification
+    console.log("🔍 Verification:");
+    const dividends = await FundDividend.getMultipleFundDividends(
+      IDCW_PLANS.map((plan) => plan.fundName)
+    );
+    for (const plan of IDCW_PLANS) {
+      const history = dividends[plan.fundName] || {};
+      const total = Object.values(history).reduce((sum, d) => sum + d, 0);
+      console.log(
+        `   ${plan.fundName}: ${Object.keys(history).length} ${
+          plan.frequency
+        } payouts (₹${total.toFixed(4)} per unit)`
+      );
+    }
+
+    console.log("\n" + "═".repeat(50));
+    console.log("✅ Fund dividend seeding completed successfully!\n");
+  } catch (error) {
+    console.error("\n❌ Error seeding dividend data:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("📡 Disconnected from MongoDB");
+  }
+}
+
+// Run the script
+seedFundDividends();
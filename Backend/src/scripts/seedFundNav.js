@@ -1,17 +1,20 @@
 /**
  * Seed Fund NAV Data
  *
- * Populates FundNAV collection with 12 months of historical NAV data
- * Period: Jan 2024 → Dec 2024
+ * Populates FundNAV collection with monthly historical NAV data
+ * Period: Jan 2019 → Dec 2024 by default
  *
  * Usage:
  *   npm run seed:nav           # Seed sample portfolio funds only
  *   npm run seed:nav:all       # Seed all funds
  *   npm run seed:nav -- --all  # Alternative for all funds
+ *   npm run seed:nav -- --all --from=2015 --to=2025
  *
  * Options:
- *   --all     Seed all funds (sample + additional)
- *   --clean   Clear existing NAV data before seeding
+ *   --all        Seed all funds (sample + additional)
+ *   --clean      Clear existing NAV data before seeding
+ *   --from=YYYY  First year to generate (default 2019)
+ *   --to=YYYY    Last year to generate (default 2024)
  */
 
 import mongoose from "mongoose";
@@ -23,6 +26,8 @@ import {
   getAllFundNavSeedData,
   SAMPLE_PORTFOLIO_NAV_DATA,
   ADDITIONAL_FUNDS_NAV_DATA,
+  DEFAULT_NAV_START_YEAR,
+  DEFAULT_NAV_END_YEAR,
 } from "../utils/FundNavSeed.js";
 
 dotenv.config();
@@ -40,11 +45,35 @@ const args = process.argv.slice(2);
 const seedAll = args.includes("--all");
 const cleanFirst = args.includes("--clean");
 
+/**
+ * Read a --name=YYYY year argument
+ */
+function getYearArg(name, fallback) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  if (!arg) return fallback;
+
+  const year = parseInt(arg.split("=")[1]);
+  if (!Number.isInteger(year) || year < 1990 || year > 2100) {
+    console.error(`❌ Invalid --${name} year: ${arg.split("=")[1]}`);
+    process.exit(1);
+  }
+  return year;
+}
+
+const startYear = getYearArg("from", DEFAULT_NAV_START_YEAR);
+const endYear = getYearArg("to", DEFAULT_NAV_END_YEAR);
+
+if (startYear > endYear) {
+  console.error("❌ --from year must be before or equal to --to year");
+  process.exit(1);
+}
+
 async function seedFundNav() {
   console.log("\n🌱 Fund NAV Seeding Script");
   console.log("═".repeat(50));
   console.log(`Mode: ${seedAll ? "ALL FUNDS" : "SAMPLE PORTFOLIO ONLY"}`);
   console.log(`Clean: ${cleanFirst ? "Yes" : "No"}`);
+  console.log(`Period: Jan ${startYear} → Dec ${endYear}`);
   console.log("");
 
   try {
@@ -61,9 +90,10 @@ async function seedFundNav() {
     }
 
     // Get seed data
+    const range = { startYear, endYear };
     const navRecords = seedAll
-      ? getAllFundNavSeedData()
-      : getSamplePortfolioNavSeedData();
+      ? getAllFundNavSeedData(range)
+      : getSamplePortfolioNavSeedData(range);
 
     const fundCount = seedAll
       ? SAMPLE_PORTFOLIO_NAV_DATA.length + ADDITIONAL_FUNDS_NAV_DATA.length
@@ -0,0 +1,109 @@
+/**
+ * Seed NPS Scheme NAV Data
+ *
+ * Populates FundNAV with monthly NAVs for the NPS E / C / G schemes
+ * (Tier I and II) used to value NPS holdings.
+ * Period: Jan 2019 → Dec 2024 by default
+ *
+ * Usage:
+ *   npm run seed:nps
+ *   npm run seed:nps -- --from=2015 --to=2025
+ *
+ * Options:
+ *   --from=YYYY  First year to generate (default 2019)
+ *   --to=YYYY    Last year to generate (default 2024)
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import FundNAV from "../models/FundNAVModel.js";
+import {
+  DEFAULT_NAV_START_YEAR,
+  DEFAULT_NAV_END_YEAR,
+} from "../utils/FundNavSeed.js";
+import { getNpsNavSeedData } from "../utils/NpsSchemeSeed.js";
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGODB_URI environment variable is not set");
+  console.error("   Please set MONGODB_URI in your .env file");
+  process.exit(1);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+/**
+ * Read a --name=YYYY year argument
+ */
+function getYearArg(name, fallback) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  if (!arg) return fallback;
+
+  const year = parseInt(arg.split("=")[1]);
+  if (!Number.isInteger(year) || year < 1990 || year > 2100) {
+    console.error(`❌ Invalid --${name} year: ${arg.split("=")[1]}`);
+    process.exit(1);
+  }
+  return year;
+}
+
+const startYear = getYearArg("from", DEFAULT_NAV_START_YEAR);
+const endYear = getYearArg("to", DEFAULT_NAV_END_YEAR);
+
+if (startYear > endYear) {
+  console.error("❌ --from year must be before or equal to --to year");
+  process.exit(1);
+}
+
+async function seedNpsNav() {
+  console.log("\n🌱 NPS Scheme NAV Seeding Script");
+  console.log("═".repeat(50));
+  console.log(`Period: Jan ${startYear} → Dec ${endYear}`);
+  console.log("");
+
+  try {
+    // Connect to MongoDB
+    console.log("📡 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    const navRecords = getNpsNavSeedData({ startYear, endYear });
+    const schemeNames = [...new Set(navRecords.map((r) => r.fundName))];
+
+    console.log(
+      `📊 Seeding ${schemeNames.length} schemes (${navRecords.length} records)...`
+    );
+    const result = await FundNAV.bulkUpsertNav(navRecords);
+    console.log(`   ✅ Inserted: ${result.upsertedCount}`);
+    console.log(`   🔄 Updated: ${result.modifiedCount}\n`);
+
+    // Verification
+    console.log("🔍 Verification:");
+    for (const schemeName of schemeNames) {
+      const navSeries = await FundNAV.getNavSeries(schemeName);
+      const months = Object.keys(navSeries).sort();
+      console.log(
+        `   ${schemeName}: ${months.length} months, ₹${navSeries[
+          months[months.length - 1]
+        ].toFixed(4)} in ${months[months.length - 1]}`
+      );
+    }
+
+    console.log("\n" + "═".repeat(50));
+    console.log("✅ NPS scheme NAV seeding completed successfully!\n");
+  } catch (error) {
+    console.error("\n❌ Error seeding NPS NAV data:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("📡 Disconnected from MongoDB");
+  }
+}
+
+// Run the script
+seedNpsNav();
@@ -0,0 +1,87 @@
+/**
+ * Seed Security Reference Data
+ *
+ * Adds the listed stocks and ETFs that can be held directly, with the
+ * sector / market cap (stocks) or category / holding template (ETFs)
+ * used by the diversification analysis.
+ *
+ * Usage:
+ *   npm run seed:securities
+ *   npm run seed:securities -- --clear
+ *
+ * Options:
+ *   --clear      Remove existing security references before seeding
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import SecurityReference from "../models/SecurityReferenceModel.js";
+import securityReferenceSeedData from "../utils/SecurityReferenceSeed.js";
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGODB_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGODB_URI environment variable is not set");
+  console.error("   Please set MONGODB_URI in your .env file");
+  process.exit(1);
+}
+
+const shouldClear = process.argv.includes("--clear");
+
+async function seedSecurityReferences() {
+  console.log("\n🌱 Security Reference Seeding Script");
+  console.log("═".repeat(50));
+  console.log(`Clear: ${shouldClear ? "Yes" : "No"}`);
+  console.log("");
+
+  try {
+    // Connect to MongoDB
+    console.log("📡 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    if (shouldClear) {
+      console.log("🧹 Clearing existing security references...");
+      const deleteResult = await SecurityReference.deleteMany({});
+      console.log(`   Deleted ${deleteResult.deletedCount} records\n`);
+    }
+
+    console.log(
+      `📚 Upserting ${securityReferenceSeedData.length} securities...`
+    );
+    const result = await SecurityReference.bulkWrite(
+      securityReferenceSeedData.map((security) => ({
+        updateOne: {
+          filter: { symbol: security.symbol },
+          update: { $set: { ...security, isActive: true } },
+          upsert: true,
+        },
+      }))
+    );
+    console.log(`   ✅ Inserted: ${result.upsertedCount}`);
+    console.log(`   🔄 Updated: ${result.modifiedCount}\n`);
+
+    // Verification
+    console.log("🔍 Verification:");
+    for (const securityType of ["Stock", "ETF"]) {
+      const count = await SecurityReference.countDocuments({ securityType });
+      console.log(`   ${securityType}: ${count}`);
+    }
+
+    console.log("\n" + "═".repeat(50));
+    console.log("✅ Security reference seeding completed successfully!");
+    console.log("   Load prices with: npm run load:prices -- --file=...\n");
+  } catch (error) {
+    console.error("\n❌ Error seeding security references:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log("📡 Disconnected from MongoDB");
+  }
+}
+
+// Run the script
+seedSecurityReferences();
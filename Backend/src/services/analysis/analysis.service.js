@@ -6,9 +6,10 @@
  *
  * Flow:
  * 1. Fetch portfolio data
- * 2. Fetch reference data (FundReference, HoldingTemplates, NAV)
- * 3. Run diversification analysis
- * 4. Run performance analysis
+ * 2. Fetch reference data (FundReference, HoldingTemplates, NAV, benchmarks,
+ *    stock / ETF prices)
+ * 3. Run performance analysis (resolves the valuation month)
+ * 4. Run diversification analysis as of the same month
  * 5. Build insights and reports
  * 6. Return unified response
  *
@@ -17,31 +18,40 @@
  */
 
 import Portfolio from "../../models/portfolioModel.js";
+import User from "../../models/User.js";
 import {
   analyzeDiversification,
   fetchFundMetadata,
   fetchHoldingTemplates,
+  fetchFundHoldings,
 } from "./diversification.service.js";
 import {
   analyzePerformance,
+  resolveValuationPeriod,
   fetchNavData,
-  NAV_CUTOFF_KEY,
 } from "./performance.service.js";
+import { fetchBenchmarkData } from "./benchmark.service.js";
 import { buildInsights, buildReportData } from "./insightBuilder.service.js";
+import { loadPortfolioContext } from "./portfolioContext.service.js";
+import {
+  addMonths,
+  parseKey,
+  getCurrentMonthKey,
+} from "../../utils/nav/index.js";
 
 // Demo mode constants
 const IS_DEMO_MODE = true;
-const DATA_AS_OF = "Dec 2024";
-const NAV_PERIOD = "Jan 2024 - Dec 2024";
 
 /**
  * Generate complete portfolio analysis
  *
  * @param {string} portfolioId - Portfolio document ID
  * @param {string} userId - User ID for authorization
+ * @param {Object} [options] - { asOf: "YYYY-MM", weightBy }
+ *   asOf: valuation month; weightBy: "marketValue" (default) | "cost"
  * @returns {Object} Complete analysis response
  */
-export async function generateAnalysis(portfolioId, userId) {
+export async function generateAnalysis(portfolioId, userId, options = {}) {
   // 1. Fetch portfolio
   const portfolio = await Portfolio.findOne({
     _id: portfolioId,
@@ -52,28 +62,65 @@ export async function generateAnalysis(portfolioId, userId) {
     throw new Error("Portfolio not found or access denied");
   }
 
-  // 2. Extract fund names for data fetching
-  const fundNames = portfolio.funds.map((f) => f.assetName);
+  return analyzePortfolio(portfolio, userId, options);
+}
 
-  // 3. Fetch all reference data in parallel
-  const [fundMetadata, holdingTemplates, navData] = await Promise.all([
-    fetchFundMetadata(fundNames),
+/**
+ * Run the full analysis pipeline on a portfolio object
+ * The portfolio does not have to be saved - what-if simulations pass
+ * an edited copy or one built from request data
+ *
+ * @param {Object} portfolio - { _id, name, funds[], ... } (stored format)
+ * @param {string} userId - User whose risk profile is checked
+ * @param {Object} [options] - { asOf: "YYYY-MM", weightBy }
+ * @returns {Object} Complete analysis response
+ */
+export async function analyzePortfolio(portfolio, userId, options = {}) {
+  // 2-3. Fetch all reference data (and the investor's risk profile) in
+  // parallel
+  const [context, holdingTemplates, user] = await Promise.all([
+    loadPortfolioContext(portfolio.funds),
     fetchHoldingTemplates(),
-    fetchNavData(fundNames),
+    User.findById(userId).select("riskProfile").lean(),
   ]);
-
-  // 4. Run diversification analysis
+  const { fundNames, fundMetadata, navData, dividends } = context;
+  const riskProfile = user?.riskProfile || null;
+
+  const benchmarks = await fetchBenchmarkData(fundMetadata);
+
+  // 4. Run performance analysis (valuation month comes from the NAV data)
+  const performance = analyzePerformance(portfolio.funds, navData, {
+    asOf: options.asOf,
+    benchmarks,
+    dividends,
+    transfers: portfolio.transfers,
+  });
+
+  // 5. Run diversification analysis as of the same month, weighted by
+  // the market values from the performance stage
+  const holdings = await fetchFundHoldings(
+    fundNames,
+    performance.valuation.asOfKey
+  );
   const diversification = analyzeDiversification(
     portfolio.funds,
     fundMetadata,
-    holdingTemplates
+    holdingTemplates,
+    {
+      asOfKey: performance.valuation.asOfKey,
+      holdings,
+      currentValues: getCurrentValues(performance),
+      weightBy: options.weightBy,
+    }
   );
 
-  // 5. Run performance analysis
-  const performance = analyzePerformance(portfolio.funds, navData);
-
-  // 6. Build insights
-  const insights = buildInsights(performance, diversification, portfolio);
+  // 6. Build insights (suitability check needs the risk profile)
+  const insights = buildInsights(
+    performance,
+    diversification,
+    portfolio,
+    riskProfile
+  );
 
   // 7. Build report data
   const reports = buildReportData(
@@ -85,10 +132,11 @@ export async function generateAnalysis(portfolioId, userId) {
 
   // 8. Build portfolio summary
   const portfolioSummary = {
-    id: portfolio._id,
+    id: portfolio._id || null,
     name: portfolio.name,
     fundCount: portfolio.funds.length,
     isSample: portfolio.isSample || false,
+    isSimulated: portfolio.isSimulated || false,
     createdAt: portfolio.createdAt,
     updatedAt: portfolio.updatedAt,
     funds: portfolio.funds.map((f) => ({
@@ -107,12 +155,13 @@ export async function generateAnalysis(portfolioId, userId) {
   return {
     // Demo mode flags - MUST be included
     isDemoMode: IS_DEMO_MODE,
-    dataAsOf: DATA_AS_OF,
-    navPeriod: NAV_PERIOD,
-    disclaimer: getDisclaimer(),
+    dataAsOf: performance.dataAsOf,
+    navPeriod: performance.navPeriod,
+    disclaimer: getDisclaimer(performance.navPeriod),
 
     // Analysis results
     portfolioSummary,
+    riskProfile,
     diversification,
     performance,
     insights,
@@ -145,18 +194,8 @@ export async function generateSampleAnalysis(samplePortfolioData) {
     throw new Error("Sample portfolio must have at least one fund");
   }
 
-  // Convert sample data to portfolio structure
-  const portfolio = {
-    _id: "sample-portfolio",
-    name: samplePortfolioData.portfolioName || "Sample Portfolio",
-    isSample: true,
-    funds: samplePortfolioData.funds.map((f) => convertSampleFund(f)),
-    createdAt: new Date(),
-    updatedAt: new Date(),
-  };
-
   // Extract fund names
-  const fundNames = portfolio.funds.map((f) => f.assetName);
+  const fundNames = samplePortfolioData.funds.map((f) => f.name);
 
   // Fetch reference data
   const [fundMetadata, holdingTemplates, navData] = await Promise.all([
@@ -165,14 +204,43 @@ export async function generateSampleAnalysis(samplePortfolioData) {
     fetchNavData(fundNames),
   ]);
 
+  // Sample SIPs run for the 12 months up to the latest NAV month
+  const { asOfKey } = resolveValuationPeriod(navData);
+  const sipStartKey = addMonths(asOfKey || getCurrentMonthKey(), -11);
+
+  // Convert sample data to portfolio structure
+  const portfolio = {
+    _id: "sample-portfolio",
+    name: samplePortfolioData.portfolioName || "Sample Portfolio",
+    isSample: true,
+    funds: samplePortfolioData.funds.map((f) =>
+      convertSampleFund(f, sipStartKey)
+    ),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
   // Run analysis
+  const benchmarks = await fetchBenchmarkData(fundMetadata);
+  const performance = analyzePerformance(portfolio.funds, navData, {
+    benchmarks,
+  });
+
+  const holdings = await fetchFundHoldings(
+    fundNames,
+    performance.valuation.asOfKey
+  );
   const diversification = analyzeDiversification(
     portfolio.funds,
     fundMetadata,
-    holdingTemplates
+    holdingTemplates,
+    {
+      asOfKey: performance.valuation.asOfKey,
+      holdings,
+      currentValues: getCurrentValues(performance),
+    }
   );
 
-  const performance = analyzePerformance(portfolio.funds, navData);
   const insights = buildInsights(performance, diversification, portfolio);
   const reports = buildReportData(
     performance,
@@ -195,10 +263,11 @@ export async function generateSampleAnalysis(samplePortfolioData) {
 
   return {
     isDemoMode: IS_DEMO_MODE,
-    dataAsOf: DATA_AS_OF,
-    navPeriod: NAV_PERIOD,
-    disclaimer: getDisclaimer(),
+    dataAsOf: performance.dataAsOf,
+    navPeriod: performance.navPeriod,
+    disclaimer: getDisclaimer(performance.navPeriod),
     portfolioSummary,
+    riskProfile: null,
     diversification,
     performance,
     insights,
@@ -208,15 +277,25 @@ export async function generateSampleAnalysis(samplePortfolioData) {
   };
 }
 
+/**
+ * Map of fundName -> current market value from performance results
+ */
+function getCurrentValues(performance) {
+  return Object.fromEntries(
+    performance.fundPerformance.map((f) => [f.fundName, f.currentValue])
+  );
+}
+
 /**
  * Convert sample fund format to portfolio fund format
  */
-function convertSampleFund(sampleFund) {
+function convertSampleFund(sampleFund, sipStartKey) {
   // Sample funds have: name, category, invested, allocation
   // Convert to portfolio format with SIP assumption
 
-  // Assume SIP started Jan 2024, monthly amount = invested / 12
+  // Assume a 12-month SIP from sipStartKey, monthly amount = invested / 12
   const monthlyAmount = Math.round(sampleFund.invested / 12);
+  const { year, month } = parseKey(sipStartKey);
 
   return {
     _id: `sample-fund-${sampleFund.id || Math.random().toString(36).slice(2)}`,
@@ -225,8 +304,8 @@ function convertSampleFund(sampleFund) {
     sips: [
       {
         amount: monthlyAmount,
-        startMonth: 1,
-        startYear: 2024,
+        startMonth: month,
+        startYear: year,
         isOngoing: true,
       },
     ],
@@ -236,13 +315,14 @@ function convertSampleFund(sampleFund) {
 
 /**
  * Get demo disclaimer text
+ * @param {string|null} navPeriod - NAV period label, e.g. "Jan 2024 - Dec 2024"
  */
-function getDisclaimer() {
+function getDisclaimer(navPeriod) {
   return {
     short: "Demo mode - Simulated data for educational purposes only.",
     full: "PortfoLens is currently in demo mode. Insights and performance metrics are generated using simulated historical data for educational and analytical purposes only. This is not financial advice. Past performance does not guarantee future results. Please consult a qualified financial advisor for investment decisions.",
     highlights: [
-      "Simulated NAV data (Jan 2024 - Dec 2024)",
+      navPeriod ? `Simulated NAV data (${navPeriod})` : "Simulated NAV data",
       "For educational purposes only",
       "Not financial advice",
     ],
@@ -260,17 +340,37 @@ export function validatePortfolioForAnalysis(portfolio) {
     errors.push("Portfolio must have at least one fund");
   }
 
+  const transfers = portfolio.transfers || [];
+  const fundNames = new Set((portfolio.funds || []).map((f) => f.assetName));
+
   for (const fund of portfolio.funds || []) {
     const hasSips = fund.sips && fund.sips.length > 0;
     const hasLumpsums = fund.lumpsums && fund.lumpsums.length > 0;
+    const hasTransfersIn = transfers.some((t) => t.toFund === fund.assetName);
+
+    const hasHolding = Boolean(
+      fund.fixedDeposit ||
+        fund.security ||
+        fund.ppf ||
+        fund.epf ||
+        fund.manualAsset
+    );
 
-    if (!hasSips && !hasLumpsums) {
+    if (!hasSips && !hasLumpsums && !hasTransfersIn && !hasHolding) {
       errors.push(
-        `Fund "${fund.assetName}" has no investments (SIP or lumpsum)`
+        `Fund "${fund.assetName}" has no investments (SIP, lumpsum or transfer)`
       );
     }
   }
 
+  for (const transfer of transfers) {
+    for (const name of [transfer.fromFund, transfer.toFund]) {
+      if (!fundNames.has(name)) {
+        errors.push(`Transfer refers to "${name}", not in the portfolio`);
+      }
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -279,6 +379,7 @@ export function validatePortfolioForAnalysis(portfolio) {
 
 export default {
   generateAnalysis,
+  analyzePortfolio,
   generateSampleAnalysis,
   validatePortfolioForAnalysis,
 };
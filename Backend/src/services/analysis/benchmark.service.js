@@ -0,0 +1,268 @@
+/**
+ * Benchmark Comparison Service
+ *
+ * Answers "what if the same money had gone into the fund's benchmark?"
+ * - Replays a fund's purchase / redemption cashflows into its
+ *   FundReference.benchmark index (BenchmarkIndex series)
+ * - Reports the benchmark's value and XIRR over the same dates
+ * - Alpha = fund XIRR - benchmark XIRR (percentage points)
+ *
+ * ⚠️ Redemptions withdraw the same rupee amount from the index holding
+ *    (capped at what the index holding is worth)
+ * ⚠️ Transfers out of a fund are replayed as redemptions, transfers in
+ *    as purchases (fund-level comparison)
+ * ⚠️ IDCW dividends are not replayed: the index holding keeps growing,
+ *    and the fund side counts dividends paid out as money returned
+ * ⚠️ No Express/controller logic here
+ */
+
+import BenchmarkIndex from "../../models/BenchmarkIndexModel.js";
+import {
+  dateToKey,
+  keyToDate,
+  normalizeNavData,
+  fillMissingNavData,
+  calculateXirr,
+  calculateAbsoluteReturn,
+} from "../../utils/nav/index.js";
+
+/**
+ * Replay cashflows into a benchmark index
+ *
+ * @param {Array} cashflows - Fund cashflows { date, amount, type } (amounts positive)
+ * @param {Object} series - Index values { "YYYY-MM": value }
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object|null} { invested, currentValue, totalRedeemed,
+ *   absoluteReturnPercent, xirr, flows } or null if the index doesn't
+ *   cover the cashflow dates
+ */
+export function replayIntoBenchmark(cashflows, series, asOfKey) {
+  const normalized = normalizeNavData(series || {});
+  const keys = Object.keys(normalized).sort();
+  if (keys.length === 0 || cashflows.length === 0) {
+    return null;
+  }
+
+  const sorted = [...cashflows].sort(
+    (a, b) => a.date.getTime() - b.date.getTime()
+  );
+  const firstKey = dateToKey(sorted[0].date);
+
+  // Can't price cashflows before the index series starts
+  if (firstKey < keys[0] || asOfKey < keys[0]) {
+    return null;
+  }
+
+  const filled = fillMissingNavData(normalized, keys[0], asOfKey);
+
+  let units = 0;
+  let invested = 0;
+  let totalRedeemed = 0;
+  const flows = [];
+
+  for (const cf of sorted) {
+    if (cf.type === "dividend" || cf.type === "reinvestment") continue;
+
+    const value = filled[dateToKey(cf.date)];
+    if (!value || value <= 0) continue;
+
+    if (cf.type === "redemption" || cf.type === "transfer_out") {
+      const unitsSold = Math.min(cf.amount / value, units);
+      const proceeds = unitsSold * value;
+      units -= unitsSold;
+      totalRedeemed += proceeds;
+      flows.push({ date: cf.date, amount: proceeds });
+    } else {
+      units += cf.amount / value;
+      invested += cf.amount;
+      flows.push({ date: cf.date, amount: -cf.amount });
+    }
+  }
+
+  if (invested === 0) {
+    return null;
+  }
+
+  const currentValue = units * filled[asOfKey];
+  const xirr = safeXirr(flows, asOfKey, currentValue);
+
+  return {
+    invested,
+    currentValue,
+    totalRedeemed,
+    absoluteReturnPercent: calculateAbsoluteReturn(
+      invested,
+      currentValue + totalRedeemed
+    ),
+    xirr,
+    flows,
+  };
+}
+
+/**
+ * Compare a fund result with its benchmark
+ *
+ * @param {Object} fundResult - Fund performance (with cashflows, xirr, totals)
+ * @param {Object} benchmark - { indexName, series }
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object|null} Benchmark block for fundPerformance; `flows`
+ *   (the replayed XIRR cashflows) is for the portfolio summary only
+ */
+export function compareWithBenchmark(fundResult, benchmark, asOfKey) {
+  if (!benchmark || !benchmark.series) {
+    return null;
+  }
+
+  const replay = replayIntoBenchmark(
+    fundResult.cashflows,
+    benchmark.series,
+    asOfKey
+  );
+  if (!replay) {
+    return null;
+  }
+
+  const fundTotal =
+    fundResult.currentValue +
+    fundResult.totalRedeemed +
+    (fundResult.dividendIncome || 0);
+  const benchmarkTotal = replay.currentValue + replay.totalRedeemed;
+
+  return {
+    name: benchmark.indexName,
+    currentValue: roundTo(replay.currentValue, 2),
+    totalRedeemed: roundTo(replay.totalRedeemed, 2),
+    absoluteReturnPercent: roundTo(replay.absoluteReturnPercent, 2),
+    xirr: replay.xirr,
+    excessReturn: roundTo(fundTotal - benchmarkTotal, 2),
+    excessReturnPercent: roundTo(
+      fundResult.absoluteReturnPercent - replay.absoluteReturnPercent,
+      2
+    ),
+    alpha:
+      fundResult.xirr !== null && replay.xirr !== null
+        ? roundTo(fundResult.xirr - replay.xirr, 2)
+        : null,
+    beatBenchmark: fundTotal >= benchmarkTotal,
+    flows: replay.flows,
+  };
+}
+
+/**
+ * Portfolio-level benchmark summary from per-fund comparisons
+ * Only funds with a benchmark are included
+ *
+ * @param {Array} fundPerformance - Fund results with .benchmark attached
+ * @param {Array} benchmarkFlows - Replayed cashflows of those funds
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object|null} Summary block or null if no fund has a benchmark
+ */
+export function summarizeBenchmarks(fundPerformance, benchmarkFlows, asOfKey) {
+  const compared = fundPerformance.filter((fund) => fund.benchmark);
+  if (compared.length === 0) {
+    return null;
+  }
+
+  const sum = (getter) => compared.reduce((total, f) => total + getter(f), 0);
+
+  const fundTotal = sum(
+    (f) => f.currentValue + f.totalRedeemed + (f.dividendIncome || 0)
+  );
+  const benchmarkTotal = sum(
+    (f) => f.benchmark.currentValue + f.benchmark.totalRedeemed
+  );
+  const invested = sum((f) => f.totalInvested);
+
+  // XIRR of the compared funds only, so both sides cover the same money
+  const fundFlows = compared.flatMap((f) =>
+    f.cashflows
+      .filter((cf) => cf.type !== "reinvestment")
+      .map((cf) => ({
+        date: cf.date,
+        amount: ["redemption", "dividend", "transfer_out"].includes(cf.type)
+          ? cf.amount
+          : -cf.amount,
+      }))
+  );
+  const fundXirr = safeXirr(fundFlows, asOfKey, sum((f) => f.currentValue));
+  const xirr = safeXirr(
+    benchmarkFlows,
+    asOfKey,
+    sum((f) => f.benchmark.currentValue)
+  );
+
+  return {
+    fundsCompared: compared.length,
+    fundsBeatingBenchmark: compared.filter((f) => f.benchmark.beatBenchmark)
+      .length,
+    invested: roundTo(invested, 2),
+    fundValue: roundTo(fundTotal, 2),
+    benchmarkValue: roundTo(benchmarkTotal, 2),
+    excessReturn: roundTo(fundTotal - benchmarkTotal, 2),
+    fundXirr,
+    xirr,
+    alpha:
+      fundXirr !== null && xirr !== null ? roundTo(fundXirr - xirr, 2) : null,
+  };
+}
+
+/**
+ * XIRR with the value held at asOfKey as the final inflow
+ * Returns null instead of throwing
+ */
+function safeXirr(flows, asOfKey, finalValue) {
+  try {
+    return calculateXirr([
+      ...flows,
+      { date: keyToDate(asOfKey), amount: finalValue },
+    ]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+/**
+ * Fetch benchmark series for the given funds
+ * Returns map of fundName -> { indexName, series }
+ *
+ * @param {Object} fundMetadata - Map of fundName -> FundReference data
+ */
+export async function fetchBenchmarkData(fundMetadata) {
+  const indexByFund = {};
+  for (const [fundName, meta] of Object.entries(fundMetadata || {})) {
+    if (meta?.benchmark) {
+      indexByFund[fundName] = meta.benchmark;
+    }
+  }
+
+  const indexNames = [...new Set(Object.values(indexByFund))];
+  if (indexNames.length === 0) {
+    return {};
+  }
+
+  const seriesByIndex = await BenchmarkIndex.getMultipleIndexSeries(indexNames);
+
+  const result = {};
+  for (const [fundName, indexName] of Object.entries(indexByFund)) {
+    if (seriesByIndex[indexName]) {
+      result[fundName] = { indexName, series: seriesByIndex[indexName] };
+    }
+  }
+
+  return result;
+}
+
+export default {
+  replayIntoBenchmark,
+  compareWithBenchmark,
+  summarizeBenchmarks,
+  fetchBenchmarkData,
+};
@@ -2,22 +2,58 @@
  * Diversification Analysis Service
  *
  * Analyzes portfolio diversification using:
- * - FundReference: Fund metadata (category, asset type)
+ * - FundReference: Fund metadata (category, asset type); fixed deposits
+ *   come in as Debt (withDepositMetadata)
  * - HoldingTemplate: Category-level sector/market cap exposure
+ * - FundHolding: Stock-level disclosures (template typicalHoldings
+ *   stand in for funds without one)
+ * - SecurityReference: sector / market cap of stocks held directly
+ *   (fetchSecurityData metadata); a direct stock is 100% itself, so
+ *   it adds to the same look-through exposure as the funds holding it
+ * - PPF / EPF come in as Debt and NPS as Hybrid or Debt
+ *   (fetchSchemeData metadata)
+ * - Real estate, gold and other manually valued assets come in under
+ *   their own asset type (withManualAssetMetadata)
+ *
+ * Funds are weighted by current market value (from the performance
+ * stage) when available, else by money invested. Allocation is also
+ * reported on both bases side by side.
  *
  * Outputs:
  * - Asset allocation breakdown
  * - Category distribution
  * - Sector exposure (aggregated)
  * - Market cap exposure
+ * - Pairwise fund overlap and look-through stock exposure
  * - Overlap/concentration warnings
  *
- * ⚠️ This service does NOT use NAV data
+ * ⚠️ This service does NOT use NAV data (only the valuation month)
  * ⚠️ No Express/controller logic here
  */
 
 import FundReference from "../../models/FundReferenceModel.js";
 import HoldingTemplate from "../../models/HoldingTemplateModel.js";
+import FundHolding from "../../models/FundHoldingModel.js";
+import {
+  monthYearToKey,
+  getCurrentMonthKey,
+  sumSipContributions,
+} from "../../utils/nav/index.js";
+import { isFixedDeposit } from "./fixedDeposit.service.js";
+import { isSecurity } from "./security.service.js";
+import {
+  isRetirementScheme,
+  toSchemeFund,
+} from "./retirementScheme.service.js";
+import { isManualAsset, getPurchaseKey } from "./manualAsset.service.js";
+
+// Assumed weight (% of fund) of each template typicalHoldings name -
+// templates list representative top holdings without weights
+const TEMPLATE_HOLDING_WEIGHT = 5;
+
+// Overlap thresholds (%)
+const HIGH_FUND_OVERLAP = 50;
+const HIGH_STOCK_EXPOSURE = 10;
 
 /**
  * Analyze portfolio diversification
@@ -25,10 +61,21 @@ import HoldingTemplate from "../../models/HoldingTemplateModel.js";
  * @param {Array} funds - Portfolio funds array from portfolio model
  * @param {Object} fundMetadata - Map of fundName -> FundReference data
  * @param {Object} templates - Map of templateKey -> HoldingTemplate data
+ * @param {Object} [options] - { asOfKey, holdings, currentValues, weightBy }
+ *   asOfKey: "YYYY-MM" valuation month (defaults to the current month)
+ *   holdings: map of fundName -> { asOf, holdings } (fetchFundHoldings)
+ *   currentValues: map of fundName -> market value (performance stage)
+ *   weightBy: "marketValue" (default when currentValues given) | "cost"
  * @returns {Object} Diversification analysis results
  */
-export function analyzeDiversification(funds, fundMetadata, templates) {
+export function analyzeDiversification(
+  funds,
+  fundMetadata,
+  templates,
+  options = {}
+) {
   const results = {
+    weightBasis: "cost",
     assetAllocation: {},
     categoryDistribution: {},
     sectorExposure: {},
@@ -37,46 +84,161 @@ export function analyzeDiversification(funds, fundMetadata, templates) {
       MidCap: 0,
       SmallCap: 0,
     },
+    allocationByCost: null,
+    allocationByMarketValue: null,
+    fundWeights: [],
     fundCount: funds.length,
+    fundOverlap: [],
+    stockExposure: [],
+    stockOverlap: [],
+    holdingsSource: {},
     warnings: [],
     concentrationRisks: [],
   };
 
-  // Calculate total invested for weighting
-  let totalInvested = 0;
+  // Money invested (cost) and market value per fund
+  const asOfKey = options.asOfKey || getCurrentMonthKey();
+  const currentValues = options.currentValues || null;
   const fundInvestments = [];
 
   for (const fund of funds) {
-    const invested = calculateFundInvestment(fund);
-    totalInvested += invested;
+    const invested = calculateFundInvestment(fund, asOfKey);
+    const marketValue = currentValues?.[fund.assetName];
+    const meta = fundMetadata[fund.assetName];
+
+    if (meta?.isSecurity && !meta.hasReference) {
+      results.warnings.push(
+        `${fund.assetName}: ${meta.symbol} not in security reference data` +
+          (meta.securityType === "Stock" ? ", sector unknown" : "")
+      );
+    }
+
+    if (currentValues && marketValue === undefined && invested > 0) {
+      results.warnings.push(
+        `${fund.assetName}: no current value, weighted at cost`
+      );
+    }
+
     fundInvestments.push({
       ...fund,
       invested,
+      marketValue: marketValue ?? invested,
     });
   }
 
-  if (totalInvested === 0) {
+  const totalInvested = sumOf(fundInvestments, (f) => f.invested);
+  const totalMarketValue = sumOf(fundInvestments, (f) => f.marketValue);
+
+  results.weightBasis =
+    currentValues && options.weightBy !== "cost" && totalMarketValue > 0
+      ? "marketValue"
+      : "cost";
+
+  const totalWeight =
+    results.weightBasis === "marketValue" ? totalMarketValue : totalInvested;
+
+  if (totalWeight === 0) {
     results.warnings.push("No investments found in portfolio");
     return results;
   }
 
-  // Process each fund
   for (const fund of fundInvestments) {
-    const weight = fund.invested / totalInvested;
+    fund.weight =
+      (results.weightBasis === "marketValue"
+        ? fund.marketValue
+        : fund.invested) / totalWeight;
+  }
+
+  Object.assign(
+    results,
+    aggregateExposure(fundInvestments, fundMetadata, templates)
+  );
+
+  // Both bases side by side (a fund that doubled weighs more by value)
+  results.allocationByCost = pickAllocation(
+    aggregateExposure(
+      withWeights(fundInvestments, (f) => f.invested, totalInvested),
+      fundMetadata,
+      templates
+    )
+  );
+  if (currentValues && totalMarketValue > 0) {
+    results.allocationByMarketValue = pickAllocation(
+      aggregateExposure(
+        withWeights(fundInvestments, (f) => f.marketValue, totalMarketValue),
+        fundMetadata,
+        templates
+      )
+    );
+  }
+
+  results.fundWeights = fundInvestments.map((fund) => ({
+    fundName: fund.assetName,
+    invested: roundTo(fund.invested, 2),
+    marketValue: currentValues ? roundTo(fund.marketValue, 2) : null,
+    costWeight:
+      totalInvested > 0 ? roundTo((fund.invested / totalInvested) * 100, 2) : 0,
+    marketValueWeight:
+      currentValues && totalMarketValue > 0
+        ? roundTo((fund.marketValue / totalMarketValue) * 100, 2)
+        : null,
+  }));
+
+  // Stock-level overlap and look-through exposure
+  Object.assign(
+    results,
+    analyzeHoldingsOverlap(
+      fundInvestments,
+      fundMetadata,
+      templates,
+      options.holdings || {}
+    )
+  );
+
+  // Analyze for warnings and concentration risks
+  analyzeConcentrationRisks(results, fundInvestments);
+
+  return results;
+}
+
+/**
+ * Asset, category, sector and market cap exposure for weighted funds
+ *
+ * @param {Array} fundInvestments - Funds with weight (fraction of total)
+ * @returns {Object} { assetAllocation, categoryDistribution,
+ *   sectorExposure, marketCapExposure } in %
+ */
+function aggregateExposure(fundInvestments, fundMetadata, templates) {
+  const assetAllocation = {};
+  const categoryDistribution = {};
+  const sectorExposure = {};
+  const marketCapExposure = { LargeCap: 0, MidCap: 0, SmallCap: 0 };
+
+  for (const fund of fundInvestments) {
+    const weight = fund.weight;
     const meta = fundMetadata[fund.assetName];
 
     if (!meta) {
       // Fund not in reference data - use generic allocation
-      addToAllocation(results.assetAllocation, "Other", weight);
-      addToAllocation(results.categoryDistribution, "Unclassified", weight);
+      addToAllocation(assetAllocation, "Other", weight);
+      addToAllocation(categoryDistribution, "Unclassified", weight);
       continue;
     }
 
     // Asset allocation
-    addToAllocation(results.assetAllocation, meta.assetType, weight);
+    addToAllocation(assetAllocation, meta.assetType, weight);
 
     // Category distribution
-    addToAllocation(results.categoryDistribution, meta.category, weight);
+    addToAllocation(categoryDistribution, meta.category, weight);
+
+    // Stocks held directly: all of it in one sector / market cap
+    if (meta.securityType === "Stock") {
+      addToAllocation(sectorExposure, meta.sector || "Others", weight);
+      if (meta.marketCap) {
+        marketCapExposure[meta.marketCap] += weight;
+      }
+      continue;
+    }
 
     // Get holding template for sector/market cap exposure
     const template = meta.holdingTemplateKey
@@ -90,57 +252,91 @@ export function analyzeDiversification(funds, fundMetadata, templates) {
           template.sectorExposure
         )) {
           const weightedExposure = (exposure / 100) * weight;
-          addToAllocation(results.sectorExposure, sector, weightedExposure);
+          addToAllocation(sectorExposure, sector, weightedExposure);
         }
       }
 
       // Aggregate market cap exposure
       if (template.marketCapExposure) {
-        results.marketCapExposure.LargeCap +=
-          ((template.marketCapExposure.LargeCap || 0) / 100) * weight;
-        results.marketCapExposure.MidCap +=
-          ((template.marketCapExposure.MidCap || 0) / 100) * weight;
-        results.marketCapExposure.SmallCap +=
-          ((template.marketCapExposure.SmallCap || 0) / 100) * weight;
+        for (const cap of Object.keys(marketCapExposure)) {
+          marketCapExposure[cap] +=
+            ((template.marketCapExposure[cap] || 0) / 100) * weight;
+        }
       }
     }
   }
 
   // Convert to percentages
-  results.assetAllocation = toPercentages(results.assetAllocation);
-  results.categoryDistribution = toPercentages(results.categoryDistribution);
-  results.sectorExposure = toPercentages(results.sectorExposure);
-  results.marketCapExposure = {
-    LargeCap: roundTo(results.marketCapExposure.LargeCap * 100, 2),
-    MidCap: roundTo(results.marketCapExposure.MidCap * 100, 2),
-    SmallCap: roundTo(results.marketCapExposure.SmallCap * 100, 2),
+  return {
+    assetAllocation: toPercentages(assetAllocation),
+    categoryDistribution: toPercentages(categoryDistribution),
+    sectorExposure: toPercentages(sectorExposure),
+    marketCapExposure: toPercentages(marketCapExposure),
   };
+}
 
-  // Analyze for warnings and concentration risks
-  analyzeConcentrationRisks(results, fundInvestments, totalInvested);
+/**
+ * Copy of the funds re-weighted by another measure
+ */
+function withWeights(fundInvestments, getValue, total) {
+  return fundInvestments.map((fund) => ({
+    ...fund,
+    weight: total > 0 ? getValue(fund) / total : 0,
+  }));
+}
 
-  return results;
+function pickAllocation({ assetAllocation, categoryDistribution }) {
+  return { assetAllocation, categoryDistribution };
 }
 
 /**
  * Calculate total investment for a fund (SIPs + Lumpsums)
  * This is a simplified calculation for weighting purposes
+ * Only money invested up to the valuation month is counted
  */
-function calculateFundInvestment(fund) {
+function calculateFundInvestment(fund, asOfKey) {
   let total = 0;
 
-  // Sum all SIP contributions
+  // Fixed deposits: the principal, once deposited
+  if (isFixedDeposit(fund)) {
+    const deposit = fund.fixedDeposit;
+    return monthYearToKey(deposit.startYear, deposit.startMonth) <= asOfKey
+      ? deposit.principal
+      : 0;
+  }
+
+  // Stocks / ETFs: cost of the buys
+  if (isSecurity(fund)) {
+    return fund.security.buys
+      .filter((buy) => monthYearToKey(buy.year, buy.month) <= asOfKey)
+      .reduce((sum, buy) => sum + buy.shares * buy.price, 0);
+  }
+
+  // Real estate / gold / other: the purchase cost, once bought
+  if (isManualAsset(fund)) {
+    return getPurchaseKey(fund.manualAsset) <= asOfKey
+      ? fund.manualAsset.purchaseCost
+      : 0;
+  }
+
+  // PPF / EPF: contributions, summed like SIPs and lumpsums
+  if (isRetirementScheme(fund)) {
+    fund = toSchemeFund(fund);
+  }
+
+  // Sum all SIP contributions (step-ups and pauses applied)
   if (fund.sips && fund.sips.length > 0) {
     for (const sip of fund.sips) {
-      const months = calculateSipMonths(sip);
-      total += sip.amount * months;
+      total += sumSipContributions(sip, asOfKey);
     }
   }
 
   // Sum all lumpsums
   if (fund.lumpsums && fund.lumpsums.length > 0) {
     for (const lumpsum of fund.lumpsums) {
-      total += lumpsum.amount;
+      if (monthYearToKey(lumpsum.year, lumpsum.month) <= asOfKey) {
+        total += lumpsum.amount;
+      }
     }
   }
 
@@ -148,29 +344,190 @@ function calculateFundInvestment(fund) {
 }
 
 /**
- * Calculate number of SIP months
- * Uses NAV cutoff date (Dec 2024) for ongoing SIPs
+ * Stock holdings used for a fund: its latest disclosure, else the
+ * category template's typical holdings at an assumed weight.
+ * A stock held directly is a single holding of itself.
+ *
+ * @returns {Object} { source: "disclosure" | "template" | "direct" |
+ *   "none", holdings }
  */
-function calculateSipMonths(sip) {
-  const NAV_CUTOFF_YEAR = 2024;
-  const NAV_CUTOFF_MONTH = 12;
+function resolveFundHoldings(fundName, fundMetadata, templates, holdingsMap) {
+  const meta = fundMetadata[fundName];
+  if (meta?.securityType === "Stock") {
+    return {
+      source: "direct",
+      holdings: [
+        { stockName: meta.stockName, isin: meta.isin, weight: 100 },
+      ],
+    };
+  }
 
-  const startDate = new Date(sip.startYear, sip.startMonth - 1, 1);
+  const disclosed = holdingsMap[fundName];
+  if (disclosed?.holdings?.length > 0) {
+    return {
+      source: "disclosure",
+      asOf: disclosed.asOf,
+      holdings: disclosed.holdings,
+    };
+  }
 
-  let endDate;
-  if (sip.isOngoing) {
-    endDate = new Date(NAV_CUTOFF_YEAR, NAV_CUTOFF_MONTH - 1, 1);
-  } else {
-    endDate = new Date(sip.endYear, sip.endMonth - 1, 1);
+  const templateKey = fundMetadata[fundName]?.holdingTemplateKey;
+  const typical = templateKey ? templates[templateKey]?.typicalHoldings : null;
+  if (typical?.length > 0) {
+    return {
+      source: "template",
+      holdings: typical.map((stockName) => ({
+        stockName,
+        isin: null,
+        weight: TEMPLATE_HOLDING_WEIGHT,
+      })),
+    };
   }
 
-  // Calculate months between dates
-  const months =
-    (endDate.getFullYear() - startDate.getFullYear()) * 12 +
-    (endDate.getMonth() - startDate.getMonth()) +
-    1;
+  return { source: "none", holdings: [] };
+}
 
-  return Math.max(0, months);
+/**
+ * Stock name without "Ltd" / punctuation, for matching across funds
+ */
+function normalizeStockName(stockName) {
+  return stockName
+    .toLowerCase()
+    .replace(/\b(ltd|limited)\b\.?/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Pairwise fund overlap and look-through stock exposure
+ *
+ * Overlap of two funds = sum over common stocks of the smaller weight.
+ * Look-through exposure = sum over funds of fund weight × stock weight.
+ *
+ * @returns {Object} { fundOverlap, stockExposure, stockOverlap, holdingsSource }
+ */
+function analyzeHoldingsOverlap(
+  fundInvestments,
+  fundMetadata,
+  templates,
+  holdingsMap
+) {
+  const holdingsSource = {};
+  const fundStocks = [];
+
+  // Match by ISIN where any disclosure gives one for the name,
+  // so template names line up with disclosed holdings
+  const isinByName = {};
+  for (const { holdings } of Object.values(holdingsMap)) {
+    for (const holding of holdings || []) {
+      if (holding.isin) {
+        isinByName[normalizeStockName(holding.stockName)] = holding.isin;
+      }
+    }
+  }
+  const stockKey = (holding) => {
+    const name = normalizeStockName(holding.stockName);
+    return holding.isin || isinByName[name] || name;
+  };
+
+  for (const fund of fundInvestments) {
+    const resolved = resolveFundHoldings(
+      fund.assetName,
+      fundMetadata,
+      templates,
+      holdingsMap
+    );
+    holdingsSource[fund.assetName] = {
+      source: resolved.source,
+      asOf: resolved.asOf || null,
+    };
+    if (resolved.holdings.length === 0) continue;
+
+    const stocks = new Map();
+    for (const holding of resolved.holdings) {
+      const key = stockKey(holding);
+      const existing = stocks.get(key);
+      stocks.set(key, {
+        stockName: existing?.stockName || holding.stockName,
+        weight: (existing?.weight || 0) + holding.weight,
+      });
+    }
+
+    fundStocks.push({
+      fundName: fund.assetName,
+      source: resolved.source,
+      fundWeight: fund.weight,
+      stocks,
+    });
+  }
+
+  // Pairwise overlap (between funds; a direct stock is not a basket)
+  const fundOverlap = [];
+  for (let i = 0; i < fundStocks.length; i++) {
+    for (let j = i + 1; j < fundStocks.length; j++) {
+      const a = fundStocks[i];
+      const b = fundStocks[j];
+      if (a.source === "direct" || b.source === "direct") continue;
+      let overlap = 0;
+      const commonStocks = [];
+
+      for (const [key, stock] of a.stocks) {
+        const other = b.stocks.get(key);
+        if (other) {
+          overlap += Math.min(stock.weight, other.weight);
+          commonStocks.push(stock.stockName);
+        }
+      }
+
+      if (commonStocks.length > 0) {
+        fundOverlap.push({
+          fundA: a.fundName,
+          fundB: b.fundName,
+          overlapPercent: roundTo(overlap, 2),
+          commonStocks,
+          estimated: a.source === "template" || b.source === "template",
+        });
+      }
+    }
+  }
+  fundOverlap.sort((x, y) => y.overlapPercent - x.overlapPercent);
+
+  // Look-through exposure
+  const exposure = new Map();
+  for (const fund of fundStocks) {
+    for (const [key, stock] of fund.stocks) {
+      const entry = exposure.get(key) || {
+        stock: stock.stockName,
+        exposure: 0,
+        funds: [],
+      };
+      entry.exposure += fund.fundWeight * stock.weight;
+      entry.funds.push(fund.fundName);
+      exposure.set(key, entry);
+    }
+  }
+
+  const stockExposure = [...exposure.values()]
+    .map((entry) => ({
+      stock: entry.stock,
+      exposure: roundTo(entry.exposure, 2),
+      funds: entry.funds,
+    }))
+    .sort((x, y) => y.exposure - x.exposure);
+
+  // Stocks held by more than one fund (OverlapVisualization shape)
+  const stockOverlap = stockExposure
+    .filter((entry) => entry.funds.length > 1)
+    .map((entry) => ({
+      stock: entry.stock,
+      fundsHolding: entry.funds.length,
+      totalFunds: fundStocks.length,
+      combinedExposure: entry.exposure,
+      severity:
+        entry.exposure >= 5 ? "high" : entry.exposure >= 2 ? "moderate" : "low",
+    }));
+
+  return { fundOverlap, stockExposure, stockOverlap, holdingsSource };
 }
 
 /**
@@ -196,8 +553,9 @@ function toPercentages(allocation) {
 
 /**
  * Analyze portfolio for concentration risks
+ * Fund weights follow results.weightBasis (market value by default)
  */
-function analyzeConcentrationRisks(results, fundInvestments, totalInvested) {
+function analyzeConcentrationRisks(results, fundInvestments) {
   // Check for over-concentration in single asset type
   for (const [assetType, percentage] of Object.entries(
     results.assetAllocation
@@ -251,9 +609,33 @@ function analyzeConcentrationRisks(results, fundInvestments, totalInvested) {
     }
   }
 
+  // Check for heavy look-through exposure to a single stock
+  for (const { stock, exposure } of results.stockExposure) {
+    if (exposure > HIGH_STOCK_EXPOSURE) {
+      results.warnings.push(
+        `${stock} makes up ${exposure}% of portfolio across funds`
+      );
+      results.concentrationRisks.push({
+        type: "stock_concentration",
+        asset: stock,
+        percentage: exposure,
+        severity: exposure > 15 ? "high" : "medium",
+      });
+    }
+  }
+
+  // Check for funds holding largely the same stocks
+  for (const pair of results.fundOverlap) {
+    if (pair.overlapPercent > HIGH_FUND_OVERLAP) {
+      results.warnings.push(
+        `${pair.fundA} and ${pair.fundB} share ${pair.overlapPercent}% of holdings`
+      );
+    }
+  }
+
   // Check for single fund dominance
   for (const fund of fundInvestments) {
-    const fundPercentage = (fund.invested / totalInvested) * 100;
+    const fundPercentage = fund.weight * 100;
     if (fundPercentage > 40) {
       results.warnings.push(
         `Single fund ${fund.assetName} represents ${roundTo(
@@ -278,6 +660,10 @@ function analyzeConcentrationRisks(results, fundInvestments, totalInvested) {
   }
 }
 
+function sumOf(items, getValue) {
+  return items.reduce((sum, item) => sum + getValue(item), 0);
+}
+
 /**
  * Round number to decimal places
  */
@@ -325,8 +711,20 @@ export async function fetchHoldingTemplates() {
   return templateMap;
 }
 
+/**
+ * Fetch latest stock holdings disclosure per fund
+ * Returns map of fundName -> { asOf, holdings }
+ *
+ * @param {Array<string>} fundNames - Fund names
+ * @param {string} [asOfKey] - Ignore disclosures after this month
+ */
+export async function fetchFundHoldings(fundNames, asOfKey = null) {
+  return FundHolding.getLatestHoldings(fundNames, asOfKey);
+}
+
 export default {
   analyzeDiversification,
   fetchFundMetadata,
   fetchHoldingTemplates,
+  fetchFundHoldings,
 };
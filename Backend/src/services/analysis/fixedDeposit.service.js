@@ -0,0 +1,240 @@
+/**
+ * Fixed Deposit Service
+ *
+ * Values bank fixed deposits ("FD" holdings) from their terms:
+ * principal, annual rate, compounding frequency, start month, tenure.
+ *
+ * - Interest compounds at the end of each completed period; the running
+ *   period accrues as simple interest
+ * - The accrued value of ₹1 of principal stands in for a NAV, so
+ *   performance.service values FDs like any fund: the deposit is a
+ *   lumpsum and maturity a redemption of every unit
+ * - Allocation counts FDs as Debt (category "Fixed Deposit")
+ *
+ * ⚠️ Cumulative FDs only - interest is paid out at maturity
+ * ⚠️ Monthly granularity: deposits start and mature with the month
+ * ⚠️ No Express/controller logic here
+ */
+
+import {
+  monthYearToKey,
+  addMonths,
+  monthsBetween,
+  generateMonthRange,
+  parseKey,
+} from "../../utils/nav/index.js";
+
+// Interest periods per year for each compounding frequency
+export const COMPOUNDING_PERIODS = {
+  monthly: 12,
+  quarterly: 4,
+  half_yearly: 2,
+  yearly: 1,
+};
+
+export const FIXED_DEPOSIT_CATEGORY = "Fixed Deposit";
+
+/**
+ * Whether a portfolio fund entry is a fixed deposit with its terms
+ */
+export function isFixedDeposit(fund) {
+  return fund.assetType === "FD" && Boolean(fund.fixedDeposit);
+}
+
+/**
+ * Start and maturity months of a deposit
+ * @returns {Object} { startKey, maturityKey }
+ */
+export function getDepositPeriod(deposit) {
+  const startKey = monthYearToKey(deposit.startYear, deposit.startMonth);
+  return {
+    startKey,
+    maturityKey: addMonths(startKey, deposit.tenureMonths),
+  };
+}
+
+/**
+ * Value of ₹1 of principal after a number of months
+ * Capped at the tenure - nothing accrues after maturity
+ *
+ * @param {Object} deposit - { rate, compounding, tenureMonths }
+ * @param {number} months - Months since the deposit started
+ * @returns {number} Accrual factor (1 at the start)
+ */
+export function getAccrualFactor(deposit, months) {
+  const periodsPerYear = COMPOUNDING_PERIODS[deposit.compounding] || 4;
+  const periodRate = deposit.rate / 100 / periodsPerYear;
+  const monthsPerPeriod = 12 / periodsPerYear;
+
+  const elapsed = Math.min(Math.max(months, 0), deposit.tenureMonths);
+  const periods = Math.floor(elapsed / monthsPerPeriod);
+  const partial = (elapsed - periods * monthsPerPeriod) / monthsPerPeriod;
+
+  return Math.pow(1 + periodRate, periods) * (1 + periodRate * partial);
+}
+
+/**
+ * Effective annual yield of a deposit (%)
+ */
+export function getEffectiveYield(deposit) {
+  const periodsPerYear = COMPOUNDING_PERIODS[deposit.compounding] || 4;
+  return (
+    (Math.pow(1 + deposit.rate / 100 / periodsPerYear, periodsPerYear) - 1) *
+    100
+  );
+}
+
+/**
+ * Monthly "NAV" of a deposit: accrued value of ₹1 of principal
+ * from its start month to maturity (or untilKey, if earlier)
+ *
+ * @param {Object} deposit - Fixed deposit terms
+ * @param {string} untilKey - Last month to generate (YYYY-MM)
+ * @returns {Object} { "YYYY-MM": factor } - empty if not started yet
+ */
+export function buildDepositNav(deposit, untilKey) {
+  const { startKey, maturityKey } = getDepositPeriod(deposit);
+  const endKey = maturityKey < untilKey ? maturityKey : untilKey;
+  if (startKey > endKey) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    generateMonthRange(startKey, endKey).map((month) => [
+      month,
+      getAccrualFactor(deposit, monthsBetween(startKey, month)),
+    ])
+  );
+}
+
+/**
+ * NAV series for every fixed deposit of a portfolio
+ *
+ * @param {Array} funds - Portfolio funds array
+ * @param {string} untilKey - Last month to generate (YYYY-MM)
+ * @returns {Object} Map of fundName -> { "YYYY-MM": factor }
+ */
+export function buildDepositNavMap(funds, untilKey) {
+  const navMap = {};
+  for (const fund of funds) {
+    if (isFixedDeposit(fund)) {
+      navMap[fund.assetName] = buildDepositNav(fund.fixedDeposit, untilKey);
+    }
+  }
+  return navMap;
+}
+
+/**
+ * Cashflows of a deposit in portfolio fund format: the principal as a
+ * lumpsum (₹1 a unit) and, once matured, a redemption of every unit
+ *
+ * @param {Object} fund - FD fund entry
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object} Fund entry with lumpsums / redemptions
+ */
+export function toDepositFund(fund, asOfKey) {
+  const deposit = fund.fixedDeposit;
+  const { maturityKey } = getDepositPeriod(deposit);
+  const maturity = parseKey(maturityKey);
+
+  return {
+    ...fund,
+    sips: [],
+    lumpsums: [
+      {
+        amount: deposit.principal,
+        month: deposit.startMonth,
+        year: deposit.startYear,
+      },
+    ],
+    redemptions:
+      maturityKey <= asOfKey
+        ? [
+            {
+              units: deposit.principal,
+              month: maturity.month,
+              year: maturity.year,
+            },
+          ]
+        : [],
+  };
+}
+
+/**
+ * Terms, accrued interest and maturity of a deposit as of a month
+ *
+ * @param {Object} deposit - Fixed deposit terms
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object} Deposit summary for fund results
+ */
+export function describeDeposit(deposit, asOfKey) {
+  const { startKey, maturityKey } = getDepositPeriod(deposit);
+  const isMatured = maturityKey <= asOfKey;
+  const elapsed = isMatured
+    ? deposit.tenureMonths
+    : Math.max(monthsBetween(startKey, asOfKey), 0);
+
+  const maturityAmount =
+    deposit.principal * getAccrualFactor(deposit, deposit.tenureMonths);
+  const accruedValue = deposit.principal * getAccrualFactor(deposit, elapsed);
+
+  return {
+    principal: deposit.principal,
+    rate: deposit.rate,
+    compounding: deposit.compounding,
+    effectiveYield: roundTo(getEffectiveYield(deposit), 2),
+    tenureMonths: deposit.tenureMonths,
+    startMonth: startKey,
+    maturityMonth: maturityKey,
+    maturityAmount: roundTo(maturityAmount, 2),
+    accruedInterest: roundTo(accruedValue - deposit.principal, 2),
+    monthsToMaturity: isMatured ? 0 : monthsBetween(asOfKey, maturityKey),
+    status: isMatured ? "matured" : "active",
+  };
+}
+
+/**
+ * Add reference data for fixed deposits (they have no FundReference)
+ * so allocation, tax and projections treat them as Debt
+ *
+ * @param {Object} fundMetadata - Map of fundName -> FundReference data
+ * @param {Array} funds - Portfolio funds array
+ * @returns {Object} fundMetadata with an entry per fixed deposit
+ */
+export function withDepositMetadata(fundMetadata, funds) {
+  const metadata = { ...fundMetadata };
+  for (const fund of funds) {
+    if (isFixedDeposit(fund)) {
+      metadata[fund.assetName] = {
+        fundName: fund.assetName,
+        assetType: "Debt",
+        category: FIXED_DEPOSIT_CATEGORY,
+        holdingTemplateKey: null,
+        isFixedDeposit: true,
+      };
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  COMPOUNDING_PERIODS,
+  FIXED_DEPOSIT_CATEGORY,
+  isFixedDeposit,
+  getDepositPeriod,
+  getAccrualFactor,
+  getEffectiveYield,
+  buildDepositNav,
+  buildDepositNavMap,
+  toDepositFund,
+  describeDeposit,
+  withDepositMetadata,
+};
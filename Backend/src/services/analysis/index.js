@@ -6,6 +6,7 @@
 
 export {
   generateAnalysis,
+  analyzePortfolio,
   generateSampleAnalysis,
   validatePortfolioForAnalysis,
 } from "./analysis.service.js";
@@ -14,8 +15,74 @@ export {
   analyzeDiversification,
   fetchFundMetadata,
   fetchHoldingTemplates,
+  fetchFundHoldings,
 } from "./diversification.service.js";
 
-export { analyzePerformance, fetchNavData } from "./performance.service.js";
+export {
+  analyzePerformance,
+  fetchNavData,
+  fetchDividendData,
+} from "./performance.service.js";
+
+export {
+  compareWithBenchmark,
+  summarizeBenchmarks,
+  fetchBenchmarkData,
+} from "./benchmark.service.js";
+
+export { analyzeRisk, calculateSeriesRisk } from "./risk.service.js";
+
+export { buildTimeSeries } from "./timeSeries.service.js";
+
+export {
+  isFixedDeposit,
+  describeDeposit,
+  withDepositMetadata,
+} from "./fixedDeposit.service.js";
+
+export {
+  isSecurity,
+  describeSecurity,
+  fetchSecurityData,
+} from "./security.service.js";
+
+export {
+  isRetirementScheme,
+  describeScheme,
+  fetchSchemeData,
+} from "./retirementScheme.service.js";
+
+export {
+  isManualAsset,
+  describeManualAsset,
+  withManualAssetMetadata,
+} from "./manualAsset.service.js";
+
+export { loadPortfolioContext } from "./portfolioContext.service.js";
 
 export { buildInsights, buildReportData } from "./insightBuilder.service.js";
+
+export {
+  generateTaxReport,
+  calculateTax,
+  estimateSaleTax,
+  getFinancialYear,
+} from "./tax.service.js";
+
+export {
+  generateRebalancePlan,
+  planRebalance,
+} from "./rebalance.service.js";
+
+export {
+  generateProjection,
+  buildFundInputs,
+  simulateProjection,
+} from "./projection.service.js";
+
+export {
+  simulateAnalysis,
+  generateForkAnalysis,
+  applyPortfolioEdits,
+  diffAnalyses,
+} from "./simulation.service.js";
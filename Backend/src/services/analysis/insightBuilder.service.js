@@ -9,26 +9,78 @@
  * - Diversification insights
  * - Risk warnings
  * - Actionable recommendations
+ * - Suitability against the investor's risk profile (when one exists)
  *
  * ⚠️ Does NOT override demo disclaimers
  * ⚠️ No Express/controller logic here
  */
 
+import { checkSuitability } from "../profile/riskProfile.service.js";
+
+// Labels and "move it into" suggestion per checked asset / market cap
+const SUITABILITY_ASSETS = {
+  Equity: {
+    title: "Equity",
+    label: "equity",
+    over: "debt funds",
+    under: "equity funds",
+  },
+  Debt: {
+    title: "Debt",
+    label: "debt",
+    over: "equity funds",
+    under: "debt funds",
+  },
+  Gold: {
+    title: "Gold",
+    label: "gold",
+    over: "equity or debt funds",
+    under: "gold funds",
+  },
+  MidCap: {
+    title: "Mid Cap",
+    label: "mid cap",
+    over: "large cap or index funds",
+  },
+  SmallCap: {
+    title: "Small Cap",
+    label: "small cap",
+    over: "large cap or index funds",
+  },
+};
+
 /**
  * Build all insights from analysis results
  *
  * @param {Object} performance - Performance analysis results
  * @param {Object} diversification - Diversification analysis results
  * @param {Object} portfolio - Portfolio metadata
+ * @param {Object|null} [riskProfile] - Investor's stored risk profile
  * @returns {Object} Structured insights
  */
-export function buildInsights(performance, diversification, portfolio) {
+export function buildInsights(
+  performance,
+  diversification,
+  portfolio,
+  riskProfile = null
+) {
+  const suitability = checkSuitability(
+    riskProfile,
+    diversification.assetAllocation,
+    diversification.marketCapExposure
+  );
+
   const insights = {
     summary: buildSummaryInsight(performance, diversification, portfolio),
     performance: buildPerformanceInsights(performance),
     diversification: buildDiversificationInsights(diversification),
-    risks: buildRiskInsights(diversification, performance),
-    recommendations: buildRecommendations(diversification, performance),
+    risks: buildRiskInsights(diversification, performance, suitability),
+    recommendations: buildRecommendations(
+      diversification,
+      performance,
+      suitability
+    ),
+    suitability,
     highlights: [],
   };
 
@@ -261,7 +313,7 @@ function buildDiversificationInsights(diversification) {
 /**
  * Build risk insights
  */
-function buildRiskInsights(diversification, performance) {
+function buildRiskInsights(diversification, performance, suitability) {
   const insights = [];
   const { concentrationRisks, warnings } = diversification;
 
@@ -309,6 +361,18 @@ function buildRiskInsights(diversification, performance) {
     });
   }
 
+  // Allocation outside the investor's own profile
+  for (const mismatch of suitability?.mismatches || []) {
+    insights.push({
+      type: "profile_mismatch",
+      severity: mismatch.severity,
+      title: getMismatchTitle(mismatch),
+      description: getMismatchDescription(mismatch, suitability),
+      value: `${mismatch.actual}%`,
+      recommendation: getMismatchAction(mismatch),
+    });
+  }
+
   // No risks found
   if (insights.length === 0) {
     insights.push({
@@ -326,8 +390,10 @@ function buildRiskInsights(diversification, performance) {
 
 /**
  * Build recommendations
+ * With a risk profile, allocation advice comes from the suitability
+ * check instead of the fixed equity thresholds
  */
-function buildRecommendations(diversification, performance) {
+function buildRecommendations(diversification, performance, suitability) {
   const recommendations = [];
   const { assetAllocation, fundCount, concentrationRisks } = diversification;
   const { summary } = performance;
@@ -348,7 +414,17 @@ function buildRecommendations(diversification, performance) {
   const equityPercent = assetAllocation["Equity"] || 0;
   const debtPercent = assetAllocation["Debt"] || 0;
 
-  if (equityPercent > 85) {
+  if (suitability) {
+    for (const mismatch of suitability.mismatches) {
+      recommendations.push({
+        priority: mismatch.severity === "high" ? "high" : "medium",
+        category: "suitability",
+        title: getMismatchTitle(mismatch),
+        description: getMismatchDescription(mismatch, suitability),
+        action: getMismatchAction(mismatch),
+      });
+    }
+  } else if (equityPercent > 85) {
     recommendations.push({
       priority: "medium",
       category: "allocation",
@@ -360,7 +436,11 @@ function buildRecommendations(diversification, performance) {
     });
   }
 
-  if (equityPercent < 50 && summary.absoluteReturnPercent < 8) {
+  if (
+    !suitability &&
+    equityPercent < 50 &&
+    summary.absoluteReturnPercent < 8
+  ) {
     recommendations.push({
       priority: "low",
       category: "allocation",
@@ -584,6 +664,40 @@ function getRiskRecommendation(risk) {
   }
 }
 
+function getMismatchTitle(mismatch) {
+  const { title } = SUITABILITY_ASSETS[mismatch.asset];
+  return mismatch.status === "over"
+    ? `Too Much ${title} for Your Profile`
+    : `Too Little ${title} for Your Profile`;
+}
+
+function getMismatchDescription(mismatch, suitability) {
+  const { label } = SUITABILITY_ASSETS[mismatch.asset];
+  const target =
+    mismatch.type === "market_cap"
+      ? `at most ${mismatch.max}%`
+      : `${mismatch.min}-${mismatch.max}%`;
+
+  return `${mismatch.actual}% of your portfolio is in ${label}. For a ${
+    suitability.category
+  } investor${getInvestorContext(suitability)}, ${target} is suggested.`;
+}
+
+function getMismatchAction(mismatch) {
+  const asset = SUITABILITY_ASSETS[mismatch.asset];
+  return mismatch.status === "over"
+    ? `Consider moving about ${mismatch.gap}% of the portfolio from ${asset.label} into ${asset.over}.`
+    : `Consider adding about ${mismatch.gap}% of the portfolio to ${asset.under}.`;
+}
+
+// " aiming at preserving capital over less than 3 years"
+function getInvestorContext({ goal, horizon }) {
+  const parts = [];
+  if (goal) parts.push(` aiming at ${goal.toLowerCase()}`);
+  if (horizon) parts.push(` over ${horizon.toLowerCase()}`);
+  return parts.join("");
+}
+
 /**
  * Build report data structure
  * Formats data for report generation
@@ -634,6 +748,9 @@ export function buildReportData(
       risks: diversification.concentrationRisks,
     },
 
+    // Risk profile suitability (null without a profile)
+    suitabilityReport: insights.suitability,
+
     // Key Insights
     keyInsights: insights.highlights,
 
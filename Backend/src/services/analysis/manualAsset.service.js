@@ -0,0 +1,283 @@
+/**
+ * Manually Valued Asset Service
+ *
+ * Values holdings with no price feed ("Real Estate", "Gold" jewellery /
+ * coins, "Other") from what the user records: a purchase cost plus a
+ * dated list of their own valuations.
+ *
+ * - Value moves in a straight line between valuations and stays at the
+ *   latest one after it
+ * - The value of ₹1 of cost stands in for a NAV, so performance.service
+ *   values these assets like any fund: the purchase is a lumpsum
+ * - Allocation counts each under its own asset type ("Real Estate",
+ *   "Gold", "Other")
+ *
+ * ⚠️ Valuations are the user's estimates - returns are approximate
+ * ⚠️ A sold asset is removed; sales are not recorded
+ * ⚠️ No Express/controller logic here
+ */
+
+import {
+  monthYearToKey,
+  monthsBetween,
+  generateMonthRange,
+  formatMonthKey,
+} from "../../utils/nav/index.js";
+
+export const MANUAL_ASSET_TYPES = ["Real Estate", "Gold", "Other"];
+
+// Reference category per asset type
+export const MANUAL_ASSET_CATEGORIES = {
+  "Real Estate": "Real Estate",
+  Gold: "Physical Gold",
+  Other: "Other Assets",
+};
+
+// A valuation older than this (months) is flagged as stale
+export const STALE_VALUATION_MONTHS = 12;
+
+/**
+ * Whether a portfolio fund entry is a manually valued asset with its
+ * purchase and valuations
+ */
+export function isManualAsset(fund) {
+  return (
+    MANUAL_ASSET_TYPES.includes(fund.assetType) && Boolean(fund.manualAsset)
+  );
+}
+
+/**
+ * Purchase month of an asset (YYYY-MM)
+ */
+export function getPurchaseKey(asset) {
+  return monthYearToKey(asset.purchaseYear, asset.purchaseMonth);
+}
+
+/**
+ * Known values of an asset, oldest first: the purchase at cost, then
+ * every valuation from the purchase month on (a later entry for the
+ * same month wins)
+ *
+ * @param {Object} asset - { purchaseCost, purchaseMonth, purchaseYear,
+ *   valuations: [{ value, month, year }] }
+ * @returns {Array} [{ month: "YYYY-MM", value }]
+ */
+export function getValuationPoints(asset) {
+  const purchaseKey = getPurchaseKey(asset);
+  const byMonth = new Map([[purchaseKey, asset.purchaseCost]]);
+
+  for (const valuation of asset.valuations || []) {
+    const month = monthYearToKey(valuation.year, valuation.month);
+    if (month >= purchaseKey) {
+      byMonth.set(month, valuation.value);
+    }
+  }
+
+  return [...byMonth.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, value]) => ({ month, value }));
+}
+
+/**
+ * Estimated value of an asset in a month, interpolated between the
+ * valuations around it
+ *
+ * @param {Array} points - getValuationPoints result
+ * @param {string} month - YYYY-MM (on or after the purchase)
+ * @returns {number} Estimated value (₹)
+ */
+export function getValueAt(points, month) {
+  const nextIndex = points.findIndex((p) => p.month >= month);
+  if (nextIndex === -1) {
+    return points[points.length - 1].value;
+  }
+
+  const next = points[nextIndex];
+  if (next.month === month || nextIndex === 0) {
+    return next.value;
+  }
+
+  const previous = points[nextIndex - 1];
+  const share =
+    monthsBetween(previous.month, month) /
+    monthsBetween(previous.month, next.month);
+  return previous.value + (next.value - previous.value) * share;
+}
+
+/**
+ * Monthly "NAV" of an asset: estimated value of ₹1 of cost from its
+ * purchase month to untilKey
+ *
+ * @param {Object} asset - Purchase and valuations
+ * @param {string} untilKey - Last month to generate (YYYY-MM)
+ * @returns {Object} { "YYYY-MM": value } - empty if bought later
+ */
+export function buildManualAssetNav(asset, untilKey) {
+  const purchaseKey = getPurchaseKey(asset);
+  if (purchaseKey > untilKey) {
+    return {};
+  }
+
+  const points = getValuationPoints(asset);
+  return Object.fromEntries(
+    generateMonthRange(purchaseKey, untilKey).map((month) => [
+      month,
+      getValueAt(points, month) / asset.purchaseCost,
+    ])
+  );
+}
+
+/**
+ * NAV series for every manually valued asset of a portfolio
+ *
+ * @param {Array} funds - Portfolio funds array
+ * @param {string} untilKey - Last month to generate (YYYY-MM)
+ * @returns {Object} Map of fundName -> { "YYYY-MM": value }
+ */
+export function buildManualAssetNavMap(funds, untilKey) {
+  const navMap = {};
+  for (const fund of funds) {
+    if (isManualAsset(fund)) {
+      navMap[fund.assetName] = buildManualAssetNav(fund.manualAsset, untilKey);
+    }
+  }
+  return navMap;
+}
+
+/**
+ * Cashflows of an asset in portfolio fund format: the purchase cost as
+ * a lumpsum (₹1 a unit)
+ *
+ * @param {Object} fund - Manually valued fund entry
+ * @returns {Object} Fund entry with the lumpsum
+ */
+export function toManualAssetFund(fund) {
+  const asset = fund.manualAsset;
+
+  return {
+    ...fund,
+    sips: [],
+    lumpsums: [
+      {
+        amount: asset.purchaseCost,
+        month: asset.purchaseMonth,
+        year: asset.purchaseYear,
+      },
+    ],
+    redemptions: [],
+  };
+}
+
+/**
+ * Purchase and the latest valuation of an asset as of a month
+ *
+ * @param {Object} asset - Purchase and valuations
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object} Asset summary for fund results
+ */
+export function describeManualAsset(asset, asOfKey) {
+  const points = getValuationPoints(asset).filter((p) => p.month <= asOfKey);
+  const latest = points[points.length - 1];
+  const monthsSinceValuation = latest
+    ? monthsBetween(latest.month, asOfKey)
+    : null;
+
+  return {
+    purchaseCost: asset.purchaseCost,
+    purchaseMonth: getPurchaseKey(asset),
+    valuationCount: Math.max(points.length - 1, 0),
+    lastValuation:
+      points.length > 1
+        ? { month: latest.month, value: roundTo(latest.value, 2) }
+        : null,
+    monthsSinceValuation,
+    isStale: monthsSinceValuation > STALE_VALUATION_MONTHS,
+  };
+}
+
+/**
+ * Annual growth (%) between the purchase and the latest valuation up
+ * to a month, or null with less than a year between them
+ *
+ * @param {Object} asset - Purchase and valuations
+ * @param {string} asOfKey - Valuation month
+ * @returns {number|null} Annualised growth in %
+ */
+export function getValuationGrowth(asset, asOfKey) {
+  const points = getValuationPoints(asset).filter((p) => p.month <= asOfKey);
+  const first = points[0];
+  const latest = points[points.length - 1];
+  const months = latest ? monthsBetween(first.month, latest.month) : 0;
+  if (months < 12 || latest.value <= 0) {
+    return null;
+  }
+
+  return (Math.pow(latest.value / first.value, 12 / months) - 1) * 100;
+}
+
+/**
+ * Warning when an asset has not been valued for over a year (its value
+ * is carried forward), or null
+ *
+ * @param {Object} fund - Manually valued fund entry
+ * @param {string} asOfKey - Valuation month
+ */
+export function getStaleValuationWarning(fund, asOfKey) {
+  const summary = describeManualAsset(fund.manualAsset, asOfKey);
+  if (!summary.isStale) return null;
+
+  return summary.lastValuation
+    ? `${fund.assetName}: last valued ${formatMonthKey(
+        summary.lastValuation.month
+      )}; value carried forward`
+    : `${fund.assetName}: not valued since purchase; held at cost`;
+}
+
+/**
+ * Add reference data for manually valued assets (they have no
+ * FundReference) so allocation, tax and projections see their type
+ *
+ * @param {Object} fundMetadata - Map of fundName -> FundReference data
+ * @param {Array} funds - Portfolio funds array
+ * @returns {Object} fundMetadata with an entry per manual asset
+ */
+export function withManualAssetMetadata(fundMetadata, funds) {
+  const metadata = { ...fundMetadata };
+  for (const fund of funds) {
+    if (isManualAsset(fund)) {
+      metadata[fund.assetName] = {
+        fundName: fund.assetName,
+        assetType: fund.assetType,
+        category: MANUAL_ASSET_CATEGORIES[fund.assetType],
+        holdingTemplateKey: null,
+        isManualAsset: true,
+      };
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  MANUAL_ASSET_TYPES,
+  MANUAL_ASSET_CATEGORIES,
+  STALE_VALUATION_MONTHS,
+  isManualAsset,
+  getPurchaseKey,
+  getValuationPoints,
+  getValueAt,
+  buildManualAssetNav,
+  buildManualAssetNavMap,
+  toManualAssetFund,
+  describeManualAsset,
+  getValuationGrowth,
+  getStaleValuationWarning,
+  withManualAssetMetadata,
+};
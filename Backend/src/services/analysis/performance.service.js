@@ -12,15 +12,38 @@
  * - CAGR
  * - XIRR
  * - Per-fund breakdown
+ * - Realized / unrealized gains (redemptions consume units FIFO)
+ * - IDCW dividends: paid out (income, counted in XIRR) or reinvested
+ * - STPs / switches: a redemption in one fund and a purchase in another,
+ *   shown per fund but left out of portfolio totals and XIRR
+ * - Fixed deposits: valued by accrued interest (fixedDeposit.service)
+ * - Stocks / ETFs: valued on monthly closes, buys at their trade
+ *   price (security.service)
+ * - PPF / EPF / NPS: accrued at notified rates or on blended scheme
+ *   NAVs, with lock-in and maturity (retirementScheme.service)
+ * - Real estate / gold / other assets: interpolated between the user's
+ *   own valuations (manualAsset.service)
+ * - Benchmark comparison / alpha (when benchmark series are passed in)
+ * - Monthly value time series (timeSeries.service)
+ * - Price risk: volatility, Sharpe, Sortino, max drawdown (risk.service)
  *
  * ⚠️ Each SIP entry is treated as an independent cashflow stream
- * ⚠️ Uses NAV cutoff date (Dec 2024) for calculations
+ * ⚠️ Valued as of the latest NAV month (or a requested asOf month)
  * ⚠️ No Express/controller logic here
  */
 
 import FundNAV from "../../models/FundNAVModel.js";
+import FundDividend from "../../models/FundDividendModel.js";
 import {
   monthYearToKey,
+  keyToDate,
+  parseKey,
+  addMonths,
+  countSipInstallments,
+  getSipAmountForMonth,
+  isSipPaused,
+  formatMonthKey,
+  getCurrentMonthKey,
   generateMonthRange,
   normalizeNavData,
   fillMissingNavData,
@@ -29,68 +52,256 @@ import {
   calculateCagr,
   calculateAbsoluteReturn,
 } from "../../utils/nav/index.js";
+import {
+  compareWithBenchmark,
+  summarizeBenchmarks,
+} from "./benchmark.service.js";
+import { analyzeRisk } from "./risk.service.js";
+import { buildTimeSeries } from "./timeSeries.service.js";
+import {
+  isFixedDeposit,
+  buildDepositNavMap,
+  toDepositFund,
+  describeDeposit,
+} from "./fixedDeposit.service.js";
+import {
+  isSecurity,
+  toSecurityFund,
+  describeSecurity,
+} from "./security.service.js";
+import {
+  isRetirementScheme,
+  buildSchemeNavMap,
+  toSchemeFund,
+  describeScheme,
+} from "./retirementScheme.service.js";
+import {
+  isManualAsset,
+  buildManualAssetNavMap,
+  toManualAssetFund,
+  describeManualAsset,
+  getStaleValuationWarning,
+} from "./manualAsset.service.js";
+
+// Recalculation passes to match capped transfers (see analyzePerformance)
+const MAX_TRANSFER_PASSES = 5;
+
+/**
+ * Resolve the valuation period from the NAV data
+ *
+ * The valuation month is the requested asOf month, or the latest month
+ * with NAV data when none is requested. A requested month later than
+ * the data is clamped to the latest available month.
+ *
+ * @param {Object} navDataMap - Map of fundName -> NAV data object
+ * @param {string} [asOf] - Requested valuation month (YYYY-MM)
+ * @returns {Object} { startKey, asOfKey, navDataMap, warnings } - navDataMap
+ *   trimmed to months at or before asOfKey; keys are null if no data
+ */
+export function resolveValuationPeriod(navDataMap, asOf = null) {
+  const warnings = [];
+  const allKeys = Object.values(navDataMap || {})
+    .flatMap((navData) => Object.keys(normalizeNavData(navData)))
+    .sort();
+
+  const latestKey = allKeys.length > 0 ? allKeys[allKeys.length - 1] : null;
+
+  let asOfKey = asOf || latestKey;
+  if (asOf && latestKey && asOf > latestKey) {
+    warnings.push(
+      `NAV data is only available up to ${formatMonthKey(
+        latestKey
+      )}; valuing as of that month instead`
+    );
+    asOfKey = latestKey;
+  }
+
+  // Only NAVs known on the valuation month count
+  const trimmed = {};
+  for (const [fundName, navData] of Object.entries(navDataMap || {})) {
+    const normalized = normalizeNavData(navData);
+    trimmed[fundName] = Object.fromEntries(
+      Object.entries(normalized).filter(([key]) => key <= asOfKey)
+    );
+  }
+
+  const startKey = allKeys.find((key) => key <= asOfKey) || null;
+  if (asOf && !startKey && allKeys.length > 0) {
+    warnings.push(`No NAV data on or before ${formatMonthKey(asOf)}`);
+  }
+
+  return {
+    startKey,
+    asOfKey: startKey ? asOfKey : null,
+    navDataMap: trimmed,
+    warnings,
+  };
+}
 
-// NAV data cutoff - all calculations use this as "current" date
-const NAV_CUTOFF_YEAR = 2024;
-const NAV_CUTOFF_MONTH = 12;
-export const NAV_CUTOFF_KEY = "2024-12";
-export const NAV_START_KEY = "2024-01";
+/**
+ * Latest month with NAV data across funds (null if none)
+ */
+function getLatestNavKey(navDataMap) {
+  let latestKey = null;
+  for (const navData of Object.values(navDataMap || {})) {
+    for (const key of Object.keys(normalizeNavData(navData))) {
+      if (!latestKey || key > latestKey) latestKey = key;
+    }
+  }
+  return latestKey;
+}
 
 /**
  * Analyze portfolio performance
  *
  * @param {Array} funds - Portfolio funds array
  * @param {Object} navDataMap - Map of fundName -> NAV data object
+ *   (stock / ETF closes included, see fetchSecurityData)
+ * @param {Object} [options] - { asOf, benchmarks, dividends, transfers }
+ *   asOf: "YYYY-MM" valuation month
+ *   benchmarks: map of fundName -> { indexName, series } (fetchBenchmarkData)
+ *   dividends: map of fundName -> { month: dividendPerUnit }
+ *     (fetchDividendData); only used for IDCW holdings
+ *   transfers: portfolio STP / switch entries (portfolio.transfers)
  * @returns {Object} Performance analysis results
  */
-export function analyzePerformance(funds, navDataMap) {
+export function analyzePerformance(funds, navDataMap, options = {}) {
+  // Fixed deposits, PPF / EPF and manually valued assets run up to the
+  // latest market NAV month (or the requested / current month when only
+  // those are held)
+  const accrualKey =
+    getLatestNavKey(navDataMap) || options.asOf || getCurrentMonthKey();
+  const period = resolveValuationPeriod(
+    {
+      ...navDataMap,
+      ...buildDepositNavMap(funds, accrualKey),
+      ...buildSchemeNavMap(funds, accrualKey),
+      ...buildManualAssetNavMap(funds, accrualKey),
+    },
+    options.asOf
+  );
+  const valuationDate = period.asOfKey ? keyToDate(period.asOfKey) : null;
+
   const results = {
     summary: {
       totalInvested: 0,
       currentValue: 0,
       absoluteReturn: 0,
       absoluteReturnPercent: 0,
+      totalRedeemed: 0,
+      dividendIncome: 0,
+      dividendsReinvested: 0,
+      realizedGain: 0,
+      unrealizedGain: 0,
       xirr: null,
       cagr: null,
+      benchmark: null,
     },
     fundPerformance: [],
     cashflows: [],
-    dataAsOf: `Dec ${NAV_CUTOFF_YEAR}`,
-    periodStart: `Jan ${NAV_CUTOFF_YEAR}`,
-    warnings: [],
+    timeSeries: [],
+    risk: null,
+    valuation: {
+      startKey: period.startKey,
+      asOfKey: period.asOfKey,
+    },
+    dataAsOf: period.asOfKey ? formatMonthKey(period.asOfKey) : null,
+    periodStart: period.startKey ? formatMonthKey(period.startKey) : null,
+    navPeriod: period.startKey
+      ? `${formatMonthKey(period.startKey)} - ${formatMonthKey(
+          period.asOfKey
+        )}`
+      : null,
+    warnings: [...period.warnings],
   };
 
   // Collect all cashflows for portfolio-level XIRR
   const allCashflows = [];
+  const benchmarkFlows = [];
 
-  // Process each fund
-  for (const fund of funds) {
-    const navData = navDataMap[fund.assetName];
+  // STPs / switches: one leg per month, redeemed from the source fund
+  // and bought into the target fund
+  const transferPlan = planTransfers(options.transfers, funds, period);
+  results.warnings.push(...transferPlan.warnings);
 
-    if (!navData || Object.keys(navData).length === 0) {
-      results.warnings.push(`NAV data not available for: ${fund.assetName}`);
-      continue;
+  // A source fund holding too few units moves less than asked, and the
+  // target must receive what was actually redeemed: recalculate until
+  // both sides of every transfer agree
+  let fundRuns = calculateFunds(
+    funds,
+    navDataMap,
+    period,
+    options,
+    transferPlan.legs
+  );
+  for (
+    let pass = 1;
+    settleTransferLegs(transferPlan.legs, fundRuns);
+    pass++
+  ) {
+    if (pass >= MAX_TRANSFER_PASSES) {
+      results.warnings.push(
+        "Transfers between funds could not be fully matched; " +
+          "fund totals may be slightly off"
+      );
+      break;
     }
+    fundRuns = calculateFunds(
+      funds,
+      navDataMap,
+      period,
+      options,
+      transferPlan.legs
+    );
+  }
 
-    const fundResult = calculateFundPerformance(fund, navData);
+  // Process each fund
+  for (const { fund, fundResult, warnings } of fundRuns) {
+    results.warnings.push(...warnings);
 
     if (fundResult) {
+      // "Same cashflows into the index" comparison
+      const comparison = compareWithBenchmark(
+        fundResult,
+        options.benchmarks?.[fund.assetName],
+        period.asOfKey
+      );
+      if (comparison) {
+        const { flows, ...benchmark } = comparison;
+        fundResult.benchmark = benchmark;
+        benchmarkFlows.push(...flows);
+      }
+
+      // Money moved between funds is neither invested nor redeemed
+      // at portfolio level
       results.fundPerformance.push(fundResult);
-      results.summary.totalInvested += fundResult.totalInvested;
+      results.summary.totalInvested +=
+        fundResult.totalInvested - fundResult.transferredIn;
       results.summary.currentValue += fundResult.currentValue;
+      results.summary.totalRedeemed +=
+        fundResult.totalRedeemed - fundResult.transferredOut;
+      results.summary.dividendIncome += fundResult.dividendIncome;
+      results.summary.dividendsReinvested += fundResult.dividendsReinvested;
+      results.summary.realizedGain += fundResult.realizedGain;
+      results.summary.unrealizedGain += fundResult.unrealizedGain;
       allCashflows.push(...fundResult.cashflows);
+      results.warnings.push(...fundResult.warnings);
     }
   }
 
   // Calculate portfolio-level metrics
   if (results.summary.totalInvested > 0) {
+    // Redemption proceeds and dividends paid out count towards the return
+    // alongside what is still held
+    const totalValue =
+      results.summary.currentValue +
+      results.summary.totalRedeemed +
+      results.summary.dividendIncome;
+
     results.summary.absoluteReturn =
-      results.summary.currentValue - results.summary.totalInvested;
+      totalValue - results.summary.totalInvested;
     results.summary.absoluteReturnPercent = roundTo(
-      calculateAbsoluteReturn(
-        results.summary.totalInvested,
-        results.summary.currentValue
-      ),
+      calculateAbsoluteReturn(results.summary.totalInvested, totalValue),
       2
     );
 
@@ -99,14 +310,14 @@ export function analyzePerformance(funds, navDataMap) {
       try {
         // Add final value as positive cashflow
         const finalCashflow = {
-          date: new Date(NAV_CUTOFF_YEAR, NAV_CUTOFF_MONTH - 1, 1),
+          date: valuationDate,
           amount: results.summary.currentValue,
         };
 
         const xirrCashflows = [
-          ...allCashflows.map((cf) => ({
+          ...allCashflows.filter(isExternalCashflow).map((cf) => ({
             ...cf,
-            amount: -Math.abs(cf.amount),
+            amount: toXirrAmount(cf),
           })),
           finalCashflow,
         ];
@@ -118,21 +329,20 @@ export function analyzePerformance(funds, navDataMap) {
     }
 
     // Calculate CAGR (simplified - from earliest investment)
-    const earliestCashflow = allCashflows.sort(
-      (a, b) => a.date.getTime() - b.date.getTime()
-    )[0];
+    const earliestCashflow = allCashflows
+      .filter(isExternalCashflow)
+      .sort((a, b) => a.date.getTime() - b.date.getTime())[0];
 
     if (earliestCashflow) {
       const yearsElapsed =
-        (new Date(NAV_CUTOFF_YEAR, NAV_CUTOFF_MONTH - 1, 1).getTime() -
-          earliestCashflow.date.getTime()) /
+        (valuationDate.getTime() - earliestCashflow.date.getTime()) /
         (365.25 * 24 * 60 * 60 * 1000);
 
       if (yearsElapsed > 0) {
         results.summary.cagr = roundTo(
           calculateCagr(
             results.summary.totalInvested,
-            results.summary.currentValue,
+            totalValue,
             yearsElapsed
           ),
           2
@@ -141,10 +351,36 @@ export function analyzePerformance(funds, navDataMap) {
     }
   }
 
+  results.summary.benchmark = summarizeBenchmarks(
+    results.fundPerformance,
+    benchmarkFlows,
+    period.asOfKey
+  );
+
+  results.timeSeries = buildTimeSeries(
+    results.fundPerformance,
+    period.navDataMap,
+    period.asOfKey
+  );
+  results.risk = analyzeRisk(
+    results.fundPerformance,
+    period.navDataMap,
+    period.asOfKey,
+    results.timeSeries
+  );
+
   // Round summary values
   results.summary.totalInvested = roundTo(results.summary.totalInvested, 2);
   results.summary.currentValue = roundTo(results.summary.currentValue, 2);
   results.summary.absoluteReturn = roundTo(results.summary.absoluteReturn, 2);
+  results.summary.totalRedeemed = roundTo(results.summary.totalRedeemed, 2);
+  results.summary.dividendIncome = roundTo(results.summary.dividendIncome, 2);
+  results.summary.dividendsReinvested = roundTo(
+    results.summary.dividendsReinvested,
+    2
+  );
+  results.summary.realizedGain = roundTo(results.summary.realizedGain, 2);
+  results.summary.unrealizedGain = roundTo(results.summary.unrealizedGain, 2);
 
   // Store cashflows for reference
   results.cashflows = allCashflows.map((cf) => ({
@@ -157,36 +393,272 @@ export function analyzePerformance(funds, navDataMap) {
   return results;
 }
 
+/**
+ * Run calculateFundPerformance for every fund, with transfer legs added
+ *
+ * @param {Array} funds - Portfolio funds array
+ * @param {Object} navDataMap - Map of fundName -> NAV data (untrimmed)
+ * @param {Object} period - resolveValuationPeriod result
+ * @param {Object} options - analyzePerformance options
+ * @param {Array} legs - Transfer legs (planTransfers)
+ * @returns {Array} { fund, fundResult, warnings } per fund; fundResult is
+ *   null when the fund can't be valued
+ */
+function calculateFunds(funds, navDataMap, period, options, legs) {
+  return funds.map((fund) => {
+    const navData = period.navDataMap[fund.assetName];
+
+    if (isFixedDeposit(fund)) {
+      return calculateDeposit(fund, navData, period);
+    }
+    if (isSecurity(fund)) {
+      return calculateSecurity(fund, navData, period);
+    }
+    if (isRetirementScheme(fund)) {
+      return calculateScheme(fund, navData, period);
+    }
+    if (isManualAsset(fund)) {
+      return calculateManualAsset(fund, navData, period);
+    }
+
+    if (!navData || Object.keys(navData).length === 0) {
+      return {
+        fund,
+        fundResult: null,
+        warnings: [
+          navDataMap[fund.assetName]
+            ? `No NAV data on or before ${formatMonthKey(
+                period.asOfKey || options.asOf
+              )} for: ${fund.assetName}`
+            : `NAV data not available for: ${fund.assetName}`,
+        ],
+      };
+    }
+
+    // Investments before the fund's first NAV can't be priced
+    const fundPeriod = {
+      startKey: Object.keys(navData).sort()[0],
+      asOfKey: period.asOfKey,
+    };
+
+    return {
+      fund,
+      fundResult: calculateFundPerformance(
+        withTransferLegs(fund, legs),
+        navData,
+        fundPeriod,
+        options.dividends?.[fund.assetName]
+      ),
+      warnings: getUncoveredInvestmentWarnings(fund, fundPeriod),
+    };
+  });
+}
+
+/**
+ * Value a fixed deposit: its principal is bought at ₹1 a unit on the
+ * accrual "NAV" and redeemed in full on maturity
+ *
+ * @returns {Object} { fund, fundResult, warnings } (see calculateFunds)
+ */
+function calculateDeposit(fund, navData, period) {
+  const deposit = fund.fixedDeposit;
+
+  if (!navData || Object.keys(navData).length === 0) {
+    return {
+      fund,
+      fundResult: null,
+      warnings: [
+        `${fund.assetName}: deposit starts after ${formatMonthKey(
+          period.asOfKey
+        )}; left out`,
+      ],
+    };
+  }
+
+  const fundResult = calculateFundPerformance(
+    toDepositFund(fund, period.asOfKey),
+    navData,
+    {
+      startKey: monthYearToKey(deposit.startYear, deposit.startMonth),
+      asOfKey: period.asOfKey,
+    }
+  );
+  if (fundResult) {
+    fundResult.fixedDeposit = describeDeposit(deposit, period.asOfKey);
+  }
+
+  return { fund, fundResult, warnings: [] };
+}
+
+/**
+ * Value a stock / ETF: buys become lots at their trade price, sales
+ * redeem shares FIFO, and what is held is valued at the month's close
+ *
+ * @returns {Object} { fund, fundResult, warnings } (see calculateFunds)
+ */
+function calculateSecurity(fund, navData, period) {
+  const { symbol } = fund.security;
+
+  if (!navData || Object.keys(navData).length === 0) {
+    return {
+      fund,
+      fundResult: null,
+      warnings: [`${fund.assetName}: no prices for ${symbol}; left out`],
+    };
+  }
+
+  const fundPeriod = {
+    startKey: Object.keys(navData).sort()[0],
+    asOfKey: period.asOfKey,
+  };
+  const fundResult = calculateFundPerformance(
+    toSecurityFund(fund),
+    navData,
+    fundPeriod
+  );
+
+  const warnings = [];
+  const isUncovered = (entry) =>
+    monthYearToKey(entry.year, entry.month) < fundPeriod.startKey;
+  const uncovered =
+    fund.security.buys.filter(isUncovered).length +
+    (fund.redemptions || []).filter(isUncovered).length;
+  if (uncovered > 0) {
+    warnings.push(
+      `${fund.assetName}: ${symbol} prices start ${formatMonthKey(
+        fundPeriod.startKey
+      )}; ${uncovered} earlier trade${uncovered === 1 ? "" : "s"} left out`
+    );
+  }
+
+  if (fundResult) {
+    fundResult.security = describeSecurity(fund.security, fundResult);
+  }
+
+  return { fund, fundResult, warnings };
+}
+
+/**
+ * Value a PPF / EPF / NPS account: contributions are bought on the
+ * accrual (PPF / EPF) or blended scheme (NPS) NAV like fund purchases
+ *
+ * @returns {Object} { fund, fundResult, warnings } (see calculateFunds)
+ */
+function calculateScheme(fund, navData, period) {
+  if (!navData || Object.keys(navData).length === 0) {
+    return {
+      fund,
+      fundResult: null,
+      warnings: [
+        fund.assetType === "NPS"
+          ? `${fund.assetName}: no NPS Tier ${fund.nps.tier} NAVs; left out`
+          : `${fund.assetName}: account starts after ${formatMonthKey(
+              period.asOfKey
+            )}; left out`,
+      ],
+    };
+  }
+
+  const schemeFund = toSchemeFund(fund);
+  const fundPeriod = {
+    startKey: Object.keys(navData).sort()[0],
+    asOfKey: period.asOfKey,
+  };
+  const fundResult = calculateFundPerformance(schemeFund, navData, fundPeriod);
+  if (fundResult) {
+    fundResult.scheme = describeScheme(fund, period.asOfKey);
+  }
+
+  return {
+    fund,
+    fundResult,
+    warnings: getUncoveredInvestmentWarnings(schemeFund, fundPeriod),
+  };
+}
+
+/**
+ * Value a real estate / gold / other asset: its cost is bought at ₹1 a
+ * unit on the interpolated valuation "NAV"
+ *
+ * @returns {Object} { fund, fundResult, warnings } (see calculateFunds)
+ */
+function calculateManualAsset(fund, navData, period) {
+  if (!navData || Object.keys(navData).length === 0) {
+    return {
+      fund,
+      fundResult: null,
+      warnings: [
+        `${fund.assetName}: bought after ${formatMonthKey(
+          period.asOfKey
+        )}; left out`,
+      ],
+    };
+  }
+
+  const asset = fund.manualAsset;
+  const fundResult = calculateFundPerformance(
+    toManualAssetFund(fund),
+    navData,
+    {
+      startKey: monthYearToKey(asset.purchaseYear, asset.purchaseMonth),
+      asOfKey: period.asOfKey,
+    }
+  );
+  if (fundResult) {
+    fundResult.manualAsset = describeManualAsset(asset, period.asOfKey);
+  }
+
+  const staleWarning = getStaleValuationWarning(fund, period.asOfKey);
+  return { fund, fundResult, warnings: staleWarning ? [staleWarning] : [] };
+}
+
 /**
  * Calculate performance for a single fund
  *
+ * Every SIP installment and lumpsum is kept as a purchase lot.
+ * Redemptions consume lots first-in-first-out; what remains is valued
+ * at the latest NAV on or before the valuation month. IDCW holdings
+ * receive the fund's dividends on the units held at each record month.
+ * Transfer legs arrive as lumpsums / redemptions tagged with `transfer`.
+ * A lumpsum with a `price` (stock / ETF buy) is bought at that price
+ * instead of the month's NAV.
+ *
  * @param {Object} fund - Fund object from portfolio
- * @param {Object} navData - NAV data for this fund
+ * @param {Object} navData - NAV data for this fund (up to the valuation month)
+ * @param {Object} period - { startKey, asOfKey } - startKey is the fund's
+ *   first NAV month; anything earlier is left out
+ * @param {Object} [dividends] - { month: dividendPerUnit } for this fund
  * @returns {Object} Fund performance metrics
  */
-function calculateFundPerformance(fund, navData) {
+function calculateFundPerformance(fund, navData, period, dividends) {
   const normalized = normalizeNavData(navData);
-  const filled = fillMissingNavData(normalized, NAV_START_KEY, NAV_CUTOFF_KEY);
+  const filled = fillMissingNavData(
+    normalized,
+    period.startKey,
+    period.asOfKey
+  );
 
-  const currentNav = filled[NAV_CUTOFF_KEY];
+  const currentNav = filled[period.asOfKey];
   if (!currentNav) {
     return null;
   }
 
   let totalInvested = 0;
-  let totalUnits = 0;
+  let transferredIn = 0;
   const cashflows = [];
+  const lots = [];
   const sipDetails = [];
   const lumpsumDetails = [];
+  const transferDetails = [];
 
   // Process all SIPs
   if (fund.sips && fund.sips.length > 0) {
     for (const sip of fund.sips) {
-      const sipResult = processSip(sip, filled, fund.assetName);
+      const sipResult = processSip(sip, filled, fund.assetName, period);
       if (sipResult) {
         totalInvested += sipResult.invested;
-        totalUnits += sipResult.units;
         cashflows.push(...sipResult.cashflows);
+        lots.push(...sipResult.lots);
         sipDetails.push(sipResult.details);
       }
     }
@@ -195,12 +667,23 @@ function calculateFundPerformance(fund, navData) {
   // Process all lumpsums
   if (fund.lumpsums && fund.lumpsums.length > 0) {
     for (const lumpsum of fund.lumpsums) {
-      const lumpsumResult = processLumpsum(lumpsum, filled, fund.assetName);
+      const lumpsumResult = processLumpsum(
+        lumpsum,
+        filled,
+        fund.assetName,
+        period
+      );
       if (lumpsumResult) {
         totalInvested += lumpsumResult.invested;
-        totalUnits += lumpsumResult.units;
         cashflows.push(...lumpsumResult.cashflows);
-        lumpsumDetails.push(lumpsumResult.details);
+        lots.push(...lumpsumResult.lots);
+
+        if (lumpsum.transfer) {
+          transferredIn += lumpsumResult.invested;
+          transferDetails.push(lumpsumResult.details);
+        } else {
+          lumpsumDetails.push(lumpsumResult.details);
+        }
       }
     }
   }
@@ -209,8 +692,47 @@ function calculateFundPerformance(fund, navData) {
     return null;
   }
 
+  sortLotsFifo(lots);
+
+  // Dividends depend on the units held at each record month, so they
+  // are paid alongside the redemptions, in date order
+  const dividendTracker = createDividendTracker(
+    fund,
+    dividends,
+    lots,
+    filled,
+    period
+  );
+
+  // Apply redemptions against the lots
+  const redemptionResult = processRedemptions(
+    fund.redemptions || [],
+    lots,
+    filled,
+    fund.assetName,
+    period,
+    dividendTracker
+  );
+  payDividends(dividendTracker, period.asOfKey);
+  cashflows.push(...dividendTracker.cashflows);
+  cashflows.push(...redemptionResult.cashflows);
+
+  // Value what is still held
+  const openLots = lots.filter((lot) => lot.remainingUnits > 1e-9);
+  const totalUnits = openLots.reduce((sum, lot) => sum + lot.remainingUnits, 0);
+  const costBasis = openLots.reduce(
+    (sum, lot) => sum + lot.remainingUnits * lot.costPerUnit,
+    0
+  );
+
   const currentValue = totalUnits * currentNav;
-  const absoluteReturn = currentValue - totalInvested;
+  const totalRedeemed = redemptionResult.proceeds;
+  const transferredOut = redemptionResult.transferredOut;
+  const dividendIncome = dividendTracker.paid;
+  const realizedGain = redemptionResult.realizedGain;
+  const unrealizedGain = currentValue - costBasis;
+  const absoluteReturn =
+    currentValue + totalRedeemed + dividendIncome - totalInvested;
   const absoluteReturnPercent = (absoluteReturn / totalInvested) * 100;
 
   // Calculate fund-level XIRR
@@ -218,9 +740,11 @@ function calculateFundPerformance(fund, navData) {
   if (cashflows.length >= 1) {
     try {
       const xirrCashflows = [
-        ...cashflows.map((cf) => ({ ...cf, amount: -Math.abs(cf.amount) })),
+        ...cashflows
+          .filter(isFundCashflow)
+          .map((cf) => ({ ...cf, amount: toXirrAmount(cf) })),
         {
-          date: new Date(NAV_CUTOFF_YEAR, NAV_CUTOFF_MONTH - 1, 1),
+          date: keyToDate(period.asOfKey),
           amount: currentValue,
         },
       ];
@@ -239,45 +763,76 @@ function calculateFundPerformance(fund, navData) {
     currentNav: roundTo(currentNav, 4),
     absoluteReturn: roundTo(absoluteReturn, 2),
     absoluteReturnPercent: roundTo(absoluteReturnPercent, 2),
+    totalRedeemed: roundTo(totalRedeemed, 2),
+    transferredIn: roundTo(transferredIn, 2),
+    transferredOut: roundTo(transferredOut, 2),
+    idcwOption: dividendTracker.mode,
+    dividendIncome: roundTo(dividendIncome, 2),
+    dividendsReinvested: roundTo(dividendTracker.reinvested, 2),
+    costBasis: roundTo(costBasis, 2),
+    realizedGain: roundTo(realizedGain, 2),
+    unrealizedGain: roundTo(unrealizedGain, 2),
     xirr,
+    benchmark: null,
     sipCount: sipDetails.length,
     lumpsumCount: lumpsumDetails.length,
+    redemptionCount: redemptionResult.details.length,
+    dividendCount: dividendTracker.details.length,
+    transferCount: transferDetails.length + redemptionResult.transfers.length,
     sips: sipDetails,
     lumpsums: lumpsumDetails,
+    redemptions: redemptionResult.details,
+    dividends: dividendTracker.details,
+    transfers: [...transferDetails, ...redemptionResult.transfers].sort(
+      (a, b) => (a.month < b.month ? -1 : a.month > b.month ? 1 : 0)
+    ),
+    openLots: openLots.map((lot) => ({
+      month: lot.month,
+      units: roundTo(lot.remainingUnits, 4),
+      cost: roundTo(lot.remainingUnits * lot.costPerUnit, 2),
+      nav: roundTo(lot.nav, 4),
+    })),
     cashflows,
+    warnings: [...dividendTracker.warnings, ...redemptionResult.warnings],
   };
 }
 
 /**
  * Process a single SIP entry
+ * Installments follow the annual step-up; paused months are skipped
  *
  * @param {Object} sip - SIP entry from portfolio
  * @param {Object} navData - Filled NAV data
  * @param {string} fundName - Fund name for tracking
+ * @param {Object} period - { startKey, asOfKey } valuation period
  * @returns {Object} SIP processing result
  */
-function processSip(sip, navData, fundName) {
+function processSip(sip, navData, fundName, period) {
   const startKey = monthYearToKey(sip.startYear, sip.startMonth);
 
   // Determine end date
   let endKey;
   if (sip.isOngoing) {
-    endKey = NAV_CUTOFF_KEY;
+    endKey = period.asOfKey;
   } else {
     endKey = monthYearToKey(sip.endYear, sip.endMonth);
-    // Ensure end doesn't exceed cutoff
-    if (endKey > NAV_CUTOFF_KEY) {
-      endKey = NAV_CUTOFF_KEY;
+    // Ensure end doesn't exceed valuation month
+    if (endKey > period.asOfKey) {
+      endKey = period.asOfKey;
     }
   }
 
   // Ensure start is within NAV range
-  if (startKey > NAV_CUTOFF_KEY) {
-    return null; // SIP hasn't started yet within our data range
+  if (startKey > period.asOfKey) {
+    return null; // SIP hasn't started yet by the valuation month
   }
 
-  // Adjust start if before NAV data start
-  const effectiveStart = startKey < NAV_START_KEY ? NAV_START_KEY : startKey;
+  // Installments before the first NAV can't be priced (warned by caller)
+  const effectiveStart =
+    startKey < period.startKey ? period.startKey : startKey;
+  if (effectiveStart > endKey) {
+    return null;
+  }
 
   // Generate months for SIP
   const sipMonths = generateMonthRange(effectiveStart, endKey);
@@ -286,12 +841,17 @@ function processSip(sip, navData, fundName) {
   let units = 0;
   const cashflows = [];
   const installments = [];
+  const lots = [];
 
   for (const month of sipMonths) {
+    if (isSipPaused(sip, month)) continue;
+
     const nav = navData[month];
     if (nav && nav > 0) {
-      const monthUnits = sip.amount / nav;
-      invested += sip.amount;
+      // Stepped-up amount for this month
+      const amount = getSipAmountForMonth(sip, month);
+      const monthUnits = amount / nav;
+      invested += amount;
       units += monthUnits;
 
       cashflows.push({
@@ -300,17 +860,19 @@ function processSip(sip, navData, fundName) {
           parseInt(month.slice(5, 7)) - 1,
           1
         ),
-        amount: sip.amount,
+        amount,
         fundName,
         type: "sip",
       });
 
       installments.push({
         month,
-        amount: sip.amount,
+        amount,
         nav: roundTo(nav, 4),
         units: roundTo(monthUnits, 4),
       });
+
+      lots.push(createLot(month, amount, nav));
     }
   }
 
@@ -318,12 +880,17 @@ function processSip(sip, navData, fundName) {
     invested,
     units,
     cashflows,
+    lots,
     details: {
       amount: sip.amount,
+      currentAmount: getSipAmountForMonth(sip, endKey),
+      stepUpType: sip.stepUpType || null,
+      stepUpValue: sip.stepUpValue || 0,
       startMonth: startKey,
       endMonth: endKey,
       isOngoing: sip.isOngoing,
       installmentCount: installments.length,
+      pausedCount: sipMonths.filter((m) => isSipPaused(sip, m)).length,
       totalInvested: roundTo(invested, 2),
       unitsAcquired: roundTo(units, 4),
     },
@@ -332,28 +899,29 @@ function processSip(sip, navData, fundName) {
 
 /**
  * Process a single lumpsum entry
+ * A transfer leg into the fund is booked the same way, as "transfer_in"
  *
  * @param {Object} lumpsum - Lumpsum entry from portfolio
  * @param {Object} navData - Filled NAV data
  * @param {string} fundName - Fund name for tracking
+ * @param {Object} period - { startKey, asOfKey } valuation period
  * @returns {Object} Lumpsum processing result
  */
-function processLumpsum(lumpsum, navData, fundName) {
+function processLumpsum(lumpsum, navData, fundName, period) {
   const monthKey = monthYearToKey(lumpsum.year, lumpsum.month);
 
-  // Ensure within NAV range
-  if (monthKey > NAV_CUTOFF_KEY) {
-    return null; // Investment after cutoff
+  // Ensure within NAV range (earlier months are warned by caller)
+  if (monthKey > period.asOfKey || monthKey < period.startKey) {
+    return null;
   }
 
-  // Adjust if before NAV data start
-  const effectiveMonth = monthKey < NAV_START_KEY ? NAV_START_KEY : monthKey;
-
-  const nav = navData[effectiveMonth];
-  if (!nav || nav <= 0) {
+  const monthNav = navData[monthKey];
+  if (!monthNav || monthNav <= 0) {
     return null;
   }
 
+  // Stock / ETF buys carry their own trade price
+  const nav = lumpsum.price > 0 ? lumpsum.price : monthNav;
   const units = lumpsum.amount / nav;
 
   return {
@@ -362,24 +930,637 @@ function processLumpsum(lumpsum, navData, fundName) {
     cashflows: [
       {
         date: new Date(
-          parseInt(effectiveMonth.slice(0, 4)),
-          parseInt(effectiveMonth.slice(5, 7)) - 1,
+          parseInt(monthKey.slice(0, 4)),
+          parseInt(monthKey.slice(5, 7)) - 1,
           1
         ),
         amount: lumpsum.amount,
+        units,
         fundName,
-        type: "lumpsum",
+        type: lumpsum.transfer ? "transfer_in" : "lumpsum",
+        ...(lumpsum.transfer && { transferId: lumpsum.transfer.id }),
       },
     ],
+    lots: [createLot(monthKey, lumpsum.amount, nav)],
     details: {
       month: monthKey,
-      amount: lumpsum.amount,
+      ...(lumpsum.transfer && {
+        direction: "in",
+        type: lumpsum.transfer.type,
+        fromFund: lumpsum.transfer.fromFund,
+      }),
+      amount: roundTo(lumpsum.amount, 2),
       nav: roundTo(nav, 4),
       unitsAcquired: roundTo(units, 4),
     },
   };
 }
 
+/**
+ * Create a purchase lot for FIFO tracking
+ *
+ * @param {string} month - Purchase month key
+ * @param {number} amount - Amount invested
+ * @param {number} nav - NAV at purchase
+ * @returns {Object} Lot with remaining units
+ */
+function createLot(month, amount, nav) {
+  const units = amount / nav;
+  return {
+    month,
+    units,
+    remainingUnits: units,
+    costPerUnit: nav,
+    nav,
+  };
+}
+
+/**
+ * FIFO order: oldest purchase first (sort is stable for same month)
+ */
+function sortLotsFifo(lots) {
+  lots.sort((a, b) => (a.month < b.month ? -1 : a.month > b.month ? 1 : 0));
+}
+
+/**
+ * Dividend state for one fund
+ *
+ * Only IDCW holdings (fund.idcwOption "payout" or "reinvest") receive
+ * dividends; a growth holding of a fund with dividend history, or an
+ * IDCW holding without any, is valued as growth with a warning.
+ *
+ * @param {Object} fund - Fund object from portfolio
+ * @param {Object} [dividends] - { month: dividendPerUnit }
+ * @param {Array} lots - Purchase lots (reinvestment adds to them)
+ * @param {Object} navData - Filled NAV data
+ * @param {Object} period - { startKey, asOfKey } valuation period
+ * @returns {Object} Tracker for payDividends
+ */
+function createDividendTracker(fund, dividends, lots, navData, period) {
+  const mode = fund.idcwOption || null;
+  const hasHistory = Object.keys(dividends || {}).length > 0;
+  const warnings = [];
+
+  if (mode && !hasHistory) {
+    warnings.push(
+      `${fund.assetName}: no dividend history; valued as a growth plan`
+    );
+  } else if (!mode && hasHistory) {
+    warnings.push(
+      `${fund.assetName}: pays dividends but the holding is not set to ` +
+        "IDCW payout or reinvestment; dividends left out"
+    );
+  }
+
+  const months =
+    mode && hasHistory
+      ? Object.keys(dividends)
+          .filter((m) => m >= period.startKey && m <= period.asOfKey)
+          .sort()
+      : [];
+
+  return {
+    mode,
+    months,
+    nextIndex: 0,
+    dividends,
+    lots,
+    navData,
+    fundName: fund.assetName,
+    paid: 0,
+    reinvested: 0,
+    cashflows: [],
+    details: [],
+    warnings,
+  };
+}
+
+/**
+ * Pay every dividend up to and including a month
+ *
+ * The record month's NAV is ex-dividend, so only units bought before
+ * it qualify. Payouts become "dividend" cashflows (money coming out);
+ * reinvestment buys a new lot at that month's NAV and is recorded as a
+ * "reinvestment" cashflow, which is neither invested nor in XIRR.
+ *
+ * @param {Object} tracker - From createDividendTracker (mutated)
+ * @param {string} untilKey - Last month to pay (YYYY-MM)
+ */
+function payDividends(tracker, untilKey) {
+  while (
+    tracker.nextIndex < tracker.months.length &&
+    tracker.months[tracker.nextIndex] <= untilKey
+  ) {
+    const month = tracker.months[tracker.nextIndex++];
+    const dividendPerUnit = tracker.dividends[month];
+    const units = tracker.lots
+      .filter((lot) => lot.month < month)
+      .reduce((sum, lot) => sum + lot.remainingUnits, 0);
+    const amount = units * dividendPerUnit;
+    const nav = tracker.navData[month];
+
+    if (amount <= 0 || !nav || nav <= 0) {
+      continue;
+    }
+
+    const detail = {
+      month,
+      dividendPerUnit,
+      units: roundTo(units, 4),
+      amount: roundTo(amount, 2),
+    };
+
+    if (tracker.mode === "reinvest") {
+      tracker.lots.push(createLot(month, amount, nav));
+      sortLotsFifo(tracker.lots);
+      tracker.reinvested += amount;
+      detail.nav = roundTo(nav, 4);
+      detail.unitsAcquired = roundTo(amount / nav, 4);
+    } else {
+      tracker.paid += amount;
+    }
+
+    tracker.cashflows.push({
+      date: keyToDate(month),
+      amount,
+      fundName: tracker.fundName,
+      type: tracker.mode === "reinvest" ? "reinvestment" : "dividend",
+    });
+    tracker.details.push(detail);
+  }
+}
+
+/**
+ * Apply redemptions to purchase lots (FIFO)
+ *
+ * A redemption is either by units or by amount; the other side is
+ * derived from the NAV of the redemption month. Lots are mutated
+ * (remainingUnits) so the caller can value what is left. Transfer legs
+ * out of the fund are redemptions too ("transfer_out" cashflows).
+ *
+ * @param {Array} redemptions - Redemption entries from portfolio
+ * @param {Array} lots - Purchase lots sorted oldest first
+ * @param {Object} navData - Filled NAV data
+ * @param {string} fundName - Fund name for tracking
+ * @param {Object} period - { startKey, asOfKey } valuation period
+ * @param {Object} dividendTracker - Dividends are paid up to each
+ *   redemption month first (createDividendTracker)
+ * @returns {Object} { proceeds, transferredOut, realizedGain, cashflows,
+ *   details, transfers, warnings }
+ */
+function processRedemptions(
+  redemptions,
+  lots,
+  navData,
+  fundName,
+  period,
+  dividendTracker
+) {
+  const result = {
+    proceeds: 0,
+    transferredOut: 0,
+    realizedGain: 0,
+    cashflows: [],
+    details: [],
+    transfers: [],
+    warnings: [],
+  };
+
+  const sorted = [...redemptions].sort(
+    (a, b) => a.year - b.year || a.month - b.month
+  );
+  const emptyTransfers = new Map();
+
+  for (const redemption of sorted) {
+    const monthKey = monthYearToKey(redemption.year, redemption.month);
+
+    // Outside the NAV range (earlier months are warned by caller)
+    if (monthKey > period.asOfKey || monthKey < period.startKey) {
+      continue;
+    }
+
+    const nav = navData[monthKey];
+    if (!nav || nav <= 0) {
+      continue;
+    }
+
+    // Units redeemed in a record month still receive its dividend
+    payDividends(dividendTracker, monthKey);
+
+    // Only units bought on or before the redemption month can be sold
+    const eligibleLots = lots.filter(
+      (lot) => lot.month <= monthKey && lot.remainingUnits > 1e-9
+    );
+    const availableUnits = eligibleLots.reduce(
+      (sum, lot) => sum + lot.remainingUnits,
+      0
+    );
+
+    let requestedUnits = redemption.units
+      ? redemption.units
+      : redemption.amount / nav;
+
+    const label = redemption.transfer
+      ? `${redemption.transfer.type.toUpperCase()} to ${
+          redemption.transfer.toFund
+        }`
+      : "redemption";
+
+    // An STP that outlives the source holding: one warning, not one a month
+    if (redemption.transfer && availableUnits <= 1e-9) {
+      if (!emptyTransfers.has(label)) {
+        emptyTransfers.set(label, { from: monthKey, count: 0 });
+      }
+      emptyTransfers.get(label).count++;
+      continue;
+    }
+
+    if (requestedUnits > availableUnits + 1e-6) {
+      result.warnings.push(
+        `${fundName}: ${label} in ${monthKey} exceeds units held (${roundTo(
+          availableUnits,
+          4
+        )}). Capped to available units.`
+      );
+      requestedUnits = availableUnits;
+    }
+
+    if (requestedUnits <= 0) {
+      continue;
+    }
+
+    let unitsLeft = requestedUnits;
+    let costOfUnitsSold = 0;
+    const lotsConsumed = [];
+
+    for (const lot of eligibleLots) {
+      if (unitsLeft <= 1e-9) break;
+
+      const units = Math.min(lot.remainingUnits, unitsLeft);
+      const cost = units * lot.costPerUnit;
+      const proceeds = units * nav;
+
+      lot.remainingUnits -= units;
+      unitsLeft -= units;
+      costOfUnitsSold += cost;
+
+      lotsConsumed.push({
+        purchaseMonth: lot.month,
+        units: roundTo(units, 4),
+        cost: roundTo(cost, 2),
+        proceeds: roundTo(proceeds, 2),
+        gain: roundTo(proceeds - cost, 2),
+      });
+    }
+
+    const proceeds = requestedUnits * nav;
+    const realizedGain = proceeds - costOfUnitsSold;
+
+    result.proceeds += proceeds;
+    result.realizedGain += realizedGain;
+
+    result.cashflows.push({
+      date: new Date(
+        parseInt(monthKey.slice(0, 4)),
+        parseInt(monthKey.slice(5, 7)) - 1,
+        1
+      ),
+      amount: proceeds,
+      units: requestedUnits,
+      fundName,
+      type: redemption.transfer ? "transfer_out" : "redemption",
+      ...(redemption.transfer && { transferId: redemption.transfer.id }),
+    });
+
+    // A switch is still a sale (realized gain, tax), so it stays in details
+    if (redemption.transfer) {
+      result.transferredOut += proceeds;
+      result.transfers.push({
+        month: monthKey,
+        direction: "out",
+        type: redemption.transfer.type,
+        toFund: redemption.transfer.toFund,
+        amount: roundTo(proceeds, 2),
+        nav: roundTo(nav, 4),
+        unitsRedeemed: roundTo(requestedUnits, 4),
+      });
+    }
+
+    result.details.push({
+      month: monthKey,
+      ...(redemption.transfer && {
+        transfer: {
+          type: redemption.transfer.type,
+          toFund: redemption.transfer.toFund,
+        },
+      }),
+      requestedBy: redemption.units ? "units" : "amount",
+      units: roundTo(requestedUnits, 4),
+      amount: roundTo(proceeds, 2),
+      nav: roundTo(nav, 4),
+      costOfUnitsSold: roundTo(costOfUnitsSold, 2),
+      realizedGain: roundTo(realizedGain, 2),
+      lotsConsumed,
+    });
+  }
+
+  for (const [label, { from, count }] of emptyTransfers) {
+    result.warnings.push(
+      `${fundName}: no units left for ${label} from ${from}; ${count} transfer${
+        count === 1 ? "" : "s"
+      } left out`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Expand STP / switch entries into monthly transfer legs
+ *
+ * A leg needs NAV data for both funds in its month. Switches by units
+ * are priced at the source fund's NAV; `amount` is what the target fund
+ * receives and is corrected by settleTransferLegs when the source runs
+ * out of units.
+ *
+ * @param {Array} [transfers] - portfolio.transfers
+ * @param {Array} funds - Portfolio funds array
+ * @param {Object} period - resolveValuationPeriod result
+ * @returns {Object} { legs: [{ id, type, fromFund, toFund, month, units,
+ *   requestedAmount, amount }], warnings }
+ */
+function planTransfers(transfers = [], funds, period) {
+  const legs = [];
+  const warnings = [];
+  if (!period.asOfKey) {
+    return { legs, warnings };
+  }
+
+  const fundNames = new Set(funds.map((f) => f.assetName));
+  const depositNames = new Set(
+    funds.filter(isFixedDeposit).map((f) => f.assetName)
+  );
+  const securityNames = new Set(
+    funds.filter(isSecurity).map((f) => f.assetName)
+  );
+  const schemeNames = new Set(
+    funds.filter(isRetirementScheme).map((f) => f.assetName)
+  );
+  const manualAssetNames = new Set(
+    funds.filter(isManualAsset).map((f) => f.assetName)
+  );
+  const filledNavs = {};
+  const getNav = (fundName, month) => {
+    if (!filledNavs[fundName]) {
+      const normalized = normalizeNavData(period.navDataMap[fundName] || {});
+      const firstKey = Object.keys(normalized).sort()[0];
+      filledNavs[fundName] = firstKey
+        ? fillMissingNavData(normalized, firstKey, period.asOfKey)
+        : {};
+    }
+    return filledNavs[fundName][month];
+  };
+
+  transfers.forEach((transfer, index) => {
+    const label = `${transfer.type === "stp" ? "STP" : "Switch"} ${
+      transfer.fromFund
+    } → ${transfer.toFund}`;
+
+    if (!fundNames.has(transfer.fromFund) || !fundNames.has(transfer.toFund)) {
+      warnings.push(`${label}: both funds must be in the portfolio; left out`);
+      return;
+    }
+
+    if (
+      depositNames.has(transfer.fromFund) ||
+      depositNames.has(transfer.toFund)
+    ) {
+      warnings.push(`${label}: fixed deposits can't be transferred; left out`);
+      return;
+    }
+
+    if (
+      securityNames.has(transfer.fromFund) ||
+      securityNames.has(transfer.toFund)
+    ) {
+      warnings.push(`${label}: stocks and ETFs can't be transferred; left out`);
+      return;
+    }
+
+    if (
+      schemeNames.has(transfer.fromFund) ||
+      schemeNames.has(transfer.toFund)
+    ) {
+      warnings.push(
+        `${label}: retirement schemes can't be transferred; left out`
+      );
+      return;
+    }
+
+    if (
+      manualAssetNames.has(transfer.fromFund) ||
+      manualAssetNames.has(transfer.toFund)
+    ) {
+      warnings.push(
+        `${label}: manually valued assets can't be transferred; left out`
+      );
+      return;
+    }
+
+    const startKey = monthYearToKey(transfer.year, transfer.month);
+    let endKey = startKey;
+    if (transfer.type === "stp") {
+      endKey =
+        transfer.endYear && transfer.endMonth
+          ? monthYearToKey(transfer.endYear, transfer.endMonth)
+          : period.asOfKey;
+    }
+    if (endKey > period.asOfKey) {
+      endKey = period.asOfKey;
+    }
+    if (startKey > endKey) {
+      return;
+    }
+
+    let skipped = 0;
+    for (const month of generateMonthRange(startKey, endKey)) {
+      const sourceNav = getNav(transfer.fromFund, month);
+      if (!sourceNav || !getNav(transfer.toFund, month)) {
+        skipped++;
+        continue;
+      }
+
+      const requestedAmount = transfer.units
+        ? transfer.units * sourceNav
+        : transfer.amount;
+
+      legs.push({
+        id: `${index}:${month}`,
+        type: transfer.type,
+        fromFund: transfer.fromFund,
+        toFund: transfer.toFund,
+        month,
+        units: transfer.units || null,
+        requestedAmount,
+        amount: requestedAmount,
+      });
+    }
+
+    if (skipped > 0) {
+      warnings.push(
+        `${label}: ${skipped} month${
+          skipped === 1 ? "" : "s"
+        } without NAV data for both funds left out`
+      );
+    }
+  });
+
+  return { legs, warnings };
+}
+
+/**
+ * Fund with its transfer legs added: legs out of it as redemptions,
+ * legs into it as lumpsums (both tagged with `transfer`)
+ */
+function withTransferLegs(fund, legs) {
+  const outgoing = legs.filter((leg) => leg.fromFund === fund.assetName);
+  const incoming = legs.filter(
+    (leg) => leg.toFund === fund.assetName && leg.amount > 0
+  );
+  if (outgoing.length === 0 && incoming.length === 0) {
+    return fund;
+  }
+
+  return {
+    ...fund,
+    lumpsums: [
+      ...(fund.lumpsums || []),
+      ...incoming.map((leg) => ({
+        ...parseKey(leg.month),
+        amount: leg.amount,
+        transfer: { id: leg.id, type: leg.type, fromFund: leg.fromFund },
+      })),
+    ],
+    redemptions: [
+      ...(fund.redemptions || []),
+      ...outgoing.map((leg) => ({
+        ...parseKey(leg.month),
+        units: leg.units,
+        amount: leg.units ? null : leg.requestedAmount,
+        transfer: { id: leg.id, type: leg.type, toFund: leg.toFund },
+      })),
+    ],
+  };
+}
+
+/**
+ * Set each leg's amount to what the source fund actually redeemed
+ *
+ * @param {Array} legs - Transfer legs (mutated)
+ * @param {Array} fundRuns - calculateFunds result
+ * @returns {boolean} Whether any leg changed (targets need recalculating)
+ */
+function settleTransferLegs(legs, fundRuns) {
+  const redeemed = new Map();
+  for (const { fundResult } of fundRuns) {
+    for (const cf of fundResult?.cashflows || []) {
+      if (cf.type === "transfer_out") {
+        redeemed.set(cf.transferId, cf.amount);
+      }
+    }
+  }
+
+  let changed = false;
+  for (const leg of legs) {
+    const amount = redeemed.get(leg.id) || 0;
+    if (Math.abs(amount - leg.amount) > 1e-6) {
+      leg.amount = amount;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Warn about investments dated before a fund's first NAV month
+ *
+ * They are left out of the calculation rather than priced at a later
+ * NAV, so the user should know the totals are incomplete.
+ *
+ * @param {Object} fund - Fund object from portfolio
+ * @param {Object} period - { startKey, asOfKey } for this fund
+ * @returns {string[]} Warnings (empty if everything is covered)
+ */
+function getUncoveredInvestmentWarnings(fund, period) {
+  const lastUncoveredKey = addMonths(period.startKey, -1);
+  const parts = [];
+
+  const sipInstallments = (fund.sips || []).reduce(
+    (sum, sip) => sum + countSipInstallments(sip, lastUncoveredKey),
+    0
+  );
+  if (sipInstallments > 0) {
+    parts.push(
+      `${sipInstallments} SIP installment${sipInstallments === 1 ? "" : "s"}`
+    );
+  }
+
+  const isUncovered = (entry) =>
+    monthYearToKey(entry.year, entry.month) < period.startKey;
+
+  const lumpsums = (fund.lumpsums || []).filter(isUncovered).length;
+  if (lumpsums > 0) {
+    parts.push(`${lumpsums} lumpsum${lumpsums === 1 ? "" : "s"}`);
+  }
+
+  const redemptions = (fund.redemptions || []).filter(isUncovered).length;
+  if (redemptions > 0) {
+    parts.push(`${redemptions} redemption${redemptions === 1 ? "" : "s"}`);
+  }
+
+  if (parts.length === 0) {
+    return [];
+  }
+
+  return [
+    `${fund.assetName}: NAV data starts ${formatMonthKey(
+      period.startKey
+    )}; earlier entries left out (${parts.join(", ")})`,
+  ];
+}
+
+/**
+ * Signed amount for XIRR
+ * Purchases are money going in (negative); redemptions, dividends paid
+ * out and transfers out of a fund are money coming out
+ */
+function toXirrAmount(cashflow) {
+  return ["redemption", "dividend", "transfer_out"].includes(cashflow.type)
+    ? Math.abs(cashflow.amount)
+    : -Math.abs(cashflow.amount);
+}
+
+/**
+ * Reinvested dividends never leave the fund: the units they buy are in
+ * the final value, so they are not XIRR cashflows
+ */
+function isFundCashflow(cashflow) {
+  return cashflow.type !== "reinvestment";
+}
+
+/**
+ * Portfolio XIRR also leaves out transfers, which only move money
+ * between funds
+ */
+function isExternalCashflow(cashflow) {
+  return (
+    isFundCashflow(cashflow) &&
+    cashflow.type !== "transfer_in" &&
+    cashflow.type !== "transfer_out"
+  );
+}
+
 /**
  * Round number to decimal places
  */
@@ -396,9 +1577,17 @@ export async function fetchNavData(fundNames) {
   return FundNAV.getMultipleFundNavs(fundNames);
 }
 
+/**
+ * Fetch IDCW dividend history for multiple funds
+ * Returns map of fundName -> { date: dividendPerUnit }
+ */
+export async function fetchDividendData(fundNames) {
+  return FundDividend.getMultipleFundDividends(fundNames);
+}
+
 export default {
   analyzePerformance,
+  resolveValuationPeriod,
   fetchNavData,
-  NAV_CUTOFF_KEY,
-  NAV_START_KEY,
+  fetchDividendData,
 };
@@ -0,0 +1,60 @@
+/**
+ * Portfolio Context Service
+ *
+ * Loads the reference data every portfolio analysis runs on:
+ * - FundReference metadata, plus entries for stocks / ETFs, PPF / EPF /
+ *   NPS, fixed deposits and manually valued assets (no FundReference)
+ * - Stored NAVs, plus stock / ETF prices and NPS NAVs under the
+ *   holding's name (PPF / EPF only need reference data)
+ * - Dividend history
+ *
+ * The maps are keyed by fund name, so load one context per portfolio:
+ * two portfolios may hold different NPS accounts, FDs or assets under
+ * the same name.
+ *
+ * ⚠️ No Express/controller logic here
+ */
+
+import { fetchFundMetadata } from "./diversification.service.js";
+import { fetchNavData, fetchDividendData } from "./performance.service.js";
+import { withDepositMetadata } from "./fixedDeposit.service.js";
+import { fetchSecurityData } from "./security.service.js";
+import { fetchSchemeData } from "./retirementScheme.service.js";
+import { withManualAssetMetadata } from "./manualAsset.service.js";
+
+/**
+ * Fetch metadata, NAVs and dividends for a set of portfolio funds
+ *
+ * @param {Array} funds - Portfolio funds (stored format)
+ * @returns {Object} { fundNames, fundMetadata, navData, dividends }
+ */
+export async function loadPortfolioContext(funds) {
+  const fundNames = [...new Set(funds.map((f) => f.assetName))];
+  const [storedMetadata, storedNavData, dividends, securities, schemes] =
+    await Promise.all([
+      fetchFundMetadata(fundNames),
+      fetchNavData(fundNames),
+      fetchDividendData(fundNames),
+      fetchSecurityData(funds),
+      fetchSchemeData(funds),
+    ]);
+
+  const navData = {
+    ...storedNavData,
+    ...securities.navData,
+    ...schemes.navData,
+  };
+  const fundMetadata = withManualAssetMetadata(
+    withDepositMetadata(
+      { ...storedMetadata, ...securities.metadata, ...schemes.metadata },
+      funds
+    ),
+    funds
+  );
+
+  return { fundNames, fundMetadata, navData, dividends };
+}
+
+export default {
+  loadPortfolioContext,
+};
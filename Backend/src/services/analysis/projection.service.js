@@ -0,0 +1,551 @@
+/**
+ * Projection Service - Monte Carlo
+ *
+ * Simulates the portfolio's value over the next N years from:
+ * - Current value of each fund (analyzePerformance)
+ * - Ongoing SIPs, paid monthly until their end date or the horizon
+ * - Monthly return / volatility per fund, taken from its NAV history
+ *   or from its category's MONTHLY_PATTERNS family (FundNavSeed.js)
+ * - Fixed deposits grow at their own yield with no volatility (assumed
+ *   renewed at the same rate on maturity)
+ * - Stocks / ETFs use their price history; a stock without enough of it
+ *   falls back to its market cap bucket's pattern (Flexi Cap if unknown)
+ * - PPF / EPF grow at the current notified rate with no volatility; EPF
+ *   contributions run on like SIPs, PPF deposits are not projected
+ * - NPS uses its blended NAV history (Hybrid pattern, or Debt with no
+ *   equity share)
+ * - Real estate / gold / other manually valued assets grow at the yearly
+ *   rate of their own valuations with no volatility (none with under a
+ *   year of them)
+ *
+ * Returns are drawn from a normal distribution with one shared draw per
+ * market group (equity / debt / gold) each month, so funds in the same
+ * group move together. The random generator is seeded - the same inputs
+ * and seed always give the same bands.
+ *
+ * A pattern only carries one year's month-to-month swings, so its bands
+ * are narrower than history's; "auto" prefers history when there is
+ * enough of it.
+ *
+ * ⚠️ A what-if range built on simulated data - not a forecast
+ * ⚠️ No Express/controller logic here
+ */
+
+import Portfolio from "../../models/portfolioModel.js";
+import { loadPortfolioContext } from "./portfolioContext.service.js";
+import { isFixedDeposit, getEffectiveYield } from "./fixedDeposit.service.js";
+import {
+  isRetirementScheme,
+  toSchemeFund,
+  getPpfRate,
+  getEpfRate,
+} from "./retirementScheme.service.js";
+import { isManualAsset, getValuationGrowth } from "./manualAsset.service.js";
+import { analyzePerformance } from "./performance.service.js";
+import {
+  MONTHLY_PATTERNS,
+  CATEGORY_PATTERN_MAP,
+} from "../../utils/FundNavSeed.js";
+import {
+  addMonths,
+  monthYearToKey,
+  monthsBetween,
+  getSipAmountForMonth,
+  isSipPaused,
+} from "../../utils/nav/index.js";
+
+export const DEFAULT_SIMULATIONS = 1000;
+
+// Fixed default so a projection is reproducible without passing a seed
+export const DEFAULT_SEED = 42;
+
+// Monthly returns needed before NAV history is trusted over the pattern
+const MIN_HISTORY_MONTHS = 24;
+
+// Noise generateNavSeries adds on top of the pattern (uniform ±0.25%)
+const PATTERN_NOISE = 0.25;
+
+const PERCENTILES = { p10: 10, p50: 50, p90: 90 };
+
+// Pattern family of a directly held stock, by market cap bucket
+const STOCK_PATTERN_MAP = {
+  LargeCap: "LARGE_CAP",
+  MidCap: "MID_CAP",
+  SmallCap: "SMALL_CAP",
+};
+
+/**
+ * Run a Monte Carlo projection for a saved portfolio
+ *
+ * @param {string} portfolioId - Portfolio document ID
+ * @param {string} userId - User ID for authorization
+ * @param {Object} options - { years, target, simulations, seed,
+ *   assumptions: "auto" | "history" | "pattern" }
+ * @returns {Object} Projection with yearly percentile bands
+ */
+export async function generateProjection(portfolioId, userId, options = {}) {
+  const portfolio = await Portfolio.findOne({
+    _id: portfolioId,
+    userId: userId,
+  }).lean();
+
+  if (!portfolio) {
+    throw new Error("Portfolio not found or access denied");
+  }
+
+  const { fundMetadata, navData, dividends } = await loadPortfolioContext(
+    portfolio.funds
+  );
+
+  const performance = analyzePerformance(portfolio.funds, navData, {
+    dividends,
+    transfers: portfolio.transfers,
+  });
+  const asOfKey = performance.valuation.asOfKey;
+
+  const { funds, warnings } = buildFundInputs(
+    portfolio.funds,
+    performance.fundPerformance,
+    fundMetadata,
+    navData,
+    { asOfKey, assumptions: options.assumptions }
+  );
+
+  const projection = simulateProjection(funds, { ...options, asOfKey });
+
+  return {
+    portfolioId: portfolio._id,
+    name: portfolio.name,
+    ...projection,
+    warnings: [...warnings, ...projection.warnings],
+  };
+}
+
+/**
+ * Current value, SIPs and return assumptions per fund
+ *
+ * @param {Array} portfolioFunds - Portfolio fund entries (for SIPs)
+ * @param {Array} fundPerformance - Output of analyzePerformance
+ * @param {Object} fundMetadata - Map of fundName -> FundReference
+ * @param {Object} navData - { fundName: { "YYYY-MM": nav } }
+ * @param {Object} options - { asOfKey, assumptions }
+ * @returns {Object} { funds, warnings }
+ */
+export function buildFundInputs(
+  portfolioFunds,
+  fundPerformance,
+  fundMetadata,
+  navData,
+  options = {}
+) {
+  const { asOfKey, assumptions = "auto" } = options;
+  const warnings = [];
+  const funds = [];
+
+  const fundNames = [...new Set(portfolioFunds.map((f) => f.assetName))];
+  // EPF contributions as SIPs
+  const cashflowFunds = portfolioFunds.map((f) =>
+    isRetirementScheme(f) ? toSchemeFund(f) : f
+  );
+
+  for (const fundName of fundNames) {
+    const currentValue = fundPerformance
+      .filter((f) => f.fundName === fundName)
+      .reduce((sum, f) => sum + f.currentValue, 0);
+    const sips = cashflowFunds
+      .filter((f) => f.assetName === fundName)
+      .flatMap((f) => f.sips || [])
+      .filter((sip) => isSipRunningAfter(sip, asOfKey));
+
+    if (currentValue <= 0 && sips.length === 0) continue;
+
+    const deposit = portfolioFunds.find(
+      (f) => f.assetName === fundName && isFixedDeposit(f)
+    )?.fixedDeposit;
+    if (deposit) {
+      funds.push({
+        fundName,
+        category: fundMetadata[fundName]?.category || null,
+        group: "DEBT",
+        source: "deposit",
+        historyMonths: 0,
+        monthlyMean:
+          Math.pow(1 + getEffectiveYield(deposit) / 100, 1 / 12) - 1,
+        monthlyStdDev: 0,
+        currentValue,
+        sips,
+      });
+      continue;
+    }
+
+    const scheme = portfolioFunds.find(
+      (f) =>
+        f.assetName === fundName &&
+        isRetirementScheme(f) &&
+        f.assetType !== "NPS"
+    );
+    if (scheme) {
+      const rate =
+        scheme.assetType === "PPF" ? getPpfRate(asOfKey) : getEpfRate(asOfKey);
+      funds.push({
+        fundName,
+        category: scheme.assetType,
+        group: "DEBT",
+        source: "scheme",
+        historyMonths: 0,
+        monthlyMean: Math.pow(1 + rate / 100, 1 / 12) - 1,
+        monthlyStdDev: 0,
+        currentValue,
+        sips,
+      });
+      continue;
+    }
+
+    const asset = portfolioFunds.find(
+      (f) => f.assetName === fundName && isManualAsset(f)
+    )?.manualAsset;
+    if (asset) {
+      const growth = getValuationGrowth(asset, asOfKey);
+      if (growth === null) {
+        warnings.push(
+          `${fundName}: under a year of valuations - no growth assumed`
+        );
+      }
+      funds.push({
+        fundName,
+        category: fundMetadata[fundName]?.category || null,
+        group: "OTHER",
+        source: "valuation",
+        historyMonths: 0,
+        monthlyMean: Math.pow(1 + (growth ?? 0) / 100, 1 / 12) - 1,
+        monthlyStdDev: 0,
+        currentValue,
+        sips,
+      });
+      continue;
+    }
+
+    const category = fundMetadata[fundName]?.category || null;
+    const patternKey = getPatternKey(category, fundMetadata[fundName]);
+    const history = getMonthlyReturns(navData[fundName], asOfKey);
+
+    let source = assumptions === "pattern" ? "pattern" : "history";
+    if (source === "history" && history.length < MIN_HISTORY_MONTHS) {
+      source = "pattern";
+      if (assumptions === "history") {
+        warnings.push(
+          `${fundName}: only ${history.length} months of NAV history - ` +
+            `used the ${patternKey} pattern`
+        );
+      }
+    }
+    if (!category) {
+      warnings.push(`${fundName}: not in fund reference data, kept as Hybrid`);
+    }
+
+    const { mean, stdDev } =
+      source === "history"
+        ? getStats(history)
+        : getPatternStats(MONTHLY_PATTERNS[patternKey]);
+
+    funds.push({
+      fundName,
+      category,
+      group: getMarketGroup(patternKey),
+      source,
+      historyMonths: history.length,
+      monthlyMean: mean,
+      monthlyStdDev: stdDev,
+      currentValue,
+      sips,
+    });
+  }
+
+  return { funds, warnings };
+}
+
+/**
+ * Simulate fund values month by month
+ *
+ * @param {Array} funds - Output of buildFundInputs
+ * @param {Object} options - { asOfKey, years, target, simulations, seed }
+ * @returns {Object} { asOf, horizonYears, simulations, seed, startValue,
+ *   monthlySip, funds, bands, final, target, warnings }
+ */
+export function simulateProjection(funds, options = {}) {
+  const {
+    asOfKey,
+    years = 10,
+    target = null,
+    simulations = DEFAULT_SIMULATIONS,
+    seed = DEFAULT_SEED,
+  } = options;
+  const warnings = [];
+  const months = years * 12;
+
+  if (funds.length === 0) {
+    warnings.push("Nothing is held and no SIP is running - nothing to project");
+  }
+
+  // SIP paid by each fund in each future month (index 1..months)
+  const sipSchedules = funds.map((fund) =>
+    buildSipSchedule(fund.sips, asOfKey, months)
+  );
+
+  const groups = [...new Set(funds.map((f) => f.group))];
+  const random = createNormalGenerator(seed);
+
+  // yearly[y][sim] = total value after y years
+  const yearly = Array.from({ length: years + 1 }, () =>
+    new Array(simulations)
+  );
+
+  for (let sim = 0; sim < simulations; sim++) {
+    const values = funds.map((f) => f.currentValue);
+    yearly[0][sim] = sumOf(values, (v) => v);
+
+    for (let month = 1; month <= months; month++) {
+      const shocks = Object.fromEntries(groups.map((g) => [g, random()]));
+
+      for (let i = 0; i < funds.length; i++) {
+        const fund = funds[i];
+        const monthlyReturn = Math.max(
+          fund.monthlyMean + fund.monthlyStdDev * shocks[fund.group],
+          -0.99
+        );
+        values[i] = values[i] * (1 + monthlyReturn) + sipSchedules[i][month];
+      }
+
+      if (month % 12 === 0) {
+        yearly[month / 12][sim] = sumOf(values, (v) => v);
+      }
+    }
+  }
+
+  // Money put in: today's value plus SIPs paid so far
+  const startValue = sumOf(funds, (f) => f.currentValue);
+  let contributed = startValue;
+
+  const bands = yearly.map((values, year) => {
+    if (year > 0) {
+      for (let m = (year - 1) * 12 + 1; m <= year * 12; m++) {
+        contributed += sumOf(sipSchedules, (schedule) => schedule[m]);
+      }
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+
+    return {
+      year,
+      month: asOfKey ? addMonths(asOfKey, year * 12) : null,
+      ...getPercentiles(sorted),
+      contributed: roundTo(contributed, 2),
+      targetProbability: target
+        ? roundTo(shareAtLeast(sorted, target) * 100, 1)
+        : null,
+    };
+  });
+
+  const finalValues = yearly[years];
+  const final = bands[years];
+
+  return {
+    asOf: asOfKey,
+    horizonYears: years,
+    simulations,
+    seed,
+    startValue: roundTo(startValue, 2),
+    monthlySip: roundTo(
+      sumOf(sipSchedules, (schedule) => schedule[1] || 0),
+      2
+    ),
+    funds: funds.map((f) => ({
+      fundName: f.fundName,
+      category: f.category,
+      source: f.source,
+      historyMonths: f.historyMonths,
+      expectedReturn: roundTo((Math.pow(1 + f.monthlyMean, 12) - 1) * 100, 2),
+      volatility: roundTo(f.monthlyStdDev * Math.sqrt(12) * 100, 2),
+      currentValue: roundTo(f.currentValue, 2),
+    })),
+    bands,
+    final: {
+      p10: final.p10,
+      p50: final.p50,
+      p90: final.p90,
+      mean: roundTo(sumOf(finalValues, (v) => v) / simulations, 2),
+      contributed: final.contributed,
+    },
+    target: target
+      ? { amount: target, probability: final.targetProbability }
+      : null,
+    warnings,
+  };
+}
+
+/**
+ * SIP amount per future month, index 1..months (index 0 unused)
+ * Step-ups carry on into the future; paused months get nothing
+ */
+function buildSipSchedule(sips, asOfKey, months) {
+  const schedule = new Array(months + 1).fill(0);
+
+  for (const sip of sips) {
+    const startOffset = monthsBetween(
+      asOfKey,
+      monthYearToKey(sip.startYear, sip.startMonth)
+    );
+    const endOffset =
+      sip.isOngoing || !sip.endYear || !sip.endMonth
+        ? months
+        : monthsBetween(asOfKey, monthYearToKey(sip.endYear, sip.endMonth));
+
+    for (
+      let m = Math.max(startOffset, 1);
+      m <= Math.min(endOffset, months);
+      m++
+    ) {
+      const month = addMonths(asOfKey, m);
+      if (!isSipPaused(sip, month)) {
+        schedule[m] += getSipAmountForMonth(sip, month);
+      }
+    }
+  }
+
+  return schedule;
+}
+
+/**
+ * Whether a SIP still has installments after the valuation month
+ */
+function isSipRunningAfter(sip, asOfKey) {
+  if (!sip?.amount || sip.amount <= 0) return false;
+  if (sip.isOngoing || !sip.endYear || !sip.endMonth) return true;
+  return monthYearToKey(sip.endYear, sip.endMonth) > asOfKey;
+}
+
+/**
+ * Monthly simple returns from a NAV series, up to asOfKey
+ */
+function getMonthlyReturns(navSeries = {}, asOfKey) {
+  const keys = Object.keys(navSeries)
+    .filter((key) => !asOfKey || key <= asOfKey)
+    .sort();
+  const returns = [];
+
+  for (let i = 1; i < keys.length; i++) {
+    const prev = navSeries[keys[i - 1]];
+    const curr = navSeries[keys[i]];
+    // Only consecutive months with a NAV on both sides
+    if (prev > 0 && curr > 0 && monthsBetween(keys[i - 1], keys[i]) === 1) {
+      returns.push(curr / prev - 1);
+    }
+  }
+
+  return returns;
+}
+
+/**
+ * Mean and standard deviation of monthly returns (as fractions)
+ */
+function getStats(returns) {
+  const mean = sumOf(returns, (r) => r) / returns.length;
+  const variance =
+    sumOf(returns, (r) => (r - mean) ** 2) / Math.max(returns.length - 1, 1);
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Pattern months are % changes; index 0 (January) is not a change
+ * within the pattern year, so it is left out - as in FundNavSeed.
+ * The seed's noise is added to the spread.
+ */
+function getPatternStats(pattern) {
+  const { mean, stdDev } = getStats(pattern.slice(1).map((p) => p / 100));
+  const noiseVariance = (PATTERN_NOISE / 100) ** 2 / 3;
+  return { mean, stdDev: Math.sqrt(stdDev ** 2 + noiseVariance) };
+}
+
+function getPatternKey(category, metadata) {
+  if (metadata?.securityType === "Stock") {
+    return STOCK_PATTERN_MAP[metadata.marketCap] || "FLEXI_CAP";
+  }
+  if (metadata?.schemeType === "NPS") {
+    return metadata.assetType === "Debt" ? "DEBT" : "HYBRID";
+  }
+  return CATEGORY_PATTERN_MAP[category] || "HYBRID";
+}
+
+function getMarketGroup(patternKey) {
+  if (patternKey === "DEBT" || patternKey === "GOLD") return patternKey;
+  return "EQUITY";
+}
+
+/**
+ * Seeded standard normal generator (mulberry32 + Box-Muller)
+ */
+function createNormalGenerator(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return () => {
+    const u1 = uniform() || Number.MIN_VALUE;
+    const u2 = uniform();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  };
+}
+
+/**
+ * Linear-interpolated percentiles of sorted values
+ */
+function getPercentiles(sorted) {
+  const result = {};
+  for (const [name, pct] of Object.entries(PERCENTILES)) {
+    const position = (pct / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    const value =
+      sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    result[name] = roundTo(value, 2);
+  }
+  return result;
+}
+
+/**
+ * Share of sorted values at or above a threshold
+ */
+function shareAtLeast(sorted, threshold) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < threshold) low = mid + 1;
+    else high = mid;
+  }
+  return (sorted.length - low) / sorted.length;
+}
+
+function sumOf(items, getValue) {
+  return items.reduce((sum, item) => sum + getValue(item), 0);
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  if (value === null || value === undefined || isNaN(value)) return 0;
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  generateProjection,
+  buildFundInputs,
+  simulateProjection,
+};
@@ -0,0 +1,479 @@
+/**
+ * Rebalance Planner Service
+ *
+ * Turns a target allocation into concrete trades, valued at current
+ * market prices from analyzePerformance:
+ * - Drift of each asset type (or category) from its target
+ * - fresh_money: new money goes to underweight buckets only
+ * - sell_and_buy: sell overweight funds, buy underweight ones
+ * - Tax estimate for the sells (FIFO lots, tax.service)
+ *
+ * Inside a bucket, trades are split across its funds in proportion to
+ * their current value. A bucket with a target but no fund yet gets an
+ * "add a fund" line with no fund name.
+ *
+ * Holdings that can't be sold in part (manually valued assets) or not
+ * redeemed yet (PPF / EPF / NPS Tier I in lock-in, fixed deposits
+ * before maturity) are left out of the sells; drift the other funds
+ * can't absorb comes back as a "hold" line flagged nonTradable. In
+ * sell_and_buy mode the buys then shrink to what the sells raise, so
+ * the plan still needs no new money.
+ *
+ * ⚠️ Exit loads and transaction costs are ignored
+ * ⚠️ No Express/controller logic here
+ */
+
+import Portfolio from "../../models/portfolioModel.js";
+import { loadPortfolioContext } from "./portfolioContext.service.js";
+import { analyzePerformance } from "./performance.service.js";
+import { estimateSaleTax } from "./tax.service.js";
+import { formatMonthKey } from "../../utils/nav/index.js";
+
+// Drift (percentage points) within which a bucket counts as on target
+const DRIFT_TOLERANCE = 5;
+
+// Trades smaller than this (₹) are left out of the plan
+const MIN_TRADE_AMOUNT = 500;
+
+/**
+ * Generate a rebalancing plan for a saved portfolio
+ *
+ * @param {string} portfolioId - Portfolio document ID
+ * @param {string} userId - User ID for authorization
+ * @param {Object} options - { mode, amount, slabRate, targetAllocation }
+ *   targetAllocation overrides the one stored on the portfolio
+ * @returns {Object} Rebalancing plan
+ */
+export async function generateRebalancePlan(
+  portfolioId,
+  userId,
+  options = {}
+) {
+  const portfolio = await Portfolio.findOne({
+    _id: portfolioId,
+    userId: userId,
+  }).lean();
+
+  if (!portfolio) {
+    throw new Error("Portfolio not found or access denied");
+  }
+
+  const targetAllocation =
+    options.targetAllocation || portfolio.targetAllocation;
+  if (!targetAllocation?.assetTypes) {
+    throw new Error("No target allocation set for this portfolio");
+  }
+
+  const { fundMetadata, navData, dividends } = await loadPortfolioContext(
+    portfolio.funds
+  );
+
+  const performance = analyzePerformance(portfolio.funds, navData, {
+    dividends,
+    transfers: portfolio.transfers,
+  });
+
+  return {
+    portfolioId: portfolio._id,
+    name: portfolio.name,
+    ...planRebalance(
+      performance.fundPerformance,
+      fundMetadata,
+      targetAllocation,
+      { ...options, asOfKey: performance.valuation.asOfKey }
+    ),
+  };
+}
+
+/**
+ * Build drift and trades from fund performance results
+ *
+ * @param {Array} fundPerformance - Output of analyzePerformance
+ * @param {Object} fundMetadata - Map of fundName -> FundReference
+ * @param {Object} targetAllocation - { assetTypes, categories? } in %
+ * @param {Object} options - { mode, amount, slabRate, asOfKey }
+ * @returns {Object} { asOf, level, mode, summary, buckets, trades, tax,
+ *   warnings }
+ */
+export function planRebalance(
+  fundPerformance,
+  fundMetadata,
+  targetAllocation,
+  options = {}
+) {
+  const mode = options.mode || "sell_and_buy";
+  const warnings = [];
+
+  // Category targets, when given, replace the asset type level
+  const categories = targetAllocation.categories || {};
+  const level = Object.keys(categories).length > 0 ? "category" : "assetType";
+  const targets =
+    level === "category" ? categories : targetAllocation.assetTypes;
+
+  const bucketOf = (fundName) => {
+    const meta = fundMetadata[fundName];
+    if (!meta) {
+      warnings.push(`${fundName}: not in fund reference data, kept as Other`);
+      return "Other";
+    }
+    return level === "category" ? meta.category : meta.assetType;
+  };
+
+  // Group what is still held into buckets
+  const buckets = new Map();
+  const getBucket = (name) => {
+    if (!buckets.has(name)) {
+      buckets.set(name, {
+        bucket: name,
+        target: targets[name] || 0,
+        currentValue: 0,
+        funds: [],
+      });
+    }
+    return buckets.get(name);
+  };
+
+  Object.keys(targets).forEach(getBucket);
+
+  for (const fund of fundPerformance) {
+    if (fund.currentValue <= 0) continue;
+    const bucket = getBucket(bucketOf(fund.fundName));
+    bucket.currentValue += fund.currentValue;
+    bucket.funds.push(fund);
+  }
+
+  const totalValue = sumOf([...buckets.values()], (b) => b.currentValue);
+
+  if (totalValue === 0) {
+    warnings.push("Nothing is currently held - no plan to build");
+    return emptyPlan(options.asOfKey, level, mode, targets, warnings);
+  }
+
+  // Rupee change wanted per bucket
+  const changes = new Map();
+
+  const untargeted = [...buckets.values()]
+    .filter((b) => b.target === 0 && b.currentValue > 0)
+    .map((b) => b.bucket);
+  if (untargeted.length > 0) {
+    const names = untargeted.join(", ");
+    warnings.push(
+      mode === "fresh_money"
+        ? `No target for ${names} - only selling brings it to 0%`
+        : `No target for ${names} - the plan sells all of it`
+    );
+  }
+
+  if (mode === "fresh_money") {
+    // Default: the least new money that lifts every bucket to target
+    const freshMoney =
+      options.amount ?? Math.max(minimumFreshMoney(buckets) - totalValue, 0);
+    const newTotal = totalValue + freshMoney;
+
+    const shortfalls = [...buckets.values()].map((b) => ({
+      bucket: b.bucket,
+      shortfall: Math.max((b.target / 100) * newTotal - b.currentValue, 0),
+    }));
+    const totalShortfall = sumOf(shortfalls, (s) => s.shortfall);
+
+    for (const { bucket, shortfall } of shortfalls) {
+      changes.set(
+        bucket,
+        totalShortfall > 0 ? (freshMoney * shortfall) / totalShortfall : 0
+      );
+    }
+  } else {
+    for (const b of buckets.values()) {
+      changes.set(b.bucket, (b.target / 100) * totalValue - b.currentValue);
+    }
+  }
+
+  // Split each bucket's change across its funds - sells first, so the
+  // buys can be held to what the sells raise
+  const trades = [];
+  for (const b of buckets.values()) {
+    if (changes.get(b.bucket) < 0) {
+      trades.push(...splitAcrossFunds(b, changes.get(b.bucket)));
+    }
+  }
+
+  const buyScale =
+    mode === "sell_and_buy" ? getBuyScale(trades, changes, warnings) : 1;
+  for (const b of buckets.values()) {
+    if (changes.get(b.bucket) > 0) {
+      trades.push(...splitAcrossFunds(b, changes.get(b.bucket) * buyScale));
+    }
+  }
+
+  const sells = trades.filter((t) => t.action === "sell");
+  const buys = trades.filter((t) => t.action === "buy");
+  const holds = trades.filter((t) => t.nonTradable);
+  for (const hold of holds) {
+    warnings.push(
+      `${hold.fundName}: ${hold.note} - ₹${hold.amount} over target ` +
+        "left as drift"
+    );
+  }
+  const totalSell = sumOf(sells, (t) => t.amount);
+  const totalBuy = sumOf(buys, (t) => t.amount);
+  const nonTradable = sumOf(holds, (t) => t.amount);
+  const valueAfter = totalValue + totalBuy - totalSell;
+
+  const bucketRows = [...buckets.values()].map((b) => {
+    const traded = sumOf(
+      trades.filter((t) => t.bucket === b.bucket),
+      (t) =>
+        (t.action === "buy" ? t.amount : 0) -
+        (t.action === "sell" ? t.amount : 0)
+    );
+    const currentPercent = (b.currentValue / totalValue) * 100;
+    const percentAfter =
+      valueAfter > 0 ? ((b.currentValue + traded) / valueAfter) * 100 : 0;
+    const drift = currentPercent - b.target;
+
+    return {
+      bucket: b.bucket,
+      target: b.target,
+      currentValue: roundTo(b.currentValue, 2),
+      currentPercent: roundTo(currentPercent, 2),
+      drift: roundTo(drift, 2),
+      status:
+        Math.abs(drift) <= DRIFT_TOLERANCE
+          ? "on_target"
+          : drift > 0
+          ? "overweight"
+          : "underweight",
+      valueAfter: roundTo(b.currentValue + traded, 2),
+      percentAfter: roundTo(percentAfter, 2),
+      driftAfter: roundTo(percentAfter - b.target, 2),
+    };
+  });
+
+  const tax =
+    sells.length > 0
+      ? estimateSaleTax(fundPerformance, fundMetadata, sells, {
+          slabRate: options.slabRate,
+          asOfKey: options.asOfKey,
+        })
+      : null;
+
+  const maxDriftBefore = Math.max(...bucketRows.map((b) => Math.abs(b.drift)));
+
+  return {
+    asOf: options.asOfKey,
+    level,
+    mode,
+    targets,
+    summary: {
+      totalValue: roundTo(totalValue, 2),
+      freshMoney: roundTo(totalBuy - totalSell, 2),
+      totalBuy: roundTo(totalBuy, 2),
+      totalSell: roundTo(totalSell, 2),
+      nonTradable: roundTo(nonTradable, 2),
+      valueAfter: roundTo(valueAfter, 2),
+      maxDriftBefore: roundTo(maxDriftBefore, 2),
+      maxDriftAfter: roundTo(
+        Math.max(...bucketRows.map((b) => Math.abs(b.driftAfter))),
+        2
+      ),
+      driftTolerance: DRIFT_TOLERANCE,
+      needsRebalancing: maxDriftBefore > DRIFT_TOLERANCE,
+      estimatedTax: tax ? tax.estimatedTax : 0,
+    },
+    buckets: bucketRows,
+    trades: [...sells, ...buys, ...holds],
+    tax,
+    warnings: [...new Set(warnings)],
+  };
+}
+
+/**
+ * Portfolio size at which no bucket is above its target, so fresh
+ * money alone can fix the mix (buckets without a target are ignored)
+ */
+function minimumFreshMoney(buckets) {
+  let newTotal = 0;
+  for (const b of buckets.values()) {
+    if (b.target > 0) {
+      newTotal = Math.max(newTotal, b.currentValue / (b.target / 100));
+    }
+  }
+  return newTotal;
+}
+
+/**
+ * Share of the wanted buys a sell_and_buy plan can make: all of them,
+ * unless hold lines leave the sells short of paying for them
+ *
+ * @param {Array} sellTrades - Sell and hold lines
+ * @param {Map} changes - Bucket -> rupee change
+ * @param {Array} warnings - Plan warnings (mutated)
+ * @returns {number} Scale for the buys, 0 to 1
+ */
+function getBuyScale(sellTrades, changes, warnings) {
+  const held = sumOf(
+    sellTrades.filter((t) => t.nonTradable),
+    (t) => t.amount
+  );
+  const raised = sumOf(
+    sellTrades.filter((t) => t.action === "sell"),
+    (t) => t.amount
+  );
+  const wanted = sumOf(
+    [...changes.values()].filter((c) => c > 0),
+    (c) => c
+  );
+
+  if (held === 0 || wanted <= raised) return 1;
+
+  warnings.push(
+    `₹${Math.round(held)} of the sells is held - buys cut to the ` +
+      `₹${Math.round(raised)} the other sells raise`
+  );
+  return raised / wanted;
+}
+
+/**
+ * Why a holding can't be sold in a rebalance, or null when it can
+ *
+ * @param {Object} fund - Fund result from analyzePerformance
+ * @returns {string|null} Reason shown on its hold line
+ */
+function getSellRestriction(fund) {
+  if (fund.manualAsset) {
+    return "manually valued asset, not sold in part";
+  }
+  if (fund.fixedDeposit?.status === "active") {
+    return `fixed deposit, matures ${formatMonthKey(
+      fund.fixedDeposit.maturityMonth
+    )}`;
+  }
+  // Matured accounts and NPS Tier II can be withdrawn
+  if (fund.scheme && !["matured", "open"].includes(fund.scheme.status)) {
+    return `${fund.scheme.scheme} locked in (${fund.scheme.lockInRule})`;
+  }
+  return null;
+}
+
+/**
+ * Turn a bucket's rupee change into per-fund trades
+ * Sells come from the funds that can be sold, in proportion to their
+ * value; what they can't cover is split across the rest as hold lines
+ *
+ * @param {Object} bucket - { bucket, currentValue, funds }
+ * @param {number} change - Positive to buy, negative to sell
+ * @returns {Array} Trades (below MIN_TRADE_AMOUNT dropped)
+ */
+function splitAcrossFunds(bucket, change) {
+  if (Math.abs(change) < MIN_TRADE_AMOUNT) return [];
+
+  const action = change > 0 ? "buy" : "sell";
+
+  if (bucket.funds.length === 0) {
+    return [
+      {
+        action,
+        bucket: bucket.bucket,
+        fundName: null,
+        amount: Math.round(change),
+        note: `No ${bucket.bucket} fund held - add one`,
+      },
+    ];
+  }
+
+  if (action === "buy") {
+    return bucket.funds
+      .map((fund) =>
+        toTrade(
+          bucket,
+          fund,
+          action,
+          (change * fund.currentValue) / bucket.currentValue
+        )
+      )
+      .filter((trade) => trade.amount >= MIN_TRADE_AMOUNT);
+  }
+
+  const sellable = bucket.funds.filter((f) => !getSellRestriction(f));
+  const locked = bucket.funds.filter((f) => getSellRestriction(f));
+  const sellableValue = sumOf(sellable, (f) => f.currentValue);
+  const lockedValue = sumOf(locked, (f) => f.currentValue);
+  const toSell = Math.min(Math.abs(change), sellableValue);
+  const unsold = Math.abs(change) - toSell;
+
+  return [
+    ...sellable.map((fund) =>
+      toTrade(
+        bucket,
+        fund,
+        action,
+        (toSell * fund.currentValue) / sellableValue
+      )
+    ),
+    ...locked.map((fund) => ({
+      action: "hold",
+      bucket: bucket.bucket,
+      fundName: fund.fundName,
+      amount: Math.round((unsold * fund.currentValue) / lockedValue),
+      nonTradable: true,
+      note: getSellRestriction(fund),
+      currentValue: fund.currentValue,
+    })),
+  ].filter((trade) => trade.amount >= MIN_TRADE_AMOUNT);
+}
+
+/**
+ * Buy / sell line for one fund
+ */
+function toTrade(bucket, fund, action, amount) {
+  const rounded = Math.round(amount);
+
+  return {
+    action,
+    bucket: bucket.bucket,
+    fundName: fund.fundName,
+    amount: rounded,
+    units:
+      action === "sell" && fund.currentNav > 0
+        ? roundTo(rounded / fund.currentNav, 4)
+        : null,
+    nav: fund.currentNav,
+    currentValue: fund.currentValue,
+    valueAfter: roundTo(
+      fund.currentValue + (action === "buy" ? rounded : -rounded),
+      2
+    ),
+  };
+}
+
+function emptyPlan(asOfKey, level, mode, targets, warnings) {
+  return {
+    asOf: asOfKey,
+    level,
+    mode,
+    targets,
+    summary: null,
+    buckets: [],
+    trades: [],
+    tax: null,
+    warnings,
+  };
+}
+
+function sumOf(items, getValue) {
+  return items.reduce((sum, item) => sum + getValue(item), 0);
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  if (value === null || value === undefined || isNaN(value)) return 0;
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  generateRebalancePlan,
+  planRebalance,
+};
@@ -0,0 +1,458 @@
+/**
+ * Retirement Scheme Service
+ *
+ * Values the long-term government schemes ("PPF" / "EPF" / "NPS"
+ * holdings) and works out when their money can be taken out:
+ *
+ * - PPF: dated deposits earning the notified rate of each month
+ *   (config/schemes.config.js); locked in for 15 years from the year
+ *   the account was opened, partial withdrawals from the 7th year
+ * - EPF: monthly employee + employer contributions (and an optional
+ *   opening balance) earning the rate declared for each financial
+ *   year; paid out on retirement at 58
+ * - NPS: SIPs / lumpsums like a fund, on a NAV blended from the E / C / G
+ *   scheme NAVs (FundNAV) in the account's allocation; Tier I is locked
+ *   in until 60, Tier II has no lock-in
+ *
+ * PPF / EPF accrual of ₹1 stands in for a NAV, so performance.service
+ * values all three like any fund. Allocation counts PPF / EPF as Debt
+ * and NPS as Hybrid (Debt with no equity share).
+ *
+ * ⚠️ PPF / EPF interest is credited yearly; here it accrues monthly at
+ * the equivalent rate, so a full year earns exactly the notified rate
+ * ⚠️ PPF / EPF withdrawals and the NPS annuity are not modelled
+ * ⚠️ The NPS allocation is held constant (rebalanced every month)
+ * ⚠️ No Express/controller logic here
+ */
+
+import FundNAV from "../../models/FundNAVModel.js";
+import {
+  PPF_RATES,
+  PPF_LOCK_IN_YEARS,
+  PPF_WITHDRAWAL_AFTER_YEARS,
+  PPF_YEARLY_LIMIT,
+  EPF_RATES,
+  EPF_RETIREMENT_AGE,
+  NPS_RETIREMENT_AGE,
+  NPS_SCHEMES,
+  getNpsSchemeName,
+} from "../../config/schemes.config.js";
+import {
+  monthYearToKey,
+  monthsBetween,
+  generateMonthRange,
+  parseKey,
+  sumSipContributions,
+} from "../../utils/nav/index.js";
+
+export const RETIREMENT_SCHEME_TYPES = ["PPF", "EPF", "NPS"];
+
+// Fund entry field holding each scheme's terms
+const TERMS_FIELDS = { PPF: "ppf", EPF: "epf", NPS: "nps" };
+
+// NPS blended NAV on its first month
+const NPS_BASE_NAV = 10;
+
+/**
+ * Whether a portfolio fund entry is a PPF / EPF / NPS account with
+ * its terms
+ */
+export function isRetirementScheme(fund) {
+  const field = TERMS_FIELDS[fund.assetType];
+  return Boolean(field && fund[field]);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RATES & DATES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * First calendar year of the financial year a month falls in
+ */
+function getFinancialYearStart(monthKey) {
+  const { year, month } = parseKey(monthKey);
+  return month >= 4 ? year : year - 1;
+}
+
+/**
+ * PPF rate (% p.a.) notified for a month
+ */
+export function getPpfRate(monthKey) {
+  const entry = [...PPF_RATES].reverse().find((r) => monthKey >= r.fromKey);
+  return (entry || PPF_RATES[0]).rate;
+}
+
+/**
+ * EPF rate (% p.a.) declared for the financial year of a month
+ * Years outside the table use the nearest declared year
+ */
+export function getEpfRate(monthKey) {
+  const years = Object.keys(EPF_RATES).map(Number);
+  const year = Math.min(
+    Math.max(getFinancialYearStart(monthKey), Math.min(...years)),
+    Math.max(...years)
+  );
+  return EPF_RATES[year];
+}
+
+/**
+ * Month a PPF account matures and partial withdrawals open up
+ * Both are counted in whole financial years after the year of opening
+ *
+ * @returns {Object} { openedKey, withdrawalFromKey, maturityKey }
+ */
+export function getPpfPeriod(ppf) {
+  const openedKey = monthYearToKey(ppf.openedYear, ppf.openedMonth);
+  const firstYearEnd = getFinancialYearStart(openedKey) + 1;
+
+  return {
+    openedKey,
+    withdrawalFromKey: `${firstYearEnd + PPF_WITHDRAWAL_AFTER_YEARS}-04`,
+    maturityKey: `${firstYearEnd + PPF_LOCK_IN_YEARS}-04`,
+  };
+}
+
+/**
+ * Month the holder reaches an age (null without a birth month)
+ */
+function getAgeKey(terms, age) {
+  if (!terms.birthYear || !terms.birthMonth) return null;
+  return monthYearToKey(terms.birthYear + age, terms.birthMonth);
+}
+
+/**
+ * First month money goes into a PPF / EPF account
+ */
+function getStartKey(fund) {
+  if (fund.assetType === "PPF") {
+    return getPpfPeriod(fund.ppf).openedKey;
+  }
+
+  const keys = fund.epf.contributions.map((c) =>
+    monthYearToKey(c.startYear, c.startMonth)
+  );
+  if (fund.epf.openingBalance) {
+    const { month, year } = fund.epf.openingBalance;
+    keys.push(monthYearToKey(year, month));
+  }
+  return keys.sort()[0];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NAV SERIES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Accrued value of ₹1 put in on startKey, month by month: each month
+ * grows by a twelfth of that month's yearly rate (compounded)
+ *
+ * @param {string} startKey - First month (YYYY-MM)
+ * @param {string} untilKey - Last month to generate (YYYY-MM)
+ * @param {Function} getRate - monthKey -> rate (% p.a.)
+ * @returns {Object} { "YYYY-MM": factor } - empty if not started yet
+ */
+function buildRateNav(startKey, untilKey, getRate) {
+  if (!startKey || startKey > untilKey) {
+    return {};
+  }
+
+  const nav = {};
+  let factor = 1;
+  let previousKey = null;
+  for (const month of generateMonthRange(startKey, untilKey)) {
+    if (previousKey) {
+      factor *= Math.pow(1 + getRate(previousKey) / 100, 1 / 12);
+    }
+    nav[month] = factor;
+    previousKey = month;
+  }
+  return nav;
+}
+
+/**
+ * NAV series for every PPF / EPF account of a portfolio
+ * (NPS NAVs come from fetchSchemeData)
+ *
+ * @param {Array} funds - Portfolio funds array
+ * @param {string} untilKey - Last month to generate (YYYY-MM)
+ * @returns {Object} Map of fundName -> { "YYYY-MM": factor }
+ */
+export function buildSchemeNavMap(funds, untilKey) {
+  const navMap = {};
+  for (const fund of funds) {
+    if (!isRetirementScheme(fund) || fund.assetType === "NPS") continue;
+
+    navMap[fund.assetName] = buildRateNav(
+      getStartKey(fund),
+      untilKey,
+      fund.assetType === "PPF" ? getPpfRate : getEpfRate
+    );
+  }
+  return navMap;
+}
+
+/**
+ * NAV of an NPS account: the E / C / G scheme NAVs weighted by its
+ * allocation, rebalanced every month. Starts on the first month all
+ * schemes it holds have a NAV.
+ *
+ * @param {Object} nps - { tier, allocation: { E, C, G } }
+ * @param {Object} schemeNavs - Map of scheme NAV name -> NAV data
+ * @returns {Object} { "YYYY-MM": nav } - empty without scheme NAVs
+ */
+export function buildNpsNav(nps, schemeNavs) {
+  const held = Object.keys(NPS_SCHEMES)
+    .filter((scheme) => nps.allocation[scheme] > 0)
+    .map((scheme) => ({
+      weight: nps.allocation[scheme] / 100,
+      navData: schemeNavs[getNpsSchemeName(scheme, nps.tier)] || {},
+    }));
+
+  const months = Object.keys(held[0]?.navData || {})
+    .filter((month) => held.every((s) => s.navData[month] > 0))
+    .sort();
+
+  const nav = {};
+  months.forEach((month, i) => {
+    if (i === 0) {
+      nav[month] = NPS_BASE_NAV;
+      return;
+    }
+    const previous = months[i - 1];
+    const growth = held.reduce(
+      (sum, s) => sum + (s.weight * s.navData[month]) / s.navData[previous],
+      0
+    );
+    nav[month] = nav[previous] * growth;
+  });
+  return nav;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CASHFLOWS & SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * EPF contributions as SIPs of employee + employer money
+ * (or one side only, with `side`)
+ */
+function toEpfSips(epf, side = null) {
+  return epf.contributions.map((c) => ({
+    amount: side ? c[side] : c.employee + c.employer,
+    startMonth: c.startMonth,
+    startYear: c.startYear,
+    isOngoing: c.isOngoing,
+    endMonth: c.endMonth,
+    endYear: c.endYear,
+  }));
+}
+
+/**
+ * Cashflows of a scheme in portfolio fund format
+ * - PPF: every deposit is a lumpsum
+ * - EPF: contributions are SIPs, the opening balance a lumpsum
+ * - NPS: already SIPs / lumpsums / redemptions
+ *
+ * @param {Object} fund - PPF / EPF / NPS fund entry
+ * @returns {Object} Fund entry with sips / lumpsums / redemptions
+ */
+export function toSchemeFund(fund) {
+  if (fund.assetType === "PPF") {
+    return {
+      ...fund,
+      sips: [],
+      lumpsums: fund.ppf.contributions.map((c) => ({
+        amount: c.amount,
+        month: c.month,
+        year: c.year,
+      })),
+      redemptions: [],
+    };
+  }
+
+  if (fund.assetType === "EPF") {
+    const opening = fund.epf.openingBalance;
+    return {
+      ...fund,
+      sips: toEpfSips(fund.epf),
+      lumpsums: opening
+        ? [{ amount: opening.amount, month: opening.month, year: opening.year }]
+        : [],
+      redemptions: [],
+    };
+  }
+
+  return fund;
+}
+
+/**
+ * Lock-in and maturity of a scheme as of a month, plus its terms
+ *
+ * status: "locked" (nothing can be taken out), "partial_withdrawal"
+ * (PPF from its 7th year), "open" (NPS Tier II) or "matured"
+ *
+ * @param {Object} fund - PPF / EPF / NPS fund entry
+ * @param {string} asOfKey - Valuation month
+ * @returns {Object} Scheme summary for fund results
+ */
+export function describeScheme(fund, asOfKey) {
+  const untilMaturity = (maturityKey) =>
+    maturityKey && maturityKey > asOfKey
+      ? monthsBetween(asOfKey, maturityKey)
+      : 0;
+
+  if (fund.assetType === "PPF") {
+    const { openedKey, withdrawalFromKey, maturityKey } = getPpfPeriod(
+      fund.ppf
+    );
+    const yearStart = getFinancialYearStart(asOfKey);
+    const depositedThisYear = fund.ppf.contributions
+      .filter(
+        (c) =>
+          getFinancialYearStart(monthYearToKey(c.year, c.month)) === yearStart
+      )
+      .reduce((sum, c) => sum + c.amount, 0);
+
+    return {
+      scheme: "PPF",
+      rate: getPpfRate(asOfKey),
+      openedMonth: openedKey,
+      lockInRule: `${PPF_LOCK_IN_YEARS} years from the year of opening`,
+      withdrawalFrom: withdrawalFromKey,
+      maturityMonth: maturityKey,
+      monthsToMaturity: untilMaturity(maturityKey),
+      status:
+        asOfKey >= maturityKey
+          ? "matured"
+          : asOfKey >= withdrawalFromKey
+          ? "partial_withdrawal"
+          : "locked",
+      depositedThisYear,
+      yearlyLimit: PPF_YEARLY_LIMIT,
+    };
+  }
+
+  if (fund.assetType === "EPF") {
+    const retirementKey = getAgeKey(fund.epf, EPF_RETIREMENT_AGE);
+    const contributed = (side) =>
+      toEpfSips(fund.epf, side).reduce(
+        (sum, sip) => sum + sumSipContributions(sip, asOfKey),
+        0
+      );
+
+    return {
+      scheme: "EPF",
+      rate: getEpfRate(asOfKey),
+      employeeContributed: contributed("employee"),
+      employerContributed: contributed("employer"),
+      openingBalance: fund.epf.openingBalance?.amount || 0,
+      lockInRule: `Until retirement at ${EPF_RETIREMENT_AGE}`,
+      maturityMonth: retirementKey,
+      monthsToMaturity: untilMaturity(retirementKey),
+      status: retirementKey && asOfKey >= retirementKey ? "matured" : "locked",
+    };
+  }
+
+  const { tier, allocation } = fund.nps;
+  const retirementKey =
+    tier === "I" ? getAgeKey(fund.nps, NPS_RETIREMENT_AGE) : null;
+
+  return {
+    scheme: "NPS",
+    tier,
+    allocation: { E: allocation.E, C: allocation.C, G: allocation.G },
+    lockInRule: tier === "I" ? `Until age ${NPS_RETIREMENT_AGE}` : "No lock-in",
+    maturityMonth: retirementKey,
+    monthsToMaturity: untilMaturity(retirementKey),
+    status:
+      tier === "II"
+        ? "open"
+        : retirementKey && asOfKey >= retirementKey
+        ? "matured"
+        : "locked",
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REFERENCE DATA
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Reference data entry for a scheme, in FundReference shape
+ */
+function toSchemeMetadata(fund) {
+  const common = {
+    fundName: fund.assetName,
+    category: fund.assetType,
+    holdingTemplateKey: null,
+    isRetirementScheme: true,
+    schemeType: fund.assetType,
+  };
+
+  if (fund.assetType !== "NPS") {
+    return { ...common, assetType: "Debt" };
+  }
+
+  return {
+    ...common,
+    assetType: fund.nps.allocation.E > 0 ? "Hybrid" : "Debt",
+    tier: fund.nps.tier,
+    equityShare: fund.nps.allocation.E,
+  };
+}
+
+/**
+ * Fetch NAVs and reference data for the PPF / EPF / NPS accounts of a
+ * portfolio. Both maps are keyed by fund (asset) name, like NAV data
+ * and FundReference metadata, so callers can merge them in. Only NPS
+ * accounts get a NAV here - PPF / EPF accrue in analyzePerformance.
+ *
+ * @param {Array} funds - Portfolio funds array
+ * @returns {Object} { navData: { assetName: { month: nav } },
+ *   metadata: { assetName: reference } }
+ */
+export async function fetchSchemeData(funds) {
+  const schemes = funds.filter(isRetirementScheme);
+  if (schemes.length === 0) {
+    return { navData: {}, metadata: {} };
+  }
+
+  const npsAccounts = schemes.filter((f) => f.assetType === "NPS");
+  const schemeNames = [
+    ...new Set(
+      npsAccounts.flatMap((f) =>
+        Object.keys(NPS_SCHEMES)
+          .filter((scheme) => f.nps.allocation[scheme] > 0)
+          .map((scheme) => getNpsSchemeName(scheme, f.nps.tier))
+      )
+    ),
+  ];
+  const schemeNavs =
+    schemeNames.length > 0
+      ? await FundNAV.getMultipleFundNavs(schemeNames)
+      : {};
+
+  const navData = {};
+  const metadata = {};
+  for (const fund of schemes) {
+    if (fund.assetType === "NPS") {
+      navData[fund.assetName] = buildNpsNav(fund.nps, schemeNavs);
+    }
+    metadata[fund.assetName] = toSchemeMetadata(fund);
+  }
+
+  return { navData, metadata };
+}
+
+export default {
+  RETIREMENT_SCHEME_TYPES,
+  isRetirementScheme,
+  getPpfRate,
+  getEpfRate,
+  getPpfPeriod,
+  buildSchemeNavMap,
+  buildNpsNav,
+  toSchemeFund,
+  describeScheme,
+  fetchSchemeData,
+};
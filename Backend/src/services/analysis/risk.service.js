@@ -0,0 +1,189 @@
+/**
+ * Risk Metrics Service
+ *
+ * Price risk from monthly NAV movements:
+ * - Annualized volatility (std dev of monthly returns × √12)
+ * - Sharpe and Sortino ratios against a fixed risk-free rate
+ * - Maximum drawdown with peak / trough months and recovery time
+ *
+ * Funds are measured over their holding period (first purchase →
+ * valuation month). The portfolio is measured on a time-weighted
+ * index built from the monthly time series (timeSeries.service), so
+ * new SIP money, redemptions and dividend payouts don't show up as
+ * gains or losses.
+ *
+ * ⚠️ Monthly data only - intra-month swings are not captured
+ * ⚠️ No Express/controller logic here
+ */
+
+import {
+  dateToKey,
+  normalizeNavData,
+  fillMissingNavData,
+  calculateRollingReturns,
+  calculateReturnStatistics,
+  calculateSharpeRatio,
+  calculateSortinoRatio,
+  calculateDownsideDeviation,
+  calculateMaxDrawdown,
+} from "../../utils/nav/index.js";
+
+// Risk-free rate (% p.a.) - same default as calculateSharpeRatio
+const RISK_FREE_RATE = 6;
+
+// Fewer monthly returns than this and the numbers mean nothing
+const MIN_RETURN_MONTHS = 3;
+
+/**
+ * Analyze price risk for a portfolio
+ *
+ * @param {Array} fundPerformance - Fund results from analyzePerformance
+ * @param {Object} navDataMap - Map of fundName -> NAV data (up to asOfKey)
+ * @param {string} asOfKey - Valuation month
+ * @param {Array} timeSeries - Monthly portfolio points (buildTimeSeries)
+ * @returns {Object} { riskFreeRate, portfolio, funds, warnings }
+ */
+export function analyzeRisk(
+  fundPerformance,
+  navDataMap,
+  asOfKey,
+  timeSeries
+) {
+  const result = {
+    riskFreeRate: RISK_FREE_RATE,
+    portfolio: null,
+    funds: [],
+    warnings: [],
+  };
+
+  if (!asOfKey) {
+    return result;
+  }
+
+  for (const fund of fundPerformance) {
+    const startKey = getFirstCashflowKey(fund.cashflows);
+    if (!startKey) continue;
+
+    const filled = fillMissingNavData(
+      normalizeNavData(navDataMap[fund.fundName] || {}),
+      startKey,
+      asOfKey
+    );
+
+    const metrics = calculateSeriesRisk(filled);
+    if (!metrics) {
+      result.warnings.push(
+        `${fund.fundName}: held for under ${MIN_RETURN_MONTHS} months, risk metrics skipped`
+      );
+      continue;
+    }
+
+    result.funds.push({
+      fundName: fund.fundName,
+      startKey,
+      ...metrics,
+    });
+  }
+
+  if (timeSeries?.length > 0) {
+    const metrics = calculateSeriesRisk(buildPortfolioIndex(timeSeries));
+    if (metrics) {
+      result.portfolio = { startKey: timeSeries[0].month, ...metrics };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Risk metrics for a single monthly value series
+ *
+ * @param {Object} series - { "YYYY-MM": value }, no gaps
+ * @returns {Object|null} Metrics, or null if the series is too short
+ */
+export function calculateSeriesRisk(series) {
+  const monthlyReturns = calculateRollingReturns(series, 1).map(
+    (r) => r.return
+  );
+  if (monthlyReturns.length < MIN_RETURN_MONTHS) {
+    return null;
+  }
+
+  const stats = calculateReturnStatistics(monthlyReturns);
+  const volatility = stats.standardDeviation * Math.sqrt(12);
+
+  // Geometric average, annualized
+  const growth = monthlyReturns.reduce((acc, r) => acc * (1 + r / 100), 1);
+  const annualReturn =
+    (Math.pow(growth, 12 / monthlyReturns.length) - 1) * 100;
+
+  const downsideDeviation =
+    calculateDownsideDeviation(monthlyReturns, RISK_FREE_RATE / 12) *
+    Math.sqrt(12);
+
+  return {
+    months: monthlyReturns.length,
+    annualReturn: roundTo(annualReturn, 2),
+    volatility: roundTo(volatility, 2),
+    sharpeRatio: calculateSharpeRatio(annualReturn, RISK_FREE_RATE, volatility),
+    sortinoRatio: calculateSortinoRatio(
+      annualReturn,
+      RISK_FREE_RATE,
+      downsideDeviation
+    ),
+    bestMonth: stats.max,
+    worstMonth: stats.min,
+    maxDrawdown: calculateMaxDrawdown(series),
+  };
+}
+
+/**
+ * Time-weighted index of the portfolio (starts at 100)
+ *
+ * Each month: growth = (value - net purchases) / previous value,
+ * so money going in or out doesn't move the index.
+ *
+ * @param {Array} timeSeries - Monthly portfolio points
+ * @returns {Object} { "YYYY-MM": level }
+ */
+function buildPortfolioIndex(timeSeries) {
+  const index = {};
+  let level = 100;
+  let previous = null;
+
+  for (const point of timeSeries) {
+    if (previous && previous.value > 0) {
+      const netFlow =
+        point.invested -
+        previous.invested -
+        (point.redeemed - previous.redeemed) -
+        (point.dividends - previous.dividends);
+      level *= (point.value - netFlow) / previous.value;
+    }
+    index[point.month] = level;
+    previous = point;
+  }
+
+  return index;
+}
+
+/**
+ * Earliest cashflow month, or null when there are none
+ */
+function getFirstCashflowKey(cashflows = []) {
+  if (cashflows.length === 0) return null;
+  return cashflows.map((cf) => dateToKey(cf.date)).sort()[0];
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  analyzeRisk,
+  calculateSeriesRisk,
+};
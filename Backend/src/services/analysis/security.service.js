@@ -0,0 +1,170 @@
+/**
+ * Security Service
+ *
+ * Values stocks and ETFs held directly ("Stock" / "ETF" holdings):
+ * a symbol, the shares held now and the buy transactions behind them.
+ *
+ * - Monthly closes (SecurityPrice) stand in for NAVs, so
+ *   performance.service values them like any fund: each buy is a
+ *   lumpsum of shares × price at the trade price, sales are
+ *   redemptions by units (shares)
+ * - SecurityReference gives stocks a sector and market cap bucket and
+ *   ETFs a category / holding template, so both feed allocation and
+ *   look-through exposure in diversification.service
+ *
+ * ⚠️ Monthly granularity: trades are booked in their month
+ * ⚠️ No Express/controller logic here
+ */
+
+import SecurityPrice from "../../models/SecurityPriceModel.js";
+import SecurityReference from "../../models/SecurityReferenceModel.js";
+
+export const SECURITY_ASSET_TYPES = ["Stock", "ETF"];
+
+// Category of directly held stocks in allocation reports
+export const DIRECT_EQUITY_CATEGORY = "Direct Equity";
+
+/**
+ * Whether a portfolio fund entry is a stock / ETF with its trades
+ */
+export function isSecurity(fund) {
+  return (
+    SECURITY_ASSET_TYPES.includes(fund.assetType) && Boolean(fund.security)
+  );
+}
+
+/**
+ * Trades of a security in portfolio fund format: every buy as a
+ * lumpsum priced at the trade price (so units = shares); sales are
+ * already redemptions by units
+ *
+ * @param {Object} fund - Stock / ETF fund entry
+ * @returns {Object} Fund entry with lumpsums / redemptions
+ */
+export function toSecurityFund(fund) {
+  return {
+    ...fund,
+    sips: [],
+    lumpsums: fund.security.buys.map((buy) => ({
+      amount: buy.shares * buy.price,
+      price: buy.price,
+      month: buy.month,
+      year: buy.year,
+    })),
+    redemptions: fund.redemptions || [],
+  };
+}
+
+/**
+ * Holding summary for fund results
+ *
+ * @param {Object} security - { symbol, shares, buys }
+ * @param {Object} fundResult - calculateFundPerformance result
+ * @returns {Object} { symbol, shares, sharesValued, buyCount,
+ *   averagePrice, lastClose }
+ */
+export function describeSecurity(security, fundResult) {
+  const bought = security.buys.reduce((sum, buy) => sum + buy.shares, 0);
+  const cost = security.buys.reduce(
+    (sum, buy) => sum + buy.shares * buy.price,
+    0
+  );
+
+  return {
+    symbol: security.symbol,
+    shares: security.shares,
+    sharesValued: fundResult.totalUnits,
+    buyCount: security.buys.length,
+    averagePrice: bought > 0 ? roundTo(cost / bought, 2) : null,
+    lastClose: fundResult.currentNav,
+  };
+}
+
+/**
+ * Reference data entry for a security, in FundReference shape
+ * Stocks without reference data are still Equity, just unclassified
+ *
+ * @param {Object} fund - Stock / ETF fund entry
+ * @param {Object} [reference] - SecurityReference data
+ * @returns {Object} Metadata for fundMetadata[fund.assetName]
+ */
+function toSecurityMetadata(fund, reference) {
+  const common = {
+    fundName: fund.assetName,
+    isSecurity: true,
+    securityType: fund.assetType,
+    symbol: fund.security.symbol,
+    hasReference: Boolean(reference),
+  };
+
+  if (fund.assetType === "Stock") {
+    return {
+      ...common,
+      assetType: "Equity",
+      category: DIRECT_EQUITY_CATEGORY,
+      holdingTemplateKey: null,
+      stockName: reference?.name || fund.assetName,
+      isin: reference?.isin || null,
+      sector: reference?.sector || null,
+      marketCap: reference?.marketCap || null,
+    };
+  }
+
+  return {
+    ...common,
+    assetType: reference?.assetType || "Equity",
+    category: reference?.category || "ETF",
+    holdingTemplateKey: reference?.holdingTemplateKey || null,
+  };
+}
+
+/**
+ * Fetch prices and reference data for the stocks / ETFs of a portfolio
+ * Both maps are keyed by fund (asset) name, like NAV data and
+ * FundReference metadata, so callers can merge them in
+ *
+ * @param {Array} funds - Portfolio funds array
+ * @returns {Object} { navData: { assetName: { month: close } },
+ *   metadata: { assetName: reference } }
+ */
+export async function fetchSecurityData(funds) {
+  const securities = funds.filter(isSecurity);
+  if (securities.length === 0) {
+    return { navData: {}, metadata: {} };
+  }
+
+  const symbols = [...new Set(securities.map((f) => f.security.symbol))];
+  const [prices, references] = await Promise.all([
+    SecurityPrice.getMultiplePriceSeries(symbols),
+    SecurityReference.getBySymbols(symbols),
+  ]);
+
+  const navData = {};
+  const metadata = {};
+  for (const fund of securities) {
+    const { symbol } = fund.security;
+    if (prices[symbol]) {
+      navData[fund.assetName] = prices[symbol];
+    }
+    metadata[fund.assetName] = toSecurityMetadata(fund, references[symbol]);
+  }
+
+  return { navData, metadata };
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  SECURITY_ASSET_TYPES,
+  DIRECT_EQUITY_CATEGORY,
+  isSecurity,
+  toSecurityFund,
+  describeSecurity,
+  fetchSecurityData,
+};
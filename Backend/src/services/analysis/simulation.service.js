@@ -0,0 +1,514 @@
+/**
+ * What-if Simulation Service
+ *
+ * Runs the full analysis pipeline on portfolios that are never saved:
+ * - simulateAnalysis: a portfolio built from request data
+ *   (same funds / transfers structure as create portfolio)
+ * - generateForkAnalysis: a saved portfolio with edits applied
+ *   (change a SIP, add a SIP or lumpsum, swap or remove a fund),
+ *   returned with a diff against the unedited analysis
+ *
+ * Edits act on the whole history: raising a SIP "from 2022-01" means
+ * every instalment since Jan 2022 is the new amount, so the diff shows
+ * what the portfolio would look like today had that been done.
+ *
+ * ⚠️ Nothing here writes to the database
+ * ⚠️ No Express/controller logic here
+ */
+
+import Portfolio from "../../models/portfolioModel.js";
+import {
+  analyzePortfolio,
+  validatePortfolioForAnalysis,
+} from "./analysis.service.js";
+import {
+  addMonths,
+  parseKey,
+  monthYearToKey,
+} from "../../utils/nav/index.js";
+import { isFixedDeposit } from "./fixedDeposit.service.js";
+import { isSecurity } from "./security.service.js";
+import { isRetirementScheme } from "./retirementScheme.service.js";
+import { isManualAsset } from "./manualAsset.service.js";
+
+const DEFAULT_ASSET_TYPE = "Mutual Fund";
+
+/**
+ * Analyze a portfolio that exists only in the request
+ *
+ * @param {Object} portfolioData - { name, funds[], transfers[] }
+ *   (create portfolio shape)
+ * @param {string} userId - User whose risk profile is checked
+ * @param {Object} [options] - { asOf: "YYYY-MM", weightBy }
+ * @returns {Object} Complete analysis response
+ */
+export async function simulateAnalysis(portfolioData, userId, options = {}) {
+  const portfolio = {
+    _id: null,
+    name: portfolioData.name || "What-if Portfolio",
+    isSimulated: true,
+    funds: portfolioData.funds.map(toPortfolioFund),
+    transfers: (portfolioData.transfers || []).map(toPortfolioTransfer),
+  };
+
+  return analyzePortfolio(portfolio, userId, options);
+}
+
+/**
+ * Analyze a saved portfolio with edits applied, and diff it against
+ * the analysis of the portfolio as saved
+ *
+ * @param {string} portfolioId - Portfolio document ID
+ * @param {string} userId - User ID for authorization
+ * @param {Array} edits - See applyPortfolioEdits
+ * @param {Object} [options] - { asOf: "YYYY-MM", weightBy }
+ * @returns {Object} { edits, analysis, diff }
+ */
+export async function generateForkAnalysis(
+  portfolioId,
+  userId,
+  edits,
+  options = {}
+) {
+  const portfolio = await Portfolio.findOne({
+    _id: portfolioId,
+    userId: userId,
+  }).lean();
+
+  if (!portfolio) {
+    throw new Error("Portfolio not found or access denied");
+  }
+
+  const { funds, transfers, errors } = applyPortfolioEdits(
+    portfolio.funds,
+    edits,
+    portfolio.transfers
+  );
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  const fork = {
+    ...portfolio,
+    name: `${portfolio.name} (what-if)`,
+    isSimulated: true,
+    funds,
+    transfers,
+  };
+
+  // Value both at the same month so the diff is like for like
+  const original = await analyzePortfolio(portfolio, userId, options);
+  const analysis = await analyzePortfolio(fork, userId, {
+    ...options,
+    asOf: options.asOf || original.performance.valuation.asOfKey,
+  });
+
+  return {
+    edits,
+    analysis,
+    diff: diffAnalyses(original, analysis),
+  };
+}
+
+/**
+ * Apply what-if edits to a copy of a portfolio's funds
+ *
+ * Edit types (months are "YYYY-MM"):
+ * - set_sip     { fundName, amount, from? } - new SIP amount, from a
+ *               month on (default: every instalment)
+ * - add_sip     { fundName, amount, from, to?, assetType? }
+ * - add_lumpsum { fundName, amount, month, assetType? }
+ * - swap_fund   { fundName, newFundName } - same cash flows, other fund
+ * - remove_fund { fundName }
+ *
+ * add_sip / add_lumpsum on a fund not in the portfolio adds the fund.
+ * Transfers follow a swapped fund and are dropped with a removed one.
+ * Fixed deposits, stocks, ETFs, PPF, EPF and valued assets (real
+ * estate / gold / other) can only be removed; an NPS account can't be
+ * swapped.
+ *
+ * @param {Array} funds - Portfolio funds (stored format), not modified
+ * @param {Array} edits - Edits, applied in order
+ * @param {Array} [transfers] - Portfolio transfers, not modified
+ * @returns {Object} { funds, transfers, errors: string[] }
+ */
+export function applyPortfolioEdits(funds, edits, transfers = []) {
+  let result = funds.map((fund) => ({
+    ...fund,
+    sips: (fund.sips || []).map((sip) => ({ ...sip })),
+    lumpsums: (fund.lumpsums || []).map((lumpsum) => ({ ...lumpsum })),
+    redemptions: (fund.redemptions || []).map((r) => ({ ...r })),
+  }));
+  let resultTransfers = transfers.map((t) => ({ ...t }));
+  const errors = [];
+
+  edits.forEach((edit, index) => {
+    const label = `Edit ${index + 1} (${edit.type})`;
+    let fund = result.find((f) => f.assetName === edit.fundName);
+
+    if (!fund && !["add_sip", "add_lumpsum"].includes(edit.type)) {
+      errors.push(`${label}: "${edit.fundName}" is not in the portfolio`);
+      return;
+    }
+
+    if (fund && isFixedDeposit(fund) && edit.type !== "remove_fund") {
+      errors.push(
+        `${label}: "${edit.fundName}" is a fixed deposit; ` +
+          "it can only be removed"
+      );
+      return;
+    }
+
+    if (fund && isSecurity(fund) && edit.type !== "remove_fund") {
+      errors.push(
+        `${label}: "${edit.fundName}" is a stock / ETF holding; ` +
+          "it can only be removed"
+      );
+      return;
+    }
+
+    if (fund && isManualAsset(fund) && edit.type !== "remove_fund") {
+      errors.push(
+        `${label}: "${edit.fundName}" is valued by hand; ` +
+          "it can only be removed"
+      );
+      return;
+    }
+
+    // NPS SIPs / lumpsums can change; PPF / EPF can only be removed
+    if (
+      fund &&
+      isRetirementScheme(fund) &&
+      edit.type !== "remove_fund" &&
+      (fund.assetType !== "NPS" || edit.type === "swap_fund")
+    ) {
+      errors.push(
+        fund.assetType === "NPS"
+          ? `${label}: only the SIPs and lumpsums of NPS account ` +
+              `"${edit.fundName}" can change`
+          : `${label}: ${fund.assetType} account "${edit.fundName}" ` +
+              "can only be removed"
+      );
+      return;
+    }
+
+    switch (edit.type) {
+      case "set_sip": {
+        const changed = setSipAmount(fund, edit.amount, edit.from);
+        if (!changed) {
+          errors.push(
+            `${label}: "${edit.fundName}" has no SIP running` +
+              (edit.from ? ` from ${edit.from}` : "")
+          );
+        }
+        break;
+      }
+
+      case "add_sip":
+      case "add_lumpsum": {
+        if (!fund) {
+          fund = {
+            assetType: edit.assetType || DEFAULT_ASSET_TYPE,
+            assetName: edit.fundName,
+            sips: [],
+            lumpsums: [],
+            redemptions: [],
+          };
+          result.push(fund);
+        }
+        if (edit.type === "add_sip") {
+          fund.sips.push(buildSip(edit.amount, edit.from, edit.to));
+        } else {
+          const { year, month } = parseKey(edit.month);
+          fund.lumpsums.push({ amount: edit.amount, month, year });
+        }
+        break;
+      }
+
+      case "swap_fund":
+        if (result.some((f) => f.assetName === edit.newFundName)) {
+          errors.push(
+            `${label}: "${edit.newFundName}" is already in the portfolio`
+          );
+          break;
+        }
+        // Redemptions by units are kept as units of the new fund
+        fund.assetName = edit.newFundName;
+        delete fund._id;
+        for (const transfer of resultTransfers) {
+          if (transfer.fromFund === edit.fundName) {
+            transfer.fromFund = edit.newFundName;
+          }
+          if (transfer.toFund === edit.fundName) {
+            transfer.toFund = edit.newFundName;
+          }
+        }
+        break;
+
+      case "remove_fund":
+        result = result.filter((f) => f !== fund);
+        resultTransfers = resultTransfers.filter(
+          (t) => t.fromFund !== edit.fundName && t.toFund !== edit.fundName
+        );
+        break;
+
+      default:
+        errors.push(`${label}: unknown edit type`);
+    }
+  });
+
+  const validation = validatePortfolioForAnalysis({
+    funds: result,
+    transfers: resultTransfers,
+  });
+  errors.push(...validation.errors);
+
+  return { funds: result, transfers: resultTransfers, errors };
+}
+
+/**
+ * Compare two analyses of the same portfolio (before / after edits)
+ *
+ * @param {Object} original - Analysis response before edits
+ * @param {Object} modified - Analysis response after edits
+ * @returns {Object} Summary, risk, allocation and per-fund changes
+ */
+export function diffAnalyses(original, modified) {
+  const before = original.performance;
+  const after = modified.performance;
+
+  const summary = {};
+  for (const key of [
+    "totalInvested",
+    "currentValue",
+    "absoluteReturn",
+    "absoluteReturnPercent",
+    "xirr",
+    "cagr",
+  ]) {
+    summary[key] = compareValues(before.summary[key], after.summary[key]);
+  }
+
+  const risk = {
+    volatility: compareValues(
+      before.risk?.portfolio?.volatility,
+      after.risk?.portfolio?.volatility
+    ),
+    sharpeRatio: compareValues(
+      before.risk?.portfolio?.sharpeRatio,
+      after.risk?.portfolio?.sharpeRatio
+    ),
+    maxDrawdown: compareValues(
+      before.risk?.portfolio?.maxDrawdown?.drawdownPercent,
+      after.risk?.portfolio?.maxDrawdown?.drawdownPercent
+    ),
+  };
+
+  const beforeAllocation = original.diversification.assetAllocation || {};
+  const afterAllocation = modified.diversification.assetAllocation || {};
+  const assetTypes = new Set([
+    ...Object.keys(beforeAllocation),
+    ...Object.keys(afterAllocation),
+  ]);
+  const assetAllocation = [...assetTypes].map((assetType) => ({
+    assetType,
+    ...compareValues(
+      beforeAllocation[assetType] || 0,
+      afterAllocation[assetType] || 0
+    ),
+  }));
+
+  return {
+    asOf: after.valuation.asOfKey,
+    summary,
+    risk,
+    assetAllocation,
+    funds: diffFunds(before.fundPerformance, after.fundPerformance),
+    health: {
+      before: original.insights.summary.healthScore,
+      after: modified.insights.summary.healthScore,
+    },
+  };
+}
+
+/**
+ * Per-fund changes: added, removed, changed or unchanged
+ */
+function diffFunds(beforeFunds, afterFunds) {
+  const beforeByName = new Map(beforeFunds.map((f) => [f.fundName, f]));
+  const afterByName = new Map(afterFunds.map((f) => [f.fundName, f]));
+  const names = new Set([...beforeByName.keys(), ...afterByName.keys()]);
+
+  return [...names].map((fundName) => {
+    const before = beforeByName.get(fundName);
+    const after = afterByName.get(fundName);
+
+    let status = "unchanged";
+    if (!before) status = "added";
+    else if (!after) status = "removed";
+    else if (
+      before.totalInvested !== after.totalInvested ||
+      before.currentValue !== after.currentValue
+    ) {
+      status = "changed";
+    }
+
+    return {
+      fundName,
+      status,
+      totalInvested: compareValues(
+        before?.totalInvested || 0,
+        after?.totalInvested || 0
+      ),
+      currentValue: compareValues(
+        before?.currentValue || 0,
+        after?.currentValue || 0
+      ),
+      xirr: compareValues(before?.xirr, after?.xirr),
+    };
+  });
+}
+
+/**
+ * { before, after, change } - change is null when either side is missing
+ */
+function compareValues(before, after) {
+  const hasBoth =
+    typeof before === "number" && typeof after === "number";
+  return {
+    before: before ?? null,
+    after: after ?? null,
+    change: hasBoth ? Math.round((after - before) * 100) / 100 : null,
+  };
+}
+
+/**
+ * New SIP amount from a month on; a SIP running across that month is
+ * split in two (any step-up restarts from that month on the new part).
+ * Returns false when no SIP runs from that month.
+ */
+function setSipAmount(fund, amount, fromKey) {
+  let changed = false;
+  const sips = [];
+
+  for (const sip of fund.sips) {
+    const startKey = monthYearToKey(sip.startYear, sip.startMonth);
+    const endKey =
+      !sip.isOngoing && sip.endYear && sip.endMonth
+        ? monthYearToKey(sip.endYear, sip.endMonth)
+        : null;
+
+    if (!fromKey || startKey >= fromKey) {
+      sips.push({ ...sip, amount });
+      changed = true;
+    } else if (endKey && endKey < fromKey) {
+      sips.push(sip);
+    } else {
+      const lastOld = parseKey(addMonths(fromKey, -1));
+      const { year, month } = parseKey(fromKey);
+      sips.push(
+        {
+          ...sip,
+          isOngoing: false,
+          endMonth: lastOld.month,
+          endYear: lastOld.year,
+        },
+        { ...sip, amount, startMonth: month, startYear: year }
+      );
+      changed = true;
+    }
+  }
+
+  fund.sips = sips;
+  return changed;
+}
+
+/**
+ * SIP entry (stored format) from month keys; no end month = ongoing
+ */
+function buildSip(amount, fromKey, toKey) {
+  const start = parseKey(fromKey);
+  const end = toKey ? parseKey(toKey) : null;
+
+  return {
+    amount,
+    startMonth: start.month,
+    startYear: start.year,
+    isOngoing: !end,
+    endMonth: end ? end.month : null,
+    endYear: end ? end.year : null,
+  };
+}
+
+/**
+ * Request fund (validated create-portfolio shape) to stored format;
+ * a legacy single SIP amount becomes an ongoing SIP from January
+ */
+function toPortfolioFund(fund) {
+  const sips = fund.sips.length
+    ? fund.sips.map((s) => ({
+        amount: s.amount,
+        startMonth: s.startMonth,
+        startYear: s.startYear,
+        isOngoing: s.isOngoing,
+        endMonth: s.isOngoing ? null : s.endMonth,
+        endYear: s.isOngoing ? null : s.endYear,
+        stepUpType: s.stepUpType || null,
+        stepUpValue: s.stepUpValue || 0,
+        pausedMonths: s.pausedMonths,
+      }))
+    : [];
+
+  if (sips.length === 0 && fund.sip) {
+    sips.push({
+      amount: fund.sip,
+      startMonth: 1,
+      startYear: fund.investmentStartYear || new Date().getFullYear(),
+      isOngoing: true,
+    });
+  }
+
+  return {
+    assetType: fund.assetType,
+    assetName: fund.assetName,
+    idcwOption: fund.idcwOption || null,
+    sips,
+    lumpsums: fund.lumpsums,
+    redemptions: fund.redemptions.map((r) => ({
+      units: r.units || null,
+      amount: r.units ? null : r.amount,
+      month: r.month,
+      year: r.year,
+    })),
+    fixedDeposit: fund.fixedDeposit || null,
+    security: fund.security || null,
+    ppf: fund.ppf || null,
+    epf: fund.epf || null,
+    nps: fund.nps || null,
+    manualAsset: fund.manualAsset || null,
+  };
+}
+
+/**
+ * Request transfer (validated create-portfolio shape) to stored format
+ */
+function toPortfolioTransfer(transfer) {
+  return {
+    type: transfer.type,
+    fromFund: transfer.fromFund,
+    toFund: transfer.toFund,
+    units: transfer.units || null,
+    amount: transfer.units ? null : transfer.amount,
+    month: transfer.month,
+    year: transfer.year,
+    endMonth: transfer.endMonth || null,
+    endYear: transfer.endYear || null,
+  };
+}
+
+export default {
+  simulateAnalysis,
+  generateForkAnalysis,
+  applyPortfolioEdits,
+  diffAnalyses,
+};
@@ -0,0 +1,554 @@
+/**
+ * Tax Service
+ *
+ * Capital gains tax estimate built on the FIFO lots from
+ * performance.service:
+ * - Realized gains: lots consumed by redemptions in a financial year
+ * - Unrealized gains: open lots, as if sold on the valuation month
+ *
+ * Each lot is classified by the fund's FundReference.assetType:
+ * - Equity (and equity-oriented hybrids): LT after 12 months
+ * - Debt bought from Apr 2023: always short term, slab rate
+ * - Other debt / gold / hybrids: LT after 24 months (36 before Jul 2024);
+ *   manually valued real estate / gold / other assets too
+ * - Fixed deposits: interest taxed at slab rate, booked at maturity
+ * - PPF / EPF / NPS Tier I: exempt, no lots; NPS Tier II at slab rate
+ *
+ * ⚠️ Estimates only - see config/tax.config.js for what is simplified
+ */
+
+import Portfolio from "../../models/portfolioModel.js";
+import { loadPortfolioContext } from "./portfolioContext.service.js";
+import { analyzePerformance } from "./performance.service.js";
+import { monthsBetween, getCurrentMonthKey } from "../../utils/nav/index.js";
+import {
+  TAX_REGIMES,
+  EQUITY_LT_MIN_MONTHS,
+  SPECIFIED_DEBT_FROM_KEY,
+  LTCG_EXEMPTIONS,
+  CESS_RATE,
+  DEFAULT_SLAB_RATE,
+  EQUITY_HYBRID_PATTERN,
+} from "../../config/tax.config.js";
+
+/**
+ * Generate tax report for a saved portfolio
+ *
+ * @param {string} portfolioId - Portfolio document ID
+ * @param {string} userId - User ID for authorization
+ * @param {Object} options - { fy: "2024-25", slabRate: 30 }
+ * @returns {Object} Tax report
+ */
+export async function generateTaxReport(portfolioId, userId, options = {}) {
+  const portfolio = await Portfolio.findOne({
+    _id: portfolioId,
+    userId: userId,
+  }).lean();
+
+  if (!portfolio) {
+    throw new Error("Portfolio not found or access denied");
+  }
+
+  const { fundMetadata, navData, dividends } = await loadPortfolioContext(
+    portfolio.funds
+  );
+
+  const performance = analyzePerformance(portfolio.funds, navData, {
+    dividends,
+    transfers: portfolio.transfers,
+  });
+
+  return {
+    portfolioId: portfolio._id,
+    name: portfolio.name,
+    ...calculateTax(performance.fundPerformance, fundMetadata, {
+      ...options,
+      asOfKey: performance.valuation.asOfKey,
+    }),
+  };
+}
+
+/**
+ * Calculate realized and unrealized tax from fund performance results
+ *
+ * @param {Array} fundPerformance - Output of analyzePerformance
+ * @param {Object} fundMetadata - Map of fundName -> FundReference
+ * @param {Object} options - { fy, slabRate, asOfKey } - asOfKey is the
+ *   valuation month of the performance results
+ * @returns {Object} { financialYear, assumptions, realized, unrealized, funds, warnings }
+ */
+export function calculateTax(fundPerformance, fundMetadata, options = {}) {
+  const asOfKey = options.asOfKey || getCurrentMonthKey();
+  const financialYear = options.fy || getFinancialYear(asOfKey);
+  const slabRate = (options.slabRate ?? DEFAULT_SLAB_RATE) / 100;
+  const warnings = [];
+
+  const allRealizedLots = [];
+  const unrealizedLots = [];
+  const funds = [];
+
+  for (const fund of fundPerformance) {
+    const taxClass = getTaxClass(fundMetadata[fund.fundName]);
+    if (!fundMetadata[fund.fundName]) {
+      warnings.push(
+        `${fund.fundName}: fund type unknown, taxed as a non-equity fund`
+      );
+    }
+
+    if (taxClass === "exempt") {
+      funds.push({
+        fundName: fund.fundName,
+        taxClass,
+        realizedShortTerm: 0,
+        realizedLongTerm: 0,
+        unrealizedShortTerm: 0,
+        unrealizedLongTerm: 0,
+      });
+      continue;
+    }
+
+    const fundRealized = buildRealizedLots(fund, taxClass);
+
+    const fundUnrealized = (fund.openLots || []).map((lot) =>
+      classifyLot({
+        fundName: fund.fundName,
+        taxClass,
+        purchaseMonth: lot.month,
+        saleMonth: asOfKey,
+        units: lot.units,
+        cost: lot.cost,
+        value: lot.units * fund.currentNav,
+      })
+    );
+
+    const inYear = fundRealized.filter(
+      (lot) => getFinancialYear(lot.saleMonth) === financialYear
+    );
+    allRealizedLots.push(...fundRealized);
+    unrealizedLots.push(...fundUnrealized);
+
+    funds.push({
+      fundName: fund.fundName,
+      taxClass,
+      realizedShortTerm: sumGains(inYear, "short"),
+      realizedLongTerm: sumGains(inYear, "long"),
+      unrealizedShortTerm: sumGains(fundUnrealized, "short"),
+      unrealizedLongTerm: sumGains(fundUnrealized, "long"),
+    });
+  }
+
+  const realizedLots = allRealizedLots.filter(
+    (lot) => getFinancialYear(lot.saleMonth) === financialYear
+  );
+  const exemption = getLtcgExemption(financialYear);
+  const realized = computeLiability(realizedLots, slabRate, exemption);
+
+  // "If booked today": extra tax on top of what was realized in the
+  // cutoff's financial year, so the exemption is not counted twice
+  const asOfYear = getFinancialYear(asOfKey);
+  const realizedAsOfYear = allRealizedLots.filter(
+    (lot) => getFinancialYear(lot.saleMonth) === asOfYear
+  );
+  const baseline = computeLiability(
+    realizedAsOfYear,
+    slabRate,
+    getLtcgExemption(asOfYear)
+  );
+  const combined = computeLiability(
+    [...realizedAsOfYear, ...unrealizedLots],
+    slabRate,
+    getLtcgExemption(asOfYear)
+  );
+  const unrealizedSummary = computeLiability(unrealizedLots, slabRate, 0);
+
+  return {
+    financialYear,
+    asOf: asOfKey,
+    assumptions: {
+      slabRate: roundTo(slabRate * 100, 2),
+      cessRate: CESS_RATE * 100,
+      ltcgExemption: exemption,
+      notes: [
+        "Equity funds: long term after 12 months; LTCG above the yearly exemption is taxed",
+        "Debt funds bought from Apr 2023: all gains taxed at slab rate",
+        "Fixed deposit interest: taxed at slab rate when the deposit matures",
+        "PPF, EPF and NPS Tier I: tax-free here; NPS Tier II gains at slab rate",
+        "Rates for sales from Aug 2024 follow Budget 2024 (STCG 20%, LTCG 12.5%)",
+        "Indexation and surcharge are not applied",
+      ],
+    },
+    realized: {
+      ...realized,
+      lots: realizedLots,
+    },
+    unrealized: {
+      shortTermGain: unrealizedSummary.shortTermGain,
+      longTermGain: unrealizedSummary.longTermGain,
+      totalGain: roundTo(
+        unrealizedSummary.shortTermGain + unrealizedSummary.longTermGain,
+        2
+      ),
+      estimatedTax: roundTo(combined.totalTax - baseline.totalTax, 2),
+      exemptionAvailable: roundTo(
+        getLtcgExemption(asOfYear) - baseline.exemptionUsed,
+        2
+      ),
+      lots: unrealizedLots,
+    },
+    funds,
+    warnings,
+  };
+}
+
+/**
+ * Estimate tax on selling rupee amounts of funds in the valuation month
+ *
+ * Units are taken FIFO from the open lots, like a real redemption.
+ * The estimate is the extra tax on top of what was already realized
+ * in that financial year (so the LTCG exemption is not counted twice).
+ *
+ * @param {Array} fundPerformance - Output of analyzePerformance
+ * @param {Object} fundMetadata - Map of fundName -> FundReference
+ * @param {Array} sales - [{ fundName, amount }]
+ * @param {Object} options - { slabRate, asOfKey }
+ * @returns {Object} { financialYear, shortTermGain, longTermGain,
+ *   estimatedTax, exemptionUsed, funds, lots }
+ */
+export function estimateSaleTax(
+  fundPerformance,
+  fundMetadata,
+  sales,
+  options = {}
+) {
+  const asOfKey = options.asOfKey || getCurrentMonthKey();
+  const slabRate = (options.slabRate ?? DEFAULT_SLAB_RATE) / 100;
+  const financialYear = getFinancialYear(asOfKey);
+  const exemption = getLtcgExemption(financialYear);
+
+  const realizedThisYear = [];
+  const saleLots = [];
+  const funds = [];
+
+  for (const fund of fundPerformance) {
+    const taxClass = getTaxClass(fundMetadata[fund.fundName]);
+    if (taxClass === "exempt") continue;
+
+    realizedThisYear.push(
+      ...buildRealizedLots(fund, taxClass).filter(
+        (lot) => getFinancialYear(lot.saleMonth) === financialYear
+      )
+    );
+
+    const sale = sales.find((s) => s.fundName === fund.fundName);
+    if (!sale || sale.amount <= 0 || !fund.currentNav) continue;
+
+    let unitsLeft = Math.min(sale.amount / fund.currentNav, fund.totalUnits);
+    const fundLots = [];
+
+    for (const lot of fund.openLots || []) {
+      if (unitsLeft <= 1e-9) break;
+      const units = Math.min(unitsLeft, lot.units);
+      fundLots.push(
+        classifyLot({
+          fundName: fund.fundName,
+          taxClass,
+          purchaseMonth: lot.month,
+          saleMonth: asOfKey,
+          units,
+          cost: (lot.cost * units) / lot.units,
+          value: units * fund.currentNav,
+        })
+      );
+      unitsLeft -= units;
+    }
+
+    saleLots.push(...fundLots);
+    funds.push({
+      fundName: fund.fundName,
+      taxClass,
+      units: roundTo(fundLots.reduce((sum, l) => sum + l.units, 0), 4),
+      proceeds: roundTo(fundLots.reduce((sum, l) => sum + l.value, 0), 2),
+      shortTermGain: sumGains(fundLots, "short"),
+      longTermGain: sumGains(fundLots, "long"),
+    });
+  }
+
+  const baseline = computeLiability(realizedThisYear, slabRate, exemption);
+  const combined = computeLiability(
+    [...realizedThisYear, ...saleLots],
+    slabRate,
+    exemption
+  );
+
+  return {
+    financialYear,
+    slabRate: roundTo(slabRate * 100, 2),
+    shortTermGain: sumGains(saleLots, "short"),
+    longTermGain: sumGains(saleLots, "long"),
+    estimatedTax: roundTo(combined.totalTax - baseline.totalTax, 2),
+    exemptionUsed: roundTo(combined.exemptionUsed - baseline.exemptionUsed, 2),
+    funds,
+    lots: saleLots,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Classified lots consumed by a fund's past redemptions
+ */
+function buildRealizedLots(fund, taxClass) {
+  const lots = [];
+  for (const redemption of fund.redemptions || []) {
+    for (const lot of redemption.lotsConsumed) {
+      lots.push(
+        classifyLot({
+          fundName: fund.fundName,
+          taxClass,
+          purchaseMonth: lot.purchaseMonth,
+          saleMonth: redemption.month,
+          units: lot.units,
+          cost: lot.cost,
+          value: lot.proceeds,
+        })
+      );
+    }
+  }
+  return lots;
+}
+
+/**
+ * Map FundReference to a tax class
+ * @param {Object} metadata - FundReference document (may be undefined)
+ * @returns {string} equity | debt | interest | exempt | other
+ */
+function getTaxClass(metadata) {
+  if (!metadata) return "other";
+  if (metadata.isFixedDeposit) return "interest";
+  if (metadata.isRetirementScheme) {
+    return metadata.schemeType === "NPS" && metadata.tier === "II"
+      ? "interest"
+      : "exempt";
+  }
+
+  switch (metadata.assetType) {
+    case "Equity":
+      return "equity";
+    case "Debt":
+      return "debt";
+    case "Hybrid":
+      return EQUITY_HYBRID_PATTERN.test(
+        `${metadata.fundName} ${metadata.category}`
+      )
+        ? "equity"
+        : "other";
+    default:
+      return "other";
+  }
+}
+
+/**
+ * Get the rate regime that applies to a sale month
+ */
+function getRegime(saleMonth) {
+  return [...TAX_REGIMES].reverse().find((r) => saleMonth >= r.fromKey);
+}
+
+/**
+ * Classify a lot as short / long term and attach its rate
+ * @param {Object} lot - { fundName, taxClass, purchaseMonth, saleMonth, units, cost, value }
+ * @returns {Object} Lot with holdingMonths, term, rate ("slab" or number), gain
+ */
+function classifyLot(lot) {
+  const regime = getRegime(lot.saleMonth);
+  const holdingMonths = monthsBetween(lot.purchaseMonth, lot.saleMonth);
+
+  let term;
+  let rate;
+
+  if (lot.taxClass === "equity") {
+    term = holdingMonths > EQUITY_LT_MIN_MONTHS ? "long" : "short";
+    rate = term === "long" ? regime.equityLtcgRate : regime.equityStcgRate;
+  } else if (
+    lot.taxClass === "interest" ||
+    (lot.taxClass === "debt" && lot.purchaseMonth >= SPECIFIED_DEBT_FROM_KEY)
+  ) {
+    term = "short";
+    rate = "slab";
+  } else {
+    term = holdingMonths > regime.otherLtMinMonths ? "long" : "short";
+    rate = term === "long" ? regime.otherLtcgRate : "slab";
+  }
+
+  return {
+    ...lot,
+    units: roundTo(lot.units, 4),
+    cost: roundTo(lot.cost, 2),
+    value: roundTo(lot.value, 2),
+    gain: roundTo(lot.value - lot.cost, 2),
+    holdingMonths,
+    term,
+    rate,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LIABILITY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Compute tax on a set of classified lots
+ *
+ * - Gains are pooled by (term, rate, exemption eligibility) - equity
+ *   and other LTCG share a 12.5% rate but only equity gets the exemption
+ * - Short-term losses offset any gain; long-term losses only LTCG
+ *   (highest-rate gains first, non-exempt before exempt at one rate)
+ * - Equity LTCG exemption is applied after set-off
+ *
+ * @param {Array} lots - Classified lots
+ * @param {number} slabRate - Slab rate as a fraction
+ * @param {number} exemption - Equity LTCG exemption available
+ * @returns {Object} Gains, set-off, exemption and tax
+ */
+function computeLiability(lots, slabRate, exemption) {
+  const pools = new Map();
+  for (const lot of lots) {
+    const exemptionEligible = lot.taxClass === "equity" && lot.term === "long";
+    const key = `${lot.term}:${lot.rate}:${exemptionEligible}`;
+    if (!pools.has(key)) {
+      pools.set(key, {
+        term: lot.term,
+        rate: lot.rate,
+        effectiveRate: lot.rate === "slab" ? slabRate : lot.rate,
+        exemptionEligible,
+        gain: 0,
+      });
+    }
+    pools.get(key).gain += lot.gain;
+  }
+
+  const buckets = Array.from(pools.values()).sort(
+    (a, b) =>
+      b.effectiveRate - a.effectiveRate ||
+      a.exemptionEligible - b.exemptionEligible
+  );
+
+  const shortTermGain = sumBy(buckets, (b) => b.term === "short");
+  const longTermGain = sumBy(buckets, (b) => b.term === "long");
+
+  // Pull losses out of their buckets
+  let shortTermLoss = 0;
+  let longTermLoss = 0;
+  for (const bucket of buckets) {
+    bucket.taxable = Math.max(bucket.gain, 0);
+    if (bucket.gain < 0) {
+      if (bucket.term === "short") shortTermLoss -= bucket.gain;
+      else longTermLoss -= bucket.gain;
+    }
+  }
+
+  let lossSetOff = 0;
+  const setOff = (loss, canOffset) => {
+    for (const bucket of buckets) {
+      if (loss <= 0) break;
+      if (!canOffset(bucket) || bucket.taxable <= 0) continue;
+      const used = Math.min(loss, bucket.taxable);
+      bucket.taxable -= used;
+      loss -= used;
+      lossSetOff += used;
+    }
+    return loss;
+  };
+
+  shortTermLoss = setOff(shortTermLoss, () => true);
+  longTermLoss = setOff(longTermLoss, (b) => b.term === "long");
+
+  let exemptionLeft = exemption;
+  for (const bucket of buckets) {
+    if (!bucket.exemptionEligible || exemptionLeft <= 0) continue;
+    const used = Math.min(exemptionLeft, bucket.taxable);
+    bucket.taxable -= used;
+    exemptionLeft -= used;
+  }
+
+  const tax = buckets.reduce((sum, b) => sum + b.taxable * b.effectiveRate, 0);
+  const cess = tax * CESS_RATE;
+
+  return {
+    shortTermGain: roundTo(shortTermGain, 2),
+    longTermGain: roundTo(longTermGain, 2),
+    lossSetOff: roundTo(lossSetOff, 2),
+    exemptionUsed: roundTo(exemption - exemptionLeft, 2),
+    taxableGain: roundTo(
+      buckets.reduce((sum, b) => sum + b.taxable, 0),
+      2
+    ),
+    tax: roundTo(tax, 2),
+    cess: roundTo(cess, 2),
+    totalTax: roundTo(tax + cess, 2),
+    carryForwardLoss: {
+      shortTerm: roundTo(shortTermLoss, 2),
+      longTerm: roundTo(longTermLoss, 2),
+    },
+    breakdown: buckets.map((b) => ({
+      term: b.term,
+      rate: b.rate === "slab" ? "slab" : roundTo(b.rate * 100, 2),
+      exemptionEligible: b.exemptionEligible,
+      gain: roundTo(b.gain, 2),
+      taxable: roundTo(b.taxable, 2),
+      tax: roundTo(b.taxable * b.effectiveRate, 2),
+    })),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Financial year label for a month key ("2024-05" -> "2024-25")
+ */
+export function getFinancialYear(monthKey) {
+  const year = parseInt(monthKey.slice(0, 4));
+  const month = parseInt(monthKey.slice(5, 7));
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+/**
+ * Equity LTCG exemption for a financial year label
+ */
+function getLtcgExemption(financialYear) {
+  const startYear = parseInt(financialYear.slice(0, 4));
+  return [...LTCG_EXEMPTIONS].reverse().find((e) => startYear >= e.fromYear)
+    .amount;
+}
+
+function sumGains(lots, term) {
+  return roundTo(
+    lots.filter((l) => l.term === term).reduce((sum, l) => sum + l.gain, 0),
+    2
+  );
+}
+
+function sumBy(buckets, predicate) {
+  return buckets.filter(predicate).reduce((sum, b) => sum + b.gain, 0);
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  if (value === null || value === undefined || isNaN(value)) return 0;
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  generateTaxReport,
+  calculateTax,
+  estimateSaleTax,
+  getFinancialYear,
+};
@@ -0,0 +1,172 @@
+/**
+ * Portfolio Time Series Service
+ *
+ * Month-by-month replay of the portfolio:
+ * - Cumulative invested / redeemed / dividends paid out
+ * - Units held per fund and their value at that month's NAV
+ * - Cost basis of units still held (FIFO, same as performance)
+ * - Unrealized gain = market value - cost basis
+ *
+ * Units come from each fund's cashflows - the units booked by
+ * performance (stock / ETF buys at their trade price), else the amount
+ * at the NAV of the cashflow month - so the last point matches
+ * analyzePerformance.
+ * Transfers between funds move units but not invested / redeemed.
+ *
+ * ⚠️ No Express/controller logic here
+ */
+
+import {
+  dateToKey,
+  generateMonthRange,
+  normalizeNavData,
+  fillMissingNavData,
+} from "../../utils/nav/index.js";
+
+/**
+ * Build the monthly portfolio time series
+ *
+ * @param {Array} fundPerformance - Fund results from analyzePerformance
+ * @param {Object} navDataMap - Map of fundName -> NAV data (up to asOfKey)
+ * @param {string} asOfKey - Valuation month
+ * @returns {Array<Object>} One point per month from the first cashflow:
+ *   { month, invested, redeemed, dividends, costBasis, value,
+ *     unrealizedGain, funds: { [fundName]: { units, nav, value } } }
+ */
+export function buildTimeSeries(fundPerformance, navDataMap, asOfKey) {
+  const tracks = fundPerformance
+    .filter((fund) => fund.cashflows?.length > 0)
+    .map((fund) => createFundTrack(fund, navDataMap[fund.fundName], asOfKey));
+
+  if (!asOfKey || tracks.length === 0) {
+    return [];
+  }
+
+  const firstKey = tracks.map((t) => t.startKey).sort()[0];
+  const series = [];
+  let invested = 0;
+  let redeemed = 0;
+  let dividends = 0;
+
+  for (const month of generateMonthRange(firstKey, asOfKey)) {
+    const point = {
+      month,
+      invested: 0,
+      redeemed: 0,
+      dividends: 0,
+      costBasis: 0,
+      value: 0,
+      unrealizedGain: 0,
+      funds: {},
+    };
+
+    for (const track of tracks) {
+      const nav = track.filled[month];
+      if (!nav) continue;
+
+      for (const cf of track.flowsByMonth[month] || []) {
+        const units = cf.units > 0 ? cf.units : cf.amount / nav;
+
+        if (cf.type === "redemption") {
+          redeemed += cf.amount;
+          sellUnits(track.lots, units);
+        } else if (cf.type === "transfer_out") {
+          sellUnits(track.lots, units);
+        } else if (cf.type === "dividend") {
+          dividends += cf.amount;
+        } else if (
+          cf.type === "reinvestment" ||
+          cf.type === "transfer_in"
+        ) {
+          // New units, but no new money
+          track.lots.push({ units, costPerUnit: cf.amount / units });
+        } else {
+          invested += cf.amount;
+          track.lots.push({ units, costPerUnit: cf.amount / units });
+        }
+      }
+
+      const units = track.lots.reduce((sum, lot) => sum + lot.units, 0);
+      const value = units * nav;
+      point.costBasis += track.lots.reduce(
+        (sum, lot) => sum + lot.units * lot.costPerUnit,
+        0
+      );
+      point.value += value;
+
+      if (units > 0) {
+        point.funds[track.fundName] = {
+          units: roundTo(units, 4),
+          nav: roundTo(nav, 4),
+          value: roundTo(value, 2),
+        };
+      }
+    }
+
+    point.invested = roundTo(invested, 2);
+    point.redeemed = roundTo(redeemed, 2);
+    point.dividends = roundTo(dividends, 2);
+    point.unrealizedGain = roundTo(point.value - point.costBasis, 2);
+    point.costBasis = roundTo(point.costBasis, 2);
+    point.value = roundTo(point.value, 2);
+    series.push(point);
+  }
+
+  return series;
+}
+
+/**
+ * Per-fund replay state: filled NAV, cashflows grouped by month, open lots
+ */
+function createFundTrack(fund, navData, asOfKey) {
+  const flowsByMonth = {};
+  for (const cf of fund.cashflows) {
+    const key = dateToKey(cf.date);
+    (flowsByMonth[key] ||= []).push(cf);
+  }
+
+  // Purchases before redemptions / transfers out within the same month
+  const isOutflow = (cf) =>
+    cf.type === "redemption" || cf.type === "transfer_out";
+  for (const flows of Object.values(flowsByMonth)) {
+    flows.sort((a, b) => isOutflow(a) - isOutflow(b));
+  }
+
+  const startKey = Object.keys(flowsByMonth).sort()[0];
+
+  return {
+    fundName: fund.fundName,
+    startKey,
+    flowsByMonth,
+    filled: fillMissingNavData(normalizeNavData(navData), startKey, asOfKey),
+    lots: [],
+  };
+}
+
+/**
+ * Remove units from lots first-in-first-out
+ */
+function sellUnits(lots, unitsToSell) {
+  let remaining = unitsToSell;
+  while (remaining > 0 && lots.length > 0) {
+    const lot = lots[0];
+    const sold = Math.min(lot.units, remaining);
+    lot.units -= sold;
+    remaining -= sold;
+    if (lot.units <= 1e-9) {
+      lots.shift();
+    }
+  }
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  buildTimeSeries,
+};
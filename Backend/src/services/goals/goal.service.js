@@ -0,0 +1,426 @@
+/**
+ * Goal Planning Service
+ *
+ * Projects each of a user's goals from the funds linked to it:
+ * - Target amount inflated from today's rupees to the target month
+ * - Linked share of each fund's current value, grown at the expected
+ *   return for its asset type (config/goals.config.js)
+ * - Linked share of ongoing SIPs, invested monthly until the target
+ *   month (or the SIP's end)
+ * - Shortfall and the extra monthly SIP that would close it
+ *
+ * Projections start from the valuation month of the linked portfolios
+ * (latest NAV), so they line up with portfolio analysis.
+ *
+ * ⚠️ Fixed expected returns - a planning estimate, not a forecast
+ * ⚠️ No Express/controller logic here
+ */
+
+import Goal from "../../models/GoalModel.js";
+import Portfolio from "../../models/portfolioModel.js";
+import { analyzePerformance, loadPortfolioContext } from "../analysis/index.js";
+import {
+  EXPECTED_RETURNS,
+  DEFAULT_EXPECTED_RETURN,
+  AT_RISK_THRESHOLD,
+} from "../../config/goals.config.js";
+import {
+  addMonths,
+  monthsBetween,
+  monthYearToKey,
+  getCurrentMonthKey,
+  generateMonthRange,
+  getSipAmountForMonth,
+  isSipPaused,
+} from "../../utils/nav/index.js";
+
+/**
+ * Check a goal's fund links against the user's portfolios and goals
+ *
+ * @param {string} userId - User ID
+ * @param {Array} linkedFunds - [{ portfolioId, fundName, allocationPercent }]
+ * @param {string} [goalId] - Goal being updated (its own links are ignored)
+ * @returns {string[]} Error messages (empty when the links are valid)
+ */
+export async function findLinkErrors(userId, linkedFunds = [], goalId = null) {
+  if (linkedFunds.length === 0) return [];
+
+  const portfolioIds = [
+    ...new Set(linkedFunds.map((l) => String(l.portfolioId))),
+  ];
+
+  const [portfolios, otherGoals] = await Promise.all([
+    Portfolio.find({ _id: { $in: portfolioIds }, userId })
+      .select("name funds.assetName")
+      .lean(),
+    Goal.find({ userId, ...(goalId && { _id: { $ne: goalId } }) })
+      .select("name linkedFunds")
+      .lean(),
+  ]);
+
+  const portfoliosById = new Map(portfolios.map((p) => [String(p._id), p]));
+  const errors = [];
+  const seen = new Set();
+
+  for (const link of linkedFunds) {
+    const key = linkKey(link);
+    const portfolio = portfoliosById.get(String(link.portfolioId));
+
+    if (!portfolio) {
+      errors.push(`Portfolio ${link.portfolioId} not found`);
+    } else if (!portfolio.funds.some((f) => f.assetName === link.fundName)) {
+      errors.push(`"${link.fundName}" is not in ${portfolio.name}`);
+    } else if (seen.has(key)) {
+      errors.push(`"${link.fundName}" is linked twice`);
+    }
+    seen.add(key);
+  }
+
+  // A fund can be split across goals, but not beyond 100% in total
+  for (const link of linkedFunds) {
+    const used = otherGoals
+      .flatMap((g) => g.linkedFunds)
+      .filter((l) => linkKey(l) === linkKey(link))
+      .reduce((sum, l) => sum + l.allocationPercent, 0);
+    const requested = link.allocationPercent ?? 100;
+
+    if (used + requested > 100) {
+      errors.push(
+        `"${link.fundName}" is already ${used}% linked to other goals - ` +
+          `at most ${100 - used}% is left`
+      );
+    }
+  }
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Project all of a user's goals
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} { asOf, summary, goals, warnings }
+ */
+export async function analyzeGoals(userId) {
+  const goals = await Goal.find({ userId })
+    .sort({ targetYear: 1, targetMonth: 1 })
+    .lean();
+
+  const portfolioIds = [
+    ...new Set(
+      goals.flatMap((g) => g.linkedFunds.map((l) => String(l.portfolioId)))
+    ),
+  ];
+  const portfolios = await Portfolio.find({
+    _id: { $in: portfolioIds },
+    userId,
+  }).lean();
+
+  // Reference data per portfolio: NPS, FD and valued asset entries are
+  // keyed by holding name, which two portfolios may share
+  const contexts = await Promise.all(
+    portfolios.map((p) => loadPortfolioContext(p.funds))
+  );
+
+  // One performance run per linked portfolio
+  const holdings = new Map();
+  portfolios.forEach((portfolio, i) => {
+    const { fundMetadata, navData, dividends } = contexts[i];
+    const performance = analyzePerformance(portfolio.funds, navData, {
+      dividends,
+      transfers: portfolio.transfers,
+    });
+    holdings.set(String(portfolio._id), {
+      portfolio,
+      fundMetadata,
+      asOfKey: performance.valuation.asOfKey,
+      fundPerformance: performance.fundPerformance,
+    });
+  });
+
+  const projections = goals.map((goal) =>
+    projectGoal(goal, resolveLinks(goal, holdings))
+  );
+
+  const asOfKeys = [...holdings.values()].map((h) => h.asOfKey);
+
+  return {
+    asOf: asOfKeys.length > 0 ? asOfKeys.sort().at(-1) : null,
+    summary: summarizeGoals(projections),
+    goals: projections,
+    warnings: projections.flatMap((p) =>
+      p.warnings.map((w) => `${p.name}: ${w}`)
+    ),
+  };
+}
+
+/**
+ * Turn a goal's links into the fund data needed for its projection
+ *
+ * @param {Object} goal - Goal document
+ * @param {Map} holdings - portfolioId -> { portfolio, fundMetadata,
+ *   asOfKey, fundPerformance }
+ * @returns {Object} { startKey, funds, warnings }
+ */
+function resolveLinks(goal, holdings) {
+  const funds = [];
+  const warnings = [];
+  let startKey = null;
+
+  for (const link of goal.linkedFunds) {
+    const holding = holdings.get(String(link.portfolioId));
+    const entries = holding
+      ? holding.portfolio.funds.filter((f) => f.assetName === link.fundName)
+      : [];
+
+    if (entries.length === 0) {
+      warnings.push(`${link.fundName} is no longer held - link skipped`);
+      continue;
+    }
+
+    if (!startKey || holding.asOfKey > startKey) startKey = holding.asOfKey;
+
+    const currentValue = holding.fundPerformance
+      .filter((f) => f.fundName === link.fundName)
+      .reduce((sum, f) => sum + f.currentValue, 0);
+
+    const assetType = holding.fundMetadata[link.fundName]?.assetType || "Other";
+
+    funds.push({
+      portfolioId: link.portfolioId,
+      portfolioName: holding.portfolio.name,
+      fundName: link.fundName,
+      assetType,
+      allocationPercent: link.allocationPercent,
+      currentValue,
+      sips: entries.flatMap((f) => f.sips || []),
+      expectedReturn: EXPECTED_RETURNS[assetType] ?? EXPECTED_RETURNS.Other,
+    });
+  }
+
+  return {
+    startKey: startKey || getCurrentMonthKey(),
+    funds,
+    warnings,
+  };
+}
+
+/**
+ * Project one goal to its target month
+ *
+ * @param {Object} goal - { _id, name, targetAmount, targetMonth,
+ *   targetYear, inflationRate, priority }
+ * @param {Object} linked - { startKey, funds, warnings } where each fund
+ *   is { fundName, allocationPercent, currentValue, sips, expectedReturn }
+ * @returns {Object} Goal projection
+ */
+export function projectGoal(goal, linked) {
+  const { startKey, funds } = linked;
+  const warnings = [...(linked.warnings || [])];
+  const targetKey = monthYearToKey(goal.targetYear, goal.targetMonth);
+  const monthsLeft = Math.max(monthsBetween(startKey, targetKey), 0);
+
+  // Today's rupees -> rupees at the target month
+  const inflatedTarget =
+    goal.targetAmount *
+    Math.pow(1 + (goal.inflationRate ?? 0) / 100, monthsLeft / 12);
+
+  const fundRows = funds.map((fund) => {
+    const share = fund.allocationPercent / 100;
+    const rate = monthlyRate(fund.expectedReturn);
+    const currentValue = fund.currentValue * share;
+
+    const fromCurrent = currentValue * Math.pow(1 + rate, monthsLeft);
+    const fromSips =
+      fund.sips.reduce(
+        (sum, sip) => sum + projectSip(sip, startKey, targetKey, rate),
+        0
+      ) * share;
+    const nextKey = addMonths(startKey, 1);
+    const monthlySip =
+      fund.sips
+        .filter((sip) => isSipActive(sip, nextKey))
+        .reduce((sum, sip) => sum + getSipAmountForMonth(sip, nextKey), 0) *
+      share;
+
+    return {
+      portfolioId: fund.portfolioId,
+      portfolioName: fund.portfolioName,
+      fundName: fund.fundName,
+      assetType: fund.assetType,
+      allocationPercent: fund.allocationPercent,
+      expectedReturn: fund.expectedReturn,
+      currentValue: roundTo(currentValue, 2),
+      monthlySip: roundTo(monthlySip, 2),
+      projectedValue: roundTo(fromCurrent + fromSips, 2),
+      fromCurrent,
+      fromSips,
+    };
+  });
+
+  const currentValue = sumOf(fundRows, (f) => f.currentValue);
+  const monthlySip = sumOf(fundRows, (f) => f.monthlySip);
+  const fromCurrent = sumOf(fundRows, (f) => f.fromCurrent);
+  const fromSips = sumOf(fundRows, (f) => f.fromSips);
+  const projectedValue = fromCurrent + fromSips;
+  const shortfall = Math.max(inflatedTarget - projectedValue, 0);
+
+  // Extra SIP earns the blended return of what is already linked
+  const weightOf = (f) => f.currentValue + f.monthlySip;
+  const totalWeight = sumOf(fundRows, weightOf);
+  const expectedReturn =
+    totalWeight > 0
+      ? sumOf(fundRows, (f) => f.expectedReturn * weightOf(f)) / totalWeight
+      : DEFAULT_EXPECTED_RETURN;
+
+  let extraMonthlySip = 0;
+  if (shortfall > 0 && monthsLeft > 0) {
+    extraMonthlySip =
+      shortfall / annuityFactor(monthlyRate(expectedReturn), monthsLeft);
+  } else if (shortfall > 0) {
+    extraMonthlySip = null;
+    warnings.push("Target month has passed - no time left for a SIP");
+  }
+
+  if (funds.length === 0) {
+    warnings.push("No funds linked yet");
+  }
+
+  const projectedPercent =
+    inflatedTarget > 0 ? (projectedValue / inflatedTarget) * 100 : 0;
+
+  return {
+    goalId: goal._id,
+    name: goal.name,
+    priority: goal.priority,
+    targetMonth: goal.targetMonth,
+    targetYear: goal.targetYear,
+    monthsLeft,
+    targetAmount: goal.targetAmount,
+    inflationRate: goal.inflationRate,
+    inflatedTarget: roundTo(inflatedTarget, 2),
+    currentValue: roundTo(currentValue, 2),
+    monthlySip: roundTo(monthlySip, 2),
+    expectedReturn: roundTo(expectedReturn, 2),
+    projectedValue: roundTo(projectedValue, 2),
+    projectedFromCurrent: roundTo(fromCurrent, 2),
+    projectedFromSips: roundTo(fromSips, 2),
+    shortfall: roundTo(shortfall, 2),
+    extraMonthlySip:
+      extraMonthlySip === null ? null : Math.ceil(extraMonthlySip),
+    progressPercent: roundTo(
+      inflatedTarget > 0 ? (currentValue / inflatedTarget) * 100 : 0,
+      2
+    ),
+    projectedPercent: roundTo(projectedPercent, 2),
+    status: getGoalStatus(currentValue, projectedPercent, inflatedTarget),
+    funds: fundRows.map(({ fromCurrent, fromSips, ...row }) => row),
+    warnings,
+  };
+}
+
+/**
+ * Future value at the target month of a SIP's remaining installments
+ * (one per month after startKey, up to the SIP's end or the target)
+ */
+function projectSip(sip, startKey, targetKey, rate) {
+  let sipStart = monthYearToKey(sip.startYear, sip.startMonth);
+  const nextKey = addMonths(startKey, 1);
+  if (sipStart < nextKey) sipStart = nextKey;
+
+  let sipEnd = targetKey;
+  if (!sip.isOngoing && sip.endYear && sip.endMonth) {
+    const endKey = monthYearToKey(sip.endYear, sip.endMonth);
+    if (endKey < sipEnd) sipEnd = endKey;
+  }
+
+  if (sipStart > sipEnd) return 0;
+
+  // Installments in sipStart..sipEnd (stepped up, pauses skipped), each
+  // grown to the target month
+  return generateMonthRange(sipStart, sipEnd)
+    .filter((month) => !isSipPaused(sip, month))
+    .reduce(
+      (sum, month) =>
+        sum +
+        getSipAmountForMonth(sip, month) *
+          Math.pow(1 + rate, monthsBetween(month, targetKey)),
+      0
+    );
+}
+
+/**
+ * Whether a SIP pays an installment in the given month
+ */
+function isSipActive(sip, key) {
+  if (monthYearToKey(sip.startYear, sip.startMonth) > key) return false;
+  if (sip.isOngoing || !sip.endYear || !sip.endMonth) return true;
+  return monthYearToKey(sip.endYear, sip.endMonth) >= key;
+}
+
+/**
+ * Future value of 1 invested monthly for n months (last one at the end)
+ */
+function annuityFactor(rate, months) {
+  if (rate === 0) return months;
+  return (Math.pow(1 + rate, months) - 1) / rate;
+}
+
+/**
+ * Monthly rate equivalent to an annual return (%)
+ */
+function monthlyRate(annualPercent) {
+  return Math.pow(1 + annualPercent / 100, 1 / 12) - 1;
+}
+
+/**
+ * achieved: already at target; on_track: projected to reach it;
+ * at_risk: projected ≥ AT_RISK_THRESHOLD%; off_track: below that
+ */
+function getGoalStatus(currentValue, projectedPercent, inflatedTarget) {
+  if (inflatedTarget > 0 && currentValue >= inflatedTarget) return "achieved";
+  if (projectedPercent >= 100) return "on_track";
+  if (projectedPercent >= AT_RISK_THRESHOLD) return "at_risk";
+  return "off_track";
+}
+
+/**
+ * Totals across goals
+ */
+function summarizeGoals(projections) {
+  const byStatus = { achieved: 0, on_track: 0, at_risk: 0, off_track: 0 };
+  for (const p of projections) byStatus[p.status] += 1;
+
+  return {
+    goalCount: projections.length,
+    totalTarget: roundTo(sumOf(projections, (p) => p.inflatedTarget), 2),
+    totalCurrentValue: roundTo(sumOf(projections, (p) => p.currentValue), 2),
+    totalProjected: roundTo(sumOf(projections, (p) => p.projectedValue), 2),
+    totalShortfall: roundTo(sumOf(projections, (p) => p.shortfall), 2),
+    totalExtraMonthlySip: sumOf(projections, (p) => p.extraMonthlySip || 0),
+    byStatus,
+  };
+}
+
+function linkKey(link) {
+  return `${link.portfolioId}:${link.fundName}`;
+}
+
+function sumOf(items, getValue) {
+  return items.reduce((sum, item) => sum + getValue(item), 0);
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  if (value === null || value === undefined || isNaN(value)) return 0;
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  findLinkErrors,
+  analyzeGoals,
+  projectGoal,
+};
@@ -0,0 +1,504 @@
+/**
+ * CAS Import Service
+ *
+ * Parses the text of a CAMS / KFintech Consolidated Account Statement
+ * (plain text, or text extracted from the PDF) into a portfolio preview.
+ *
+ * Statement layout (per folio):
+ *
+ *   Folio No: 1234567/89   PAN: ABCDE1234F
+ *   B205-HDFC Mid-Cap Opportunities Fund - Regular Plan - Growth
+ *     - ISIN: INF179K01CR2 Registrar : CAMS
+ *   Opening Unit Balance: 0.000
+ *   05-Jan-2024 Purchase - Systematic  4,999.75  36.321  137.65  36.321
+ *   05-Jan-2024 *** Stamp Duty ***         0.25
+ *   10-Jun-2024 Redemption          (10,000.00) (60.000) 166.67  11.421
+ *   Closing Unit Balance: 11.421  NAV on 31-Dec-2024: INR 170.12 ...
+ *
+ * Transaction columns: amount, units, NAV, unit balance
+ * (negatives in brackets)
+ *
+ * - Purchases become SIPs (systematic) or lumpsums
+ * - Stamp duty is added back to the purchase it belongs to
+ * - Redemptions are booked by units so analysis can consume them FIFO
+ *
+ * ⚠️ Nothing is saved here - the caller decides whether to create the portfolio
+ */
+
+import FundReference from "../../models/FundReferenceModel.js";
+import {
+  MAX_INVESTMENT_AMOUNT,
+  LIMIT_ERROR_MESSAGES,
+} from "../../config/limits.config.js";
+import {
+  parseMonthYear,
+  checkTransactionDate,
+  buildFundsFromTransactions,
+  flagUnmatchedRedemptions,
+  checkFundLimits,
+  attachFundCoverage,
+  toPortfolioFunds,
+} from "./transactions.util.js";
+
+// Maximum statement lines processed
+export const MAX_CAS_LINES = 20000;
+
+// Line starts with a transaction date (DD-Mon-YYYY or DD/MM/YYYY)
+const TXN_DATE_PATTERN =
+  /^(\d{1,2}[-/\s](?:[A-Za-z]{3}|\d{1,2})[-/\s]\d{4})\s+(.*)$/;
+
+// Amount/units/NAV columns always carry decimals in CAS statements
+const NUMERIC_TOKEN_PATTERN = /^\(?-?[\d,]*\d\.\d+\)?$/;
+
+const FOLIO_PATTERN =
+  /Folio\s*(?:No)?\s*[:.]\s*([A-Za-z0-9/ ]+?)(?=\s{2,}|\s+PAN|\s+KYC|\s*$)/i;
+
+const SCHEME_HINT_PATTERN = /fund|plan|scheme|growth|idcw|etf/i;
+
+const DESCRIPTION_RULES = [
+  { pattern: /stamp\s*duty/i, kind: "stampDuty" },
+  { pattern: /reversal|rejection|rejected/i, kind: "ignored" },
+  { pattern: /reinvest|idcw|dividend/i, kind: "ignored" },
+  { pattern: /\*\*\*|\bstt\b|\btds\b|address|nominee|kyc/i, kind: "ignored" },
+  {
+    pattern: /redemption|redeem|switch[\s-]*out|withdraw|sell/i,
+    kind: "redemption",
+  },
+  { pattern: /systematic|\bsip\b/i, kind: "sip" },
+  {
+    pattern: /purchase|switch[\s-]*in|investment|subscription/i,
+    kind: "lumpsum",
+  },
+];
+
+// ═══════════════════════════════════════════════════════════════
+// PARSING HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse a CAS numeric token ("4,999.75", "(60.000)")
+ * @param {string} token
+ * @returns {number}
+ */
+function parseCasNumber(token) {
+  const negative = token.startsWith("(") || token.startsWith("-");
+  const value = parseFloat(token.replace(/[(),-]/g, ""));
+  return negative ? -value : value;
+}
+
+/**
+ * Strip registrar codes, ISIN, advisor and plan/option suffixes
+ * "B205-HDFC Mid-Cap Opportunities Fund - Regular Plan - Growth - ISIN: X"
+ *   → "HDFC Mid-Cap Opportunities Fund"
+ * @param {string} rawName - Scheme line from the statement
+ * @returns {string} Clean scheme name
+ */
+export function cleanSchemeName(rawName) {
+  let name = rawName
+    .replace(/^(?=[A-Z]*\d)[A-Z0-9]{2,10}\s*-\s*/, "")
+    .split(
+      /\s*-?\s*ISIN\s*:|\(Advisor|Registrar\s*:|\(Non[\s-]*Demat\)|\(formerly/i
+    )[0];
+
+  name = name
+    .replace(/\s*[-–(]?\s*\b(regular|direct)\b\s*(plan)?\b.*$/i, "")
+    .replace(/\s*[-–(]?\s*\b(growth|idcw|dividend)\b.*$/i, "")
+    .replace(/\s+/g, " ")
+    .replace(/[\s\-–]+$/, "")
+    .trim();
+
+  return name;
+}
+
+/**
+ * Classify a transaction description
+ * @param {string} description
+ * @param {number} amount - Signed amount (redemptions are negative)
+ * @returns {string} sip | lumpsum | redemption | stampDuty | ignored
+ */
+function classifyDescription(description, amount) {
+  const rule = DESCRIPTION_RULES.find((r) => r.pattern.test(description));
+  if (rule) return rule.kind;
+  return amount < 0 ? "redemption" : "ignored";
+}
+
+/**
+ * Split a transaction line into date, description and numeric columns
+ * @param {string} text - Line text
+ * @returns {Object|null} { date, description, numbers } or null
+ */
+function parseTransactionLine(text) {
+  const match = text.match(TXN_DATE_PATTERN);
+  if (!match) return null;
+
+  const tokens = match[2].trim().split(/\s+/);
+  const numbers = [];
+
+  // Take up to 4 trailing numeric columns: amount, units, NAV, balance
+  while (
+    tokens.length > 0 &&
+    numbers.length < 4 &&
+    NUMERIC_TOKEN_PATTERN.test(tokens[tokens.length - 1])
+  ) {
+    numbers.unshift(parseCasNumber(tokens.pop()));
+  }
+
+  return {
+    dateText: match[1],
+    date: parseMonthYear(match[1].replace(/\s/g, "-")),
+    description: tokens.join(" "),
+    numbers,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STATEMENT PARSING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse CAS text into folios, schemes and transactions
+ *
+ * @param {string} text - Statement text
+ * @returns {Object} { folios, warnings }
+ */
+export function parseCasText(text) {
+  const lines = (text || "").split(/\r?\n/);
+  const folios = [];
+  const warnings = [];
+
+  if (lines.length > MAX_CAS_LINES) {
+    return {
+      folios,
+      warnings: [
+        {
+          line: null,
+          message: `Statement cannot have more than ${MAX_CAS_LINES} lines`,
+        },
+      ],
+    };
+  }
+
+  let folio = null;
+  let scheme = null;
+
+  lines.forEach((rawLine, i) => {
+    const line = i + 1;
+    const text = rawLine.replace(/\s+/g, " ").trim();
+    if (!text) return;
+
+    // New folio
+    const folioMatch = text.match(FOLIO_PATTERN);
+    if (folioMatch) {
+      folio = {
+        folio: folioMatch[1].replace(/\s+/g, ""),
+        line,
+        schemes: [],
+      };
+      folios.push(folio);
+      scheme = null;
+      return;
+    }
+
+    if (/^Opening Unit Balance/i.test(text)) {
+      if (scheme) {
+        const match = text.match(/([\d,]+\.\d+)/);
+        scheme.openingUnits = match ? parseCasNumber(match[1]) : 0;
+      }
+      return;
+    }
+
+    if (/^Closing Unit Balance/i.test(text)) {
+      if (scheme) {
+        const units = text.match(
+          /Closing Unit Balance\s*:?\s*([\d,]+\.\d+)/i
+        );
+        const nav = text.match(
+          /NAV on ([\w-]+)\s*:?\s*(?:INR|Rs\.?)?\s*([\d,]+\.\d+)/i
+        );
+        scheme.closingUnits = units ? parseCasNumber(units[1]) : null;
+        scheme.closingNav = nav ? parseCasNumber(nav[2]) : null;
+        scheme.closingNavDate = nav ? nav[1] : null;
+      }
+      return;
+    }
+
+    const txn = parseTransactionLine(text);
+    if (txn) {
+      // Dated lines before the first folio are statement headers
+      if (!scheme) {
+        if (folio) {
+          warnings.push({
+            line,
+            message: "Transaction found outside a scheme section - skipped",
+          });
+        }
+        return;
+      }
+      scheme.transactions.push({ line, ...txn });
+      return;
+    }
+
+    // Scheme header (only inside a folio)
+    if (folio && SCHEME_HINT_PATTERN.test(text)) {
+      const registrar = text.match(/Registrar\s*:\s*([A-Za-z]+)/i);
+      const isin = text.match(/ISIN\s*:\s*([A-Z0-9]{12})/i);
+      scheme = {
+        rawName: text,
+        schemeName: cleanSchemeName(text),
+        isin: isin ? isin[1] : null,
+        registrar: registrar ? registrar[1].toUpperCase() : null,
+        line,
+        openingUnits: 0,
+        closingUnits: null,
+        closingNav: null,
+        closingNavDate: null,
+        transactions: [],
+      };
+      folio.schemes.push(scheme);
+    }
+  });
+
+  return { folios, warnings };
+}
+
+/**
+ * Turn parsed scheme transactions into import rows
+ * - Stamp duty is folded into the purchase on the same date
+ * - Each row gets a kind and its own errors array
+ * @param {Object} scheme - Parsed scheme
+ * @param {string} fundName - Name to book purchases against
+ * @returns {Array} Rows
+ */
+function buildSchemeRows(scheme, fundName) {
+  const rows = [];
+
+  for (const txn of scheme.transactions) {
+    const amount = txn.numbers[0];
+    const kind =
+      amount === undefined
+        ? "ignored"
+        : classifyDescription(txn.description, amount);
+
+    if (kind === "stampDuty") {
+      const purchase = [...rows]
+        .reverse()
+        .find(
+          (r) =>
+            (r.type === "sip" || r.type === "lumpsum") &&
+            r.dateText === txn.dateText
+        );
+      if (purchase) {
+        purchase.amount = Math.round((purchase.amount + amount) * 100) / 100;
+      }
+      continue;
+    }
+
+    const errors = [];
+    if (!txn.date) {
+      errors.push(`Unrecognised date "${txn.dateText}"`);
+    } else {
+      const dateError = checkTransactionDate(txn.date);
+      if (dateError) errors.push(dateError);
+    }
+    if (kind === "ignored") {
+      errors.push("Not a purchase or redemption - skipped");
+    } else if (Math.abs(amount) > MAX_INVESTMENT_AMOUNT) {
+      errors.push(LIMIT_ERROR_MESSAGES.MAX_AMOUNT);
+    }
+
+    rows.push({
+      line: txn.line,
+      dateText: txn.dateText,
+      year: txn.date?.year ?? null,
+      month: txn.date?.month ?? null,
+      description: txn.description,
+      fundName,
+      type: kind === "ignored" ? null : kind,
+      amount: amount === undefined ? null : Math.abs(amount),
+      units: txn.numbers[1] !== undefined ? Math.abs(txn.numbers[1]) : null,
+      nav: txn.numbers[2] ?? null,
+      errors,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Map cleaned scheme names onto FundReference spellings
+ *
+ * Exact (case-insensitive) matches are left to validateFund. Once
+ * punctuation and spacing are ignored:
+ * - an equal reference name is the same fund, so "HDFC Mid Cap
+ *   Opportunities Fund" resolves to "HDFC Mid-Cap Opportunities Fund"
+ * - the longest reference name that only prefixes the scheme name is a
+ *   close match ("X Fund" for "X Fund of Funds" may be another fund),
+ *   left for the user to confirm
+ *
+ * @param {Array<string>} schemeNames - Cleaned scheme names
+ * @returns {Promise<Object>} { resolved: Map schemeName → resolved name,
+ *   closeMatches: Map schemeName → reference fund }
+ */
+async function resolveSchemeNames(schemeNames) {
+  const references = await FundReference.find({ isActive: true })
+    .select("fundName assetType category amc")
+    .lean();
+
+  const compact = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const compactRefs = references
+    .map((r) => ({ fund: r, key: compact(r.fundName) }))
+    .sort((a, b) => b.key.length - a.key.length);
+
+  const resolved = new Map();
+  const closeMatches = new Map();
+  for (const name of schemeNames) {
+    const key = compact(name);
+    const match = compactRefs.find((r) => key.startsWith(r.key));
+    if (match && match.key === key) {
+      resolved.set(name, match.fund.fundName);
+      continue;
+    }
+    resolved.set(name, name);
+    if (match) {
+      const { fundName, assetType, category, amc } = match.fund;
+      closeMatches.set(name, { fundName, assetType, category, amc });
+    }
+  }
+  return { resolved, closeMatches };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MAIN ENTRY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Build an import preview from CAS statement text
+ *
+ * @param {string} casText - Statement text
+ * @param {Object} options - { name }
+ * @returns {Object} Preview: portfolio, folios, rows, coverage, errors,
+ *   warnings, stats, canImport
+ */
+export async function previewCasImport(casText, options = {}) {
+  const { folios, warnings } = parseCasText(casText);
+  const errors = [];
+
+  const schemes = folios.flatMap((f) =>
+    f.schemes.map((s) => ({ ...s, folio: f.folio }))
+  );
+
+  if (schemes.length === 0) {
+    errors.push({
+      line: null,
+      message:
+        "No folios or schemes found. Make sure this is the text of a CAMS or KFintech consolidated statement.",
+    });
+  }
+
+  const { resolved, closeMatches } = await resolveSchemeNames(
+    [...new Set(schemes.map((s) => s.schemeName))].filter(Boolean)
+  );
+
+  const rows = schemes.flatMap((scheme) =>
+    buildSchemeRows(
+      scheme,
+      resolved.get(scheme.schemeName) || scheme.schemeName
+    )
+  );
+
+  flagUnmatchedRedemptions(rows);
+
+  const purchases = rows.filter(
+    (r) => r.errors.length === 0 && (r.type === "sip" || r.type === "lumpsum")
+  );
+  const redemptions = rows.filter(
+    (r) => r.errors.length === 0 && r.type === "redemption"
+  );
+
+  schemes.forEach((scheme) => {
+    if (scheme.openingUnits > 0) {
+      warnings.push({
+        line: scheme.line,
+        message: `${scheme.schemeName}: opening balance of ${scheme.openingUnits} units is from before this statement period. Those purchases are not included.`,
+      });
+    }
+
+    if (scheme.closingUnits !== null) {
+      const parsedUnits = scheme.transactions.reduce(
+        (sum, t) => sum + (t.numbers.length >= 2 ? t.numbers[1] : 0),
+        scheme.openingUnits
+      );
+      if (Math.abs(parsedUnits - scheme.closingUnits) > 0.01) {
+        warnings.push({
+          line: scheme.line,
+          message: `${scheme.schemeName}: parsed units (${parsedUnits.toFixed(
+            3
+          )}) do not match the closing balance (${scheme.closingUnits}). Some transactions may be missing.`,
+        });
+      }
+    }
+  });
+
+  const funds = buildFundsFromTransactions([...purchases, ...redemptions]);
+  const { coverage, errors: coverageErrors } = await attachFundCoverage(
+    funds,
+    closeMatches
+  );
+
+  errors.push(
+    ...[...checkFundLimits(funds), ...coverageErrors].map((message) => ({
+      line: null,
+      message,
+    }))
+  );
+
+  const skippedCount = rows.filter((r) => r.errors.length > 0).length;
+
+  return {
+    portfolio: {
+      name: options.name || "CAS Portfolio",
+      funds: toPortfolioFunds(funds),
+    },
+    folios: folios.map((f) => ({
+      folio: f.folio,
+      schemes: f.schemes.map((s) => ({
+        schemeName: s.schemeName,
+        matchedName: resolved.get(s.schemeName) || s.schemeName,
+        isin: s.isin,
+        registrar: s.registrar,
+        transactions: s.transactions.length,
+        closingUnits: s.closingUnits,
+        closingNav: s.closingNav,
+        closingNavDate: s.closingNavDate,
+      })),
+    })),
+    rows: rows.map((r) => ({
+      line: r.line,
+      date: r.dateText,
+      fundName: r.fundName,
+      type: r.type,
+      description: r.description,
+      amount: r.amount,
+      units: r.units,
+      errors: r.errors,
+    })),
+    coverage,
+    errors,
+    warnings,
+    stats: {
+      folios: folios.length,
+      schemes: schemes.length,
+      purchases: purchases.length,
+      redemptions: redemptions.length,
+      skipped: skippedCount,
+      funds: funds.length,
+    },
+    canImport: funds.length > 0 && errors.length === 0,
+  };
+}
+
+export default {
+  cleanSchemeName,
+  parseCasText,
+  previewCasImport,
+};
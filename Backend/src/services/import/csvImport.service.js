@@ -0,0 +1,356 @@
+/**
+ * CSV Import Service
+ *
+ * Parses a transaction CSV exported from a spreadsheet into the
+ * portfolioModel fund structure (sips / lumpsums / redemptions) and
+ * returns a preview.
+ *
+ * Expected columns (header row required, order does not matter):
+ * - date: YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY, YYYY-MM or "Mar 2024"
+ * - fund name
+ * - type: SIP, Lumpsum or Redemption
+ * - amount: rupees, commas and ₹ allowed
+ *
+ * SIP rows are grouped into SIP entries by transactions.util.js.
+ * Redemption rows are booked by amount.
+ *
+ * Rows with errors block the import (nothing is dropped silently) -
+ * the preview lists them so the file can be fixed and re-uploaded.
+ *
+ * ⚠️ Nothing is saved here - the caller decides whether to create the portfolio
+ */
+
+import {
+  MAX_INVESTMENT_AMOUNT,
+  MAX_SIP_AMOUNT,
+  MAX_FUND_NAME_LENGTH,
+  LIMIT_ERROR_MESSAGES,
+} from "../../config/limits.config.js";
+import {
+  parseMonthYear,
+  checkTransactionDate,
+  buildFundsFromTransactions,
+  flagUnmatchedRedemptions,
+  checkFundLimits,
+  attachFundCoverage,
+  toPortfolioFunds,
+} from "./transactions.util.js";
+
+// Maximum data rows processed from a single file
+export const MAX_CSV_ROWS = 5000;
+
+// Header aliases → canonical column names
+const COLUMN_ALIASES = {
+  date: ["date", "transaction date", "txn date", "investment date", "month"],
+  fundName: [
+    "fund name",
+    "fund",
+    "scheme",
+    "scheme name",
+    "asset name",
+    "name",
+  ],
+  type: ["type", "transaction type", "txn type", "investment type", "mode"],
+  amount: ["amount", "invested amount", "investment amount", "value"],
+};
+
+// ═══════════════════════════════════════════════════════════════
+// PARSING HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings
+ * @param {string} text - Raw CSV text
+ * @returns {Array<{line: number, fields: string[]}>}
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const pushRow = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.some((f) => f.trim() !== "")) {
+      rows.push({ line: rowLine, fields: fields.map((f) => f.trim()) });
+    }
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      pushRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || fields.length > 0) {
+    pushRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Map header cells to canonical column indexes
+ * @param {string[]} headerFields - Header row
+ * @returns {Object} { date, fundName, type, amount } → index (or -1)
+ */
+function resolveColumns(headerFields) {
+  const normalized = headerFields.map((h) =>
+    h.toLowerCase().replace(/^\uFEFF/, "").replace(/[_\s]+/g, " ").trim()
+  );
+
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[column] = normalized.findIndex((h) => aliases.includes(h));
+  }
+  return columns;
+}
+
+/**
+ * Parse transaction type cell
+ * @param {string} value - Type cell
+ * @returns {string|null} "sip" | "lumpsum" | null
+ */
+function parseTypeCell(value) {
+  const text = (value || "").toLowerCase().replace(/[\s_-]+/g, "");
+  if (["sip", "systematic", "systematicinvestmentplan"].includes(text)) {
+    return "sip";
+  }
+  if (["lumpsum", "lump", "onetime", "purchase", "additional"].includes(text)) {
+    return "lumpsum";
+  }
+  if (["redemption", "redeem", "sell", "withdrawal", "withdraw"].includes(text)) {
+    return "redemption";
+  }
+  return null;
+}
+
+/**
+ * Parse amount cell (strips ₹, Rs, commas)
+ * @param {string} value - Amount cell
+ * @returns {number} Parsed amount or NaN
+ */
+function parseAmountCell(value) {
+  const cleaned = (value || "").replace(/₹|rs\.?|inr|,|\s/gi, "");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  return parseFloat(cleaned);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRANSACTION EXTRACTION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse CSV text into validated transaction rows
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { rows, errors } - rows carry their own errors array
+ */
+export function parseTransactions(csvText) {
+  const rawRows = parseCsvRows(csvText || "");
+
+  if (rawRows.length < 2) {
+    return {
+      rows: [],
+      errors: [
+        {
+          line: null,
+          message: "CSV must contain a header row and at least one data row",
+        },
+      ],
+    };
+  }
+
+  const [header, ...dataRows] = rawRows;
+  const columns = resolveColumns(header.fields);
+  const missing = Object.entries(columns)
+    .filter(([, index]) => index === -1)
+    .map(([column]) => column);
+
+  if (missing.length > 0) {
+    return {
+      rows: [],
+      errors: [
+        {
+          line: header.line,
+          message: `Missing required column(s): ${missing.join(
+            ", "
+          )}. Expected headers: date, fund name, type, amount`,
+        },
+      ],
+    };
+  }
+
+  if (dataRows.length > MAX_CSV_ROWS) {
+    return {
+      rows: [],
+      errors: [
+        {
+          line: null,
+          message: `CSV cannot have more than ${MAX_CSV_ROWS} rows`,
+        },
+      ],
+    };
+  }
+
+  const rows = dataRows.map(({ line, fields }) => {
+    const raw = {
+      date: fields[columns.date] || "",
+      fundName: fields[columns.fundName] || "",
+      type: fields[columns.type] || "",
+      amount: fields[columns.amount] || "",
+    };
+    const errors = [];
+
+    const date = parseMonthYear(raw.date);
+    const dateError = date
+      ? checkTransactionDate(date)
+      : `Unrecognised date "${raw.date}"`;
+    if (dateError) errors.push(dateError);
+
+    const fundName = raw.fundName.replace(/\s+/g, " ");
+    if (fundName.length < 3) {
+      errors.push("Fund name is missing or too short");
+    } else if (fundName.length > MAX_FUND_NAME_LENGTH) {
+      errors.push("Fund name is too long");
+    }
+
+    const type = parseTypeCell(raw.type);
+    if (!type) {
+      errors.push(`Unknown type "${raw.type}" (expected SIP, Lumpsum or Redemption)`);
+    }
+
+    const amount = parseAmountCell(raw.amount);
+    if (isNaN(amount) || amount <= 0) {
+      errors.push(`Invalid amount "${raw.amount}"`);
+    } else if (type === "sip" && amount > MAX_SIP_AMOUNT) {
+      errors.push("SIP amount too large");
+    } else if (amount > MAX_INVESTMENT_AMOUNT) {
+      errors.push(LIMIT_ERROR_MESSAGES.MAX_AMOUNT);
+    }
+
+    return {
+      line,
+      raw,
+      fundName,
+      type,
+      amount,
+      year: date?.year ?? null,
+      month: date?.month ?? null,
+      errors,
+    };
+  });
+
+  return { rows, errors: [] };
+}
+
+/**
+ * File-level error listing the rows that need fixing
+ * @param {number[]} lines - Line numbers of rows with errors
+ * @returns {Object} { line: null, message }
+ */
+function describeInvalidRows(lines) {
+  const shown = lines.slice(0, 10).join(", ");
+  const more = lines.length > 10 ? ` and ${lines.length - 10} more` : "";
+
+  return {
+    line: null,
+    message:
+      `${lines.length} row(s) have errors (line ${shown}${more}). ` +
+      "Fix them in the file and upload it again.",
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MAIN ENTRY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Build an import preview from CSV text
+ *
+ * @param {string} csvText - Raw CSV text
+ * @param {Object} options - { name }
+ * @returns {Object} Preview: portfolio, rows, coverage, errors, canImport
+ */
+export async function previewCsvImport(csvText, options = {}) {
+  const { rows, errors: fileErrors } = parseTransactions(csvText);
+  flagUnmatchedRedemptions(rows);
+  const funds = buildFundsFromTransactions(
+    rows.filter((r) => r.errors.length === 0)
+  );
+  const { coverage, errors: coverageErrors } = await attachFundCoverage(funds);
+
+  const invalidLines = rows
+    .filter((r) => r.errors.length > 0)
+    .map((r) => r.line);
+  const rowErrorCount = invalidLines.length;
+
+  const errors = [
+    ...fileErrors,
+    ...(rowErrorCount > 0 ? [describeInvalidRows(invalidLines)] : []),
+    ...[...checkFundLimits(funds), ...coverageErrors].map((message) => ({
+      line: null,
+      message,
+    })),
+  ];
+
+  return {
+    portfolio: {
+      name: options.name || "Imported Portfolio",
+      funds: toPortfolioFunds(funds),
+    },
+    rows: rows.map((r) => ({
+      line: r.line,
+      date: r.raw.date,
+      fundName: r.raw.fundName,
+      type: r.raw.type,
+      amount: r.raw.amount,
+      errors: r.errors,
+    })),
+    coverage,
+    errors,
+    stats: {
+      totalRows: rows.length,
+      validRows: rows.length - rowErrorCount,
+      invalidRows: rowErrorCount,
+      funds: funds.length,
+    },
+    canImport: funds.length > 0 && errors.length === 0,
+  };
+}
+
+export default {
+  parseCsvRows,
+  parseTransactions,
+  previewCsvImport,
+};
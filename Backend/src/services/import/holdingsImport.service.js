@@ -0,0 +1,205 @@
+/**
+ * Holdings Disclosure Import Service
+ *
+ * Parses an AMC monthly portfolio disclosure (saved as CSV) into
+ * FundHolding records.
+ *
+ * Expected columns (header row required, order does not matter):
+ * - fund name
+ * - month: disclosure month (YYYY-MM, "Mar 2024", DD-MM-YYYY …)
+ * - stock name: company / instrument
+ * - weight: % of net assets ("4.52" or "4.52%")
+ * - isin (optional)
+ * - sector / industry (optional)
+ *
+ * One file may carry several funds and months.
+ *
+ * ⚠️ Nothing is saved here - scripts/loadFundHoldings.js writes the records
+ */
+
+import { parseCsvRows, MAX_CSV_ROWS } from "./csvImport.service.js";
+import { parseMonthYear } from "./transactions.util.js";
+import { monthYearToKey } from "../../utils/nav/index.js";
+
+// Header aliases → canonical column names
+const COLUMN_ALIASES = {
+  fundName: ["fund name", "fund", "scheme", "scheme name"],
+  asOf: [
+    "month",
+    "as of",
+    "as on",
+    "date",
+    "portfolio date",
+    "disclosure month",
+  ],
+  stockName: [
+    "stock name",
+    "stock",
+    "company",
+    "company name",
+    "name of the instrument",
+    "instrument",
+    "holding",
+  ],
+  weight: ["weight", "% to nav", "% of nav", "% to net assets", "allocation"],
+  isin: ["isin", "isin code"],
+  sector: ["sector", "industry", "industry / rating"],
+};
+
+const REQUIRED_COLUMNS = ["fundName", "asOf", "stockName", "weight"];
+
+// Weights are rounded, so a disclosure can add up to a little over 100%
+const MAX_TOTAL_WEIGHT = 101;
+
+/**
+ * Map header cells to canonical column indexes
+ * @param {string[]} headerFields - Header row
+ * @returns {Object} column → index (or -1)
+ */
+function resolveColumns(headerFields) {
+  const normalized = headerFields.map((h) =>
+    h.toLowerCase().replace(/^\uFEFF/, "").replace(/[_\s]+/g, " ").trim()
+  );
+
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[column] = normalized.findIndex((h) => aliases.includes(h));
+  }
+  return columns;
+}
+
+/**
+ * Parse a weight cell ("4.52", "4.52%")
+ * @returns {number} Weight or NaN
+ */
+function parseWeightCell(value) {
+  const cleaned = (value || "").replace(/%|\s/g, "");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  return parseFloat(cleaned);
+}
+
+/**
+ * Parse disclosure CSV text into holdings grouped by fund and month
+ *
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { disclosures: [{ fundName, asOf, holdings }], errors }
+ */
+export function parseHoldingsDisclosure(csvText) {
+  const rawRows = parseCsvRows(csvText || "");
+
+  if (rawRows.length < 2) {
+    return {
+      disclosures: [],
+      errors: [
+        {
+          line: null,
+          message: "File must contain a header row and at least one holding",
+        },
+      ],
+    };
+  }
+
+  const [header, ...dataRows] = rawRows;
+  const columns = resolveColumns(header.fields);
+  const missing = REQUIRED_COLUMNS.filter((column) => columns[column] === -1);
+
+  if (missing.length > 0) {
+    return {
+      disclosures: [],
+      errors: [
+        {
+          line: header.line,
+          message: `Missing required column(s): ${missing.join(
+            ", "
+          )}. Expected headers: fund name, month, stock name, weight`,
+        },
+      ],
+    };
+  }
+
+  if (dataRows.length > MAX_CSV_ROWS) {
+    return {
+      disclosures: [],
+      errors: [
+        {
+          line: null,
+          message: `File cannot have more than ${MAX_CSV_ROWS} rows`,
+        },
+      ],
+    };
+  }
+
+  const errors = [];
+  const grouped = new Map();
+  const cell = (fields, column) =>
+    columns[column] === -1 ? "" : fields[columns[column]] || "";
+
+  for (const { line, fields } of dataRows) {
+    const fundName = cell(fields, "fundName").replace(/\s+/g, " ");
+    const stockName = cell(fields, "stockName").replace(/\s+/g, " ");
+    const month = parseMonthYear(cell(fields, "asOf"));
+    const weight = parseWeightCell(cell(fields, "weight"));
+    const isin = cell(fields, "isin").toUpperCase();
+
+    if (!fundName || !stockName) {
+      errors.push({ line, message: "Fund name and stock name are required" });
+      continue;
+    }
+    if (!month) {
+      errors.push({
+        line,
+        message: `Unrecognised month "${cell(fields, "asOf")}"`,
+      });
+      continue;
+    }
+    if (Number.isNaN(weight) || weight > 100) {
+      errors.push({
+        line,
+        message: `Invalid weight "${cell(fields, "weight")}" for ${stockName}`,
+      });
+      continue;
+    }
+    if (isin && !/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(isin)) {
+      errors.push({ line, message: `Invalid ISIN "${isin}" for ${stockName}` });
+      continue;
+    }
+
+    const asOf = monthYearToKey(month.year, month.month);
+    const key = `${fundName}|${asOf}`;
+    if (!grouped.has(key)) {
+      grouped.set(key, { fundName, asOf, holdings: new Map() });
+    }
+
+    // Same stock listed twice (e.g. two share classes) - add up
+    const holdings = grouped.get(key).holdings;
+    const existing = holdings.get(stockName);
+    holdings.set(stockName, {
+      stockName,
+      isin: isin || existing?.isin || undefined,
+      sector: cell(fields, "sector") || existing?.sector || undefined,
+      weight: (existing?.weight || 0) + weight,
+    });
+  }
+
+  const disclosures = [];
+  for (const { fundName, asOf, holdings } of grouped.values()) {
+    const list = [...holdings.values()];
+    const totalWeight = list.reduce((sum, h) => sum + h.weight, 0);
+    if (totalWeight > MAX_TOTAL_WEIGHT) {
+      errors.push({
+        line: null,
+        message: `${fundName} (${asOf}): weights add up to ${totalWeight.toFixed(
+          2
+        )}%`,
+      });
+      continue;
+    }
+    disclosures.push({ fundName, asOf, holdings: list });
+  }
+
+  return { disclosures, errors };
+}
+
+export default {
+  parseHoldingsDisclosure,
+};
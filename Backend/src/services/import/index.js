@@ -0,0 +1,24 @@
+/**
+ * Import Services - Index
+ *
+ * Central export for portfolio import services
+ */
+
+export {
+  previewCsvImport,
+  parseTransactions,
+  parseCsvRows,
+  MAX_CSV_ROWS,
+} from "./csvImport.service.js";
+
+export {
+  previewCasImport,
+  parseCasText,
+  cleanSchemeName,
+} from "./casImport.service.js";
+
+export { parseHoldingsDisclosure } from "./holdingsImport.service.js";
+
+export { parseSecurityPrices } from "./priceImport.service.js";
+
+export { parseMonthYear } from "./transactions.util.js";
@@ -0,0 +1,150 @@
+/**
+ * Security Price Import Service
+ *
+ * Parses a stock / ETF price CSV (exchange bhavcopy or broker export)
+ * into SecurityPrice records.
+ *
+ * Expected columns (header row required, order does not matter):
+ * - symbol: exchange symbol (HDFCBANK, NIFTYBEES …)
+ * - month: YYYY-MM, "Mar 2024" or a full date (YYYY-MM-DD, DD-MM-YYYY …)
+ * - close: closing price, commas and ₹ allowed
+ *
+ * Daily rows are fine: a later row for the same symbol and month
+ * replaces an earlier one, so a file sorted by date keeps month-end
+ * closes.
+ *
+ * ⚠️ Nothing is saved here - scripts/loadSecurityPrices.js writes them
+ */
+
+import { parseCsvRows, MAX_CSV_ROWS } from "./csvImport.service.js";
+import { parseMonthYear } from "./transactions.util.js";
+import { monthYearToKey } from "../../utils/nav/index.js";
+
+// Daily price files are longer than transaction files
+const MAX_PRICE_ROWS = MAX_CSV_ROWS * 20;
+
+// Header aliases → canonical column names
+const COLUMN_ALIASES = {
+  symbol: ["symbol", "ticker", "scrip", "nse symbol", "tradingsymbol"],
+  month: ["month", "date", "trade date", "timestamp"],
+  close: ["close", "close price", "closing price", "price", "last price"],
+};
+
+const REQUIRED_COLUMNS = ["symbol", "month", "close"];
+
+/**
+ * Map header cells to canonical column indexes
+ * @param {string[]} headerFields - Header row
+ * @returns {Object} column → index (or -1)
+ */
+function resolveColumns(headerFields) {
+  const normalized = headerFields.map((h) =>
+    h.toLowerCase().replace(/^\uFEFF/, "").replace(/[_\s]+/g, " ").trim()
+  );
+
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[column] = normalized.findIndex((h) => aliases.includes(h));
+  }
+  return columns;
+}
+
+/**
+ * Parse a price cell ("1,642.35", "₹1642.35")
+ * @returns {number} Price or NaN
+ */
+function parsePriceCell(value) {
+  const cleaned = (value || "").replace(/[₹,\s]/g, "");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  return parseFloat(cleaned);
+}
+
+/**
+ * Parse price CSV text into monthly closes
+ *
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { prices: [{ symbol, month, close }], errors }
+ */
+export function parseSecurityPrices(csvText) {
+  const rawRows = parseCsvRows(csvText || "");
+
+  if (rawRows.length < 2) {
+    return {
+      prices: [],
+      errors: [
+        {
+          line: null,
+          message: "File must contain a header row and at least one price",
+        },
+      ],
+    };
+  }
+
+  const [header, ...dataRows] = rawRows;
+  const columns = resolveColumns(header.fields);
+  const missing = REQUIRED_COLUMNS.filter((column) => columns[column] === -1);
+
+  if (missing.length > 0) {
+    return {
+      prices: [],
+      errors: [
+        {
+          line: header.line,
+          message: `Missing required column(s): ${missing.join(
+            ", "
+          )}. Expected headers: symbol, month, close`,
+        },
+      ],
+    };
+  }
+
+  if (dataRows.length > MAX_PRICE_ROWS) {
+    return {
+      prices: [],
+      errors: [
+        {
+          line: null,
+          message: `File cannot have more than ${MAX_PRICE_ROWS} rows`,
+        },
+      ],
+    };
+  }
+
+  const errors = [];
+  const closes = new Map();
+  const cell = (fields, column) => fields[columns[column]] || "";
+
+  for (const { line, fields } of dataRows) {
+    const symbol = cell(fields, "symbol").toUpperCase();
+    const month = parseMonthYear(cell(fields, "month"));
+    const close = parsePriceCell(cell(fields, "close"));
+
+    if (!/^[A-Z0-9&-]{1,20}$/.test(symbol)) {
+      errors.push({ line, message: `Invalid symbol "${symbol}"` });
+      continue;
+    }
+    if (!month) {
+      errors.push({
+        line,
+        message: `Unrecognised month "${cell(fields, "month")}"`,
+      });
+      continue;
+    }
+    if (Number.isNaN(close) || close <= 0) {
+      errors.push({
+        line,
+        message: `Invalid close "${cell(fields, "close")}" for ${symbol}`,
+      });
+      continue;
+    }
+
+    const monthKey = monthYearToKey(month.year, month.month);
+    closes.set(`${symbol}|${monthKey}`, { symbol, month: monthKey, close });
+  }
+
+  return { prices: [...closes.values()], errors };
+}
+
+export default {
+  parseSecurityPrices,
+};
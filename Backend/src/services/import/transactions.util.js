@@ -0,0 +1,405 @@
+/**
+ * Import Transaction Utilities
+ *
+ * Shared helpers for the CSV and CAS importers:
+ * - Month/year parsing for common Indian statement date formats
+ * - Grouping purchase and redemption transactions into portfolioModel funds
+ * - Limit checks and FundReference coverage for the built funds
+ *
+ * A transaction here is:
+ * { line, fundName, type: "sip" | "lumpsum" | "redemption", amount, year,
+ *   month, units? }
+ */
+
+import { validateFunds } from "../../middleware/Fund.Validation_service.js";
+import {
+  MAX_FUNDS_PER_PORTFOLIO,
+  MAX_SIPS_PER_FUND,
+  MAX_LUMPSUMS_PER_FUND,
+  MAX_REDEMPTIONS_PER_FUND,
+  LIMIT_ERROR_MESSAGES,
+} from "../../config/limits.config.js";
+
+// Earliest year accepted by the portfolio validation schemas
+export const MIN_IMPORT_YEAR = 2000;
+
+const MONTH_NAMES = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+// ═══════════════════════════════════════════════════════════════
+// DATE HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Parse a date string into { year, month }
+ * Supports YYYY-MM-DD, YYYY-MM, DD-MM-YYYY, DD/MM/YYYY,
+ * DD-Mon-YYYY, "Mon YYYY" and "Month YYYY"
+ * @param {string} value - Date text
+ * @returns {Object|null} { year, month } or null if unparseable
+ */
+export function parseMonthYear(value) {
+  if (!value) return null;
+  const text = value.trim();
+  let match;
+
+  // YYYY-MM-DD or YYYY/MM/DD or YYYY-MM
+  if ((match = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?$/))) {
+    return buildMonthYear(Number(match[1]), Number(match[2]));
+  }
+
+  // DD-MM-YYYY or DD/MM/YYYY
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+    return buildMonthYear(Number(match[3]), Number(match[2]));
+  }
+
+  // DD-Mon-YYYY, Mon YYYY, Mon-YYYY, Month YYYY
+  if (
+    (match = text.match(/^(?:\d{1,2}[-\s/])?([A-Za-z]{3,9})[-\s/,]+(\d{4})$/))
+  ) {
+    const month = MONTH_NAMES[match[1].slice(0, 3).toLowerCase()];
+    return month ? buildMonthYear(Number(match[2]), month) : null;
+  }
+
+  return null;
+}
+
+function buildMonthYear(year, month) {
+  if (!Number.isInteger(year) || month < 1 || month > 12) return null;
+  return { year, month };
+}
+
+/**
+ * Numeric month index for ordering and consecutiveness checks
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {number}
+ */
+export function monthIndex(year, month) {
+  return year * 12 + (month - 1);
+}
+
+/**
+ * Check a parsed date is inside the range the portfolio schemas accept
+ * @param {Object} date - { year, month }
+ * @returns {string|null} Error message or null if valid
+ */
+export function checkTransactionDate(date) {
+  const now = new Date();
+  const currentIndex = monthIndex(now.getFullYear(), now.getMonth() + 1);
+
+  if (date.year < MIN_IMPORT_YEAR) {
+    return `Year ${date.year} is before ${MIN_IMPORT_YEAR}`;
+  }
+  if (monthIndex(date.year, date.month) > currentIndex) {
+    return "Date cannot be in the future";
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FUND BUILDING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Collapse SIP installments into SIP entries
+ *
+ * - Consecutive monthly installments with the same amount form one SIP
+ * - The last run is ongoing if it reaches the latest month overall, or
+ *   if it is a single installment (a "SIP started on" row)
+ *
+ * @param {Array} installments - SIP transactions for one fund
+ * @param {number} latestIndex - Latest month index across all transactions
+ * @returns {Array} SIP entries in portfolioModel format
+ */
+export function groupSipInstallments(installments, latestIndex) {
+  const sorted = [...installments].sort(
+    (a, b) => monthIndex(a.year, a.month) - monthIndex(b.year, b.month)
+  );
+
+  const runs = [];
+  for (const row of sorted) {
+    const index = monthIndex(row.year, row.month);
+    const current = runs[runs.length - 1];
+    const sameAmount = current && current.amount === row.amount;
+
+    if (sameAmount && index === current.endIndex) {
+      // Duplicate installment for the same month - keep one
+      continue;
+    }
+
+    if (sameAmount && index - current.endIndex === 1) {
+      current.endIndex = index;
+      current.count++;
+    } else {
+      runs.push({
+        amount: row.amount,
+        startIndex: index,
+        endIndex: index,
+        count: 1,
+      });
+    }
+  }
+
+  return runs.map((run, i) => {
+    const isLast = i === runs.length - 1;
+    const isOngoing =
+      isLast && (run.count === 1 || run.endIndex === latestIndex);
+
+    return {
+      amount: run.amount,
+      startMonth: (run.startIndex % 12) + 1,
+      startYear: Math.floor(run.startIndex / 12),
+      isOngoing,
+      ...(isOngoing
+        ? {}
+        : {
+            endMonth: (run.endIndex % 12) + 1,
+            endYear: Math.floor(run.endIndex / 12),
+          }),
+    };
+  });
+}
+
+/**
+ * Group transactions into portfolio funds
+ * Fund names are matched case-insensitively so "axis bluechip fund" and
+ * "Axis Bluechip Fund" land in the same fund.
+ * Redemptions keep their units when the source has them (CAS), otherwise
+ * they are booked by amount.
+ * @param {Array} transactions - Valid transactions
+ * @returns {Array} Funds with sips, lumpsums, redemptions and sourceLines
+ */
+export function buildFundsFromTransactions(transactions) {
+  if (transactions.length === 0) return [];
+
+  const latestIndex = Math.max(
+    ...transactions.map((t) => monthIndex(t.year, t.month))
+  );
+
+  const byFund = new Map();
+  for (const txn of transactions) {
+    const key = txn.fundName.toLowerCase();
+    if (!byFund.has(key)) {
+      byFund.set(key, {
+        assetName: txn.fundName,
+        sipRows: [],
+        lumpsumRows: [],
+        redemptionRows: [],
+      });
+    }
+    const group = byFund.get(key);
+    if (txn.type === "sip") group.sipRows.push(txn);
+    else if (txn.type === "redemption") group.redemptionRows.push(txn);
+    else group.lumpsumRows.push(txn);
+  }
+
+  const byDate = (a, b) =>
+    monthIndex(a.year, a.month) - monthIndex(b.year, b.month);
+
+  return Array.from(byFund.values()).map((group) => ({
+    assetType: "Mutual Fund",
+    assetName: group.assetName,
+    sips: groupSipInstallments(group.sipRows, latestIndex),
+    lumpsums: group.lumpsumRows
+      .sort(byDate)
+      .map((t) => ({ amount: t.amount, month: t.month, year: t.year })),
+    redemptions: group.redemptionRows.sort(byDate).map((t) =>
+      t.units > 0
+        ? { units: t.units, month: t.month, year: t.year }
+        : { amount: t.amount, month: t.month, year: t.year }
+    ),
+    sourceLines: [
+      ...group.sipRows,
+      ...group.lumpsumRows,
+      ...group.redemptionRows,
+    ]
+      .map((t) => t.line)
+      .sort((a, b) => a - b),
+  }));
+}
+
+/**
+ * Flag redemptions for funds that have no purchases in the same import
+ * A fund needs at least one SIP or lumpsum, so these rows are skipped
+ * @param {Array} rows - Transaction rows (mutated: errors may be added)
+ */
+export function flagUnmatchedRedemptions(rows) {
+  const purchased = new Set(
+    rows
+      .filter((r) => r.errors.length === 0 && r.type !== "redemption")
+      .map((r) => r.fundName.toLowerCase())
+  );
+
+  for (const row of rows) {
+    if (
+      row.errors.length === 0 &&
+      row.type === "redemption" &&
+      !purchased.has(row.fundName.toLowerCase())
+    ) {
+      row.errors.push("No purchases found for this fund - redemption skipped");
+    }
+  }
+}
+
+/**
+ * Check per-portfolio and per-fund limits on the built funds
+ * @param {Array} funds - Built funds
+ * @returns {Array<string>} Limit violation messages
+ */
+export function checkFundLimits(funds) {
+  const errors = [];
+
+  if (funds.length > MAX_FUNDS_PER_PORTFOLIO) {
+    errors.push(LIMIT_ERROR_MESSAGES.MAX_FUNDS);
+  }
+
+  for (const fund of funds) {
+    if (fund.sips.length > MAX_SIPS_PER_FUND) {
+      errors.push(`${fund.assetName}: ${LIMIT_ERROR_MESSAGES.MAX_SIPS}`);
+    }
+    if (fund.lumpsums.length > MAX_LUMPSUMS_PER_FUND) {
+      errors.push(`${fund.assetName}: ${LIMIT_ERROR_MESSAGES.MAX_LUMPSUMS}`);
+    }
+    if (fund.redemptions.length > MAX_REDEMPTIONS_PER_FUND) {
+      errors.push(
+        `${fund.assetName}: ${LIMIT_ERROR_MESSAGES.MAX_REDEMPTIONS}`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Downgrade a validateFund result to a close match the user confirms
+ *
+ * @param {Object} result - validateFund result (not full coverage)
+ * @param {Object} closeMatch - Reference fund { fundName, assetType,
+ *   category, amc }
+ * @returns {Object} Partial coverage result with closeMatch
+ */
+function withCloseMatch(result, closeMatch) {
+  return {
+    ...result,
+    analysisCoverage: "partial",
+    inferredAssetType: result.inferredAssetType || closeMatch.assetType,
+    closeMatch,
+    message: `Fund not in database. Closest match is ${closeMatch.fundName} - confirm it for full analysis.`,
+    suggestions: [
+      closeMatch,
+      ...(result.suggestions || []).filter(
+        (s) => s.fundName !== closeMatch.fundName
+      ),
+    ],
+  };
+}
+
+/**
+ * Run built funds through validateFunds and summarise coverage
+ *
+ * Fully covered funds are renamed to the reference spelling so analysis
+ * lookups (exact name match) find their NAV and metadata. Close matches
+ * (e.g. CAS names a reference name only prefixes) may be a different
+ * fund, so they stay partial with the match for the user to confirm.
+ *
+ * @param {Array} funds - Built funds (mutated: assetName may change)
+ * @param {Map} [closeMatches] - assetName → reference fund
+ * @returns {Object} { coverage, errors }
+ */
+export async function attachFundCoverage(funds, closeMatches = new Map()) {
+  if (funds.length === 0) {
+    return { coverage: null, errors: [] };
+  }
+
+  const validation = await validateFunds(funds);
+  const results = validation.validatedFunds.map((result) => {
+    const closeMatch = closeMatches.get(result.originalFund.assetName);
+    return closeMatch && result.analysisCoverage !== "full"
+      ? withCloseMatch(result, closeMatch)
+      : result;
+  });
+
+  results.forEach((result, i) => {
+    if (result.matchedFund) {
+      funds[i].assetName = result.matchedFund.fundName;
+    }
+  });
+
+  const countOf = (level) =>
+    results.filter((r) => r.analysisCoverage === level).length;
+  const unsupported = countOf("unsupported");
+
+  const coverage = {
+    summary: {
+      full: countOf("full"),
+      partial: countOf("partial"),
+      unsupported,
+      coveragePercentage: Math.round(
+        ((results.length - unsupported) / results.length) * 100
+      ),
+    },
+    funds: results.map((result) => ({
+      inputName: result.inputName,
+      analysisCoverage: result.analysisCoverage,
+      matchedFund: result.matchedFund || null,
+      closeMatch: result.closeMatch || null,
+      inferredAssetType: result.inferredAssetType || null,
+      message: result.message || result.error,
+      suggestions: result.suggestions || [],
+      sourceLines: result.originalFund.sourceLines,
+    })),
+  };
+
+  const errors = [];
+  if (unsupported > 0) {
+    errors.push(
+      `${unsupported} fund(s) could not be classified. Rename them or pick a suggested fund before importing.`
+    );
+  }
+
+  const seen = new Set();
+  for (const { assetName } of funds) {
+    if (seen.has(assetName)) {
+      errors.push(
+        `${assetName}: more than one imported name matches this fund. Use one name for it before importing.`
+      );
+    }
+    seen.add(assetName);
+  }
+
+  return { coverage, errors };
+}
+
+/**
+ * Strip internal bookkeeping from built funds before returning them
+ * @param {Array} funds - Built funds
+ * @returns {Array} Funds in createPortfolio payload format
+ */
+export function toPortfolioFunds(funds) {
+  return funds.map(({ sourceLines: _sourceLines, ...fund }) => fund);
+}
+
+export default {
+  MIN_IMPORT_YEAR,
+  parseMonthYear,
+  monthIndex,
+  checkTransactionDate,
+  groupSipInstallments,
+  buildFundsFromTransactions,
+  flagUnmatchedRedemptions,
+  checkFundLimits,
+  attachFundCoverage,
+  toPortfolioFunds,
+};
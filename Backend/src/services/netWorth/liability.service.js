@@ -0,0 +1,249 @@
+/**
+ * Liability Service
+ *
+ * Amortizes loans and card balances for the net worth tracker:
+ * - EMI worked out from the outstanding principal, rate and tenure
+ *   (reducing balance, rate / 12 a month) when not entered
+ * - Month-by-month schedule of interest, principal and balance from
+ *   the month after the balance was read until it is cleared
+ * - Balance in earlier months (back to the loan start) by undoing the
+ *   EMIs paid since
+ *
+ * ⚠️ Same rate and EMI throughout - prepayments and rate resets are
+ *   not modelled
+ * ⚠️ No Express/controller logic here
+ */
+
+import { REVOLVING_LIABILITY_TYPES } from "../../config/liabilities.config.js";
+import {
+  addMonths,
+  monthYearToKey,
+  formatMonthKey,
+} from "../../utils/nav/index.js";
+
+/**
+ * Whether a liability carries its balance unchanged (a credit card
+ * not on EMI)
+ */
+export function isRevolving(liability) {
+  return (
+    REVOLVING_LIABILITY_TYPES.includes(liability.type) &&
+    !liability.tenureMonths
+  );
+}
+
+/**
+ * Month the outstanding principal was read (YYYY-MM)
+ */
+export function getBalanceKey(liability) {
+  return monthYearToKey(liability.balanceYear, liability.balanceMonth);
+}
+
+/**
+ * Month the liability counts from in net worth history (YYYY-MM)
+ */
+export function getStartKey(liability) {
+  return liability.startYear && liability.startMonth
+    ? monthYearToKey(liability.startYear, liability.startMonth)
+    : getBalanceKey(liability);
+}
+
+/**
+ * EMI that clears a principal over a number of months
+ *
+ * @param {number} principal - Amount owed (₹)
+ * @param {number} annualRate - Interest rate (% p.a.)
+ * @param {number} months - Number of EMIs
+ * @returns {number} Monthly installment (₹)
+ */
+export function calculateEmi(principal, annualRate, months) {
+  const rate = annualRate / 12 / 100;
+  if (rate === 0) return principal / months;
+
+  const growth = Math.pow(1 + rate, months);
+  return (principal * rate * growth) / (growth - 1);
+}
+
+/**
+ * EMI of a liability: as entered, else worked out from its tenure
+ * (0 for revolving balances)
+ */
+export function getEmi(liability) {
+  if (isRevolving(liability)) return 0;
+
+  return (
+    liability.emi ||
+    calculateEmi(
+      liability.outstandingPrincipal,
+      liability.interestRate,
+      liability.tenureMonths
+    )
+  );
+}
+
+/**
+ * Amortization schedule from the month after the balance was read
+ * The EMI stops once the balance is cleared; if it is too small to
+ * clear it within the tenure, the last installment pays the rest
+ *
+ * @param {Object} liability - Liability document
+ * @returns {Object} { emi, rows, totalInterest, totalPaid, payoffMonth,
+ *   warnings } where rows are { month, openingBalance, payment,
+ *   interest, principal, closingBalance }
+ */
+export function generateAmortizationSchedule(liability) {
+  const emi = getEmi(liability);
+  const result = {
+    emi: roundTo(emi, 2),
+    rows: [],
+    totalInterest: 0,
+    totalPaid: 0,
+    payoffMonth: null,
+    warnings: [],
+  };
+
+  if (isRevolving(liability)) {
+    return result;
+  }
+
+  const rate = liability.interestRate / 12 / 100;
+  let balance = liability.outstandingPrincipal;
+  let month = getBalanceKey(liability);
+
+  for (let n = 1; n <= liability.tenureMonths && balance > 0.005; n++) {
+    month = addMonths(month, 1);
+    const interest = balance * rate;
+    const payment =
+      n === liability.tenureMonths
+        ? balance + interest
+        : Math.min(emi, balance + interest);
+    const principal = payment - interest;
+
+    result.rows.push({
+      month,
+      openingBalance: roundTo(balance, 2),
+      payment: roundTo(payment, 2),
+      interest: roundTo(interest, 2),
+      principal: roundTo(principal, 2),
+      closingBalance: roundTo(Math.max(balance - principal, 0), 2),
+    });
+    result.totalInterest += interest;
+    result.totalPaid += payment;
+    balance -= principal;
+  }
+
+  const last = result.rows.at(-1);
+  if (last && last.payment > emi + 1) {
+    result.warnings.push(
+      `${liability.name}: the EMI does not clear the loan in ` +
+        `${liability.tenureMonths} months - the last installment ` +
+        `(${formatMonthKey(last.month)}) pays the remaining ` +
+        `₹${Math.round(last.payment)}`
+    );
+  }
+
+  result.totalInterest = roundTo(result.totalInterest, 2);
+  result.totalPaid = roundTo(result.totalPaid, 2);
+  result.payoffMonth = last ? last.month : null;
+  return result;
+}
+
+/**
+ * Outstanding balance in each of the given months
+ * - Before the loan start: nothing owed
+ * - From the balance month on: the schedule's closing balance
+ * - Between the two: the balance with the EMIs since undone
+ *
+ * @param {Object} liability - Liability document
+ * @param {Array} months - Month keys, oldest first
+ * @param {Object} [schedule] - generateAmortizationSchedule result
+ * @returns {Object} { "YYYY-MM": balance }
+ */
+export function getBalanceHistory(liability, months, schedule = null) {
+  const { emi, rows } = schedule || generateAmortizationSchedule(liability);
+  const startKey = getStartKey(liability);
+  const balanceKey = getBalanceKey(liability);
+  const rate = liability.interestRate / 12 / 100;
+  const closingByMonth = new Map(rows.map((r) => [r.month, r.closingBalance]));
+
+  // Undo one EMI at a time going back from the balance month (a
+  // revolving balance stays as entered)
+  const earlier = new Map();
+  let balance = liability.outstandingPrincipal;
+  for (
+    let month = balanceKey;
+    !isRevolving(liability) && month > startKey && month > months[0];
+    month = addMonths(month, -1)
+  ) {
+    balance = (balance + emi) / (1 + rate);
+    earlier.set(addMonths(month, -1), balance);
+  }
+
+  const history = {};
+  for (const month of months) {
+    if (month < startKey) {
+      history[month] = 0;
+    } else if (month === balanceKey || isRevolving(liability)) {
+      history[month] = liability.outstandingPrincipal;
+    } else if (month < balanceKey) {
+      history[month] = roundTo(earlier.get(month), 2);
+    } else {
+      history[month] = closingByMonth.get(month) ?? 0;
+    }
+  }
+  return history;
+}
+
+/**
+ * Summary of a liability as of a month: balance, EMIs and interest
+ * still to pay
+ *
+ * @param {Object} liability - Liability document
+ * @param {string} asOfKey - Valuation month
+ * @param {Object} [schedule] - generateAmortizationSchedule result
+ * @returns {Object} Liability summary for net worth results
+ */
+export function describeLiability(liability, asOfKey, schedule = null) {
+  const amortization = schedule || generateAmortizationSchedule(liability);
+  const remaining = amortization.rows.filter((r) => r.month > asOfKey);
+  const outstanding = getBalanceHistory(liability, [asOfKey], amortization)[
+    asOfKey
+  ];
+
+  return {
+    liabilityId: liability._id,
+    name: liability.name,
+    type: liability.type,
+    interestRate: liability.interestRate,
+    emi: amortization.emi,
+    outstanding: roundTo(outstanding, 2),
+    balanceMonth: getBalanceKey(liability),
+    isRevolving: isRevolving(liability),
+    remainingEmis: remaining.length,
+    interestRemaining: roundTo(
+      remaining.reduce((sum, r) => sum + r.interest, 0),
+      2
+    ),
+    payoffMonth: amortization.payoffMonth,
+  };
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  if (value === null || value === undefined || isNaN(value)) return 0;
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  isRevolving,
+  getBalanceKey,
+  getStartKey,
+  calculateEmi,
+  getEmi,
+  generateAmortizationSchedule,
+  getBalanceHistory,
+  describeLiability,
+};
@@ -0,0 +1,234 @@
+/**
+ * Net Worth Service
+ *
+ * Where a user stands across everything they track:
+ * - Market value of every portfolio, from the same performance run as
+ *   portfolio analysis (latest NAV month of each)
+ * - Minus the outstanding balance of every liability
+ *   (liability.service), amortized to the same month
+ * - Monthly history from the first investment or loan: each portfolio's
+ *   value time series against the liabilities' balances
+ *
+ * Net worth is valued in the latest month any portfolio or liability
+ * reaches; portfolios valued earlier carry their last value forward.
+ *
+ * ⚠️ No Express/controller logic here
+ */
+
+import Portfolio from "../../models/portfolioModel.js";
+import Liability from "../../models/LiabilityModel.js";
+import { analyzePerformance, loadPortfolioContext } from "../analysis/index.js";
+import {
+  generateAmortizationSchedule,
+  getBalanceHistory,
+  getBalanceKey,
+  getStartKey,
+  describeLiability,
+} from "./liability.service.js";
+import {
+  addMonths,
+  generateMonthRange,
+  formatMonthKey,
+  getCurrentMonthKey,
+} from "../../utils/nav/index.js";
+
+/**
+ * Net worth of a user today and month by month
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} { asOf, summary, portfolios, liabilities, history,
+ *   warnings }
+ */
+export async function analyzeNetWorth(userId) {
+  const [portfolios, liabilities] = await Promise.all([
+    Portfolio.find({ userId }).lean(),
+    Liability.find({ userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  const holdings = await valuePortfolios(
+    portfolios.filter((p) => p.funds?.length > 0)
+  );
+
+  return buildNetWorth(holdings, liabilities);
+}
+
+/**
+ * Run performance analysis on each portfolio with shared reference data
+ *
+ * @param {Array} portfolios - Portfolio documents (with funds)
+ * @returns {Array} [{ portfolioId, name, asOfKey, currentValue,
+ *   timeSeries }]
+ */
+async function valuePortfolios(portfolios) {
+  if (portfolios.length === 0) return [];
+
+  // Per portfolio: NPS, FD and valued asset NAVs are keyed by holding
+  // name, which two portfolios may share
+  const contexts = await Promise.all(
+    portfolios.map((p) => loadPortfolioContext(p.funds))
+  );
+
+  return portfolios.map((portfolio, i) => {
+    const { navData, dividends } = contexts[i];
+    const performance = analyzePerformance(portfolio.funds, navData, {
+      dividends,
+      transfers: portfolio.transfers,
+    });
+
+    return {
+      portfolioId: portfolio._id,
+      name: portfolio.name,
+      asOfKey: performance.valuation.asOfKey,
+      currentValue: performance.summary.currentValue,
+      timeSeries: performance.timeSeries,
+    };
+  });
+}
+
+/**
+ * Combine portfolio values and liabilities into net worth
+ *
+ * @param {Array} holdings - valuePortfolios result
+ * @param {Array} liabilities - Liability documents
+ * @returns {Object} { asOf, summary, portfolios, liabilities, history,
+ *   warnings }
+ */
+export function buildNetWorth(holdings, liabilities) {
+  const warnings = [];
+  const valued = holdings.filter((h) => h.asOfKey);
+  const asOfKey =
+    [
+      ...valued.map((h) => h.asOfKey),
+      ...liabilities.map((l) => getBalanceKey(l)),
+    ]
+      .sort()
+      .at(-1) || getCurrentMonthKey();
+
+  for (const holding of holdings) {
+    if (!holding.asOfKey) {
+      warnings.push(`${holding.name}: no NAV data yet - counted as zero`);
+    } else if (holding.asOfKey < asOfKey) {
+      warnings.push(
+        `${holding.name}: last valued ${formatMonthKey(holding.asOfKey)} ` +
+          "(latest NAV) - value carried forward"
+      );
+    }
+  }
+
+  const schedules = liabilities.map((liability) => {
+    const schedule = generateAmortizationSchedule(liability);
+    warnings.push(...schedule.warnings);
+    return schedule;
+  });
+
+  // History from the first investment or loan to the valuation month
+  const firstKey = [
+    ...valued
+      .filter((h) => h.timeSeries.length > 0)
+      .map((h) => h.timeSeries[0].month),
+    ...liabilities.map((l) => getStartKey(l)),
+  ]
+    .filter((key) => key <= asOfKey)
+    .sort()[0];
+  const months = firstKey ? generateMonthRange(firstKey, asOfKey) : [];
+
+  const assetsByMonth = sumByMonth(
+    months,
+    valued.map((h) => carryForward(h.timeSeries, months))
+  );
+  const liabilitiesByMonth = sumByMonth(
+    months,
+    liabilities.map((l, i) => getBalanceHistory(l, months, schedules[i]))
+  );
+
+  const history = months.map((month) => ({
+    month,
+    assets: roundTo(assetsByMonth[month], 2),
+    liabilities: roundTo(liabilitiesByMonth[month], 2),
+    netWorth: roundTo(assetsByMonth[month] - liabilitiesByMonth[month], 2),
+  }));
+
+  const liabilityRows = liabilities.map((l, i) =>
+    describeLiability(l, asOfKey, schedules[i])
+  );
+  const totalAssets = sumOf(valued, (h) => h.currentValue);
+  const totalLiabilities = sumOf(liabilityRows, (l) => l.outstanding);
+  const netWorth = totalAssets - totalLiabilities;
+  const yearAgo = history.find((p) => p.month === addMonths(asOfKey, -12));
+
+  return {
+    asOf: asOfKey,
+    summary: {
+      totalAssets: roundTo(totalAssets, 2),
+      totalLiabilities: roundTo(totalLiabilities, 2),
+      netWorth: roundTo(netWorth, 2),
+      // EMIs still running after the valuation month
+      monthlyEmi: roundTo(
+        sumOf(liabilityRows, (l) => (l.remainingEmis > 0 ? l.emi : 0)),
+        2
+      ),
+      yearChange: yearAgo ? roundTo(netWorth - yearAgo.netWorth, 2) : null,
+      portfolioCount: holdings.length,
+      liabilityCount: liabilities.length,
+    },
+    portfolios: holdings.map((h) => ({
+      portfolioId: h.portfolioId,
+      name: h.name,
+      asOf: h.asOfKey,
+      currentValue: roundTo(h.currentValue, 2),
+    })),
+    liabilities: liabilityRows,
+    history,
+    warnings,
+  };
+}
+
+/**
+ * Portfolio value in each month: nothing before its first cashflow,
+ * the last value after its valuation month
+ *
+ * @param {Array} timeSeries - Monthly points (buildTimeSeries)
+ * @param {Array} months - Month keys, oldest first
+ * @returns {Object} { "YYYY-MM": value }
+ */
+function carryForward(timeSeries, months) {
+  const valueByMonth = new Map(timeSeries.map((p) => [p.month, p.value]));
+  const values = {};
+  let last = 0;
+
+  for (const month of months) {
+    if (valueByMonth.has(month)) last = valueByMonth.get(month);
+    values[month] = last;
+  }
+  return values;
+}
+
+/**
+ * Add several month -> amount maps together
+ */
+function sumByMonth(months, series) {
+  return Object.fromEntries(
+    months.map((month) => [
+      month,
+      series.reduce((sum, values) => sum + (values[month] || 0), 0),
+    ])
+  );
+}
+
+function sumOf(items, getValue) {
+  return items.reduce((sum, item) => sum + getValue(item), 0);
+}
+
+/**
+ * Round number to decimal places
+ */
+function roundTo(value, decimals) {
+  if (value === null || value === undefined || isNaN(value)) return 0;
+  const multiplier = Math.pow(10, decimals);
+  return Math.round(value * multiplier) / multiplier;
+}
+
+export default {
+  analyzeNetWorth,
+  buildNetWorth,
+};
@@ -0,0 +1,190 @@
+/**
+ * Risk Profile Service
+ *
+ * Turns onboarding survey answers into an investor risk profile:
+ * - Weighted score 0-100 from the per-option scores
+ * - Risk category (Conservative → Aggressive), capped by time horizon
+ * - Suggested equity / debt / gold range for that category
+ * - Suitability check of a portfolio's allocation against the profile
+ *
+ * Rules live in config/riskProfile.config.js
+ *
+ * ⚠️ No Express/controller logic here
+ */
+
+import {
+  SURVEY_QUESTIONS,
+  RISK_CATEGORIES,
+  HORIZON_CATEGORY_CAPS,
+  RISK_CATEGORY_NAMES,
+  HYBRID_EQUITY_SHARE,
+  HIGH_MISMATCH_GAP,
+} from "../../config/riskProfile.config.js";
+
+/**
+ * Score survey answers into a risk profile
+ *
+ * @param {Object} answers - { questionId: option label }
+ * @returns {Object} { answers, score, category, allocation, completedAt }
+ * @throws {Error} If an answer is not one of the question's options
+ */
+export function scoreRiskProfile(answers) {
+  let weightedScore = 0;
+  let totalWeight = 0;
+
+  for (const question of SURVEY_QUESTIONS) {
+    const answer = answers[question.id];
+    if (answer === undefined) continue;
+
+    const option = question.options.find((o) => o.label === answer);
+    if (!option) {
+      throw new Error(`Unknown answer for ${question.id}: "${answer}"`);
+    }
+
+    const maxScore = Math.max(...question.options.map((o) => o.score));
+    weightedScore += option.score * question.weight;
+    totalWeight += maxScore * question.weight;
+  }
+
+  if (totalWeight === 0) {
+    throw new Error("At least one survey answer is required");
+  }
+
+  const score = Math.round((weightedScore / totalWeight) * 100);
+
+  let profile = [...RISK_CATEGORIES].reverse().find((c) => score >= c.minScore);
+
+  // Short horizon caps the category
+  const cap = HORIZON_CATEGORY_CAPS[answers.time_horizon];
+  const horizonCapped =
+    Boolean(cap) &&
+    RISK_CATEGORY_NAMES.indexOf(profile.category) >
+      RISK_CATEGORY_NAMES.indexOf(cap);
+  if (horizonCapped) {
+    profile = RISK_CATEGORIES.find((c) => c.category === cap);
+  }
+
+  return {
+    answers: { ...answers },
+    score,
+    category: profile.category,
+    horizonCapped,
+    allocation: profile.allocation,
+    completedAt: new Date(),
+  };
+}
+
+/**
+ * Suggested allocation range for a category
+ *
+ * @param {string} category - Risk category name
+ * @returns {Object|null} { Equity: {min,max}, Debt: {min,max}, Gold: {min,max} }
+ */
+export function getSuggestedAllocation(category) {
+  const profile = RISK_CATEGORIES.find((c) => c.category === category);
+  return profile ? profile.allocation : null;
+}
+
+/**
+ * Compare a portfolio's allocation with the investor's risk profile
+ *
+ * Hybrid is split into equity / debt (HYBRID_EQUITY_SHARE). Mid and
+ * small cap exposure is checked against the category's limits.
+ *
+ * @param {Object} riskProfile - Stored profile { category, allocation, answers }
+ * @param {Object} assetAllocation - { Equity: %, Debt: %, Hybrid: %, Gold: % }
+ * @param {Object} marketCapExposure - { LargeCap: %, MidCap: %, SmallCap: % }
+ * @returns {Object|null} { category, goal, horizon, suitable, checks,
+ *   mismatches } or null without a profile
+ */
+export function checkSuitability(
+  riskProfile,
+  assetAllocation = {},
+  marketCapExposure = {}
+) {
+  if (!riskProfile?.category) return null;
+
+  const ranges =
+    riskProfile.allocation || getSuggestedAllocation(riskProfile.category);
+  const limits =
+    RISK_CATEGORIES.find((c) => c.category === riskProfile.category)
+      ?.marketCapLimits || {};
+
+  // Hybrid funds count towards both equity and debt
+  const hybrid = assetAllocation.Hybrid || 0;
+  const actual = {
+    Equity:
+      (assetAllocation.Equity || 0) + (hybrid * HYBRID_EQUITY_SHARE) / 100,
+    Debt:
+      (assetAllocation.Debt || 0) +
+      (hybrid * (100 - HYBRID_EQUITY_SHARE)) / 100,
+    Gold: assetAllocation.Gold || 0,
+  };
+
+  const checks = [];
+
+  for (const [asset, range] of Object.entries(ranges || {})) {
+    const value = roundTo(actual[asset] || 0, 2);
+    const status =
+      value > range.max ? "over" : value < range.min ? "under" : "within";
+    const gap =
+      status === "over"
+        ? value - range.max
+        : status === "under"
+        ? range.min - value
+        : 0;
+
+    checks.push({
+      type: "asset_allocation",
+      asset,
+      actual: value,
+      min: range.min,
+      max: range.max,
+      status,
+      gap: roundTo(gap, 2),
+    });
+  }
+
+  for (const [cap, max] of Object.entries(limits)) {
+    const value = marketCapExposure[cap] || 0;
+
+    checks.push({
+      type: "market_cap",
+      asset: cap,
+      actual: value,
+      min: 0,
+      max,
+      status: value > max ? "over" : "within",
+      gap: roundTo(Math.max(value - max, 0), 2),
+    });
+  }
+
+  const mismatches = checks
+    .filter((c) => c.status !== "within")
+    .map((c) => ({
+      ...c,
+      severity: c.gap >= HIGH_MISMATCH_GAP ? "high" : "medium",
+    }))
+    .sort((a, b) => b.gap - a.gap);
+
+  return {
+    category: riskProfile.category,
+    score: riskProfile.score ?? null,
+    goal: riskProfile.answers?.investment_goal || null,
+    horizon: riskProfile.answers?.time_horizon || null,
+    suitable: mismatches.length === 0,
+    checks,
+    mismatches,
+  };
+}
+
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  scoreRiskProfile,
+  getSuggestedAllocation,
+  checkSuitability,
+};
@@ -0,0 +1,100 @@
+/**
+ * Benchmark Index Seed Data
+ *
+ * Monthly values for every benchmark named in FundReferenceSeed
+ * Period: Jan 2019 → Dec 2024 by default (same range as FundNavSeed)
+ *
+ * Values are simulated with the same per-year patterns as fund NAVs:
+ * - Each index follows the pattern of the category it tracks
+ * - Lower noise than funds (an index has no manager decisions)
+ * - Starting levels approximate the real indices in Jan 2024
+ *
+ * ⚠️ Simulated data for demo purposes only
+ */
+
+import {
+  generateNavSeries,
+  hashFundName,
+  MONTHLY_PATTERNS,
+  DEFAULT_NAV_START_YEAR,
+  DEFAULT_NAV_END_YEAR,
+} from "./FundNavSeed.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INDEX CONFIG
+// startValue = level in Jan 2024 (the generator's anchor month)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const BENCHMARK_INDICES = [
+  { indexName: "NIFTY 50", patternKey: "INDEX", startValue: 21725.7 },
+  { indexName: "NIFTY 100", patternKey: "LARGE_CAP", startValue: 22118.4 },
+  { indexName: "NIFTY 500", patternKey: "FLEXI_CAP", startValue: 19485.6 },
+  { indexName: "NIFTY Midcap 150", patternKey: "MID_CAP", startValue: 17012.3 },
+  {
+    indexName: "NIFTY Smallcap 250",
+    patternKey: "SMALL_CAP",
+    startValue: 14563.9,
+  },
+  { indexName: "CRISIL Hybrid Index", patternKey: "HYBRID", startValue: 1865.2 },
+  {
+    indexName: "CRISIL Corporate Bond Index",
+    patternKey: "DEBT",
+    startValue: 5412.8,
+  },
+  {
+    indexName: "CRISIL Short Duration Index",
+    patternKey: "DEBT",
+    startValue: 4528.6,
+  },
+  {
+    indexName: "CRISIL Medium Duration Index",
+    patternKey: "DEBT",
+    startValue: 4836.1,
+  },
+  {
+    indexName: "CRISIL Dynamic Bond Index",
+    patternKey: "DEBT",
+    startValue: 4975.4,
+  },
+  { indexName: "Domestic Gold Price", patternKey: "GOLD", startValue: 63250.0 },
+];
+
+// Index noise is lower than fund noise (0.25)
+const INDEX_NOISE_LEVEL = 0.1;
+
+/**
+ * Generate benchmark index seed records
+ * Returns array of { indexName, date, value } records ready for MongoDB
+ *
+ * @param {Object} [range] - { startYear, endYear } (defaults 2019-2024)
+ */
+export function getBenchmarkIndexSeedData(range = {}) {
+  const {
+    startYear = DEFAULT_NAV_START_YEAR,
+    endYear = DEFAULT_NAV_END_YEAR,
+  } = range;
+  const records = [];
+
+  for (const index of BENCHMARK_INDICES) {
+    const series = generateNavSeries(
+      index.startValue,
+      MONTHLY_PATTERNS[index.patternKey],
+      INDEX_NOISE_LEVEL,
+      hashFundName(index.indexName),
+      { startYear, endYear, patternKey: index.patternKey }
+    );
+
+    for (const [date, value] of Object.entries(series)) {
+      records.push({ indexName: index.indexName, date, value });
+    }
+  }
+
+  return records;
+}
+
+export { BENCHMARK_INDICES };
+
+export default {
+  BENCHMARK_INDICES,
+  getBenchmarkIndexSeedData,
+};
@@ -0,0 +1,121 @@
+/**
+ * Fund Dividend (IDCW) Seed Data
+ *
+ * IDCW plans of a few seeded growth funds: their monthly NAV series and
+ * dividend history. Period: Jan 2019 → Dec 2024 by default (same range
+ * as FundNavSeed).
+ *
+ * An IDCW plan holds the same portfolio as its growth plan. On every
+ * payout month a share of the NAV is paid out and the NAV drops by the
+ * same amount (the stored NAV is ex-dividend), so reinvesting every
+ * dividend tracks the growth plan.
+ *
+ * ⚠️ Simulated data for demo purposes only
+ */
+
+import {
+  buildAllFundsNavConfig,
+  generateFundNavSeedData,
+} from "./FundNavSeed.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IDCW PLAN CONFIG
+// annualRate = share of the NAV paid out per year
+// ═══════════════════════════════════════════════════════════════════════════
+
+const IDCW_PLANS = [
+  {
+    fundName: "HDFC Balanced Advantage Fund - IDCW",
+    growthFundName: "HDFC Balanced Advantage Fund",
+    frequency: "monthly",
+    annualRate: 0.06,
+  },
+  {
+    fundName: "SBI Equity Hybrid Fund - IDCW",
+    growthFundName: "SBI Equity Hybrid Fund",
+    frequency: "quarterly",
+    annualRate: 0.06,
+  },
+  {
+    fundName: "ICICI Prudential Bluechip Fund - IDCW",
+    growthFundName: "ICICI Prudential Bluechip Fund",
+    frequency: "annual",
+    annualRate: 0.05,
+  },
+  {
+    fundName: "HDFC Corporate Bond Fund - IDCW",
+    growthFundName: "HDFC Corporate Bond Fund",
+    frequency: "quarterly",
+    annualRate: 0.07,
+  },
+];
+
+// Payout months (1-12) per frequency
+const PAYOUT_MONTHS = {
+  monthly: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+  quarterly: [3, 6, 9, 12],
+  annual: [3],
+};
+
+/**
+ * Round to 4 decimal places (NAV / dividend precision)
+ */
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Generate IDCW seed records
+ * Returns { navRecords: [{ fundName, date, nav }],
+ *   dividendRecords: [{ fundName, date, dividendPerUnit }] }
+ *
+ * @param {Object} [range] - { startYear, endYear } (defaults 2019-2024)
+ */
+export function getFundDividendSeedData(range = {}) {
+  const growthNames = IDCW_PLANS.map((plan) => plan.growthFundName);
+  const growthConfig = buildAllFundsNavConfig().filter((fund) =>
+    growthNames.includes(fund.fundName)
+  );
+  const growthRecords = generateFundNavSeedData(growthConfig, range);
+
+  const navRecords = [];
+  const dividendRecords = [];
+
+  for (const plan of IDCW_PLANS) {
+    const payoutMonths = PAYOUT_MONTHS[plan.frequency];
+    const rate = plan.annualRate / payoutMonths.length;
+
+    const growthSeries = growthRecords
+      .filter((record) => record.fundName === plan.growthFundName)
+      .sort((a, b) => (a.date < b.date ? -1 : 1));
+
+    // Share of the growth NAV still in the IDCW NAV after past payouts
+    let factor = 1;
+
+    for (const { date, nav } of growthSeries) {
+      if (payoutMonths.includes(parseInt(date.slice(5, 7)))) {
+        dividendRecords.push({
+          fundName: plan.fundName,
+          date,
+          dividendPerUnit: round4(nav * factor * rate),
+        });
+        factor *= 1 - rate;
+      }
+
+      navRecords.push({
+        fundName: plan.fundName,
+        date,
+        nav: round4(nav * factor),
+      });
+    }
+  }
+
+  return { navRecords, dividendRecords };
+}
+
+export { IDCW_PLANS };
+
+export default {
+  IDCW_PLANS,
+  getFundDividendSeedData,
+};
@@ -2,14 +2,19 @@
  * Fund NAV Seed Data
  *
  * Historical monthly NAV data for ALL 50 mutual funds in FundReference
- * Period: Jan 2024 → Dec 2024 (12 months)
+ * Period: Jan 2019 → Dec 2024 by default (any year range can be generated)
  *
  * NAV values are simulated with:
  * - Realistic starting points based on actual Indian MF NAV ranges
  * - Category-appropriate volatility and growth patterns
  * - 2024 Indian market context: Strong equity year, stable debt, gold rally
+ * - Other years: the 2024 pattern scaled per year (+ a few market events)
  * - No external API calls - purely simulated analysis-grade data
  *
+ * Jan 2024 is the anchor: FUND_START_NAVS are Jan 2024 NAVs, later
+ * months are generated forward and earlier months backward from it,
+ * so 2024 values are the same whatever range is generated.
+ *
  * Category-Based Assumptions (2024 Indian Market):
  * ─────────────────────────────────────────────────────────────────────
  * Large Cap:      ~12-14% annual return, ±1.5-2.5% monthly volatility
@@ -25,6 +30,7 @@
  */
 
 import fundReferenceSeedData from "./FundReferenceSeed.js";
+import { generateMonthRange, parseKey } from "./nav/date.util.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MONTHLY RETURN PATTERNS (% change from previous month)
@@ -63,6 +69,52 @@ const MONTHLY_PATTERNS = {
   GOLD: [0, 1.5, 2.2, -0.6, 1.8, 0.5, 1.9, -0.3, 1.4, 2.0, 0.8, 1.6],
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// PER-YEAR MARKET CONTEXT
+// Each year reuses the 2024 monthly pattern scaled by a year factor
+// (negative = the pattern runs in reverse, i.e. a falling year)
+// Years not listed get a deterministic factor derived from the year
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ANCHOR_KEY = "2024-01";
+
+const YEAR_SCALES = {
+  // Moderate equity year, debt and gold rally
+  2019: { EQUITY: 0.7, DEBT: 1.5, GOLD: 1.6 },
+  // Covid crash and recovery (see MARKET_EVENTS), falling rates, gold peak
+  2020: { EQUITY: 0.9, DEBT: 1.7, GOLD: 1.9 },
+  // Broad equity rally, small caps lead
+  2021: { EQUITY: 1.9, DEBT: 0.6, GOLD: -0.4 },
+  // Rate hikes: flat equity, weak debt
+  2022: { EQUITY: 0.2, DEBT: 0.7, GOLD: 0.8 },
+  // Strong mid / small cap year
+  2023: { EQUITY: 1.5, DEBT: 1.2, GOLD: 1.0 },
+  2024: { EQUITY: 1, DEBT: 1, GOLD: 1 },
+};
+
+// One-off monthly shocks (% added to that month's change)
+const MARKET_EVENTS = {
+  "2020-03": { EQUITY: -22, DEBT: -1.2, GOLD: -2.5 },
+  "2020-04": { EQUITY: 12, DEBT: 1.0, GOLD: 6.5 },
+  "2022-06": { EQUITY: -5, DEBT: -0.4, GOLD: -1.5 },
+};
+
+// How strongly each equity pattern reacts to market events
+const EVENT_BETA = {
+  LARGE_CAP: 1,
+  MID_CAP: 1.15,
+  SMALL_CAP: 1.3,
+  FLEXI_CAP: 1.05,
+  INDEX: 1,
+  HYBRID: 0.6,
+  DEBT: 1,
+  GOLD: 1,
+};
+
+// Default generated range (whole calendar years)
+export const DEFAULT_NAV_START_YEAR = 2019;
+export const DEFAULT_NAV_END_YEAR = 2024;
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CATEGORY TO PATTERN MAPPING
 // Maps FundReference categories to monthly patterns
@@ -161,7 +213,7 @@ const FUND_START_NAVS = {
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
-// MONTHS FOR 2024
+// MONTHS FOR 2024 (legacy export - series cover any year range)
 // ═══════════════════════════════════════════════════════════════════════════
 
 const MONTHS_2024 = [
@@ -229,15 +281,51 @@ function roundNav(nav) {
 }
 
 /**
- * Get pattern for a fund based on its category
+ * Get pattern key for a fund based on its category
+ * Defaults to hybrid (moderate) if category unknown
  */
-function getPatternForCategory(category) {
+function getPatternKeyForCategory(category) {
   const patternKey = CATEGORY_PATTERN_MAP[category];
-  if (patternKey && MONTHLY_PATTERNS[patternKey]) {
-    return MONTHLY_PATTERNS[patternKey];
+  return patternKey && MONTHLY_PATTERNS[patternKey] ? patternKey : "HYBRID";
+}
+
+/**
+ * Market group used for per-year scaling and events
+ */
+function getMarketGroup(patternKey) {
+  if (patternKey === "DEBT" || patternKey === "GOLD") return patternKey;
+  return "EQUITY";
+}
+
+/**
+ * Year scale for a market group
+ * Unlisted years get a deterministic factor between 0.4 and 1.4
+ */
+function getYearScale(year, group) {
+  if (YEAR_SCALES[year]) {
+    return YEAR_SCALES[year][group];
   }
-  // Default to hybrid (moderate) if category unknown
-  return MONTHLY_PATTERNS.HYBRID;
+  const groupOffset = { EQUITY: 1, DEBT: 2, GOLD: 3 }[group];
+  return 0.4 + seededRandom(year * 31 + groupOffset);
+}
+
+/**
+ * Base % change into a month, before noise
+ *
+ * January has no entry in the 2024 pattern (it is the first month), so
+ * the year-on-year step into January uses the pattern's average month.
+ */
+function getBaseMonthlyChange(pattern, patternKey, key) {
+  const { year, month } = parseKey(key);
+  const group = getMarketGroup(patternKey);
+
+  const average = pattern.slice(1).reduce((sum, v) => sum + v, 0) / 11;
+  const base = month === 1 ? average : pattern[month - 1];
+
+  const event = MARKET_EVENTS[key]?.[group] || 0;
+  const beta = EVENT_BETA[patternKey] ?? 1;
+
+  return base * getYearScale(year, group) + event * beta;
 }
 
 /**
@@ -267,29 +355,83 @@ function getStartNav(fundName, category) {
   return categoryDefaults[category] || 50.0;
 }
 
+/**
+ * % change from the previous month into a month (with noise)
+ * 2024 keeps its original noise sequence so existing values don't move
+ */
+function getMonthlyChange(pattern, patternKey, key, noiseLevel, seed) {
+  const { year, month } = parseKey(key);
+  const i = month - 1;
+  const noiseSeed = year === 2024 ? seed + i * 7 : seed + year * 131 + i * 7;
+  const noise = (seededRandom(noiseSeed) - 0.5) * noiseLevel * 2;
+
+  return getBaseMonthlyChange(pattern, patternKey, key) + noise;
+}
+
 /**
  * Generate NAV series from starting NAV and monthly pattern
  * Uses deterministic seeded random for reproducible results
  *
- * @param {number} startNav - Starting NAV value
+ * startNav is the NAV on the anchor month (Jan 2024); months after it
+ * are compounded forward, months before it are discounted backward.
+ *
+ * @param {number} startNav - NAV on the anchor month
  * @param {Array} pattern - Monthly return pattern (12 values)
  * @param {number} noiseLevel - Random variation level (default 0.25)
  * @param {number} seed - Seed for deterministic randomness
+ * @param {Object} [range] - { startYear, endYear, patternKey }
  * @returns {Object} NAV series { "YYYY-MM": nav }
  */
-function generateNavSeries(startNav, pattern, noiseLevel = 0.25, seed = 0) {
+function generateNavSeries(
+  startNav,
+  pattern,
+  noiseLevel = 0.25,
+  seed = 0,
+  range = {}
+) {
+  const {
+    startYear = DEFAULT_NAV_START_YEAR,
+    endYear = DEFAULT_NAV_END_YEAR,
+    patternKey = "HYBRID",
+  } = range;
+
+  const firstKey = `${startYear}-01`;
+  const lastKey = `${endYear}-12`;
+  const fromKey = firstKey < ANCHOR_KEY ? firstKey : ANCHOR_KEY;
+  const toKey = lastKey > ANCHOR_KEY ? lastKey : ANCHOR_KEY;
+
+  const months = generateMonthRange(fromKey, toKey);
+  const anchorIndex = months.indexOf(ANCHOR_KEY);
+  const raw = { [ANCHOR_KEY]: startNav };
+
+  // Forward from the anchor
+  for (let i = anchorIndex + 1; i < months.length; i++) {
+    const change = getMonthlyChange(
+      pattern,
+      patternKey,
+      months[i],
+      noiseLevel,
+      seed
+    );
+    raw[months[i]] = raw[months[i - 1]] * (1 + change / 100);
+  }
+
+  // Backward from the anchor
+  for (let i = anchorIndex - 1; i >= 0; i--) {
+    const change = getMonthlyChange(
+      pattern,
+      patternKey,
+      months[i + 1],
+      noiseLevel,
+      seed
+    );
+    raw[months[i]] = raw[months[i + 1]] / (1 + change / 100);
+  }
+
   const navs = {};
-  let currentNav = startNav;
-
-  for (let i = 0; i < MONTHS_2024.length; i++) {
-    if (i === 0) {
-      navs[MONTHS_2024[i]] = roundNav(currentNav);
-    } else {
-      // Add deterministic noise based on seed + month
-      const noise = (seededRandom(seed + i * 7) - 0.5) * noiseLevel * 2;
-      const monthlyChange = pattern[i] + noise;
-      currentNav = currentNav * (1 + monthlyChange / 100);
-      navs[MONTHS_2024[i]] = roundNav(currentNav);
+  for (const key of months) {
+    if (key >= firstKey && key <= lastKey) {
+      navs[key] = roundNav(raw[key]);
     }
   }
 
@@ -307,7 +449,7 @@ function generateNavSeries(startNav, pattern, noiseLevel = 0.25, seed = 0) {
  */
 export function buildAllFundsNavConfig() {
   return fundReferenceSeedData.map((fund) => {
-    const pattern = getPatternForCategory(fund.category);
+    const patternKey = getPatternKeyForCategory(fund.category);
     const startNav = getStartNav(fund.fundName, fund.category);
     const seed = hashFundName(fund.fundName);
 
@@ -316,7 +458,8 @@ export function buildAllFundsNavConfig() {
       category: fund.category,
       assetType: fund.assetType,
       startNav,
-      pattern,
+      patternKey,
+      pattern: MONTHLY_PATTERNS[patternKey],
       seed,
     };
   });
@@ -329,7 +472,7 @@ export function buildSamplePortfolioNavConfig() {
   return fundReferenceSeedData
     .filter((fund) => SAMPLE_PORTFOLIO_FUND_NAMES.includes(fund.fundName))
     .map((fund) => {
-      const pattern = getPatternForCategory(fund.category);
+      const patternKey = getPatternKeyForCategory(fund.category);
       const startNav = getStartNav(fund.fundName, fund.category);
       const seed = hashFundName(fund.fundName);
 
@@ -338,7 +481,8 @@ export function buildSamplePortfolioNavConfig() {
         category: fund.category,
         assetType: fund.assetType,
         startNav,
-        pattern,
+        patternKey,
+        pattern: MONTHLY_PATTERNS[patternKey],
         seed,
       };
     });
@@ -351,8 +495,11 @@ export function buildSamplePortfolioNavConfig() {
 /**
  * Generate NAV seed records from fund config
  * Returns array of { fundName, date, nav } records ready for MongoDB
+ *
+ * @param {Array} fundsConfig - Output of buildAllFundsNavConfig & co
+ * @param {Object} [range] - { startYear, endYear } (defaults 2019-2024)
  */
-export function generateFundNavSeedData(fundsConfig) {
+export function generateFundNavSeedData(fundsConfig, range = {}) {
   const records = [];
 
   for (const fund of fundsConfig) {
@@ -360,7 +507,8 @@ export function generateFundNavSeedData(fundsConfig) {
       fund.startNav,
       fund.pattern,
       0.25,
-      fund.seed || 0
+      fund.seed || 0,
+      { ...range, patternKey: fund.patternKey }
     );
 
     for (const [date, nav] of Object.entries(navSeries)) {
@@ -377,27 +525,32 @@ export function generateFundNavSeedData(fundsConfig) {
 
 /**
  * Get all NAV seed data (all 50 funds from FundReference)
- * Total records: 50 funds × 12 months = 600 records
+ * Total records: 50 funds × 12 months × years (3600 for 2019-2024)
  */
-export function getAllFundNavSeedData() {
+export function getAllFundNavSeedData(range = {}) {
   const config = buildAllFundsNavConfig();
-  return generateFundNavSeedData(config);
+  return generateFundNavSeedData(config, range);
 }
 
 /**
  * Get sample portfolio NAV seed data only
- * Total records: 8 funds × 12 months = 96 records
+ * Total records: 8 funds × 12 months × years (576 for 2019-2024)
  */
-export function getSamplePortfolioNavSeedData() {
+export function getSamplePortfolioNavSeedData(range = {}) {
   const config = buildSamplePortfolioNavConfig();
-  return generateFundNavSeedData(config);
+  return generateFundNavSeedData(config, range);
 }
 
 /**
  * Get NAV config summary for verification
  */
-export function getNavConfigSummary() {
+export function getNavConfigSummary(range = {}) {
+  const {
+    startYear = DEFAULT_NAV_START_YEAR,
+    endYear = DEFAULT_NAV_END_YEAR,
+  } = range;
   const config = buildAllFundsNavConfig();
+  const monthCount = (endYear - startYear + 1) * 12;
 
   const byCategory = {};
   for (const fund of config) {
@@ -413,8 +566,8 @@ export function getNavConfigSummary() {
 
   return {
     totalFunds: config.length,
-    totalRecords: config.length * 12,
-    period: `${MONTHS_2024[0]} → ${MONTHS_2024[MONTHS_2024.length - 1]}`,
+    totalRecords: config.length * monthCount,
+    period: `${startYear}-01 → ${endYear}-12`,
     byCategory,
   };
 }
@@ -429,7 +582,13 @@ export const ADDITIONAL_FUNDS_NAV_DATA = buildAllFundsNavConfig().filter(
   (f) => !SAMPLE_PORTFOLIO_FUND_NAMES.includes(f.fundName)
 );
 
-export { MONTHS_2024, MONTHLY_PATTERNS, CATEGORY_PATTERN_MAP };
+export {
+  MONTHS_2024,
+  MONTHLY_PATTERNS,
+  CATEGORY_PATTERN_MAP,
+  generateNavSeries,
+  hashFundName,
+};
 
 export default {
   SAMPLE_PORTFOLIO_NAV_DATA,
@@ -442,4 +601,6 @@ export default {
   getNavConfigSummary,
   MONTHS_2024,
   MONTHLY_PATTERNS,
+  DEFAULT_NAV_START_YEAR,
+  DEFAULT_NAV_END_YEAR,
 };
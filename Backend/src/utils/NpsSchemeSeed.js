@@ -0,0 +1,95 @@
+/**
+ * NPS Scheme NAV Seed Data
+ *
+ * Monthly NAVs for the NPS asset class schemes (E / C / G) of Tier I
+ * and Tier II, stored in FundNAV under getNpsSchemeName() so NPS
+ * holdings can be valued from them.
+ *
+ * Simulated like FundNavSeed (same anchor month, year scaling and
+ * market events):
+ * - Scheme E holds large caps, so it follows the Index pattern
+ * - Schemes C and G follow the Debt pattern
+ *
+ * ⚠️ One series per scheme and tier - pension fund managers are not
+ * told apart
+ */
+
+import {
+  generateNavSeries,
+  hashFundName,
+  MONTHLY_PATTERNS,
+} from "./FundNavSeed.js";
+import {
+  NPS_SCHEMES,
+  NPS_TIERS,
+  getNpsSchemeName,
+} from "../config/schemes.config.js";
+
+// Pattern family per scheme
+const SCHEME_PATTERNS = {
+  E: "INDEX",
+  C: "DEBT",
+  G: "DEBT",
+};
+
+// NAV on the anchor month (Jan 2024) per scheme and tier
+const NPS_START_NAVS = {
+  E: { I: 52.45, II: 44.1 },
+  C: { I: 41.2, II: 34.65 },
+  G: { I: 38.9, II: 32.7 },
+};
+
+/**
+ * NAV config for every scheme and tier
+ * @returns {Array} [{ fundName, scheme, tier, startNav, patternKey,
+ *   pattern, seed }]
+ */
+export function buildNpsNavConfig() {
+  return Object.keys(NPS_SCHEMES).flatMap((scheme) =>
+    NPS_TIERS.map((tier) => {
+      const fundName = getNpsSchemeName(scheme, tier);
+      const patternKey = SCHEME_PATTERNS[scheme];
+
+      return {
+        fundName,
+        scheme,
+        tier,
+        startNav: NPS_START_NAVS[scheme][tier],
+        patternKey,
+        pattern: MONTHLY_PATTERNS[patternKey],
+        seed: hashFundName(fundName),
+      };
+    })
+  );
+}
+
+/**
+ * NAV records for all NPS schemes
+ * Returns array of { fundName, date, nav } records ready for MongoDB
+ *
+ * @param {Object} [range] - { startYear, endYear } (defaults 2019-2024)
+ */
+export function getNpsNavSeedData(range = {}) {
+  const records = [];
+
+  for (const scheme of buildNpsNavConfig()) {
+    const navSeries = generateNavSeries(
+      scheme.startNav,
+      scheme.pattern,
+      0.25,
+      scheme.seed,
+      { ...range, patternKey: scheme.patternKey }
+    );
+
+    for (const [date, nav] of Object.entries(navSeries)) {
+      records.push({ fundName: scheme.fundName, date, nav });
+    }
+  }
+
+  return records;
+}
+
+export default {
+  buildNpsNavConfig,
+  getNpsNavSeedData,
+};
@@ -0,0 +1,87 @@
+/**
+ * SecurityReference Seed Data
+ *
+ * Listed stocks and ETFs that can be held directly:
+ * - Stocks: the names used in HoldingTemplate typicalHoldings, with
+ *   their sector (template sector names) and market cap bucket
+ * - ETFs: classified like funds, linked to a holding template
+ *
+ * Prices are not seeded - load monthly closes with
+ * `npm run load:prices -- --file=prices.csv`
+ *
+ * ⚠️ This is REFERENCE data only
+ */
+
+const stock = (symbol, name, sector, marketCap) => ({
+  symbol,
+  name,
+  securityType: "Stock",
+  sector,
+  marketCap,
+  assetType: "Equity",
+  category: null,
+  holdingTemplateKey: null,
+});
+
+const etf = (symbol, name, assetType, category, holdingTemplateKey) => ({
+  symbol,
+  name,
+  securityType: "ETF",
+  sector: null,
+  marketCap: null,
+  assetType,
+  category,
+  holdingTemplateKey,
+});
+
+const securityReferenceSeedData = [
+  // ==================
+  // LARGE CAP STOCKS
+  // ==================
+  stock("HDFCBANK", "HDFC Bank", "Banking", "LargeCap"),
+  stock("ICICIBANK", "ICICI Bank", "Banking", "LargeCap"),
+  stock("SBIN", "State Bank of India", "Banking", "LargeCap"),
+  stock("KOTAKBANK", "Kotak Mahindra Bank", "Banking", "LargeCap"),
+  stock("AXISBANK", "Axis Bank", "Banking", "LargeCap"),
+  stock("RELIANCE", "Reliance Industries", "Energy", "LargeCap"),
+  stock("INFY", "Infosys", "IT", "LargeCap"),
+  stock("TCS", "TCS", "IT", "LargeCap"),
+  stock("ITC", "ITC", "FMCG", "LargeCap"),
+  stock("HINDUNILVR", "Hindustan Unilever", "FMCG", "LargeCap"),
+  stock("SUNPHARMA", "Sun Pharmaceutical Industries", "Pharma", "LargeCap"),
+  stock("MARUTI", "Maruti Suzuki India", "Auto", "LargeCap"),
+  stock("TATASTEEL", "Tata Steel", "Metals", "LargeCap"),
+  stock("LT", "Larsen & Toubro", "Infrastructure", "LargeCap"),
+  stock("BHARTIARTL", "Bharti Airtel", "Others", "LargeCap"),
+
+  // ==================
+  // MID CAP STOCKS
+  // ==================
+  stock("TRENT", "Trent", "Others", "MidCap"),
+  stock("PERSISTENT", "Persistent Systems", "IT", "MidCap"),
+  stock("FEDERALBNK", "Federal Bank", "Banking", "MidCap"),
+  stock("CUMMINSIND", "Cummins India", "Infrastructure", "MidCap"),
+
+  // ==================
+  // SMALL CAP STOCKS
+  // ==================
+  stock("KALYANKJIL", "Kalyan Jewellers", "Others", "SmallCap"),
+  stock("RITES", "RITES", "Infrastructure", "SmallCap"),
+  stock("CERA", "Cera Sanitaryware", "Others", "SmallCap"),
+  stock("VGUARD", "V-Guard Industries", "Others", "SmallCap"),
+
+  // ==================
+  // ETFs
+  // ==================
+  etf(
+    "NIFTYBEES",
+    "Nippon India ETF Nifty 50 BeES",
+    "Equity",
+    "Index",
+    "INDEX_EQUITY"
+  ),
+  etf("SETFNIF50", "SBI Nifty 50 ETF", "Equity", "Index", "INDEX_EQUITY"),
+  etf("GOLDBEES", "Nippon India ETF Gold BeES", "Gold", "Gold", "GOLD"),
+];
+
+export default securityReferenceSeedData;
@@ -83,6 +83,34 @@ export function parseKey(key) {
   return { year, month };
 }
 
+const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Format YYYY-MM key as a short label
+ * @param {string} key - Key in "YYYY-MM" format
+ * @returns {string} Label like "Dec 2024"
+ *
+ * @example
+ * formatMonthKey("2024-12") // "Dec 2024"
+ */
+export function formatMonthKey(key) {
+  const { year, month } = parseKey(key);
+  return `${MONTH_LABELS[month - 1]} ${year}`;
+}
+
 /**
  * Calculate number of months between two dates/keys
  * @param {string|Date} start - Start date or key
@@ -221,6 +249,7 @@ export default {
   keyToDate,
   monthYearToKey,
   parseKey,
+  formatMonthKey,
   monthsBetween,
   generateMonthRange,
   addMonths,
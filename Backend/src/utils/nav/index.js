@@ -16,6 +16,7 @@ export {
   keyToDate,
   monthYearToKey,
   parseKey,
+  formatMonthKey,
   monthsBetween,
   generateMonthRange,
   addMonths,
@@ -47,6 +48,11 @@ export {
   calculateMultipleLumpsums,
   calculateCombinedValue,
   generateCashFlows,
+  countSipInstallments,
+  getSipInstallments,
+  sumSipContributions,
+  getSipAmountForMonth,
+  isSipPaused,
 } from "./investmentValue.util.js";
 
 // Returns calculation utilities
@@ -60,5 +66,8 @@ export {
   calculateRollingReturns,
   calculateReturnStatistics,
   calculateSharpeRatio,
+  calculateSortinoRatio,
+  calculateDownsideDeviation,
+  calculateMaxDrawdown,
   compareInvestments,
 } from "./returns.util.js";
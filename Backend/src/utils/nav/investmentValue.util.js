@@ -384,6 +384,120 @@ export function generateCashFlows(sipConfig, lumpsums, navData) {
   return cashFlows;
 }
 
+/**
+ * List the SIP installments made up to a valuation month
+ *
+ * Ongoing SIPs (or SIPs without an end date) run until the valuation
+ * month; finished SIPs stop at their end month or the valuation month,
+ * whichever is earlier. Paused months are skipped, and each amount
+ * includes the annual step-up (see getSipAmountForMonth).
+ *
+ * @param {Object} sip - SIP entry { amount, startMonth, startYear, endMonth,
+ *   endYear, isOngoing, stepUpType?, stepUpValue?, pausedMonths? }
+ * @param {string} asOfKey - Valuation month (YYYY-MM)
+ * @returns {Array<{month: string, amount: number}>} Installments, oldest
+ *   first (empty if invalid or not started)
+ *
+ * @example
+ * getSipInstallments({ amount: 1000, startMonth: 11, startYear: 2024,
+ *   isOngoing: true, pausedMonths: ["2024-12"] }, "2025-01")
+ * // [{ month: "2024-11", amount: 1000 }, { month: "2025-01", amount: 1000 }]
+ */
+export function getSipInstallments(sip, asOfKey) {
+  if (!sip || !sip.startYear || !sip.startMonth || !asOfKey) {
+    return [];
+  }
+
+  const startKey = monthYearToKey(sip.startYear, sip.startMonth);
+
+  let endKey = asOfKey;
+  if (!sip.isOngoing && sip.endYear && sip.endMonth) {
+    const sipEndKey = monthYearToKey(sip.endYear, sip.endMonth);
+    if (sipEndKey < asOfKey) {
+      endKey = sipEndKey;
+    }
+  }
+
+  if (startKey > endKey) {
+    return [];
+  }
+
+  return generateMonthRange(startKey, endKey)
+    .filter((month) => !isSipPaused(sip, month))
+    .map((month) => ({ month, amount: getSipAmountForMonth(sip, month) }));
+}
+
+/**
+ * Count SIP installments made up to a valuation month
+ * (paused months not counted)
+ *
+ * @param {Object} sip - SIP entry { startMonth, startYear, endMonth, endYear, isOngoing }
+ * @param {string} asOfKey - Valuation month (YYYY-MM)
+ * @returns {number} Number of installments (0 if invalid or not started)
+ *
+ * @example
+ * countSipInstallments({ startMonth: 1, startYear: 2024, isOngoing: true }, "2024-12") // 12
+ */
+export function countSipInstallments(sip, asOfKey) {
+  return getSipInstallments(sip, asOfKey).length;
+}
+
+/**
+ * Total amount put in by a SIP up to a valuation month, with step-ups
+ * and pauses applied
+ *
+ * @param {Object} sip - SIP entry
+ * @param {string} asOfKey - Valuation month (YYYY-MM)
+ * @returns {number} Sum of installments
+ */
+export function sumSipContributions(sip, asOfKey) {
+  return getSipInstallments(sip, asOfKey).reduce(
+    (sum, installment) => sum + installment.amount,
+    0
+  );
+}
+
+/**
+ * SIP installment amount for a month, after annual step-ups
+ *
+ * The amount steps up on every anniversary of the start month:
+ * - stepUpType "percent": compounds by stepUpValue % a year
+ * - stepUpType "amount": adds stepUpValue a year
+ * Start / end months and pauses are not checked here.
+ *
+ * @param {Object} sip - SIP entry
+ * @param {string} monthKey - Month (YYYY-MM)
+ * @returns {number} Installment amount, rounded to the rupee
+ *
+ * @example
+ * getSipAmountForMonth({ amount: 5000, startMonth: 4, startYear: 2022,
+ *   stepUpType: "percent", stepUpValue: 10 }, "2024-04") // 6050
+ */
+export function getSipAmountForMonth(sip, monthKey) {
+  const startKey = monthYearToKey(sip.startYear, sip.startMonth);
+  const steps = Math.floor(monthsBetween(startKey, monthKey) / 12);
+
+  if (steps <= 0 || !sip.stepUpType || !sip.stepUpValue) {
+    return sip.amount;
+  }
+
+  if (sip.stepUpType === "percent") {
+    return Math.round(sip.amount * Math.pow(1 + sip.stepUpValue / 100, steps));
+  }
+  return sip.amount + sip.stepUpValue * steps;
+}
+
+/**
+ * Whether a SIP installment was skipped (paused) in a month
+ *
+ * @param {Object} sip - SIP entry with optional pausedMonths ["YYYY-MM"]
+ * @param {string} monthKey - Month (YYYY-MM)
+ * @returns {boolean}
+ */
+export function isSipPaused(sip, monthKey) {
+  return Boolean(sip.pausedMonths?.includes(monthKey));
+}
+
 /**
  * Round number to specified decimal places
  * @param {number} value - Value to round
@@ -401,4 +515,9 @@ export default {
   calculateMultipleLumpsums,
   calculateCombinedValue,
   generateCashFlows,
+  countSipInstallments,
+  getSipInstallments,
+  sumSipContributions,
+  getSipAmountForMonth,
+  isSipPaused,
 };
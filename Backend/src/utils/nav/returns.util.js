@@ -8,6 +8,8 @@
  * - Absolute Return: ((Final - Initial) / Initial) × 100
  * - CAGR: ((Final / Initial)^(1/years) - 1) × 100
  * - XIRR: Internal Rate of Return for irregular cash flows
+ * - Sharpe / Sortino: Excess return per unit of (downside) volatility
+ * - Max Drawdown: Largest peak-to-trough fall in a value series
  *
  * Assumptions:
  * - NAV data is monthly (YYYY-MM format)
@@ -384,6 +386,113 @@ export function calculateSharpeRatio(
   return roundTo((returnPercent - riskFreeRate) / standardDeviation, 2);
 }
 
+/**
+ * Calculate Sortino Ratio approximation
+ *
+ * Sortino Ratio = (Return - Risk-Free Rate) / Downside Deviation
+ * Same as Sharpe, but only below-target returns count as risk
+ *
+ * @param {number} returnPercent - Portfolio return percentage
+ * @param {number} riskFreeRate - Risk-free rate percentage (default 6% for India)
+ * @param {number} downsideDeviation - Downside deviation of returns
+ * @returns {number|null} Sortino ratio, null when there were no down periods
+ */
+export function calculateSortinoRatio(
+  returnPercent,
+  riskFreeRate = 6,
+  downsideDeviation
+) {
+  if (downsideDeviation <= 0) {
+    return null; // No below-target returns to measure against
+  }
+
+  return roundTo((returnPercent - riskFreeRate) / downsideDeviation, 2);
+}
+
+/**
+ * Calculate downside deviation
+ *
+ * Root mean square of shortfalls below the target return
+ * (returns above the target count as zero)
+ *
+ * @param {Array<number>} returns - Array of return values (%)
+ * @param {number} [targetReturn=0] - Minimum acceptable return (%)
+ * @returns {number} Downside deviation (%)
+ */
+export function calculateDownsideDeviation(returns, targetReturn = 0) {
+  if (!Array.isArray(returns) || returns.length === 0) {
+    throw new Error("Returns must be a non-empty array");
+  }
+
+  const squaredShortfalls = returns.map((r) =>
+    Math.pow(Math.min(0, r - targetReturn), 2)
+  );
+  const meanSquare =
+    squaredShortfalls.reduce((a, b) => a + b, 0) / returns.length;
+
+  return roundTo(Math.sqrt(meanSquare), 2);
+}
+
+/**
+ * Calculate maximum drawdown of a value series
+ *
+ * Finds the largest fall from a running peak, the months it ran
+ * between, and how long the series took to climb back to that peak.
+ *
+ * @param {Object} navData - Value series { "YYYY-MM": value }
+ * @returns {Object|null} { drawdownPercent, peakMonth, troughMonth,
+ *   recoveryMonth, recoveryMonths } - recovery fields are null if the
+ *   series never got back to the peak; null if there are < 2 points
+ *
+ * @example
+ * calculateMaxDrawdown({ "2024-01": 100, "2024-02": 80, "2024-03": 110 })
+ * // { drawdownPercent: 20, peakMonth: "2024-01", troughMonth: "2024-02",
+ * //   recoveryMonth: "2024-03", recoveryMonths: 1 }
+ */
+export function calculateMaxDrawdown(navData) {
+  const normalized = normalizeNavData(navData);
+  const months = Object.keys(normalized).sort();
+
+  if (months.length < 2) {
+    return null;
+  }
+
+  let peakMonth = months[0];
+  let worst = { drawdown: 0, peakMonth: months[0], troughMonth: months[0] };
+
+  for (const month of months) {
+    if (normalized[month] > normalized[peakMonth]) {
+      peakMonth = month;
+      continue;
+    }
+
+    const drawdown = 1 - normalized[month] / normalized[peakMonth];
+    if (drawdown > worst.drawdown) {
+      worst = { drawdown, peakMonth, troughMonth: month };
+    }
+  }
+
+  // First month after the trough back at (or above) the old peak
+  const recoveryMonth =
+    worst.drawdown > 0
+      ? months.find(
+          (month) =>
+            month > worst.troughMonth &&
+            normalized[month] >= normalized[worst.peakMonth]
+        ) || null
+      : null;
+
+  return {
+    drawdownPercent: roundTo(worst.drawdown * 100, 2),
+    peakMonth: worst.peakMonth,
+    troughMonth: worst.troughMonth,
+    recoveryMonth,
+    recoveryMonths: recoveryMonth
+      ? monthsBetween(worst.troughMonth, recoveryMonth)
+      : null,
+  };
+}
+
 /**
  * Compare returns of multiple investments
  *
@@ -438,5 +547,8 @@ export default {
   calculateRollingReturns,
   calculateReturnStatistics,
   calculateSharpeRatio,
+  calculateSortinoRatio,
+  calculateDownsideDeviation,
+  calculateMaxDrawdown,
   compareInvestments,
 };
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import FundReference from "../src/models/FundReferenceModel.js";
+import { previewCasImport } from "../src/services/import/casImport.service.js";
+
+const references = [
+  {
+    _id: "ref1",
+    fundName: "HDFC Mid-Cap Opportunities Fund",
+    assetType: "Equity",
+    category: "Mid Cap",
+    amc: "HDFC",
+  },
+  {
+    _id: "ref2",
+    fundName: "Axis Gold Fund",
+    assetType: "Gold",
+    category: "Gold",
+    amc: "Axis",
+  },
+];
+
+// Reference data in memory - no database needed
+const query = {
+  select: () => query,
+  sort: () => query,
+  limit: () => query,
+  lean: () => query,
+  then: (resolve) => resolve(references),
+};
+FundReference.find = () => query;
+FundReference.findByName = async (fundName) =>
+  references.find((r) => r.fundName.toLowerCase() === fundName.toLowerCase());
+FundReference.getSuggestions = async () => [];
+
+const statement = (schemeName) =>
+  [
+    "Folio No: 1234567/89 PAN: ABCDE1234F",
+    `B205-${schemeName} - Regular Plan - Growth - ISIN: INF179K01CR2 Registrar : CAMS`,
+    "Opening Unit Balance: 0.000",
+    "05-Jan-2024 Purchase 10,000.00 100.000 100.00 100.000",
+    "Closing Unit Balance: 100.000",
+  ].join("\n");
+
+test("a CAS name that differs only in punctuation is a full match", async () => {
+  const preview = await previewCasImport(
+    statement("HDFC Mid Cap Opportunities Fund")
+  );
+
+  assert.equal(preview.coverage.funds[0].analysisCoverage, "full");
+  assert.equal(
+    preview.portfolio.funds[0].assetName,
+    "HDFC Mid-Cap Opportunities Fund"
+  );
+});
+
+test("a reference name that only prefixes the CAS name is partial", async () => {
+  const preview = await previewCasImport(statement("Axis Gold Fund of Funds"));
+  const [fund] = preview.coverage.funds;
+
+  assert.equal(fund.analysisCoverage, "partial");
+  assert.equal(fund.matchedFund, null);
+  assert.equal(fund.closeMatch.fundName, "Axis Gold Fund");
+  assert.equal(fund.suggestions[0].fundName, "Axis Gold Fund");
+  assert.deepEqual(preview.coverage.summary, {
+    full: 0,
+    partial: 1,
+    unsupported: 0,
+    coveragePercentage: 100,
+  });
+  assert.equal(preview.portfolio.funds[0].assetName, "Axis Gold Fund of Funds");
+  assert.equal(preview.canImport, true);
+});
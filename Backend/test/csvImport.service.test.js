@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import FundReference from "../src/models/FundReferenceModel.js";
+import { previewCsvImport } from "../src/services/import/csvImport.service.js";
+
+// Every fund name is a full match - no database needed
+FundReference.findByName = async (fundName) => ({
+  _id: "ref1",
+  fundName,
+  assetType: "Equity",
+  category: "Large Cap",
+});
+
+const header = "Date,Fund Name,Type,Amount";
+
+test("a CSV with one bad row cannot be imported", async () => {
+  const csv = [
+    header,
+    "2023-01-05,Axis Bluechip Fund,SIP,5000",
+    "2023-02-05,Axis Bluechip Fund,SIP,abc",
+    "2023-03-05,Axis Bluechip Fund,SIP,5000",
+  ].join("\n");
+
+  const preview = await previewCsvImport(csv);
+
+  assert.equal(preview.stats.invalidRows, 1);
+  assert.equal(preview.canImport, false);
+  assert.deepEqual(
+    preview.rows.filter((r) => r.errors.length > 0).map((r) => r.line),
+    [3]
+  );
+  assert.ok(preview.errors.some((e) => e.message.includes("(line 3)")));
+});
+
+test("a CSV without bad rows can be imported", async () => {
+  const csv = [
+    header,
+    "2023-01-05,Axis Bluechip Fund,SIP,5000",
+    "2023-02-05,Axis Bluechip Fund,SIP,5000",
+  ].join("\n");
+
+  const preview = await previewCsvImport(csv);
+
+  assert.equal(preview.stats.invalidRows, 0);
+  assert.deepEqual(preview.errors, []);
+  assert.equal(preview.canImport, true);
+});
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planRebalance } from "../src/services/analysis/rebalance.service.js";
+
+/**
+ * Fund result with a single lot bought at NAV 10 in Jan 2020, now at
+ * NAV 20 (open lots as analyzePerformance returns them)
+ */
+const holding = (fundName, currentValue, extra = {}) => ({
+  fundName,
+  currentValue,
+  currentNav: 20,
+  totalUnits: currentValue / 20,
+  redemptions: [],
+  openLots: [
+    {
+      month: "2020-01",
+      units: currentValue / 20,
+      cost: currentValue / 2,
+      nav: 10,
+    },
+  ],
+  ...extra,
+});
+
+const fundMetadata = {
+  Flat: { fundName: "Flat", assetType: "Real Estate", isManualAsset: true },
+  PPF: { fundName: "PPF", assetType: "Debt", isRetirementScheme: true },
+  EPF: { fundName: "EPF", assetType: "Debt", isRetirementScheme: true },
+  "Liquid Fund": { fundName: "Liquid Fund", assetType: "Debt" },
+  "SBI FD": { fundName: "SBI FD", assetType: "Debt", isFixedDeposit: true },
+  "Nifty Index Fund": { fundName: "Nifty Index Fund", assetType: "Equity" },
+};
+
+const targetAllocation = {
+  assetTypes: { Equity: 60, Debt: 20, "Real Estate": 20 },
+};
+
+test("manually valued assets are held, not sold", () => {
+  const plan = planRebalance(
+    [
+      holding("Flat", 5000000, { manualAsset: { assetType: "Real Estate" } }),
+      holding("PPF", 800000),
+      holding("Nifty Index Fund", 200000),
+    ],
+    fundMetadata,
+    targetAllocation,
+    { asOfKey: "2025-06" }
+  );
+
+  const flat = plan.trades.filter((t) => t.fundName === "Flat");
+  assert.equal(flat.length, 1);
+  assert.equal(flat[0].action, "hold");
+  assert.equal(flat[0].nonTradable, true);
+  assert.equal(flat[0].amount, 3800000);
+
+  assert.equal(plan.summary.totalSell, 0);
+  assert.equal(plan.summary.nonTradable, 3800000);
+  assert.equal(plan.tax, null);
+
+  // Nothing is sold, so nothing is bought - no new money needed
+  assert.equal(plan.summary.totalBuy, 0);
+  assert.equal(plan.summary.freshMoney, 0);
+
+  const realEstate = plan.buckets.find((b) => b.bucket === "Real Estate");
+  assert.equal(realEstate.valueAfter, 5000000);
+});
+
+test("locked-in PPF and EPF are held when Debt is overweight", () => {
+  const plan = planRebalance(
+    [
+      holding("PPF", 600000, {
+        scheme: { scheme: "PPF", status: "locked", lockInRule: "15 years" },
+      }),
+      holding("EPF", 200000, {
+        scheme: { scheme: "EPF", status: "locked", lockInRule: "Until 58" },
+      }),
+      holding("Liquid Fund", 200000),
+      holding("Nifty Index Fund", 200000),
+    ],
+    fundMetadata,
+    { assetTypes: { Equity: 60, Debt: 40 } },
+    { asOfKey: "2025-06" }
+  );
+
+  // Debt is ₹10L against a ₹4.8L target: only the liquid fund is sold
+  const sells = plan.trades.filter((t) => t.action === "sell");
+  assert.deepEqual(
+    sells.map((t) => [t.fundName, t.amount]),
+    [["Liquid Fund", 200000]]
+  );
+
+  const holds = plan.trades.filter((t) => t.action === "hold");
+  assert.deepEqual(
+    holds.map((t) => [t.fundName, t.amount]),
+    [
+      ["PPF", 240000],
+      ["EPF", 80000],
+    ]
+  );
+  assert.equal(plan.summary.nonTradable, 320000);
+
+  // Equity wants ₹5.2L but only the ₹2L raised is bought
+  const buys = plan.trades.filter((t) => t.action === "buy");
+  assert.deepEqual(
+    buys.map((t) => [t.fundName, t.amount]),
+    [["Nifty Index Fund", 200000]]
+  );
+  assert.equal(plan.summary.freshMoney, 0);
+
+  // ₹1L long-term gain on debt bought before Apr 2023: 12.5% + 4% cess
+  assert.equal(plan.tax.financialYear, "2025-26");
+  assert.equal(plan.tax.longTermGain, 100000);
+  assert.equal(plan.tax.estimatedTax, 13000);
+});
+
+test("fixed deposits are held until maturity", () => {
+  const deposit = (status) =>
+    holding("SBI FD", 600000, {
+      fixedDeposit: { status, maturityMonth: "2027-03" },
+    });
+  const plan = (fd) =>
+    planRebalance(
+      [fd, holding("Liquid Fund", 200000), holding("Nifty Index Fund", 200000)],
+      fundMetadata,
+      { assetTypes: { Equity: 60, Debt: 40 } },
+      { asOfKey: "2025-06" }
+    );
+
+  const active = plan(deposit("active"));
+  const fdTrade = active.trades.find((t) => t.fundName === "SBI FD");
+  assert.equal(fdTrade.action, "hold");
+  assert.match(fdTrade.note, /matures Mar 2027/);
+
+  const matured = plan(deposit("matured"));
+  assert.equal(
+    matured.trades.find((t) => t.fundName === "SBI FD").action,
+    "sell"
+  );
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateTax } from "../src/services/analysis/tax.service.js";
+
+/**
+ * A fund that sold units bought in Jan 2022 for ₹1L in Jun 2025 (FY
+ * 2025-26) for ₹2L - a ₹1L long-term gain
+ */
+const soldFund = (fundName) => ({
+  fundName,
+  redemptions: [
+    {
+      month: "2025-06",
+      lotsConsumed: [
+        {
+          purchaseMonth: "2022-01",
+          units: 100,
+          cost: 100000,
+          proceeds: 200000,
+        },
+      ],
+    },
+  ],
+  openLots: [],
+  currentNav: 0,
+});
+
+const fundMetadata = {
+  "Equity Fund": { fundName: "Equity Fund", assetType: "Equity" },
+  "Gold Fund": { fundName: "Gold Fund", assetType: "Gold" },
+};
+
+const options = { fy: "2025-26", asOfKey: "2025-06" };
+
+test("equity LTCG exemption does not cover gold LTCG at the same rate", () => {
+  const orders = [
+    [soldFund("Equity Fund"), soldFund("Gold Fund")],
+    [soldFund("Gold Fund"), soldFund("Equity Fund")],
+  ];
+
+  for (const fundPerformance of orders) {
+    const { realized } = calculateTax(fundPerformance, fundMetadata, options);
+
+    // Equity ₹1L is inside the ₹1.25L exemption; gold ₹1L at 12.5%
+    assert.equal(realized.longTermGain, 200000);
+    assert.equal(realized.exemptionUsed, 100000);
+    assert.equal(realized.tax, 12500);
+    assert.equal(realized.breakdown.length, 2);
+  }
+});
+
+test("losses offset non-exempt gains before equity gains", () => {
+  // Short-term equity loss of ₹50K (bought Jan 2025, sold Jun 2025)
+  const loss = soldFund("Equity Fund");
+  loss.redemptions[0].lotsConsumed[0] = {
+    purchaseMonth: "2025-01",
+    units: 100,
+    cost: 100000,
+    proceeds: 50000,
+  };
+
+  const { realized } = calculateTax(
+    [soldFund("Equity Fund"), soldFund("Gold Fund"), loss],
+    fundMetadata,
+    options
+  );
+
+  // Gold nets to ₹50K taxable; equity stays inside the exemption
+  assert.equal(realized.lossSetOff, 50000);
+  assert.equal(realized.exemptionUsed, 100000);
+  assert.equal(realized.tax, 6250);
+});
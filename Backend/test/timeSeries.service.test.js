@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzePerformance } from "../src/services/analysis/performance.service.js";
+
+test("stock buys are replayed at their trade price", () => {
+  // 10 shares bought at ₹1,600 in a month that closed at ₹1,480, then
+  // 4 sold in June
+  const funds = [
+    {
+      assetName: "Infosys",
+      assetType: "Stock",
+      security: {
+        symbol: "INFY",
+        shares: 6,
+        buys: [{ shares: 10, price: 1600, month: 1, year: 2024 }],
+      },
+      redemptions: [{ units: 4, month: 6, year: 2024 }],
+    },
+  ];
+  const navData = {
+    Infosys: { "2024-01": 1480, "2024-06": 1720, "2024-12": 1880 },
+  };
+
+  const { summary, timeSeries } = analyzePerformance(funds, navData);
+  const first = timeSeries[0];
+  const last = timeSeries.at(-1);
+
+  assert.equal(first.funds.Infosys.units, 10);
+  assert.equal(first.costBasis, 16000);
+  assert.equal(last.funds.Infosys.units, 6);
+  assert.equal(last.value, summary.currentValue);
+  assert.equal(last.value, 11280);
+});
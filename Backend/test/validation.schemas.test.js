@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { updatePortfolioSchema } from "../src/middleware/validation.schemas.js";
+
+/**
+ * A fund saved as a lumpsum, the way every asset type was stored
+ * before holding-specific terms existed
+ */
+const legacyFund = (assetType, lumpsums) => ({
+  assetType,
+  assetName: `Legacy ${assetType}`,
+  lumpsums: lumpsums ?? [{ amount: 10000, month: 1, year: 2022 }],
+});
+
+const firstIssue = (result) => result.error?.issues[0]?.message;
+
+test("legacy FD entries with lumpsums can be re-saved", () => {
+  assert.equal(
+    updatePortfolioSchema.safeParse({ funds: [legacyFund("FD")] }).success,
+    true
+  );
+
+  const empty = updatePortfolioSchema.safeParse({
+    funds: [legacyFund("FD", [])],
+  });
+  assert.equal(firstIssue(empty), "FD holdings need deposit terms");
+});
+
+test("legacy stock and ETF entries with lumpsums can be re-saved", () => {
+  for (const assetType of ["Stock", "ETF"]) {
+    const result = updatePortfolioSchema.safeParse({
+      funds: [legacyFund(assetType)],
+    });
+    assert.equal(result.success, true, firstIssue(result));
+  }
+
+  const empty = updatePortfolioSchema.safeParse({
+    funds: [legacyFund("Stock", [])],
+  });
+  assert.equal(
+    firstIssue(empty),
+    "Stock and ETF holdings need a symbol, shares and buys"
+  );
+});
+
+test("legacy real estate, gold and other entries can be re-saved", () => {
+  for (const assetType of ["Real Estate", "Gold", "Other"]) {
+    const result = updatePortfolioSchema.safeParse({
+      funds: [legacyFund(assetType)],
+    });
+    assert.equal(result.success, true, firstIssue(result));
+  }
+
+  const empty = updatePortfolioSchema.safeParse({
+    funds: [legacyFund("Gold", [])],
+  });
+  assert.equal(
+    firstIssue(empty),
+    "Real estate, gold and other holdings need a purchase cost and month"
+  );
+});
+
+test("a portfolio cannot hold two funds with the same name", () => {
+  const result = updatePortfolioSchema.safeParse({
+    funds: [legacyFund("Mutual Fund"), legacyFund("Mutual Fund")],
+  });
+  assert.equal(
+    firstIssue(result),
+    "Each holding in a portfolio needs a unique name"
+  );
+  assert.deepEqual(result.error.issues[0].path, ["funds", 1, "assetName"]);
+});
@@ -19,6 +19,7 @@ import Survey from "./Onboarding_components/Survey";
 // Dashboard Pages
 import DashboardPage from "./Dashboard/DashboardPage";
 import PortfolioPage from "./Dashboard/PortfolioPage";
+import GoalsPage from "./Dashboard/GoalsPage";
 import InsightsPage from "./Dashboard/InsightsPage";
 import ReportsPage from "./Dashboard/ReportsPage";
 import SettingsPage from "./Dashboard/Settings";
@@ -27,6 +28,7 @@ import SettingsPage from "./Dashboard/Settings";
 import SelectMethod from "./Dashboard/Dashboard_inner_components/SelectMethod";
 import ManualEntryPage from "./Dashboard/Dashboard_inner_components/ManualEntry";
 import UploadPage from "./Dashboard/Dashboard_inner_components/UploadPage";
+import CasImportPage from "./Dashboard/Dashboard_inner_components/CasImportPage";
 
 import "./App.css";
 
@@ -86,6 +88,14 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/goals"
+                  element={
+                    <ProtectedRoute>
+                      <GoalsPage />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path="/insights"
                   element={
@@ -136,6 +146,14 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/dashboard/add-investment/cas"
+                  element={
+                    <ProtectedRoute>
+                      <CasImportPage />
+                    </ProtectedRoute>
+                  }
+                />
 
                 {/* Edit Portfolio */}
                 <Route
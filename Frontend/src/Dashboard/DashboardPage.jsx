@@ -4,6 +4,7 @@ import PrivateLayout from "./PrivateLayout";
 import { usePortfolio, PORTFOLIO_MODE } from "../context/PortfolioContext";
 import { useAnalysis } from "../context/AnalysisContext";
 import FullPageLoader from "../components/FullPageLoader";
+import NetWorthCard from "./Dashboard_inner_components/NetWorthCard";
 import {
   PlusCircle,
   FlaskConical,
@@ -498,6 +499,9 @@ export default function DashboardPage() {
             </button>
           </div>
         </div>
+
+        {/* Net worth across portfolios, minus loans and cards */}
+        <NetWorthCard />
       </div>
     </PrivateLayout>
   );
@@ -0,0 +1,389 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import PrivateLayout from "../PrivateLayout";
+import {
+  createPortfolio,
+  importCasPortfolio,
+} from "../../service/portfolioService";
+import ImportPreview from "./ImportPreview";
+import { FileText, ChevronLeft, Info } from "lucide-react";
+
+/**
+ * CasImportPage
+ *
+ * CAS (Consolidated Account Statement) import flow:
+ * 1. User uploads the statement as text (or text extracted from the PDF)
+ * 2. Backend extracts folios, schemes and transactions (nothing saved)
+ * 3. User reviews folios + fund coverage (confirming close fund matches),
+ *    then saves via createPortfolio
+ */
+
+// Max file size accepted in the browser (backend body limit is 1mb)
+const MAX_FILE_SIZE = 900 * 1024;
+
+export default function CasImportPage() {
+  const navigate = useNavigate();
+  const [fileName, setFileName] = useState("");
+  const [statementText, setStatementText] = useState("");
+  const [portfolioName, setPortfolioName] = useState("CAS Portfolio");
+  const [preview, setPreview] = useState(null);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setError("");
+    setPreview(null);
+
+    if (!file) return;
+
+    if (file.size > MAX_FILE_SIZE) {
+      setError("File is too large. Please upload a statement under 900 KB.");
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      setStatementText(text);
+    } catch {
+      setError("Could not read the selected file");
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!statementText) {
+      setError("Please select a statement file first");
+      return;
+    }
+
+    setIsParsing(true);
+    setError("");
+
+    try {
+      const response = await importCasPortfolio(
+        statementText,
+        portfolioName.trim()
+      );
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.message || "Failed to read statement");
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  // Take the reference fund the backend only found as a close match
+  const handleConfirmMatch = (index) => {
+    setPreview((current) => {
+      const fund = current.coverage.funds[index];
+      const { summary } = current.coverage;
+
+      return {
+        ...current,
+        portfolio: {
+          ...current.portfolio,
+          funds: current.portfolio.funds.map((f, i) =>
+            i === index ? { ...f, assetName: fund.closeMatch.fundName } : f
+          ),
+        },
+        coverage: {
+          ...current.coverage,
+          summary: {
+            ...summary,
+            full: summary.full + 1,
+            partial: summary.partial - 1,
+          },
+          funds: current.coverage.funds.map((f, i) =>
+            i === index
+              ? {
+                  ...f,
+                  analysisCoverage: "full",
+                  matchedFund: f.closeMatch,
+                  closeMatch: null,
+                  message: "Fund found in reference database",
+                  suggestions: [],
+                }
+              : f
+          ),
+        },
+      };
+    });
+  };
+
+  const handleSave = async () => {
+    if (!preview?.canImport) return;
+
+    if (!portfolioName.trim()) {
+      setError("Portfolio name is required");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      await createPortfolio({
+        name: portfolioName.trim(),
+        funds: preview.portfolio.funds,
+      });
+      setSuccess("Portfolio imported successfully!");
+      setTimeout(() => navigate("/portfolio"), 1500);
+    } catch (err) {
+      setError(err.message || "Failed to save portfolio");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <PrivateLayout pageTitle="Import CAS Statement">
+      <div className="max-w-3xl mx-auto">
+        {/* Back button */}
+        <button
+          onClick={() => navigate("/dashboard/add-investment")}
+          className="flex items-center gap-2 mb-6 px-4 py-2 rounded-lg transition-opacity hover:opacity-80"
+          style={{
+            color: "var(--text-secondary)",
+          }}
+        >
+          <ChevronLeft className="w-5 h-5" />
+          <span className="font-medium">Back</span>
+        </button>
+
+        {/* Header */}
+        <div className="mb-8">
+          <h1
+            className="text-2xl font-bold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            CAS Statement Import
+          </h1>
+          <p style={{ color: "var(--text-secondary)" }}>
+            Import folios and transactions from a CAMS or KFintech statement
+          </p>
+        </div>
+
+        {/* Format Info Banner */}
+        <div
+          className="mb-6 p-4 rounded-xl flex items-start gap-3"
+          style={{
+            backgroundColor: "rgba(139, 92, 246, 0.1)",
+            border: "1px solid rgba(139, 92, 246, 0.3)",
+          }}
+        >
+          <Info
+            className="w-5 h-5 shrink-0 mt-0.5"
+            style={{ color: "var(--accent-purple)" }}
+          />
+          <div>
+            <p
+              className="text-sm font-medium"
+              style={{ color: "var(--text-primary)" }}
+            >
+              Upload the statement as a text file
+            </p>
+            <p
+              className="text-xs mt-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Open your CAS PDF, copy all text (or export it as .txt) and
+              upload that file. Purchases, SIP instalments and redemptions
+              are imported; holdings bought before the statement period are
+              not.
+            </p>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div
+            className="mb-6 p-4 rounded-xl"
+            style={{
+              backgroundColor: "rgba(239, 68, 68, 0.1)",
+              border: "1px solid rgba(239, 68, 68, 0.3)",
+              color: "#ef4444",
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div
+            className="mb-6 p-4 rounded-xl"
+            style={{
+              backgroundColor: "rgba(34, 197, 94, 0.1)",
+              border: "1px solid rgba(34, 197, 94, 0.3)",
+              color: "#22c55e",
+            }}
+          >
+            {success}
+          </div>
+        )}
+
+        {/* Upload Card */}
+        <div
+          className="rounded-2xl border p-8 mb-6"
+          style={{
+            backgroundColor: "var(--bg-card)",
+            borderColor: "var(--border-subtle)",
+            boxShadow: "var(--shadow-card)",
+          }}
+        >
+          <label
+            className="block text-sm font-medium mb-2"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Portfolio Name
+          </label>
+          <input
+            type="text"
+            value={portfolioName}
+            onChange={(e) => setPortfolioName(e.target.value)}
+            maxLength={100}
+            className="w-full px-4 py-3 rounded-xl mb-6"
+            style={{
+              backgroundColor: "var(--bg-input)",
+              border: "1px solid var(--border-subtle)",
+              color: "var(--text-primary)",
+            }}
+          />
+
+          <label
+            className="flex flex-col items-center justify-center p-8 rounded-xl border-2 border-dashed cursor-pointer hover:opacity-80"
+            style={{ borderColor: "var(--border-subtle)" }}
+          >
+            <FileText
+              className="w-12 h-12 mb-4"
+              style={{ color: "var(--accent-purple)" }}
+            />
+            <span
+              className="font-medium"
+              style={{ color: "var(--text-primary)" }}
+            >
+              {fileName || "Choose a statement file"}
+            </span>
+            <span
+              className="text-xs mt-1"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              .txt up to 900 KB
+            </span>
+            <input
+              type="file"
+              accept=".txt,text/plain"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </label>
+
+          <div className="flex justify-center mt-6">
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={!statementText || isParsing}
+              className="px-8 py-3 rounded-xl font-semibold disabled:opacity-50"
+              style={{
+                background:
+                  "linear-gradient(135deg, var(--accent-purple), var(--accent-blue))",
+                color: "white",
+              }}
+            >
+              {isParsing ? "Reading..." : "Review Statement"}
+            </button>
+          </div>
+        </div>
+
+        {preview && (
+          <ImportPreview
+            preview={preview}
+            stats={[
+              { label: "Folios", value: preview.stats.folios },
+              { label: "Schemes", value: preview.stats.schemes },
+              { label: "Purchases", value: preview.stats.purchases },
+              { label: "Redemptions", value: preview.stats.redemptions },
+            ]}
+            isSubmitting={isSubmitting}
+            onCancel={() => setPreview(null)}
+            onSave={handleSave}
+            onConfirmMatch={handleConfirmMatch}
+          >
+            <FolioList folios={preview.folios} />
+          </ImportPreview>
+        )}
+      </div>
+    </PrivateLayout>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FOLIO LIST COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function FolioList({ folios }) {
+  if (folios.length === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <h3
+        className="text-sm font-semibold mb-3"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Folios ({folios.length})
+      </h3>
+      <div className="space-y-3">
+        {folios.map((folio) => (
+          <div
+            key={folio.folio}
+            className="p-3 rounded-xl"
+            style={{
+              backgroundColor: "var(--bg-input)",
+              border: "1px solid var(--border-subtle)",
+            }}
+          >
+            <p
+              className="text-xs font-semibold mb-2"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              Folio {folio.folio}
+            </p>
+            {folio.schemes.map((scheme, index) => (
+              <div
+                key={index}
+                className="flex items-center justify-between gap-3 py-1"
+              >
+                <div className="min-w-0">
+                  <p
+                    className="text-sm truncate"
+                    style={{ color: "var(--text-primary)" }}
+                  >
+                    {scheme.schemeName}
+                  </p>
+                  {scheme.matchedName !== scheme.schemeName && (
+                    <p
+                      className="text-xs truncate"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      Matched to {scheme.matchedName}
+                    </p>
+                  )}
+                </div>
+                <span
+                  className="text-xs shrink-0"
+                  style={{ color: "var(--text-tertiary)" }}
+                >
+                  {scheme.transactions} txn
+                  {scheme.transactions === 1 ? "" : "s"}
+                  {scheme.closingUnits !== null &&
+                    ` · ${scheme.closingUnits} units`}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,295 @@
+import { FileText } from "lucide-react";
+
+/**
+ * ImportPreview
+ *
+ * Review screen shared by the CSV and CAS importers.
+ * Renders the preview returned by /api/portfolio/import/*:
+ * - stats tiles
+ * - file-level errors and warnings
+ * - fund coverage (full / partial / unsupported), with a button to
+ *   confirm a close match when onConfirmMatch is passed
+ * - rows with errors and their reasons (skipped by CAS, to fix for CSV;
+ *   rowErrorsTitle names the section)
+ *
+ * Extra sections (e.g. CAS folios) can be passed as children.
+ */
+
+const COVERAGE_STYLES = {
+  full: { label: "Full", color: "#22c55e", bg: "rgba(34, 197, 94, 0.1)" },
+  partial: { label: "Partial", color: "#f59e0b", bg: "rgba(245, 158, 11, 0.1)" },
+  unsupported: {
+    label: "Unsupported",
+    color: "#ef4444",
+    bg: "rgba(239, 68, 68, 0.1)",
+  },
+};
+
+export default function ImportPreview({
+  preview,
+  stats,
+  isSubmitting,
+  onCancel,
+  onSave,
+  onConfirmMatch,
+  rowErrorsTitle = "Skipped Rows",
+  children,
+}) {
+  const { errors, warnings = [], coverage, portfolio } = preview;
+  const rowsWithErrors = preview.rows.filter((row) => row.errors.length > 0);
+
+  return (
+    <div
+      className="rounded-2xl border p-6 mb-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        borderColor: "var(--border-subtle)",
+        boxShadow: "var(--shadow-card)",
+      }}
+    >
+      <div className="flex items-center gap-2 mb-4">
+        <FileText
+          className="w-5 h-5"
+          style={{ color: "var(--accent-purple)" }}
+        />
+        <h2
+          className="text-lg font-semibold"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Import Preview
+        </h2>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        {stats.map((stat) => (
+          <PreviewStat key={stat.label} label={stat.label} value={stat.value} />
+        ))}
+      </div>
+
+      {/* File-level errors */}
+      {errors.length > 0 && (
+        <MessageList
+          messages={errors}
+          color="#ef4444"
+          background="rgba(239, 68, 68, 0.1)"
+          border="rgba(239, 68, 68, 0.3)"
+        />
+      )}
+
+      {/* Warnings */}
+      {warnings.length > 0 && (
+        <MessageList
+          messages={warnings}
+          color="#f59e0b"
+          background="rgba(245, 158, 11, 0.1)"
+          border="rgba(245, 158, 11, 0.3)"
+        />
+      )}
+
+      {children}
+
+      {/* Fund coverage */}
+      {coverage && (
+        <div className="mb-6">
+          <h3
+            className="text-sm font-semibold mb-3"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Funds ({coverage.summary.coveragePercentage}% analysable)
+          </h3>
+          <div className="space-y-2">
+            {coverage.funds.map((fund, index) => {
+              const style =
+                COVERAGE_STYLES[fund.analysisCoverage] ||
+                COVERAGE_STYLES.unsupported;
+              const built = portfolio.funds[index];
+
+              return (
+                <div
+                  key={index}
+                  className="p-3 rounded-xl"
+                  style={{
+                    backgroundColor: "var(--bg-input)",
+                    border: "1px solid var(--border-subtle)",
+                  }}
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <p
+                        className="font-medium truncate"
+                        style={{ color: "var(--text-primary)" }}
+                      >
+                        {fund.matchedFund?.fundName || fund.inputName}
+                      </p>
+                      <p
+                        className="text-xs"
+                        style={{ color: "var(--text-tertiary)" }}
+                      >
+                        {built.sips.length} SIP
+                        {built.sips.length === 1 ? "" : "s"} ·{" "}
+                        {built.lumpsums.length} lumpsum
+                        {built.lumpsums.length === 1 ? "" : "s"} ·{" "}
+                        {built.redemptions.length > 0 &&
+                          `${built.redemptions.length} redemption${
+                            built.redemptions.length === 1 ? "" : "s"
+                          } · `}
+                        lines{" "}
+                        {fund.sourceLines.join(", ")}
+                      </p>
+                    </div>
+                    <span
+                      className="text-xs font-semibold px-2 py-1 rounded-md shrink-0"
+                      style={{ backgroundColor: style.bg, color: style.color }}
+                    >
+                      {style.label}
+                    </span>
+                  </div>
+                  {fund.analysisCoverage !== "full" && fund.message && (
+                    <p
+                      className="text-xs mt-2"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {fund.message}
+                      {fund.suggestions.length > 0 &&
+                        ` Try: ${fund.suggestions
+                          .slice(0, 3)
+                          .map((s) => s.fundName)
+                          .join(", ")}`}
+                    </p>
+                  )}
+                  {fund.closeMatch && onConfirmMatch && (
+                    <button
+                      onClick={() => onConfirmMatch(index)}
+                      className="text-xs font-semibold mt-2 px-3 py-1 rounded-md transition-opacity hover:opacity-80"
+                      style={{
+                        backgroundColor: "var(--bg-card)",
+                        color: "var(--accent-purple)",
+                        border: "1px solid var(--border-subtle)",
+                      }}
+                    >
+                      Use {fund.closeMatch.fundName}
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Row errors */}
+      {rowsWithErrors.length > 0 && (
+        <div className="mb-6">
+          <h3
+            className="text-sm font-semibold mb-3"
+            style={{ color: "var(--text-primary)" }}
+          >
+            {rowErrorsTitle} ({rowsWithErrors.length})
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ color: "var(--text-tertiary)" }}>
+                  <th className="text-left py-2 pr-3">Line</th>
+                  <th className="text-left py-2 pr-3">Fund</th>
+                  <th className="text-left py-2 pr-3">Date</th>
+                  <th className="text-left py-2">Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rowsWithErrors.map((row) => (
+                  <tr
+                    key={row.line}
+                    className="border-t"
+                    style={{
+                      borderColor: "var(--border-subtle)",
+                      color: "var(--text-secondary)",
+                    }}
+                  >
+                    <td className="py-2 pr-3">{row.line}</td>
+                    <td className="py-2 pr-3">{row.fundName || "—"}</td>
+                    <td className="py-2 pr-3">{row.date || "—"}</td>
+                    <td className="py-2" style={{ color: "#ef4444" }}>
+                      {row.errors.join("; ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex gap-4 justify-center">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-6 py-3 rounded-xl"
+          style={{
+            backgroundColor: "var(--bg-card)",
+            border: "1px solid var(--border-subtle)",
+            color: "var(--text-primary)",
+          }}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={onSave}
+          disabled={!preview.canImport || isSubmitting}
+          className="px-8 py-3 rounded-xl font-semibold disabled:opacity-50"
+          style={{
+            background:
+              "linear-gradient(135deg, var(--accent-purple), var(--accent-blue))",
+            color: "white",
+          }}
+        >
+          {isSubmitting ? "Saving..." : "Save Portfolio"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function MessageList({ messages, color, background, border }) {
+  return (
+    <div
+      className="mb-6 p-4 rounded-xl text-sm"
+      style={{
+        backgroundColor: background,
+        border: `1px solid ${border}`,
+        color,
+      }}
+    >
+      <ul className="list-disc pl-5 space-y-1">
+        {messages.map((msg, index) => (
+          <li key={index}>
+            {msg.line ? `Line ${msg.line}: ` : ""}
+            {msg.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function PreviewStat({ label, value }) {
+  return (
+    <div
+      className="p-3 rounded-xl text-center"
+      style={{
+        backgroundColor: "var(--bg-input)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <p className="text-xl font-bold" style={{ color: "var(--text-primary)" }}>
+        {value}
+      </p>
+      <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+        {label}
+      </p>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import {
   getPortfolioById,
   updatePortfolio,
 } from "../../service/portfolioService";
+import { getNavCoverage, searchSecurities } from "../../service/fundService";
 import { Plus, Trash2, Info, ChevronDown, ChevronUp } from "lucide-react";
 
 /**
@@ -15,6 +16,22 @@ import { Plus, Trash2, Info, ChevronDown, ChevronUp } from "lucide-react";
  * - isOngoing toggle
  * - startMonth/startYear
  * - endMonth/endYear (when not ongoing)
+ * - annual step-up (percent or fixed amount) and paused months
+ *
+ * FD holdings take deposit terms (principal, rate, compounding, start,
+ * tenure) instead of SIPs / lumpsums.
+ *
+ * Stock / ETF holdings take a symbol and buys (shares × price); sales
+ * are redemptions in shares.
+ *
+ * PPF holdings take dated deposits and EPF holdings monthly employee /
+ * employer contributions instead of SIPs / lumpsums; NPS holdings add
+ * a tier and E / C / G split to their SIPs / lumpsums.
+ *
+ * Real estate / gold / other holdings take a purchase cost and the
+ * user's own dated valuations instead of SIPs / lumpsums.
+ *
+ * Plus portfolio-level STP / switch transfers between its funds
  */
 
 const MONTHS = [
@@ -32,23 +49,112 @@ const MONTHS = [
   { value: 12, label: "December" },
 ];
 
-// NAV data availability constants
-// ⚠️ NAV data is only available for Jan 2024 - Dec 2024
-const NAV_START_YEAR = 2024;
-const NAV_START_MONTH = 1;
-const NAV_END_YEAR = 2024;
-const NAV_END_MONTH = 12;
+// NAV data availability - replaced by the backend's coverage once loaded
+// ⚠️ Dates are restricted to months that have NAV data
+const DEFAULT_NAV_COVERAGE = {
+  startKey: "2019-01",
+  endKey: "2024-12",
+  years: [2019, 2020, 2021, 2022, 2023, 2024],
+};
 
-// Restrict years to NAV data range
-const ALLOWED_YEARS = [2024];
 const currentYear = new Date().getFullYear();
 
+// "YYYY-MM" helpers for coverage checks
+const toMonthKey = (year, month) =>
+  `${year}-${String(month).padStart(2, "0")}`;
+const formatMonthKey = (key) =>
+  `${MONTHS[parseInt(key.slice(5, 7)) - 1].label.slice(0, 3)} ${key.slice(
+    0,
+    4
+  )}`;
+
+// FD interest compounding options (backend values)
+const COMPOUNDING_OPTIONS = [
+  { value: "monthly", label: "Monthly" },
+  { value: "quarterly", label: "Quarterly" },
+  { value: "half_yearly", label: "Half-yearly" },
+  { value: "yearly", label: "Yearly" },
+];
+
+// Deposits and share trades can predate the NAV data - offer the last
+// 15 years
+const HISTORY_YEARS = Array.from({ length: 16 }, (_, i) => currentYear - i);
+
+// Asset types held as shares of a listed symbol
+const SECURITY_ASSET_TYPES = ["Stock", "ETF"];
+
+// Shares bought and sold so far (sales are redemptions in shares)
+const countShares = (fund) => ({
+  bought: fund.security.buys.reduce(
+    (sum, buy) => sum + (parseFloat(buy.shares) || 0),
+    0
+  ),
+  sold: fund.redemptions.reduce(
+    (sum, sale) => sum + (parseFloat(sale.value) || 0),
+    0
+  ),
+});
+
+const sharesHeld = (fund) => {
+  const { bought, sold } = countShares(fund);
+  return bought - sold;
+};
+
+// Retirement schemes (valued at notified rates / scheme NAVs)
+const SCHEME_ASSET_TYPES = ["PPF", "EPF", "NPS"];
+
+// PPF / EPF accounts can go back further than share trades
+const SCHEME_YEARS = Array.from(
+  { length: currentYear - 1989 },
+  (_, i) => currentYear - i
+);
+const BIRTH_YEARS = Array.from(
+  { length: currentYear - 1929 },
+  (_, i) => currentYear - i
+);
+
+// Most a PPF account takes in a financial year (₹)
+const PPF_YEARLY_LIMIT = 150000;
+
+// Most of an NPS account that can go to scheme E (equity), in %
+const NPS_MAX_EQUITY = 75;
+
+// First calendar year of the financial year (April - March) of a month
+const financialYearOf = (year, month) => (month >= 4 ? year : year - 1);
+
+// Assets with no price feed, valued by hand (purchase + valuations)
+const MANUAL_ASSET_TYPES = ["Real Estate", "Gold", "Other"];
+
+// Property and jewellery are often held for decades
+const ASSET_YEARS = Array.from(
+  { length: currentYear - 1969 },
+  (_, i) => currentYear - i
+);
+
+// Example names per manually valued asset type
+const MANUAL_ASSET_EXAMPLES = {
+  "Real Estate": "e.g., Pune flat",
+  Gold: "e.g., Gold jewellery",
+  Other: "e.g., Painting",
+};
+
+// FDs, stocks, ETFs, retirement schemes and valued assets can't be part
+// of an STP / switch
+const isTransferable = (fund) =>
+  fund.assetType !== "FD" &&
+  !SECURITY_ASSET_TYPES.includes(fund.assetType) &&
+  !SCHEME_ASSET_TYPES.includes(fund.assetType) &&
+  !MANUAL_ASSET_TYPES.includes(fund.assetType);
+
 const ASSET_TYPES = [
   "Mutual Fund",
   "Stock",
   "ETF",
   "Bond",
   "FD",
+  "PPF",
+  "EPF",
+  "NPS",
   "Gold",
   "Real Estate",
   "Other",
@@ -62,6 +168,7 @@ export default function ManualEntryPage() {
   // Form state
   const [portfolioName, setPortfolioName] = useState("My Portfolio");
   const [funds, setFunds] = useState([createEmptyFund()]);
+  const [transfers, setTransfers] = useState([]);
 
   // UI state
   const [isLoading, setIsLoading] = useState(false);
@@ -69,6 +176,18 @@ export default function ManualEntryPage() {
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [expandedFunds, setExpandedFunds] = useState({});
+  const [navCoverage, setNavCoverage] = useState(DEFAULT_NAV_COVERAGE);
+
+  const navStartYear = parseInt(navCoverage.startKey.slice(0, 4));
+  const navEndYear = parseInt(navCoverage.endKey.slice(0, 4));
+  const navEndMonth = parseInt(navCoverage.endKey.slice(5, 7));
+  const navRangeLabel = `${formatMonthKey(
+    navCoverage.startKey
+  )} – ${formatMonthKey(navCoverage.endKey)}`;
+  const isWithinNavRange = (year, month) => {
+    const key = toMonthKey(year, month);
+    return key >= navCoverage.startKey && key <= navCoverage.endKey;
+  };
 
   // Create empty fund
   function createEmptyFund() {
@@ -76,34 +195,183 @@ export default function ManualEntryPage() {
       id: Date.now(),
       assetType: "Mutual Fund",
       assetName: "",
+      idcwOption: "",
       sips: [createEmptySip()],
       lumpsums: [],
+      redemptions: [],
+      fixedDeposit: createEmptyDeposit(),
+      security: createEmptySecurity(),
+      ppf: createEmptyPpf(),
+      epf: createEmptyEpf(),
+      nps: createEmptyNps(),
+      manualAsset: createEmptyManualAsset(),
+    };
+  }
+
+  // Create empty FD terms - only used when the asset type is FD
+  function createEmptyDeposit() {
+    return {
+      principal: "",
+      rate: "",
+      compounding: "quarterly",
+      startMonth: 1,
+      startYear: navEndYear,
+      tenureMonths: "",
+    };
+  }
+
+  // Create empty stock / ETF holding - only used for those asset types
+  function createEmptySecurity() {
+    return {
+      symbol: "",
+      buys: [createEmptyBuy()],
+    };
+  }
+
+  // Create empty share buy - default to January of the latest NAV year
+  function createEmptyBuy() {
+    return {
+      id: Date.now(),
+      shares: "",
+      price: "",
+      month: 1,
+      year: navEndYear,
+    };
+  }
+
+  // Create empty PPF account - only used when the asset type is PPF
+  function createEmptyPpf() {
+    return {
+      openedMonth: 4,
+      openedYear: navEndYear,
+      contributions: [createEmptyPpfDeposit()],
+    };
+  }
+
+  // Create empty PPF deposit - default to April of the latest NAV year
+  function createEmptyPpfDeposit() {
+    return {
+      id: Date.now(),
+      amount: "",
+      month: 4,
+      year: navEndYear,
     };
   }
 
-  // Create empty SIP entry - default to NAV start date
+  // Create empty EPF account - only used when the asset type is EPF
+  function createEmptyEpf() {
+    return {
+      openingBalance: { amount: "", month: 4, year: navEndYear },
+      contributions: [createEmptyEpfContribution()],
+      birthMonth: "",
+      birthYear: "",
+    };
+  }
+
+  // Create empty EPF contribution period
+  function createEmptyEpfContribution() {
+    return {
+      id: Date.now(),
+      employee: "",
+      employer: "",
+      startMonth: 4,
+      startYear: navEndYear,
+      isOngoing: true,
+      endMonth: "",
+      endYear: "",
+    };
+  }
+
+  // Create empty NPS terms - only used when the asset type is NPS
+  function createEmptyNps() {
+    return {
+      tier: "I",
+      allocation: { E: "50", C: "25", G: "25" },
+      birthMonth: "",
+      birthYear: "",
+    };
+  }
+
+  // Create empty purchase - only used for real estate / gold / other
+  function createEmptyManualAsset() {
+    return {
+      purchaseCost: "",
+      purchaseMonth: 1,
+      purchaseYear: navEndYear,
+      valuations: [],
+    };
+  }
+
+  // Create empty valuation - default to the latest NAV month
+  function createEmptyValuation() {
+    return {
+      id: Date.now(),
+      value: "",
+      month: navEndMonth,
+      year: navEndYear,
+    };
+  }
+
+  // Create empty SIP entry - default to January of the latest NAV year
   function createEmptySip() {
     return {
       id: Date.now(),
       amount: "",
-      startMonth: NAV_START_MONTH,
-      startYear: NAV_START_YEAR,
+      startMonth: 1,
+      startYear: navEndYear,
       isOngoing: true,
       endMonth: null,
       endYear: null,
+      stepUpType: "",
+      stepUpValue: "",
+      pausedMonths: [],
     };
   }
 
-  // Create empty lumpsum entry - default to NAV start date
+  // Create empty lumpsum entry - default to January of the latest NAV year
   function createEmptyLumpsum() {
     return {
       id: Date.now(),
       amount: "",
-      month: NAV_START_MONTH,
-      year: NAV_START_YEAR,
+      month: 1,
+      year: navEndYear,
+    };
+  }
+
+  // Create empty redemption entry - by amount unless switched to units
+  function createEmptyRedemption() {
+    return {
+      id: Date.now(),
+      mode: "amount",
+      value: "",
+      month: navEndMonth,
+      year: navEndYear,
+    };
+  }
+
+  // Create empty transfer entry - an STP by amount unless changed
+  function createEmptyTransfer() {
+    return {
+      id: Date.now(),
+      type: "stp",
+      fromFund: "",
+      toFund: "",
+      mode: "amount",
+      value: "",
+      month: 1,
+      year: navEndYear,
+      endMonth: "",
+      endYear: "",
     };
   }
 
+  // Load which months have NAV data (keeps defaults if unavailable)
+  useEffect(() => {
+    getNavCoverage()
+      .then((response) => setNavCoverage(response.data))
+      .catch(() => {});
+  }, []);
+
   // Fetch existing portfolio when editing
   useEffect(() => {
     if (isEditMode) {
@@ -125,6 +393,7 @@ export default function ManualEntryPage() {
         id: Date.now() + index,
         assetType: fund.assetType,
         assetName: fund.assetName,
+        idcwOption: fund.idcwOption || "",
         sips:
           fund.sips && fund.sips.length > 0
             ? fund.sips.map((sip, sipIndex) => ({
@@ -135,6 +404,9 @@ export default function ManualEntryPage() {
                 isOngoing: sip.isOngoing !== false,
                 endMonth: sip.endMonth || null,
                 endYear: sip.endYear || null,
+                stepUpType: sip.stepUpType || "",
+                stepUpValue: sip.stepUpValue?.toString() || "",
+                pausedMonths: sip.pausedMonths || [],
               }))
             : [createEmptySip()],
         lumpsums:
@@ -144,9 +416,113 @@ export default function ManualEntryPage() {
             month: l.month || 1,
             year: l.year || currentYear,
           })) || [],
+        redemptions:
+          fund.redemptions?.map((r, rIndex) => ({
+            id: Date.now() + index * 100000 + rIndex,
+            mode: r.units ? "units" : "amount",
+            value: (r.units || r.amount)?.toString() || "",
+            month: r.month || 1,
+            year: r.year || currentYear,
+          })) || [],
+        fixedDeposit: fund.fixedDeposit
+          ? {
+              principal: fund.fixedDeposit.principal?.toString() || "",
+              rate: fund.fixedDeposit.rate?.toString() || "",
+              compounding: fund.fixedDeposit.compounding || "quarterly",
+              startMonth: fund.fixedDeposit.startMonth || 1,
+              startYear: fund.fixedDeposit.startYear || currentYear,
+              tenureMonths: fund.fixedDeposit.tenureMonths?.toString() || "",
+            }
+          : createEmptyDeposit(),
+        security: fund.security
+          ? {
+              symbol: fund.security.symbol,
+              buys: fund.security.buys.map((b, bIndex) => ({
+                id: Date.now() + index * 1000 + bIndex,
+                shares: b.shares?.toString() || "",
+                price: b.price?.toString() || "",
+                month: b.month || 1,
+                year: b.year || currentYear,
+              })),
+            }
+          : createEmptySecurity(),
+        ppf: fund.ppf
+          ? {
+              openedMonth: fund.ppf.openedMonth || 1,
+              openedYear: fund.ppf.openedYear || currentYear,
+              contributions: fund.ppf.contributions.map((c, cIndex) => ({
+                id: Date.now() + index * 1000 + cIndex,
+                amount: c.amount?.toString() || "",
+                month: c.month || 1,
+                year: c.year || currentYear,
+              })),
+            }
+          : createEmptyPpf(),
+        epf: fund.epf
+          ? {
+              openingBalance: fund.epf.openingBalance
+                ? {
+                    amount: fund.epf.openingBalance.amount.toString(),
+                    month: fund.epf.openingBalance.month || 1,
+                    year: fund.epf.openingBalance.year || currentYear,
+                  }
+                : { amount: "", month: 4, year: navEndYear },
+              contributions: fund.epf.contributions.map((c, cIndex) => ({
+                id: Date.now() + index * 1000 + cIndex,
+                employee: c.employee?.toString() || "",
+                employer: c.employer?.toString() || "",
+                startMonth: c.startMonth || 1,
+                startYear: c.startYear || currentYear,
+                isOngoing: c.isOngoing !== false,
+                endMonth: c.endMonth || "",
+                endYear: c.endYear || "",
+              })),
+              birthMonth: fund.epf.birthMonth || "",
+              birthYear: fund.epf.birthYear || "",
+            }
+          : createEmptyEpf(),
+        nps: fund.nps
+          ? {
+              tier: fund.nps.tier || "I",
+              allocation: {
+                E: fund.nps.allocation.E.toString(),
+                C: fund.nps.allocation.C.toString(),
+                G: fund.nps.allocation.G.toString(),
+              },
+              birthMonth: fund.nps.birthMonth || "",
+              birthYear: fund.nps.birthYear || "",
+            }
+          : createEmptyNps(),
+        manualAsset: fund.manualAsset
+          ? {
+              purchaseCost: fund.manualAsset.purchaseCost.toString(),
+              purchaseMonth: fund.manualAsset.purchaseMonth || 1,
+              purchaseYear: fund.manualAsset.purchaseYear || currentYear,
+              valuations: fund.manualAsset.valuations.map((v, vIndex) => ({
+                id: Date.now() + index * 1000 + vIndex,
+                value: v.value?.toString() || "",
+                month: v.month || 1,
+                year: v.year || currentYear,
+              })),
+            }
+          : createEmptyManualAsset(),
       }));
 
       setFunds(transformedFunds);
+      setTransfers(
+        portfolio.transfers?.map((t, tIndex) => ({
+          id: Date.now() + tIndex,
+          type: t.type,
+          fromFund: t.fromFund,
+          toFund: t.toFund,
+          mode: t.units ? "units" : "amount",
+          value: (t.units || t.amount)?.toString() || "",
+          month: t.month || 1,
+          year: t.year || currentYear,
+          endMonth: t.endMonth || "",
+          endYear: t.endYear || "",
+        })) || []
+      );
     } catch (err) {
       setError(err.message || "Failed to load portfolio");
     } finally {
@@ -265,6 +641,75 @@ export default function ManualEntryPage() {
     );
   };
 
+  // ═══════════════════════════════════════════════════════════════
+  // REDEMPTION OPERATIONS
+  // ═══════════════════════════════════════════════════════════════
+  const addRedemption = (fundId) => {
+    setFunds(
+      funds.map((fund) =>
+        fund.id === fundId
+          ? {
+              ...fund,
+              redemptions: [...fund.redemptions, createEmptyRedemption()],
+            }
+          : fund
+      )
+    );
+  };
+
+  const removeRedemption = (fundId, redemptionId) => {
+    setFunds(
+      funds.map((fund) =>
+        fund.id === fundId
+          ? {
+              ...fund,
+              redemptions: fund.redemptions.filter(
+                (r) => r.id !== redemptionId
+              ),
+            }
+          : fund
+      )
+    );
+  };
+
+  const updateRedemption = (fundId, redemptionId, field, value) => {
+    setFunds(
+      funds.map((fund) =>
+        fund.id === fundId
+          ? {
+              ...fund,
+              redemptions: fund.redemptions.map((r) =>
+                r.id === redemptionId ? { ...r, [field]: value } : r
+              ),
+            }
+          : fund
+      )
+    );
+  };
+
+  // ═══════════════════════════════════════════════════════════════
+  // TRANSFER OPERATIONS
+  // ═══════════════════════════════════════════════════════════════
+  const addTransfer = () => {
+    setTransfers([...transfers, createEmptyTransfer()]);
+  };
+
+  const removeTransfer = (transferId) => {
+    setTransfers(transfers.filter((t) => t.id !== transferId));
+  };
+
+  const updateTransfer = (transferId, field, value) => {
+    setTransfers(
+      transfers.map((t) => {
+        if (t.id !== transferId) return t;
+        const updated = { ...t, [field]: value };
+        // STPs always move a fixed amount
+        if (field === "type" && value === "stp") updated.mode = "amount";
+        return updated;
+      })
+    );
+  };
+
   // ═══════════════════════════════════════════════════════════════
   // VALIDATION
   // ═══════════════════════════════════════════════════════════════
@@ -274,6 +719,10 @@ export default function ManualEntryPage() {
       return false;
     }
 
+    const validTransfers = transfers.filter(
+      (t) => t.value && parseFloat(t.value) > 0
+    );
+
     for (let i = 0; i < funds.length; i++) {
       const fund = funds[i];
 
@@ -282,6 +731,202 @@ export default function ManualEntryPage() {
         return false;
       }
 
+      // Validate FD terms (FDs have no SIPs / lumpsums)
+      if (fund.assetType === "FD") {
+        const deposit = fund.fixedDeposit;
+        const rate = parseFloat(deposit.rate);
+        const tenure = parseFloat(deposit.tenureMonths);
+
+        if (!(parseFloat(deposit.principal) > 0)) {
+          setError(`Fund ${i + 1}: Enter the deposit amount`);
+          return false;
+        }
+        if (!(rate > 0) || rate > 25) {
+          setError(`Fund ${i + 1}: Interest rate must be between 0 and 25%`);
+          return false;
+        }
+        if (!Number.isInteger(tenure) || tenure < 1 || tenure > 120) {
+          setError(`Fund ${i + 1}: Tenure must be 1 to 120 whole months`);
+          return false;
+        }
+        if (
+          toMonthKey(deposit.startYear, deposit.startMonth) >
+          toMonthKey(currentYear, new Date().getMonth() + 1)
+        ) {
+          setError(`Fund ${i + 1}: Deposit date cannot be in the future`);
+          return false;
+        }
+        continue;
+      }
+
+      // Validate stock / ETF buys and sales (in shares)
+      if (SECURITY_ASSET_TYPES.includes(fund.assetType)) {
+        const thisMonth = toMonthKey(currentYear, new Date().getMonth() + 1);
+        const buys = fund.security.buys;
+        const sales = fund.redemptions.filter(
+          (r) => r.value && parseFloat(r.value) > 0
+        );
+        const { bought, sold } = countShares(fund);
+
+        if (!/^[A-Z0-9&-]{1,20}$/.test(fund.security.symbol)) {
+          setError(`Fund ${i + 1}: Enter the exchange symbol, e.g. HDFCBANK`);
+          return false;
+        }
+        if (
+          buys.length === 0 ||
+          buys.some(
+            (b) => !(parseFloat(b.shares) > 0 && parseFloat(b.price) > 0)
+          )
+        ) {
+          setError(`Fund ${i + 1}: Every buy needs shares and a price`);
+          return false;
+        }
+        if (
+          [...buys, ...sales].some(
+            (t) => toMonthKey(t.year, t.month) > thisMonth
+          )
+        ) {
+          setError(`Fund ${i + 1}: Trade dates cannot be in the future`);
+          return false;
+        }
+        if (sold > bought) {
+          setError(`Fund ${i + 1}: Cannot sell more shares than were bought`);
+          return false;
+        }
+        continue;
+      }
+
+      // Validate PPF deposits (at most ₹1.5L per financial year)
+      if (fund.assetType === "PPF") {
+        const { openedMonth, openedYear, contributions } = fund.ppf;
+        const thisMonth = toMonthKey(currentYear, new Date().getMonth() + 1);
+        const yearly = {};
+
+        if (
+          contributions.length === 0 ||
+          contributions.some((c) => !(parseFloat(c.amount) > 0))
+        ) {
+          setError(`Fund ${i + 1}: Every PPF deposit needs an amount`);
+          return false;
+        }
+        for (const c of contributions) {
+          const key = toMonthKey(c.year, c.month);
+          if (key < toMonthKey(openedYear, openedMonth)) {
+            setError(
+              `Fund ${i + 1}: Deposits cannot be before the account was opened`
+            );
+            return false;
+          }
+          if (key > thisMonth) {
+            setError(`Fund ${i + 1}: Deposit dates cannot be in the future`);
+            return false;
+          }
+          const fy = financialYearOf(c.year, c.month);
+          yearly[fy] = (yearly[fy] || 0) + parseFloat(c.amount);
+        }
+        if (Object.values(yearly).some((sum) => sum > PPF_YEARLY_LIMIT)) {
+          setError(
+            `Fund ${
+              i + 1
+            }: PPF deposits cannot exceed ₹1,50,000 in a financial year`
+          );
+          return false;
+        }
+        continue;
+      }
+
+      // Validate EPF contribution periods (or an opening balance)
+      if (fund.assetType === "EPF") {
+        const { openingBalance, contributions } = fund.epf;
+
+        if (
+          contributions.length === 0 &&
+          !(parseFloat(openingBalance.amount) > 0)
+        ) {
+          setError(
+            `Fund ${i + 1}: Add an EPF contribution or an opening balance`
+          );
+          return false;
+        }
+        for (let j = 0; j < contributions.length; j++) {
+          const c = contributions[j];
+          if (!(parseFloat(c.employee) > 0)) {
+            setError(
+              `Fund ${i + 1}, Contribution ${j + 1}: Enter your monthly share`
+            );
+            return false;
+          }
+          if (
+            !c.isOngoing &&
+            (!c.endMonth ||
+              !c.endYear ||
+              toMonthKey(c.endYear, c.endMonth) <=
+                toMonthKey(c.startYear, c.startMonth))
+          ) {
+            setError(
+              `Fund ${i + 1}, Contribution ${
+                j + 1
+              }: End date must be after start date`
+            );
+            return false;
+          }
+        }
+        continue;
+      }
+
+      // Validate the purchase and valuations of real estate / gold / other
+      if (MANUAL_ASSET_TYPES.includes(fund.assetType)) {
+        const { purchaseCost, purchaseMonth, purchaseYear, valuations } =
+          fund.manualAsset;
+        const thisMonth = toMonthKey(currentYear, new Date().getMonth() + 1);
+        const purchaseKey = toMonthKey(purchaseYear, purchaseMonth);
+        const valuationKeys = valuations.map((v) =>
+          toMonthKey(v.year, v.month)
+        );
+
+        if (!(parseFloat(purchaseCost) > 0)) {
+          setError(`Fund ${i + 1}: Enter what the asset cost`);
+          return false;
+        }
+        if (valuations.some((v) => !(parseFloat(v.value) > 0))) {
+          setError(`Fund ${i + 1}: Every valuation needs a value`);
+          return false;
+        }
+        if ([purchaseKey, ...valuationKeys].some((key) => key > thisMonth)) {
+          setError(`Fund ${i + 1}: Dates cannot be in the future`);
+          return false;
+        }
+        if (valuationKeys.some((key) => key < purchaseKey)) {
+          setError(`Fund ${i + 1}: Valuations cannot be before the purchase`);
+          return false;
+        }
+        if (new Set(valuationKeys).size !== valuationKeys.length) {
+          setError(`Fund ${i + 1}: Only one valuation per month`);
+          return false;
+        }
+        continue;
+      }
+
+      // Validate the NPS scheme split (SIPs / lumpsums are checked below)
+      if (fund.assetType === "NPS") {
+        const { E, C, G } = fund.nps.allocation;
+        const equity = parseFloat(E) || 0;
+        const total = equity + (parseFloat(C) || 0) + (parseFloat(G) || 0);
+
+        if (equity > NPS_MAX_EQUITY) {
+          setError(
+            `Fund ${
+              i + 1
+            }: Scheme E cannot exceed ${NPS_MAX_EQUITY}% of an NPS account`
+          );
+          return false;
+        }
+        if (Math.abs(total - 100) > 0.01) {
+          setError(`Fund ${i + 1}: NPS scheme split must add up to 100%`);
+          return false;
+        }
+      }
+
       // Validate SIPs - allow SIP-only OR Lumpsum-only portfolios
       const validSips = fund.sips.filter(
         (s) => s.amount && parseFloat(s.amount) > 0
@@ -290,14 +935,23 @@ export default function ManualEntryPage() {
         (l) => l.amount && parseFloat(l.amount) > 0
       );
 
+      const hasTransferIn = validTransfers.some(
+        (t) => t.toFund === fund.assetName.trim()
+      );
+
       // ✅ SIP-only: allowed
       // ✅ Lumpsum-only: allowed
-      // ❌ Neither: invalid
-      if (validSips.length === 0 && validLumpsums.length === 0) {
+      // ✅ Funded only by a transfer: allowed
+      // ❌ None: invalid
+      if (
+        validSips.length === 0 &&
+        validLumpsums.length === 0 &&
+        !hasTransferIn
+      ) {
         setError(
           `Fund ${
             i + 1
-          } must have either SIP or lumpsum investment with amount > 0`
+          } must have a SIP, lumpsum or transfer into it with amount > 0`
         );
         return false;
       }
@@ -314,11 +968,11 @@ export default function ManualEntryPage() {
         }
 
         // Validate date is within NAV range
-        if (sip.startYear < NAV_START_YEAR || sip.startYear > NAV_END_YEAR) {
+        if (!isWithinNavRange(sip.startYear, sip.startMonth)) {
           setError(
             `Fund ${i + 1}, SIP ${
               j + 1
-            }: Start year must be ${NAV_START_YEAR} (NAV data range)`
+            }: Start date must be within ${navRangeLabel} (NAV data range)`
           );
           return false;
         }
@@ -334,11 +988,11 @@ export default function ManualEntryPage() {
           }
 
           // Validate end is within NAV range
-          if (sip.endYear < NAV_START_YEAR || sip.endYear > NAV_END_YEAR) {
+          if (!isWithinNavRange(sip.endYear, sip.endMonth)) {
             setError(
               `Fund ${i + 1}, SIP ${
                 j + 1
-              }: End year must be ${NAV_END_YEAR} (NAV data range)`
+              }: End date must be within ${navRangeLabel} (NAV data range)`
             );
             return false;
           }
@@ -353,35 +1007,145 @@ export default function ManualEntryPage() {
             return false;
           }
         }
+
+        // Validate step-up
+        if (sip.stepUpType) {
+          const stepUp = parseFloat(sip.stepUpValue);
+          if (!(stepUp > 0)) {
+            setError(
+              `Fund ${i + 1}, SIP ${j + 1}: Enter the yearly step-up value`
+            );
+            return false;
+          }
+          if (sip.stepUpType === "percent" && stepUp > 100) {
+            setError(
+              `Fund ${i + 1}, SIP ${j + 1}: Step-up cannot exceed 100% a year`
+            );
+            return false;
+          }
+        }
       }
 
       // Validate Lumpsum entries - check date range
       for (let j = 0; j < validLumpsums.length; j++) {
         const lumpsum = validLumpsums[j];
 
-        if (lumpsum.year < NAV_START_YEAR || lumpsum.year > NAV_END_YEAR) {
+        if (!isWithinNavRange(lumpsum.year, lumpsum.month)) {
           setError(
             `Fund ${i + 1}, Lumpsum ${
               j + 1
-            }: Investment year must be ${NAV_START_YEAR} (NAV data range)`
+            }: Investment date must be within ${navRangeLabel} (NAV data range)`
+          );
+          return false;
+        }
+      }
+
+      // Validate Redemption entries - check date range
+      const validRedemptions = fund.redemptions.filter(
+        (r) => r.value && parseFloat(r.value) > 0
+      );
+      for (let j = 0; j < validRedemptions.length; j++) {
+        const redemption = validRedemptions[j];
+
+        if (!isWithinNavRange(redemption.year, redemption.month)) {
+          setError(
+            `Fund ${i + 1}, Redemption ${
+              j + 1
+            }: Redemption date must be within ${navRangeLabel} (NAV data range)`
           );
           return false;
         }
       }
     }
 
+    // Validate Transfer entries (FDs, stocks, ETFs, retirement schemes
+    // and valued assets can't be transferred)
+    const fundNames = funds
+      .filter(isTransferable)
+      .map((f) => f.assetName.trim());
+    for (let j = 0; j < validTransfers.length; j++) {
+      const transfer = validTransfers[j];
+      const label = `Transfer ${j + 1}`;
+
+      if (!transfer.fromFund || !transfer.toFund) {
+        setError(`${label}: Select the source and target funds`);
+        return false;
+      }
+
+      if (
+        !fundNames.includes(transfer.fromFund) ||
+        !fundNames.includes(transfer.toFund)
+      ) {
+        setError(`${label}: Both funds must be funds in this portfolio`);
+        return false;
+      }
+
+      if (transfer.fromFund === transfer.toFund) {
+        setError(`${label}: Source and target funds must differ`);
+        return false;
+      }
+
+      if (!isWithinNavRange(transfer.year, transfer.month)) {
+        setError(
+          `${label}: Transfer date must be within ${navRangeLabel} (NAV data range)`
+        );
+        return false;
+      }
+
+      if (transfer.type === "stp" && (transfer.endMonth || transfer.endYear)) {
+        if (!transfer.endMonth || !transfer.endYear) {
+          setError(`${label}: Select both the STP end month and year`);
+          return false;
+        }
+
+        if (
+          toMonthKey(transfer.endYear, transfer.endMonth) <
+          toMonthKey(transfer.year, transfer.month)
+        ) {
+          setError(`${label}: STP cannot end before it starts`);
+          return false;
+        }
+      }
+    }
+
     return true;
   };
 
   // ═══════════════════════════════════════════════════════════════
   // SUBMIT
   // ═══════════════════════════════════════════════════════════════
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError("");
-    setSuccess("");
 
-    if (!validateForm()) return;
+  // FD holdings only send their deposit terms, stocks / ETFs their
+  // buys and sales in shares, PPF / EPF their own contributions, valued
+  // assets their purchase and valuations and Tier I NPS no redemptions
+  // (SIPs etc. stay in the form in case the asset type is switched back)
+  const withoutHiddenEntries = (fund) => {
+    if (
+      ["FD", "PPF", "EPF"].includes(fund.assetType) ||
+      MANUAL_ASSET_TYPES.includes(fund.assetType)
+    ) {
+      return { ...fund, sips: [], lumpsums: [], redemptions: [] };
+    }
+    if (fund.assetType === "NPS" && fund.nps.tier === "I") {
+      return { ...fund, redemptions: [] };
+    }
+    if (SECURITY_ASSET_TYPES.includes(fund.assetType)) {
+      return {
+        ...fund,
+        sips: [],
+        lumpsums: [],
+        redemptions: fund.redemptions.map((r) => ({ ...r, mode: "units" })),
+      };
+    }
+    return fund;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+
+    if (!validateForm()) return;
 
     setIsSubmitting(true);
 
@@ -389,9 +1153,96 @@ export default function ManualEntryPage() {
       // Transform to API format
       const portfolioData = {
         name: portfolioName.trim(),
-        funds: funds.map((fund) => ({
+        funds: funds.map(withoutHiddenEntries).map((fund) => ({
           assetType: fund.assetType,
           assetName: fund.assetName.trim(),
+          ...(fund.assetType === "Mutual Fund" &&
+            fund.idcwOption && { idcwOption: fund.idcwOption }),
+          ...(fund.assetType === "FD" && {
+            fixedDeposit: {
+              principal: parseFloat(fund.fixedDeposit.principal),
+              rate: parseFloat(fund.fixedDeposit.rate),
+              compounding: fund.fixedDeposit.compounding,
+              startMonth: parseInt(fund.fixedDeposit.startMonth),
+              startYear: parseInt(fund.fixedDeposit.startYear),
+              tenureMonths: parseInt(fund.fixedDeposit.tenureMonths),
+            },
+          }),
+          ...(SECURITY_ASSET_TYPES.includes(fund.assetType) && {
+            security: {
+              symbol: fund.security.symbol,
+              shares: sharesHeld(fund),
+              buys: fund.security.buys.map((b) => ({
+                shares: parseFloat(b.shares),
+                price: parseFloat(b.price),
+                month: parseInt(b.month),
+                year: parseInt(b.year),
+              })),
+            },
+          }),
+          ...(fund.assetType === "PPF" && {
+            ppf: {
+              openedMonth: parseInt(fund.ppf.openedMonth),
+              openedYear: parseInt(fund.ppf.openedYear),
+              contributions: fund.ppf.contributions.map((c) => ({
+                amount: parseFloat(c.amount),
+                month: parseInt(c.month),
+                year: parseInt(c.year),
+              })),
+            },
+          }),
+          ...(fund.assetType === "EPF" && {
+            epf: {
+              ...(parseFloat(fund.epf.openingBalance.amount) > 0 && {
+                openingBalance: {
+                  amount: parseFloat(fund.epf.openingBalance.amount),
+                  month: parseInt(fund.epf.openingBalance.month),
+                  year: parseInt(fund.epf.openingBalance.year),
+                },
+              }),
+              contributions: fund.epf.contributions.map((c) => ({
+                employee: parseFloat(c.employee),
+                employer: parseFloat(c.employer) || 0,
+                startMonth: parseInt(c.startMonth),
+                startYear: parseInt(c.startYear),
+                isOngoing: c.isOngoing,
+                ...(!c.isOngoing && {
+                  endMonth: parseInt(c.endMonth),
+                  endYear: parseInt(c.endYear),
+                }),
+              })),
+              ...(fund.epf.birthYear && {
+                birthMonth: parseInt(fund.epf.birthMonth) || 1,
+                birthYear: parseInt(fund.epf.birthYear),
+              }),
+            },
+          }),
+          ...(fund.assetType === "NPS" && {
+            nps: {
+              tier: fund.nps.tier,
+              allocation: {
+                E: parseFloat(fund.nps.allocation.E) || 0,
+                C: parseFloat(fund.nps.allocation.C) || 0,
+                G: parseFloat(fund.nps.allocation.G) || 0,
+              },
+              ...(fund.nps.birthYear && {
+                birthMonth: parseInt(fund.nps.birthMonth) || 1,
+                birthYear: parseInt(fund.nps.birthYear),
+              }),
+            },
+          }),
+          ...(MANUAL_ASSET_TYPES.includes(fund.assetType) && {
+            manualAsset: {
+              purchaseCost: parseFloat(fund.manualAsset.purchaseCost),
+              purchaseMonth: parseInt(fund.manualAsset.purchaseMonth),
+              purchaseYear: parseInt(fund.manualAsset.purchaseYear),
+              valuations: fund.manualAsset.valuations.map((v) => ({
+                value: parseFloat(v.value),
+                month: parseInt(v.month),
+                year: parseInt(v.year),
+              })),
+            },
+          }),
           sips: fund.sips
             .filter((s) => s.amount && parseFloat(s.amount) > 0)
             .map((s) => ({
@@ -405,6 +1256,11 @@ export default function ManualEntryPage() {
                     endMonth: parseInt(s.endMonth),
                     endYear: parseInt(s.endYear),
                   }),
+              ...(s.stepUpType && {
+                stepUpType: s.stepUpType,
+                stepUpValue: parseFloat(s.stepUpValue),
+              }),
+              pausedMonths: s.pausedMonths,
             })),
           lumpsums: fund.lumpsums
             .filter((l) => l.amount && parseFloat(l.amount) > 0)
@@ -413,7 +1269,30 @@ export default function ManualEntryPage() {
               month: parseInt(l.month),
               year: parseInt(l.year),
             })),
+          redemptions: fund.redemptions
+            .filter((r) => r.value && parseFloat(r.value) > 0)
+            .map((r) => ({
+              [r.mode]: parseFloat(r.value),
+              month: parseInt(r.month),
+              year: parseInt(r.year),
+            })),
         })),
+        transfers: transfers
+          .filter((t) => t.value && parseFloat(t.value) > 0)
+          .map((t) => ({
+            type: t.type,
+            fromFund: t.fromFund,
+            toFund: t.toFund,
+            [t.type === "stp" ? "amount" : t.mode]: parseFloat(t.value),
+            month: parseInt(t.month),
+            year: parseInt(t.year),
+            ...(t.type === "stp" &&
+              t.endMonth &&
+              t.endYear && {
+                endMonth: parseInt(t.endMonth),
+                endYear: parseInt(t.endYear),
+              }),
+          })),
       };
 
       if (isEditMode) {
@@ -515,15 +1394,15 @@ export default function ManualEntryPage() {
                   className="text-sm font-medium"
                   style={{ color: "var(--text-primary)" }}
                 >
-                  Demo Mode - FY 2024-25
+                  Demo Mode - Simulated NAV {navStartYear}–{navEndYear}
                 </p>
                 <p
                   className="text-xs mt-1"
                   style={{ color: "var(--text-secondary)" }}
                 >
-                  Insights are generated using simulated NAV data for Jan 2024 –
-                  Dec 2024. Select investment dates within this range for
-                  accurate analysis.
+                  Insights are generated using simulated NAV data for{" "}
+                  {navRangeLabel}. Select investment dates within this range
+                  for accurate analysis.
                 </p>
               </div>
             </div>
@@ -592,6 +1471,8 @@ export default function ManualEntryPage() {
                   fund={fund}
                   fundIndex={fundIndex}
                   fundsCount={funds.length}
+                  years={navCoverage.years}
+                  navEndLabel={formatMonthKey(navCoverage.endKey)}
                   expanded={expandedFunds[fund.id] !== false}
                   onToggleExpand={() => toggleFundExpanded(fund.id)}
                   onUpdateFund={(field, value) =>
@@ -610,6 +1491,68 @@ export default function ManualEntryPage() {
                   onUpdateLumpsum={(lumpsumId, field, value) =>
                     updateLumpsum(fund.id, lumpsumId, field, value)
                   }
+                  onAddRedemption={() => addRedemption(fund.id)}
+                  onRemoveRedemption={(redemptionId) =>
+                    removeRedemption(fund.id, redemptionId)
+                  }
+                  onUpdateRedemption={(redemptionId, field, value) =>
+                    updateRedemption(fund.id, redemptionId, field, value)
+                  }
+                  onUpdateDeposit={(field, value) =>
+                    updateFund(fund.id, "fixedDeposit", {
+                      ...fund.fixedDeposit,
+                      [field]: value,
+                    })
+                  }
+                  onUpdateSecurity={(field, value) =>
+                    updateFund(fund.id, "security", {
+                      ...fund.security,
+                      [field]: value,
+                    })
+                  }
+                  onAddBuy={() =>
+                    updateFund(fund.id, "security", {
+                      ...fund.security,
+                      buys: [...fund.security.buys, createEmptyBuy()],
+                    })
+                  }
+                  onUpdateScheme={(field, value) => {
+                    const key = fund.assetType.toLowerCase();
+                    updateFund(fund.id, key, { ...fund[key], [field]: value });
+                  }}
+                  onAddPpfDeposit={() =>
+                    updateFund(fund.id, "ppf", {
+                      ...fund.ppf,
+                      contributions: [
+                        ...fund.ppf.contributions,
+                        createEmptyPpfDeposit(),
+                      ],
+                    })
+                  }
+                  onAddEpfContribution={() =>
+                    updateFund(fund.id, "epf", {
+                      ...fund.epf,
+                      contributions: [
+                        ...fund.epf.contributions,
+                        createEmptyEpfContribution(),
+                      ],
+                    })
+                  }
+                  onUpdateManualAsset={(field, value) =>
+                    updateFund(fund.id, "manualAsset", {
+                      ...fund.manualAsset,
+                      [field]: value,
+                    })
+                  }
+                  onAddValuation={() =>
+                    updateFund(fund.id, "manualAsset", {
+                      ...fund.manualAsset,
+                      valuations: [
+                        ...fund.manualAsset.valuations,
+                        createEmptyValuation(),
+                      ],
+                    })
+                  }
                 />
               ))}
 
@@ -627,6 +1570,57 @@ export default function ManualEntryPage() {
                 Add Another Fund
               </button>
 
+              {/* Transfers (STP / Switch) */}
+              <div
+                className="p-6 rounded-xl mb-6"
+                style={{
+                  backgroundColor: "var(--bg-card)",
+                  border: "1px solid var(--border-subtle)",
+                }}
+              >
+                <div className="flex justify-between items-center mb-1">
+                  <label
+                    className="text-sm font-medium"
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    Transfers (STP / Switch)
+                  </label>
+                  <button
+                    type="button"
+                    onClick={addTransfer}
+                    className="text-sm flex items-center gap-1"
+                    style={{ color: "var(--accent-purple)" }}
+                  >
+                    <Plus className="w-4 h-4" /> Add Transfer
+                  </button>
+                </div>
+                <p
+                  className="text-xs mb-3"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  Move money between funds in this portfolio. An STP repeats
+                  every month until its end (or{" "}
+                  {formatMonthKey(navCoverage.endKey)}); a switch happens once.
+                </p>
+                <div className="space-y-3">
+                  {transfers.map((transfer) => (
+                    <TransferEntry
+                      key={transfer.id}
+                      transfer={transfer}
+                      fundNames={funds
+                        .filter(isTransferable)
+                        .map((f) => f.assetName.trim())
+                        .filter(Boolean)}
+                      years={navCoverage.years}
+                      onUpdate={(field, value) =>
+                        updateTransfer(transfer.id, field, value)
+                      }
+                      onRemove={() => removeTransfer(transfer.id)}
+                    />
+                  ))}
+                </div>
+              </div>
+
               {/* Submit Buttons */}
               <div className="flex gap-4 justify-center">
                 <button
@@ -677,6 +1671,8 @@ function FundCard({
   fund,
   fundIndex,
   fundsCount,
+  years,
+  navEndLabel,
   expanded,
   onToggleExpand,
   onUpdateFund,
@@ -687,7 +1683,26 @@ function FundCard({
   onAddLumpsum,
   onRemoveLumpsum,
   onUpdateLumpsum,
+  onAddRedemption,
+  onRemoveRedemption,
+  onUpdateRedemption,
+  onUpdateDeposit,
+  onUpdateSecurity,
+  onAddBuy,
+  onUpdateScheme,
+  onAddPpfDeposit,
+  onAddEpfContribution,
+  onUpdateManualAsset,
+  onAddValuation,
 }) {
+  const isDeposit = fund.assetType === "FD";
+  const isSecurity = SECURITY_ASSET_TYPES.includes(fund.assetType);
+  // PPF / EPF take their own contributions instead of SIPs / lumpsums
+  const isAccount = ["PPF", "EPF"].includes(fund.assetType);
+  const isNps = fund.assetType === "NPS";
+  // Real estate / gold / other: purchase and valuations only
+  const isManualAsset = MANUAL_ASSET_TYPES.includes(fund.assetType);
+
   return (
     <div
       className="rounded-xl mb-4 overflow-hidden"
@@ -718,19 +1733,57 @@ function FundCard({
             >
               {fund.assetName || `Fund ${fundIndex + 1}`}
             </h3>
-            <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
-              {
-                fund.sips.filter((s) => s.amount && parseFloat(s.amount) > 0)
-                  .length
-              }{" "}
-              SIP(s) •{" "}
-              {
-                fund.lumpsums.filter(
-                  (l) => l.amount && parseFloat(l.amount) > 0
-                ).length
-              }{" "}
-              Lumpsum(s)
-            </p>
+            {isDeposit ? (
+              <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+                Fixed deposit
+                {parseFloat(fund.fixedDeposit.principal) > 0 &&
+                  ` • ₹${parseFloat(fund.fixedDeposit.principal).toLocaleString(
+                    "en-IN"
+                  )}`}
+                {fund.fixedDeposit.tenureMonths &&
+                  ` • ${fund.fixedDeposit.tenureMonths} months`}
+              </p>
+            ) : isSecurity ? (
+              <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+                {fund.assetType}
+                {fund.security.symbol && ` • ${fund.security.symbol}`}
+                {` • ${sharesHeld(fund).toLocaleString("en-IN")} share(s)`}
+              </p>
+            ) : fund.assetType === "PPF" ? (
+              <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+                PPF • opened{" "}
+                {MONTHS[fund.ppf.openedMonth - 1].label.slice(0, 3)}{" "}
+                {fund.ppf.openedYear} • {fund.ppf.contributions.length}{" "}
+                Deposit(s)
+              </p>
+            ) : fund.assetType === "EPF" ? (
+              <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+                EPF • {fund.epf.contributions.length} Contribution period(s)
+              </p>
+            ) : isManualAsset ? (
+              <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+                {fund.assetType} • bought{" "}
+                {MONTHS[fund.manualAsset.purchaseMonth - 1].label.slice(0, 3)}{" "}
+                {fund.manualAsset.purchaseYear} •{" "}
+                {fund.manualAsset.valuations.length} Valuation(s)
+              </p>
+            ) : (
+              <p className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+                {
+                  fund.sips.filter((s) => s.amount && parseFloat(s.amount) > 0)
+                    .length
+                }{" "}
+                SIP(s) •{" "}
+                {
+                  fund.lumpsums.filter(
+                    (l) => l.amount && parseFloat(l.amount) > 0
+                  ).length
+                }{" "}
+                Lumpsum(s)
+                {fund.redemptions.length > 0 &&
+                  ` • ${fund.redemptions.length} Redemption(s)`}
+              </p>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-2">
@@ -800,7 +1853,17 @@ function FundCard({
                 type="text"
                 value={fund.assetName}
                 onChange={(e) => onUpdateFund("assetName", e.target.value)}
-                placeholder="e.g., HDFC Flexi Cap Fund"
+                placeholder={
+                  isDeposit
+                    ? "e.g., SBI FD 2023"
+                    : isSecurity
+                    ? "e.g., HDFC Bank shares"
+                    : isAccount || isNps
+                    ? `e.g., My ${fund.assetType}`
+                    : isManualAsset
+                    ? MANUAL_ASSET_EXAMPLES[fund.assetType]
+                    : "e.g., HDFC Flexi Cap Fund"
+                }
                 className="w-full p-3 rounded-xl outline-none"
                 style={{
                   backgroundColor: "var(--bg-app)",
@@ -809,104 +1872,241 @@ function FundCard({
                 }}
               />
             </div>
-          </div>
-
-          {/* SIP Section */}
-          <div>
-            <div className="flex items-center justify-between mb-3">
-              <div className="flex items-center gap-2">
+            {fund.assetType === "Mutual Fund" && (
+              <div>
                 <label
-                  className="text-sm font-semibold"
-                  style={{ color: "var(--text-primary)" }}
+                  className="block text-sm font-medium mb-2"
+                  style={{ color: "var(--text-secondary)" }}
                 >
-                  SIP Investments
+                  Plan
                 </label>
-                <div className="group relative">
-                  <Info
-                    className="w-4 h-4"
-                    style={{ color: "var(--text-tertiary)" }}
-                  />
-                  <div
-                    className="absolute left-0 bottom-full mb-2 w-64 p-3 rounded-lg text-xs hidden group-hover:block z-10"
-                    style={{
-                      backgroundColor: "var(--bg-card)",
-                      border: "1px solid var(--border-subtle)",
-                      color: "var(--text-secondary)",
-                      boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
-                    }}
-                  >
-                    You can add multiple SIPs for the same fund if you paused or
-                    restarted investments.
-                  </div>
-                </div>
+                <select
+                  value={fund.idcwOption}
+                  onChange={(e) => onUpdateFund("idcwOption", e.target.value)}
+                  className="w-full p-3 rounded-xl outline-none"
+                  style={{
+                    backgroundColor: "var(--bg-app)",
+                    border: "1px solid var(--border-subtle)",
+                    color: "var(--text-primary)",
+                  }}
+                >
+                  <option value="">Growth</option>
+                  <option value="payout">IDCW - dividend payout</option>
+                  <option value="reinvest">IDCW - dividend reinvestment</option>
+                </select>
               </div>
-              <button
-                type="button"
-                onClick={onAddSip}
-                className="text-sm hover:opacity-80 flex items-center gap-1"
-                style={{ color: "var(--accent-purple)" }}
-              >
-                <Plus className="w-4 h-4" />
-                Add SIP
-              </button>
-            </div>
-
-            <div className="space-y-3">
-              {fund.sips.map((sip, sipIndex) => (
-                <SipEntry
-                  key={sip.id}
-                  sip={sip}
-                  sipIndex={sipIndex}
-                  sipsCount={fund.sips.length}
-                  onUpdate={(field, value) => onUpdateSip(sip.id, field, value)}
-                  onRemove={() => onRemoveSip(sip.id)}
-                />
-              ))}
-            </div>
+            )}
           </div>
 
-          {/* Lumpsum Section */}
-          <div>
-            <div className="flex items-center justify-between mb-3">
-              <label
-                className="text-sm font-semibold"
-                style={{ color: "var(--text-primary)" }}
-              >
-                Lumpsum Investments
-              </label>
-              <button
-                type="button"
-                onClick={onAddLumpsum}
-                className="text-sm hover:opacity-80 flex items-center gap-1"
-                style={{ color: "var(--accent-purple)" }}
-              >
-                <Plus className="w-4 h-4" />
-                Add Lumpsum
-              </button>
-            </div>
+          {/* Deposit terms replace SIPs / lumpsums / redemptions */}
+          {isDeposit && (
+            <DepositEntry
+              deposit={fund.fixedDeposit}
+              onUpdate={onUpdateDeposit}
+            />
+          )}
 
-            {fund.lumpsums.length === 0 ? (
-              <p
-                className="text-sm py-2"
-                style={{ color: "var(--text-tertiary)" }}
-              >
-                No lumpsum investments added
-              </p>
-            ) : (
-              <div className="space-y-2">
-                {fund.lumpsums.map((lumpsum) => (
-                  <LumpsumEntry
-                    key={lumpsum.id}
-                    lumpsum={lumpsum}
-                    onUpdate={(field, value) =>
-                      onUpdateLumpsum(lumpsum.id, field, value)
-                    }
-                    onRemove={() => onRemoveLumpsum(lumpsum.id)}
-                  />
-                ))}
-              </div>
-            )}
-          </div>
+          {/* Stock / ETF buys replace SIPs / lumpsums */}
+          {isSecurity && (
+            <SecurityEntry
+              security={fund.security}
+              assetType={fund.assetType}
+              onUpdate={onUpdateSecurity}
+              onAddBuy={onAddBuy}
+            />
+          )}
+
+          {/* PPF deposits / EPF contributions replace SIPs / lumpsums */}
+          {fund.assetType === "PPF" && (
+            <PpfEntry
+              ppf={fund.ppf}
+              onUpdate={onUpdateScheme}
+              onAddDeposit={onAddPpfDeposit}
+            />
+          )}
+          {fund.assetType === "EPF" && (
+            <EpfEntry
+              epf={fund.epf}
+              onUpdate={onUpdateScheme}
+              onAddContribution={onAddEpfContribution}
+            />
+          )}
+
+          {/* NPS tier and scheme split; money goes in as SIPs / lumpsums */}
+          {isNps && <NpsEntry nps={fund.nps} onUpdate={onUpdateScheme} />}
+
+          {/* Purchase and valuations replace SIPs / lumpsums */}
+          {isManualAsset && (
+            <ManualAssetEntry
+              asset={fund.manualAsset}
+              onUpdate={onUpdateManualAsset}
+              onAddValuation={onAddValuation}
+            />
+          )}
+
+          {!isDeposit && !isAccount && !isManualAsset && (
+            <>
+              {/* SIP Section */}
+              {!isSecurity && (
+                <>
+                  <div>
+                    <div className="flex items-center justify-between mb-3">
+                      <div className="flex items-center gap-2">
+                        <label
+                          className="text-sm font-semibold"
+                          style={{ color: "var(--text-primary)" }}
+                        >
+                          SIP Investments
+                        </label>
+                        <div className="group relative">
+                          <Info
+                            className="w-4 h-4"
+                            style={{ color: "var(--text-tertiary)" }}
+                          />
+                          <div
+                            className="absolute left-0 bottom-full mb-2 w-64 p-3 rounded-lg text-xs hidden group-hover:block z-10"
+                            style={{
+                              backgroundColor: "var(--bg-card)",
+                              border: "1px solid var(--border-subtle)",
+                              color: "var(--text-secondary)",
+                              boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
+                            }}
+                          >
+                            You can add multiple SIPs for the same fund if you
+                            paused or restarted investments.
+                          </div>
+                        </div>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={onAddSip}
+                        className="text-sm hover:opacity-80 flex items-center gap-1"
+                        style={{ color: "var(--accent-purple)" }}
+                      >
+                        <Plus className="w-4 h-4" />
+                        Add SIP
+                      </button>
+                    </div>
+
+                    <div className="space-y-3">
+                      {fund.sips.map((sip, sipIndex) => (
+                        <SipEntry
+                          key={sip.id}
+                          sip={sip}
+                          sipIndex={sipIndex}
+                          sipsCount={fund.sips.length}
+                          years={years}
+                          navEndLabel={navEndLabel}
+                          onUpdate={(field, value) =>
+                            onUpdateSip(sip.id, field, value)
+                          }
+                          onRemove={() => onRemoveSip(sip.id)}
+                        />
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Lumpsum Section */}
+                  <div>
+                    <div className="flex items-center justify-between mb-3">
+                      <label
+                        className="text-sm font-semibold"
+                        style={{ color: "var(--text-primary)" }}
+                      >
+                        Lumpsum Investments
+                      </label>
+                      <button
+                        type="button"
+                        onClick={onAddLumpsum}
+                        className="text-sm hover:opacity-80 flex items-center gap-1"
+                        style={{ color: "var(--accent-purple)" }}
+                      >
+                        <Plus className="w-4 h-4" />
+                        Add Lumpsum
+                      </button>
+                    </div>
+
+                    {fund.lumpsums.length === 0 ? (
+                      <p
+                        className="text-sm py-2"
+                        style={{ color: "var(--text-tertiary)" }}
+                      >
+                        No lumpsum investments added
+                      </p>
+                    ) : (
+                      <div className="space-y-2">
+                        {fund.lumpsums.map((lumpsum) => (
+                          <LumpsumEntry
+                            key={lumpsum.id}
+                            lumpsum={lumpsum}
+                            years={years}
+                            onUpdate={(field, value) =>
+                              onUpdateLumpsum(lumpsum.id, field, value)
+                            }
+                            onRemove={() => onRemoveLumpsum(lumpsum.id)}
+                          />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {/* Redemption Section (Tier I NPS can't be withdrawn from) */}
+              {!(isNps && fund.nps.tier === "I") && (
+                <div className="mt-6">
+                  <div className="flex items-center justify-between mb-3">
+                    <label
+                      className="text-sm font-semibold"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {isSecurity ? "Sales" : "Redemptions"}
+                    </label>
+                    <button
+                      type="button"
+                      onClick={onAddRedemption}
+                      className="text-sm hover:opacity-80 flex items-center gap-1"
+                      style={{ color: "var(--accent-purple)" }}
+                    >
+                      <Plus className="w-4 h-4" />
+                      {isSecurity ? "Add Sale" : "Add Redemption"}
+                    </button>
+                  </div>
+
+                  {fund.redemptions.length === 0 ? (
+                    <p
+                      className="text-sm py-2"
+                      style={{ color: "var(--text-tertiary)" }}
+                    >
+                      {isSecurity ? "No sales added" : "No redemptions added"}
+                    </p>
+                  ) : (
+                    <div className="space-y-2">
+                      {fund.redemptions.map((redemption) => (
+                        <RedemptionEntry
+                          key={redemption.id}
+                          redemption={redemption}
+                          years={isSecurity ? HISTORY_YEARS : years}
+                          unitsOnly={isSecurity}
+                          onUpdate={(field, value) =>
+                            onUpdateRedemption(redemption.id, field, value)
+                          }
+                          onRemove={() => onRemoveRedemption(redemption.id)}
+                        />
+                      ))}
+                      <p
+                        className="text-xs"
+                        style={{ color: "var(--text-tertiary)" }}
+                      >
+                        {isSecurity ? "Shares" : "Units"} are sold oldest-first
+                        (FIFO)
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
         </div>
       )}
     </div>
@@ -916,7 +2116,15 @@ function FundCard({
 // ═══════════════════════════════════════════════════════════════
 // SIP ENTRY COMPONENT
 // ═══════════════════════════════════════════════════════════════
-function SipEntry({ sip, sipIndex, sipsCount, onUpdate, onRemove }) {
+function SipEntry({
+  sip,
+  sipIndex,
+  sipsCount,
+  years,
+  navEndLabel,
+  onUpdate,
+  onRemove,
+}) {
   return (
     <div
       className="p-4 rounded-lg"
@@ -1011,7 +2219,7 @@ function SipEntry({ sip, sipIndex, sipsCount, onUpdate, onRemove }) {
               color: "var(--text-primary)",
             }}
           >
-            {ALLOWED_YEARS.map((y) => (
+            {years.map((y) => (
               <option key={y} value={y}>
                 {y}
               </option>
@@ -1046,8 +2254,8 @@ function SipEntry({ sip, sipIndex, sipsCount, onUpdate, onRemove }) {
       {/* Helper Text - clarify ongoing evaluation till NAV cutoff */}
       {sip.isOngoing && (
         <p className="text-xs mb-3" style={{ color: "var(--text-tertiary)" }}>
-          💡 Ongoing SIPs are evaluated till Dec 2024 (simulated NAV data
-          cutoff).
+          💡 Ongoing SIPs are evaluated till {navEndLabel} (latest simulated
+          NAV data).
         </p>
       )}
 
@@ -1100,7 +2308,7 @@ function SipEntry({ sip, sipIndex, sipsCount, onUpdate, onRemove }) {
               }}
             >
               <option value="">Select</option>
-              {ALLOWED_YEARS.map((y) => (
+              {years.map((y) => (
                 <option key={y} value={y}>
                   {y}
                 </option>
@@ -1109,6 +2317,103 @@ function SipEntry({ sip, sipIndex, sipsCount, onUpdate, onRemove }) {
           </div>
         </div>
       )}
+
+      {/* Step-up and paused months */}
+      <div
+        className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3 pt-3"
+        style={{ borderTop: "1px solid var(--border-subtle)" }}
+      >
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-tertiary)" }}
+          >
+            Yearly Step-up
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={sip.stepUpType}
+              onChange={(e) => onUpdate("stepUpType", e.target.value)}
+              className="p-2 rounded-lg outline-none text-sm"
+              style={{
+                backgroundColor: "var(--bg-card)",
+                border: "1px solid var(--border-subtle)",
+                color: "var(--text-primary)",
+              }}
+            >
+              <option value="">None</option>
+              <option value="percent">%</option>
+              <option value="amount">₹</option>
+            </select>
+            <input
+              type="number"
+              value={sip.stepUpValue}
+              onChange={(e) => onUpdate("stepUpValue", e.target.value)}
+              disabled={!sip.stepUpType}
+              placeholder={sip.stepUpType === "amount" ? "500" : "10"}
+              min="0"
+              className="w-full p-2 rounded-lg outline-none text-sm disabled:opacity-50"
+              style={{
+                backgroundColor: "var(--bg-card)",
+                border: "1px solid var(--border-subtle)",
+                color: "var(--text-primary)",
+              }}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-tertiary)" }}
+          >
+            Paused / Skipped Months
+          </label>
+          <input
+            type="month"
+            value=""
+            onChange={(e) =>
+              e.target.value &&
+              !sip.pausedMonths.includes(e.target.value) &&
+              onUpdate(
+                "pausedMonths",
+                [...sip.pausedMonths, e.target.value].sort()
+              )
+            }
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={{
+              backgroundColor: "var(--bg-card)",
+              border: "1px solid var(--border-subtle)",
+              color: "var(--text-primary)",
+            }}
+          />
+        </div>
+      </div>
+
+      {sip.pausedMonths.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {sip.pausedMonths.map((month) => (
+            <button
+              key={month}
+              type="button"
+              onClick={() =>
+                onUpdate(
+                  "pausedMonths",
+                  sip.pausedMonths.filter((m) => m !== month)
+                )
+              }
+              className="px-2 py-1 rounded-full text-xs hover:opacity-80"
+              style={{
+                backgroundColor: "rgba(139, 92, 246, 0.1)",
+                color: "var(--accent-purple)",
+              }}
+              title="Remove paused month"
+            >
+              {formatMonthKey(month)} ×
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -1116,7 +2421,7 @@ function SipEntry({ sip, sipIndex, sipsCount, onUpdate, onRemove }) {
 // ═══════════════════════════════════════════════════════════════
 // LUMPSUM ENTRY COMPONENT
 // ═══════════════════════════════════════════════════════════════
-function LumpsumEntry({ lumpsum, onUpdate, onRemove }) {
+function LumpsumEntry({ lumpsum, years, onUpdate, onRemove }) {
   return (
     <div className="flex gap-3 items-center">
       <select
@@ -1145,7 +2450,7 @@ function LumpsumEntry({ lumpsum, onUpdate, onRemove }) {
           color: "var(--text-primary)",
         }}
       >
-        {ALLOWED_YEARS.map((y) => (
+        {years.map((y) => (
           <option key={y} value={y}>
             {y}
           </option>
@@ -1174,3 +2479,1202 @@ function LumpsumEntry({ lumpsum, onUpdate, onRemove }) {
     </div>
   );
 }
+
+// ═══════════════════════════════════════════════════════════════
+// REDEMPTION ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function RedemptionEntry({ redemption, years, unitsOnly, onUpdate, onRemove }) {
+  return (
+    <div className="flex gap-3 items-center">
+      <select
+        value={redemption.month}
+        onChange={(e) => onUpdate("month", parseInt(e.target.value))}
+        className="w-28 p-2 rounded-lg outline-none text-sm"
+        style={{
+          backgroundColor: "var(--bg-app)",
+          border: "1px solid var(--border-subtle)",
+          color: "var(--text-primary)",
+        }}
+      >
+        {MONTHS.map((m) => (
+          <option key={m.value} value={m.value}>
+            {m.label.slice(0, 3)}
+          </option>
+        ))}
+      </select>
+      <select
+        value={redemption.year}
+        onChange={(e) => onUpdate("year", parseInt(e.target.value))}
+        className="w-24 p-2 rounded-lg outline-none text-sm"
+        style={{
+          backgroundColor: "var(--bg-app)",
+          border: "1px solid var(--border-subtle)",
+          color: "var(--text-primary)",
+        }}
+      >
+        {years.map((y) => (
+          <option key={y} value={y}>
+            {y}
+          </option>
+        ))}
+      </select>
+      {!unitsOnly && (
+        <select
+          value={redemption.mode}
+          onChange={(e) => onUpdate("mode", e.target.value)}
+          className="w-28 p-2 rounded-lg outline-none text-sm"
+          style={{
+            backgroundColor: "var(--bg-app)",
+            border: "1px solid var(--border-subtle)",
+            color: "var(--text-primary)",
+          }}
+        >
+          <option value="amount">Amount</option>
+          <option value="units">Units</option>
+        </select>
+      )}
+      <input
+        type="number"
+        value={redemption.value}
+        onChange={(e) => onUpdate("value", e.target.value)}
+        placeholder={
+          unitsOnly
+            ? "Shares"
+            : redemption.mode === "units"
+            ? "Units"
+            : "Amount (₹)"
+        }
+        min="0"
+        step="any"
+        className="flex-1 p-2 rounded-lg outline-none text-sm"
+        style={{
+          backgroundColor: "var(--bg-app)",
+          border: "1px solid var(--border-subtle)",
+          color: "var(--text-primary)",
+        }}
+      />
+      <button
+        type="button"
+        onClick={onRemove}
+        className="text-red-500 hover:text-red-400 p-2"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DEPOSIT ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function DepositEntry({ deposit, onUpdate }) {
+  const inputStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  return (
+    <div>
+      <label
+        className="block text-sm font-semibold mb-3"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Deposit Terms
+      </label>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Amount (₹)
+          </label>
+          <input
+            type="number"
+            value={deposit.principal}
+            onChange={(e) => onUpdate("principal", e.target.value)}
+            placeholder="e.g., 100000"
+            min="0"
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Interest Rate (% p.a.)
+          </label>
+          <input
+            type="number"
+            value={deposit.rate}
+            onChange={(e) => onUpdate("rate", e.target.value)}
+            placeholder="e.g., 7.1"
+            min="0"
+            max="25"
+            step="0.01"
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Compounding
+          </label>
+          <select
+            value={deposit.compounding}
+            onChange={(e) => onUpdate("compounding", e.target.value)}
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {COMPOUNDING_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Deposited On
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={deposit.startMonth}
+              onChange={(e) => onUpdate("startMonth", parseInt(e.target.value))}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              {MONTHS.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label.slice(0, 3)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={deposit.startYear}
+              onChange={(e) => onUpdate("startYear", parseInt(e.target.value))}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              {HISTORY_YEARS.map((y) => (
+                <option key={y} value={y}>
+                  {y}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Tenure (months)
+          </label>
+          <input
+            type="number"
+            value={deposit.tenureMonths}
+            onChange={(e) => onUpdate("tenureMonths", e.target.value)}
+            placeholder="e.g., 36"
+            min="1"
+            max="120"
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+      </div>
+      <p className="text-xs mt-3" style={{ color: "var(--text-tertiary)" }}>
+        Valued by interest accrued so far; counted as Debt in your allocation
+      </p>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SECURITY ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function SecurityEntry({ security, assetType, onUpdate, onAddBuy }) {
+  const [suggestions, setSuggestions] = useState([]);
+
+  const inputStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  // Suggest matching symbols (search failures just show none)
+  const handleSymbolChange = (value) => {
+    const symbol = value.toUpperCase().trim();
+    onUpdate("symbol", symbol);
+
+    if (symbol.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    searchSecurities(symbol, assetType)
+      .then((response) => setSuggestions(response.data.securities))
+      .catch(() => setSuggestions([]));
+  };
+
+  const updateBuy = (buyId, field, value) =>
+    onUpdate(
+      "buys",
+      security.buys.map((b) => (b.id === buyId ? { ...b, [field]: value } : b))
+    );
+
+  const removeBuy = (buyId) =>
+    onUpdate(
+      "buys",
+      security.buys.filter((b) => b.id !== buyId)
+    );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label
+          className="block text-sm font-semibold mb-2"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Symbol
+        </label>
+        <input
+          type="text"
+          list={`symbols-${assetType}`}
+          value={security.symbol}
+          onChange={(e) => handleSymbolChange(e.target.value)}
+          placeholder={
+            assetType === "ETF" ? "e.g., NIFTYBEES" : "e.g., HDFCBANK"
+          }
+          className="w-full md:w-1/2 p-3 rounded-xl outline-none"
+          style={inputStyle}
+        />
+        <datalist id={`symbols-${assetType}`}>
+          {suggestions.map((s) => (
+            <option key={s.symbol} value={s.symbol}>
+              {s.name}
+            </option>
+          ))}
+        </datalist>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <label
+            className="text-sm font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Buys
+          </label>
+          <button
+            type="button"
+            onClick={onAddBuy}
+            className="text-sm hover:opacity-80 flex items-center gap-1"
+            style={{ color: "var(--accent-purple)" }}
+          >
+            <Plus className="w-4 h-4" />
+            Add Buy
+          </button>
+        </div>
+        <div className="space-y-2">
+          {security.buys.map((buy) => (
+            <div key={buy.id} className="flex gap-3 items-center">
+              <select
+                value={buy.month}
+                onChange={(e) =>
+                  updateBuy(buy.id, "month", parseInt(e.target.value))
+                }
+                className="w-28 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              >
+                {MONTHS.map((m) => (
+                  <option key={m.value} value={m.value}>
+                    {m.label.slice(0, 3)}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={buy.year}
+                onChange={(e) =>
+                  updateBuy(buy.id, "year", parseInt(e.target.value))
+                }
+                className="w-24 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              >
+                {HISTORY_YEARS.map((y) => (
+                  <option key={y} value={y}>
+                    {y}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={buy.shares}
+                onChange={(e) => updateBuy(buy.id, "shares", e.target.value)}
+                placeholder="Shares"
+                min="0"
+                step="any"
+                className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              />
+              <input
+                type="number"
+                value={buy.price}
+                onChange={(e) => updateBuy(buy.id, "price", e.target.value)}
+                placeholder="Price (₹)"
+                min="0"
+                step="0.01"
+                className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              />
+              {security.buys.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeBuy(buy.id)}
+                  className="text-red-500 hover:text-red-400 p-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <p className="text-xs mt-3" style={{ color: "var(--text-tertiary)" }}>
+          Valued at monthly closing prices; record sales below in shares
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PPF ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function PpfEntry({ ppf, onUpdate, onAddDeposit }) {
+  const inputStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  const updateDeposit = (depositId, field, value) =>
+    onUpdate(
+      "contributions",
+      ppf.contributions.map((c) =>
+        c.id === depositId ? { ...c, [field]: value } : c
+      )
+    );
+
+  const removeDeposit = (depositId) =>
+    onUpdate(
+      "contributions",
+      ppf.contributions.filter((c) => c.id !== depositId)
+    );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label
+          className="block text-sm font-semibold mb-2"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Account Opened
+        </label>
+        <div className="flex gap-2 md:w-1/2">
+          <select
+            value={ppf.openedMonth}
+            onChange={(e) => onUpdate("openedMonth", parseInt(e.target.value))}
+            className="flex-1 p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {MONTHS.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label.slice(0, 3)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={ppf.openedYear}
+            onChange={(e) => onUpdate("openedYear", parseInt(e.target.value))}
+            className="flex-1 p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {SCHEME_YEARS.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <label
+            className="text-sm font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Deposits
+          </label>
+          <button
+            type="button"
+            onClick={onAddDeposit}
+            className="text-sm hover:opacity-80 flex items-center gap-1"
+            style={{ color: "var(--accent-purple)" }}
+          >
+            <Plus className="w-4 h-4" />
+            Add Deposit
+          </button>
+        </div>
+        <div className="space-y-2">
+          {ppf.contributions.map((deposit) => (
+            <div key={deposit.id} className="flex gap-3 items-center">
+              <select
+                value={deposit.month}
+                onChange={(e) =>
+                  updateDeposit(deposit.id, "month", parseInt(e.target.value))
+                }
+                className="w-28 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              >
+                {MONTHS.map((m) => (
+                  <option key={m.value} value={m.value}>
+                    {m.label.slice(0, 3)}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={deposit.year}
+                onChange={(e) =>
+                  updateDeposit(deposit.id, "year", parseInt(e.target.value))
+                }
+                className="w-24 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              >
+                {SCHEME_YEARS.map((y) => (
+                  <option key={y} value={y}>
+                    {y}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={deposit.amount}
+                onChange={(e) =>
+                  updateDeposit(deposit.id, "amount", e.target.value)
+                }
+                placeholder="Amount (₹)"
+                min="0"
+                max={PPF_YEARLY_LIMIT}
+                className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              />
+              {ppf.contributions.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeDeposit(deposit.id)}
+                  className="text-red-500 hover:text-red-400 p-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <p className="text-xs mt-3" style={{ color: "var(--text-tertiary)" }}>
+          Earns the notified PPF rate (up to ₹1,50,000 a financial year); locked
+          in for 15 years, partial withdrawals from the 7th year
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EPF ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function EpfEntry({ epf, onUpdate, onAddContribution }) {
+  const inputStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  const updateContribution = (contributionId, field, value) =>
+    onUpdate(
+      "contributions",
+      epf.contributions.map((c) =>
+        c.id === contributionId ? { ...c, [field]: value } : c
+      )
+    );
+
+  const removeContribution = (contributionId) =>
+    onUpdate(
+      "contributions",
+      epf.contributions.filter((c) => c.id !== contributionId)
+    );
+
+  const monthYearSelects = (month, year, onMonth, onYear, yearOptions) => (
+    <div className="flex gap-2">
+      <select
+        value={month}
+        onChange={(e) => onMonth(parseInt(e.target.value))}
+        className="flex-1 p-2 rounded-lg outline-none text-sm"
+        style={inputStyle}
+      >
+        {MONTHS.map((m) => (
+          <option key={m.value} value={m.value}>
+            {m.label.slice(0, 3)}
+          </option>
+        ))}
+      </select>
+      <select
+        value={year}
+        onChange={(e) => onYear(parseInt(e.target.value))}
+        className="flex-1 p-2 rounded-lg outline-none text-sm"
+        style={inputStyle}
+      >
+        {yearOptions.map((y) => (
+          <option key={y} value={y}>
+            {y}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Opening Balance (₹, optional)
+          </label>
+          <input
+            type="number"
+            value={epf.openingBalance.amount}
+            onChange={(e) =>
+              onUpdate("openingBalance", {
+                ...epf.openingBalance,
+                amount: e.target.value,
+              })
+            }
+            placeholder="e.g., 250000"
+            min="0"
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Balance As Of
+          </label>
+          {monthYearSelects(
+            epf.openingBalance.month,
+            epf.openingBalance.year,
+            (month) =>
+              onUpdate("openingBalance", { ...epf.openingBalance, month }),
+            (year) =>
+              onUpdate("openingBalance", { ...epf.openingBalance, year }),
+            SCHEME_YEARS
+          )}
+        </div>
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Date of Birth (for retirement at 58)
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={epf.birthMonth}
+              onChange={(e) => onUpdate("birthMonth", e.target.value)}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              <option value="">Month</option>
+              {MONTHS.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label.slice(0, 3)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={epf.birthYear}
+              onChange={(e) => onUpdate("birthYear", e.target.value)}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              <option value="">Year</option>
+              {BIRTH_YEARS.map((y) => (
+                <option key={y} value={y}>
+                  {y}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <label
+            className="text-sm font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Monthly Contributions
+          </label>
+          <button
+            type="button"
+            onClick={onAddContribution}
+            className="text-sm hover:opacity-80 flex items-center gap-1"
+            style={{ color: "var(--accent-purple)" }}
+          >
+            <Plus className="w-4 h-4" />
+            Add Period
+          </button>
+        </div>
+        <div className="space-y-3">
+          {epf.contributions.map((c) => (
+            <div
+              key={c.id}
+              className="p-4 rounded-lg grid grid-cols-1 md:grid-cols-2 gap-3"
+              style={{
+                backgroundColor: "var(--bg-app)",
+                border: "1px solid var(--border-subtle)",
+              }}
+            >
+              <input
+                type="number"
+                value={c.employee}
+                onChange={(e) =>
+                  updateContribution(c.id, "employee", e.target.value)
+                }
+                placeholder="Your share (₹/month)"
+                min="0"
+                className="p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              />
+              <input
+                type="number"
+                value={c.employer}
+                onChange={(e) =>
+                  updateContribution(c.id, "employer", e.target.value)
+                }
+                placeholder="Employer share (₹/month)"
+                min="0"
+                className="p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              />
+              <div>
+                <label
+                  className="block text-xs mb-1"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  From
+                </label>
+                {monthYearSelects(
+                  c.startMonth,
+                  c.startYear,
+                  (month) => updateContribution(c.id, "startMonth", month),
+                  (year) => updateContribution(c.id, "startYear", year),
+                  SCHEME_YEARS
+                )}
+              </div>
+              <div>
+                <label
+                  className="flex items-center gap-2 text-xs mb-1"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={c.isOngoing}
+                    onChange={(e) =>
+                      updateContribution(c.id, "isOngoing", e.target.checked)
+                    }
+                  />
+                  Ongoing
+                </label>
+                {!c.isOngoing &&
+                  monthYearSelects(
+                    c.endMonth || 3,
+                    c.endYear || currentYear,
+                    (month) => updateContribution(c.id, "endMonth", month),
+                    (year) => updateContribution(c.id, "endYear", year),
+                    SCHEME_YEARS
+                  )}
+              </div>
+              {epf.contributions.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeContribution(c.id)}
+                  className="text-red-500 hover:text-red-400 text-sm flex items-center gap-1 md:col-span-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Remove period
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <p className="text-xs mt-3" style={{ color: "var(--text-tertiary)" }}>
+          Earns the EPF rate declared for each financial year; paid out on
+          retirement at 58
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NPS ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function NpsEntry({ nps, onUpdate }) {
+  const inputStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  const schemes = [
+    { key: "E", label: "Scheme E (equity) %" },
+    { key: "C", label: "Scheme C (corporate bonds) %" },
+    { key: "G", label: "Scheme G (govt. securities) %" },
+  ];
+
+  return (
+    <div>
+      <label
+        className="block text-sm font-semibold mb-3"
+        style={{ color: "var(--text-primary)" }}
+      >
+        NPS Account
+      </label>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Tier
+          </label>
+          <select
+            value={nps.tier}
+            onChange={(e) => onUpdate("tier", e.target.value)}
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            <option value="I">Tier I - pension (locked until 60)</option>
+            <option value="II">Tier II - savings (no lock-in)</option>
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label
+            className="block text-xs mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Date of Birth (for the Tier I lock-in)
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={nps.birthMonth}
+              onChange={(e) => onUpdate("birthMonth", e.target.value)}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              <option value="">Month</option>
+              {MONTHS.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {m.label.slice(0, 3)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={nps.birthYear}
+              onChange={(e) => onUpdate("birthYear", e.target.value)}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              <option value="">Year</option>
+              {BIRTH_YEARS.map((y) => (
+                <option key={y} value={y}>
+                  {y}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {schemes.map((scheme) => (
+          <div key={scheme.key}>
+            <label
+              className="block text-xs mb-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              {scheme.label}
+            </label>
+            <input
+              type="number"
+              value={nps.allocation[scheme.key]}
+              onChange={(e) =>
+                onUpdate("allocation", {
+                  ...nps.allocation,
+                  [scheme.key]: e.target.value,
+                })
+              }
+              min="0"
+              max={scheme.key === "E" ? NPS_MAX_EQUITY : 100}
+              className="w-full p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs mt-3" style={{ color: "var(--text-tertiary)" }}>
+        Valued on the E / C / G scheme NAVs in this split (E at most{" "}
+        {NPS_MAX_EQUITY}%); add your contributions as SIPs / lumpsums below
+      </p>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MANUAL ASSET ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function ManualAssetEntry({ asset, onUpdate, onAddValuation }) {
+  const inputStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  const updateValuation = (valuationId, field, value) =>
+    onUpdate(
+      "valuations",
+      asset.valuations.map((v) =>
+        v.id === valuationId ? { ...v, [field]: value } : v
+      )
+    );
+
+  const removeValuation = (valuationId) =>
+    onUpdate(
+      "valuations",
+      asset.valuations.filter((v) => v.id !== valuationId)
+    );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label
+          className="block text-sm font-semibold mb-2"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Purchase
+        </label>
+        <div className="flex gap-3 items-center">
+          <select
+            value={asset.purchaseMonth}
+            onChange={(e) =>
+              onUpdate("purchaseMonth", parseInt(e.target.value))
+            }
+            className="w-28 p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {MONTHS.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label.slice(0, 3)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={asset.purchaseYear}
+            onChange={(e) => onUpdate("purchaseYear", parseInt(e.target.value))}
+            className="w-24 p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {ASSET_YEARS.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            value={asset.purchaseCost}
+            onChange={(e) => onUpdate("purchaseCost", e.target.value)}
+            placeholder="Cost (₹)"
+            min="0"
+            className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <label
+            className="text-sm font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Valuations
+          </label>
+          <button
+            type="button"
+            onClick={onAddValuation}
+            className="text-sm hover:opacity-80 flex items-center gap-1"
+            style={{ color: "var(--accent-purple)" }}
+          >
+            <Plus className="w-4 h-4" />
+            Add Valuation
+          </button>
+        </div>
+        {asset.valuations.length === 0 ? (
+          <p className="text-sm" style={{ color: "var(--text-tertiary)" }}>
+            No valuations added - held at cost
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {asset.valuations.map((valuation) => (
+              <div key={valuation.id} className="flex gap-3 items-center">
+                <select
+                  value={valuation.month}
+                  onChange={(e) =>
+                    updateValuation(
+                      valuation.id,
+                      "month",
+                      parseInt(e.target.value)
+                    )
+                  }
+                  className="w-28 p-2 rounded-lg outline-none text-sm"
+                  style={inputStyle}
+                >
+                  {MONTHS.map((m) => (
+                    <option key={m.value} value={m.value}>
+                      {m.label.slice(0, 3)}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={valuation.year}
+                  onChange={(e) =>
+                    updateValuation(
+                      valuation.id,
+                      "year",
+                      parseInt(e.target.value)
+                    )
+                  }
+                  className="w-24 p-2 rounded-lg outline-none text-sm"
+                  style={inputStyle}
+                >
+                  {ASSET_YEARS.map((y) => (
+                    <option key={y} value={y}>
+                      {y}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  value={valuation.value}
+                  onChange={(e) =>
+                    updateValuation(valuation.id, "value", e.target.value)
+                  }
+                  placeholder="Worth (₹)"
+                  min="0"
+                  className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+                  style={inputStyle}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeValuation(valuation.id)}
+                  className="text-red-500 hover:text-red-400 p-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="text-xs mt-3" style={{ color: "var(--text-tertiary)" }}>
+          Your own estimates of what it is worth - the value moves in a straight
+          line between them and stays at the latest one
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TRANSFER ENTRY COMPONENT
+// ═══════════════════════════════════════════════════════════════
+function TransferEntry({ transfer, fundNames, years, onUpdate, onRemove }) {
+  const selectStyle = {
+    backgroundColor: "var(--bg-app)",
+    border: "1px solid var(--border-subtle)",
+    color: "var(--text-primary)",
+  };
+
+  return (
+    <div
+      className="p-3 rounded-lg space-y-2"
+      style={{ border: "1px solid var(--border-subtle)" }}
+    >
+      <div className="flex gap-3 items-center">
+        <select
+          value={transfer.type}
+          onChange={(e) => onUpdate("type", e.target.value)}
+          className="w-28 p-2 rounded-lg outline-none text-sm"
+          style={selectStyle}
+        >
+          <option value="stp">STP</option>
+          <option value="switch">Switch</option>
+        </select>
+        <select
+          value={transfer.fromFund}
+          onChange={(e) => onUpdate("fromFund", e.target.value)}
+          className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+          style={selectStyle}
+        >
+          <option value="">From fund...</option>
+          {fundNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <span className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          →
+        </span>
+        <select
+          value={transfer.toFund}
+          onChange={(e) => onUpdate("toFund", e.target.value)}
+          className="flex-1 min-w-0 p-2 rounded-lg outline-none text-sm"
+          style={selectStyle}
+        >
+          <option value="">To fund...</option>
+          {fundNames.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-red-500 hover:text-red-400 p-2"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex gap-3 items-center flex-wrap">
+        <select
+          value={transfer.month}
+          onChange={(e) => onUpdate("month", parseInt(e.target.value))}
+          className="w-28 p-2 rounded-lg outline-none text-sm"
+          style={selectStyle}
+        >
+          {MONTHS.map((m) => (
+            <option key={m.value} value={m.value}>
+              {m.label.slice(0, 3)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={transfer.year}
+          onChange={(e) => onUpdate("year", parseInt(e.target.value))}
+          className="w-24 p-2 rounded-lg outline-none text-sm"
+          style={selectStyle}
+        >
+          {years.map((y) => (
+            <option key={y} value={y}>
+              {y}
+            </option>
+          ))}
+        </select>
+        {transfer.type === "switch" && (
+          <select
+            value={transfer.mode}
+            onChange={(e) => onUpdate("mode", e.target.value)}
+            className="w-28 p-2 rounded-lg outline-none text-sm"
+            style={selectStyle}
+          >
+            <option value="amount">Amount</option>
+            <option value="units">Units</option>
+          </select>
+        )}
+        <input
+          type="number"
+          value={transfer.value}
+          onChange={(e) => onUpdate("value", e.target.value)}
+          placeholder={
+            transfer.type === "stp"
+              ? "Monthly amount (₹)"
+              : transfer.mode === "units"
+              ? "Units"
+              : "Amount (₹)"
+          }
+          min="0"
+          step="any"
+          className="flex-1 p-2 rounded-lg outline-none text-sm"
+          style={selectStyle}
+        />
+      </div>
+      {transfer.type === "stp" && (
+        <div className="flex gap-3 items-center">
+          <span
+            className="text-xs w-16"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Ends
+          </span>
+          <select
+            value={transfer.endMonth}
+            onChange={(e) =>
+              onUpdate("endMonth", e.target.value && parseInt(e.target.value))
+            }
+            className="w-28 p-2 rounded-lg outline-none text-sm"
+            style={selectStyle}
+          >
+            <option value="">Month</option>
+            {MONTHS.map((m) => (
+              <option key={m.value} value={m.value}>
+                {m.label.slice(0, 3)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={transfer.endYear}
+            onChange={(e) =>
+              onUpdate("endYear", e.target.value && parseInt(e.target.value))
+            }
+            className="w-24 p-2 rounded-lg outline-none text-sm"
+            style={selectStyle}
+          >
+            <option value="">Year</option>
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+          <span className="text-xs" style={{ color: "var(--text-secondary)" }}>
+            Leave empty to keep it running
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,609 @@
+import { useState, useEffect } from "react";
+import { Landmark, Plus, Trash2, TrendingUp, TrendingDown } from "lucide-react";
+import {
+  getNetWorth,
+  createLiability,
+  deleteLiability,
+} from "../../service/netWorthService";
+
+/**
+ * Net Worth Card
+ *
+ * The user's net worth from GET /api/net-worth:
+ * - Market value of all portfolios minus loans and card balances
+ * - Monthly history as a sparkline, and the change over the last year
+ * - Liabilities with their EMI and payoff month; added or removed here
+ */
+
+const LIABILITY_TYPES = [
+  { value: "home_loan", label: "Home loan" },
+  { value: "car_loan", label: "Car loan" },
+  { value: "personal_loan", label: "Personal loan" },
+  { value: "credit_card", label: "Credit card" },
+];
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+// "2024-06" -> "Jun 2024"
+const formatMonth = (key) =>
+  key ? `${MONTHS[parseInt(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}` : "—";
+
+const typeLabel = (type) =>
+  LIABILITY_TYPES.find((t) => t.value === type)?.label || type;
+
+// "EMI ₹26,035 • paid off Jun 2044" (cards not on EMI keep their balance)
+const describeRepayment = (liability) =>
+  liability.isRevolving
+    ? "carried as entered"
+    : `EMI ${formatCurrency(liability.emi)} • paid off ${formatMonth(
+        liability.payoffMonth
+      )}`;
+
+const inputStyle = {
+  backgroundColor: "var(--bg-app)",
+  border: "1px solid var(--border-subtle)",
+  color: "var(--text-primary)",
+};
+
+const labelClass = "block text-xs font-medium mb-1";
+
+const createEmptyLiability = () => ({
+  name: "",
+  type: "home_loan",
+  outstandingPrincipal: "",
+  interestRate: "",
+  emi: "",
+  tenureMonths: "",
+  balanceMonth: new Date().getMonth() + 1,
+  balanceYear: new Date().getFullYear(),
+  startMonth: "",
+  startYear: "",
+});
+
+/**
+ * Net worth history as a line; the dashed line marks zero when the
+ * history crosses it
+ */
+const NetWorthSparkline = ({ history }) => {
+  if (history.length < 2) return null;
+
+  const width = 300;
+  const height = 60;
+  const values = history.map((p) => p.netWorth);
+  const min = Math.min(...values, 0);
+  const max = Math.max(...values, 0);
+  const range = max - min || 1;
+  const y = (value) => height - ((value - min) / range) * height;
+  const points = values
+    .map((value, i) => `${(i / (values.length - 1)) * width},${y(value)}`)
+    .join(" ");
+  const isUp = values[values.length - 1] >= values[0];
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      className="w-full h-16"
+    >
+      {min < 0 && (
+        <line
+          x1="0"
+          x2={width}
+          y1={y(0)}
+          y2={y(0)}
+          stroke="var(--border-medium)"
+          strokeDasharray="4 4"
+        />
+      )}
+      <polyline
+        points={points}
+        fill="none"
+        stroke={isUp ? "#10B981" : "#ef4444"}
+        strokeWidth="2"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
+
+/**
+ * Add a loan or card balance
+ * Loans need the EMIs left; the EMI is worked out from it when blank
+ */
+const LiabilityForm = ({ onSubmit, onCancel }) => {
+  const [form, setForm] = useState(createEmptyLiability);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const update = (field, value) => setForm({ ...form, [field]: value });
+  const isCard = form.type === "credit_card";
+  const toNumber = (value) => (value === "" ? null : Number(value));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      setIsSaving(true);
+      await onSubmit({
+        name: form.name.trim(),
+        type: form.type,
+        outstandingPrincipal: Number(form.outstandingPrincipal),
+        interestRate: Number(form.interestRate),
+        emi: toNumber(form.emi),
+        tenureMonths: toNumber(form.tenureMonths),
+        balanceMonth: Number(form.balanceMonth),
+        balanceYear: Number(form.balanceYear),
+        startMonth: toNumber(form.startMonth),
+        startYear: toNumber(form.startYear),
+      });
+    } catch (err) {
+      setError(err.message || "Failed to add liability");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="rounded-xl p-4 mt-4 space-y-3"
+      style={{
+        backgroundColor: "var(--bg-input)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Name
+          </label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => update("name", e.target.value)}
+            placeholder="e.g., SBI Home Loan"
+            required
+            maxLength={100}
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Type
+          </label>
+          <select
+            value={form.type}
+            onChange={(e) => update("type", e.target.value)}
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {LIABILITY_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Outstanding (₹)
+          </label>
+          <input
+            type="number"
+            value={form.outstandingPrincipal}
+            onChange={(e) => update("outstandingPrincipal", e.target.value)}
+            min="0"
+            required
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Interest (% p.a.)
+          </label>
+          <input
+            type="number"
+            value={form.interestRate}
+            onChange={(e) => update("interestRate", e.target.value)}
+            min="0"
+            max="60"
+            step="0.05"
+            required
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            EMIs left{isCard && " (blank if not on EMI)"}
+          </label>
+          <input
+            type="number"
+            value={form.tenureMonths}
+            onChange={(e) => update("tenureMonths", e.target.value)}
+            min="1"
+            max="480"
+            required={!isCard}
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            EMI (₹, blank to work it out)
+          </label>
+          <input
+            type="number"
+            value={form.emi}
+            onChange={(e) => update("emi", e.target.value)}
+            min="1"
+            className="w-full p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Balance as of
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={form.balanceMonth}
+              onChange={(e) => update("balanceMonth", e.target.value)}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              {MONTHS.map((month, i) => (
+                <option key={month} value={i + 1}>
+                  {month}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={form.balanceYear}
+              onChange={(e) => update("balanceYear", e.target.value)}
+              min="1990"
+              max={new Date().getFullYear()}
+              required
+              className="w-24 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Taken in (optional, for history)
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={form.startMonth}
+              onChange={(e) => update("startMonth", e.target.value)}
+              className="flex-1 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            >
+              <option value="">Month</option>
+              {MONTHS.map((month, i) => (
+                <option key={month} value={i + 1}>
+                  {month}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={form.startYear}
+              onChange={(e) => update("startYear", e.target.value)}
+              min="1990"
+              max={new Date().getFullYear()}
+              placeholder="Year"
+              className="w-24 p-2 rounded-lg outline-none text-sm"
+              style={inputStyle}
+            />
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-sm" style={{ color: "#ef4444" }}>
+          {error}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm font-medium"
+          style={{
+            backgroundColor: "var(--bg-app)",
+            border: "1px solid var(--border-subtle)",
+            color: "var(--text-primary)",
+          }}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-60"
+          style={{ backgroundColor: "var(--accent-purple)", color: "white" }}
+        >
+          {isSaving ? "Saving..." : "Add Liability"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default function NetWorthCard() {
+  const [netWorth, setNetWorth] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  const [deleteId, setDeleteId] = useState(null);
+
+  // Fetch net worth (portfolios and liabilities) on mount
+  useEffect(() => {
+    fetchNetWorth();
+  }, []);
+
+  const fetchNetWorth = async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const response = await getNetWorth();
+      setNetWorth(response.data);
+    } catch (err) {
+      setError(err.message || "Failed to load net worth");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAdd = async (liabilityData) => {
+    await createLiability(liabilityData);
+    setShowForm(false);
+    await fetchNetWorth();
+  };
+
+  const handleDelete = async (liabilityId) => {
+    if (!window.confirm("Are you sure you want to delete this liability?")) {
+      return;
+    }
+
+    try {
+      setDeleteId(liabilityId);
+      await deleteLiability(liabilityId);
+      await fetchNetWorth();
+    } catch (err) {
+      setError(err.message || "Failed to delete liability");
+    } finally {
+      setDeleteId(null);
+    }
+  };
+
+  const summary = netWorth?.summary;
+  const liabilities = netWorth?.liabilities || [];
+
+  return (
+    <div
+      className="rounded-2xl p-6 mb-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+        boxShadow: "var(--shadow-card)",
+      }}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Landmark
+            className="w-5 h-5"
+            style={{ color: "var(--accent-purple)" }}
+          />
+          <h2
+            className="text-lg font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Net Worth
+          </h2>
+        </div>
+        {netWorth && (
+          <span className="text-xs" style={{ color: "var(--text-tertiary)" }}>
+            as of {formatMonth(netWorth.asOf)}
+          </span>
+        )}
+      </div>
+
+      {isLoading && !netWorth && (
+        <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          Calculating net worth...
+        </p>
+      )}
+
+      {error && (
+        <p className="text-sm mb-3" style={{ color: "#ef4444" }}>
+          {error}
+        </p>
+      )}
+
+      {summary && (
+        <>
+          <div className="flex flex-wrap items-end gap-3 mb-2">
+            <p
+              className="text-3xl font-bold"
+              style={{
+                color: summary.netWorth < 0 ? "#ef4444" : "var(--text-primary)",
+              }}
+            >
+              {formatCurrency(summary.netWorth)}
+            </p>
+            {summary.yearChange !== null && (
+              <span
+                className="flex items-center gap-1 text-sm font-medium mb-1"
+                style={{
+                  color: summary.yearChange >= 0 ? "#10B981" : "#ef4444",
+                }}
+              >
+                {summary.yearChange >= 0 ? (
+                  <TrendingUp className="w-4 h-4" />
+                ) : (
+                  <TrendingDown className="w-4 h-4" />
+                )}
+                {summary.yearChange >= 0 ? "+" : ""}
+                {formatCurrency(summary.yearChange)} in 12 months
+              </span>
+            )}
+          </div>
+
+          <NetWorthSparkline history={netWorth.history} />
+
+          <div className="grid grid-cols-3 gap-3 mt-4">
+            {[
+              { label: "Investments", value: summary.totalAssets },
+              { label: "Liabilities", value: summary.totalLiabilities },
+              { label: "EMIs / month", value: summary.monthlyEmi },
+            ].map((stat) => (
+              <div
+                key={stat.label}
+                className="p-3 rounded-xl"
+                style={{ backgroundColor: "var(--bg-input)" }}
+              >
+                <p
+                  className="text-xs"
+                  style={{ color: "var(--text-tertiary)" }}
+                >
+                  {stat.label}
+                </p>
+                <p
+                  className="font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {formatCurrency(stat.value)}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          {/* Liabilities */}
+          {liabilities.length > 0 && (
+            <div className="mt-4 space-y-2">
+              {liabilities.map((liability) => (
+                <div
+                  key={liability.liabilityId}
+                  className="flex items-center justify-between gap-3 p-3 rounded-xl"
+                  style={{ border: "1px solid var(--border-subtle)" }}
+                >
+                  <div>
+                    <p
+                      className="text-sm font-medium"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {liability.name}
+                    </p>
+                    <p
+                      className="text-xs"
+                      style={{ color: "var(--text-tertiary)" }}
+                    >
+                      {typeLabel(liability.type)} • {liability.interestRate}% •{" "}
+                      {describeRepayment(liability)}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span
+                      className="text-sm font-semibold"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {formatCurrency(liability.outstanding)}
+                    </span>
+                    <button
+                      onClick={() => handleDelete(liability.liabilityId)}
+                      disabled={deleteId === liability.liabilityId}
+                      className="p-1.5 rounded-lg hover:bg-red-500/10 disabled:opacity-50"
+                      style={{ color: "#ef4444" }}
+                      title="Delete liability"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {netWorth.warnings.length > 0 && (
+            <ul
+              className="mt-3 text-xs space-y-1"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              {netWorth.warnings.map((warning) => (
+                <li key={warning}>⚠️ {warning}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      {showForm ? (
+        <LiabilityForm
+          onSubmit={handleAdd}
+          onCancel={() => setShowForm(false)}
+        />
+      ) : (
+        <button
+          onClick={() => setShowForm(true)}
+          className="mt-4 flex items-center gap-1 text-sm font-medium"
+          style={{ color: "var(--accent-purple)" }}
+        >
+          <Plus className="w-4 h-4" />
+          Add a loan or card balance
+        </button>
+      )}
+    </div>
+  );
+}
@@ -19,8 +19,9 @@ export default function SelectMethod() {
     },
     {
       icon: Upload,
-      title: "Upload CSV / Excel",
-      description: "Upload a file exported from your broker or investment app.",
+      title: "Upload CSV",
+      description:
+        "Upload a transaction CSV exported from your spreadsheet or investment app.",
       meta: "Faster · Bulk import",
       ctaLabel: "Upload File",
       onClick: () => navigate("/dashboard/add-investment/upload"),
@@ -29,10 +30,10 @@ export default function SelectMethod() {
       icon: FileText,
       title: "Import CAS Statement",
       description:
-        "Automatically import your investments using CAS statements.",
-      meta: "Coming soon",
-      ctaLabel: "Coming Soon",
-      disabled: true,
+        "Import folios and transactions from a CAMS or KFintech consolidated statement.",
+      meta: "Text or PDF-extracted text",
+      ctaLabel: "Import CAS",
+      onClick: () => navigate("/dashboard/add-investment/cas"),
     },
   ];
 
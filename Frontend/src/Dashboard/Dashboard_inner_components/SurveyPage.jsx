@@ -1,15 +1,8 @@
 // SurveyPage.jsx
 import SurveyQuestions from "./SurveyQuestions";
 
+// Answers are saved by SurveyQuestions itself; default navigation
+// takes the user to the dashboard on complete / skip
 export default function SurveyPage() {
-  return (
-    <SurveyQuestions
-      onComplete={(answers) => {
-        console.log("Survey answers:", answers);
-      }}
-      onSkip={() => {
-        console.log("Survey skipped");
-      }}
-    />
-  );
+  return <SurveyQuestions />;
 }
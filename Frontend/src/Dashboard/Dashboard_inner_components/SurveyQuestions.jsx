@@ -95,7 +95,7 @@ const SURVEY_QUESTIONS = [
 
 export default function SurveyQuestions({ onComplete, onSkip }) {
   const navigate = useNavigate();
-  const { completeOnboarding } = useAuth();
+  const { completeOnboarding, saveRiskProfile } = useAuth();
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState({});
   const [selectedOption, setSelectedOption] = useState(null);
@@ -151,7 +151,12 @@ export default function SurveyQuestions({ onComplete, onSkip }) {
 
     if (isLastQuestion) {
       // Survey completed
-      console.log("Survey completed with answers:", updatedAnswers);
+      // Store answers so the analysis can use the derived risk profile
+      try {
+        await saveRiskProfile(updatedAnswers);
+      } catch (error) {
+        console.error("Failed to save risk profile:", error);
+      }
 
       // Mark onboarding as complete
       try {
@@ -1,13 +1,110 @@
+import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import PrivateLayout from "../PrivateLayout";
-import { Upload, ChevronLeft } from "lucide-react";
+import {
+  createPortfolio,
+  importCsvPortfolio,
+} from "../../service/portfolioService";
+import ImportPreview from "./ImportPreview";
+import { Upload, ChevronLeft, Info } from "lucide-react";
+
+/**
+ * UploadPage
+ *
+ * CSV import flow:
+ * 1. User picks a CSV (date, fund name, type, amount)
+ * 2. Backend parses it and returns a preview (nothing saved)
+ * 3. User fixes any row errors, reviews fund coverage, then saves via
+ *    createPortfolio
+ */
+
+// Max file size accepted in the browser (backend body limit is 1mb)
+const MAX_FILE_SIZE = 900 * 1024;
+
+const SAMPLE_CSV = `date,fund name,type,amount
+2024-01-05,Axis Bluechip Fund,SIP,5000
+2024-02-05,Axis Bluechip Fund,SIP,5000
+2024-03-15,Parag Parikh Flexi Cap Fund,Lumpsum,25000`;
 
 export default function UploadPage() {
   const navigate = useNavigate();
+  const [fileName, setFileName] = useState("");
+  const [csvText, setCsvText] = useState("");
+  const [portfolioName, setPortfolioName] = useState("Imported Portfolio");
+  const [preview, setPreview] = useState(null);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setError("");
+    setPreview(null);
+
+    if (!file) return;
+
+    if (file.size > MAX_FILE_SIZE) {
+      setError("File is too large. Please upload a CSV under 900 KB.");
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      setCsvText(text);
+    } catch {
+      setError("Could not read the selected file");
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!csvText) {
+      setError("Please select a CSV file first");
+      return;
+    }
+
+    setIsParsing(true);
+    setError("");
+
+    try {
+      const response = await importCsvPortfolio(csvText, portfolioName.trim());
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.message || "Failed to parse CSV");
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!preview?.canImport) return;
+
+    if (!portfolioName.trim()) {
+      setError("Portfolio name is required");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      await createPortfolio({
+        name: portfolioName.trim(),
+        funds: preview.portfolio.funds,
+      });
+      setSuccess("Portfolio imported successfully!");
+      setTimeout(() => navigate("/portfolio"), 1500);
+    } catch (err) {
+      setError(err.message || "Failed to save portfolio");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
 
   return (
     <PrivateLayout pageTitle="Upload Portfolio">
-      <div className="max-w-2xl mx-auto">
+      <div className="max-w-3xl mx-auto">
         {/* Back button */}
         <button
           onClick={() => navigate("/dashboard/add-investment")}
@@ -20,30 +117,172 @@ export default function UploadPage() {
           <span className="font-medium">Back</span>
         </button>
 
-        {/* Placeholder content */}
+        {/* Header */}
+        <div className="mb-8">
+          <h1
+            className="text-2xl font-bold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            CSV Upload
+          </h1>
+          <p style={{ color: "var(--text-secondary)" }}>
+            Import your transactions from a spreadsheet
+          </p>
+        </div>
+
+        {/* Format Info Banner */}
+        <div
+          className="mb-6 p-4 rounded-xl flex items-start gap-3"
+          style={{
+            backgroundColor: "rgba(139, 92, 246, 0.1)",
+            border: "1px solid rgba(139, 92, 246, 0.3)",
+          }}
+        >
+          <Info
+            className="w-5 h-5 shrink-0 mt-0.5"
+            style={{ color: "var(--accent-purple)" }}
+          />
+          <div className="min-w-0">
+            <p
+              className="text-sm font-medium"
+              style={{ color: "var(--text-primary)" }}
+            >
+              Expected columns: date, fund name, type (SIP / Lumpsum / Redemption), amount
+            </p>
+            <p
+              className="text-xs mt-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              One row per installment. Consecutive monthly SIP rows with the
+              same amount are combined into a single SIP.
+            </p>
+            <pre
+              className="text-xs mt-2 p-2 rounded-lg overflow-x-auto"
+              style={{
+                backgroundColor: "var(--bg-input)",
+                color: "var(--text-secondary)",
+              }}
+            >
+              {SAMPLE_CSV}
+            </pre>
+          </div>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div
+            className="mb-6 p-4 rounded-xl"
+            style={{
+              backgroundColor: "rgba(239, 68, 68, 0.1)",
+              border: "1px solid rgba(239, 68, 68, 0.3)",
+              color: "#ef4444",
+            }}
+          >
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div
+            className="mb-6 p-4 rounded-xl"
+            style={{
+              backgroundColor: "rgba(34, 197, 94, 0.1)",
+              border: "1px solid rgba(34, 197, 94, 0.3)",
+              color: "#22c55e",
+            }}
+          >
+            {success}
+          </div>
+        )}
+
+        {/* Upload Card */}
         <div
-          className="rounded-2xl border p-12 text-center"
+          className="rounded-2xl border p-8 mb-6"
           style={{
             backgroundColor: "var(--bg-card)",
             borderColor: "var(--border-subtle)",
             boxShadow: "var(--shadow-card)",
           }}
         >
-          <Upload
-            className="w-16 h-16 mx-auto mb-6"
-            style={{ color: "var(--accent-purple)" }}
-          />
-          <h2
-            className="text-2xl font-bold mb-3"
+          <label
+            className="block text-sm font-medium mb-2"
             style={{ color: "var(--text-primary)" }}
           >
-            CSV/Excel Upload
-          </h2>
-          <p style={{ color: "var(--text-secondary)" }}>
-            Upload functionality coming soon! We'll support files from popular
-            brokers and investment platforms.
-          </p>
+            Portfolio Name
+          </label>
+          <input
+            type="text"
+            value={portfolioName}
+            onChange={(e) => setPortfolioName(e.target.value)}
+            maxLength={100}
+            className="w-full px-4 py-3 rounded-xl mb-6"
+            style={{
+              backgroundColor: "var(--bg-input)",
+              border: "1px solid var(--border-subtle)",
+              color: "var(--text-primary)",
+            }}
+          />
+
+          <label
+            className="flex flex-col items-center justify-center p-8 rounded-xl border-2 border-dashed cursor-pointer hover:opacity-80"
+            style={{ borderColor: "var(--border-subtle)" }}
+          >
+            <Upload
+              className="w-12 h-12 mb-4"
+              style={{ color: "var(--accent-purple)" }}
+            />
+            <span
+              className="font-medium"
+              style={{ color: "var(--text-primary)" }}
+            >
+              {fileName || "Choose a CSV file"}
+            </span>
+            <span
+              className="text-xs mt-1"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              .csv up to 900 KB
+            </span>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </label>
+
+          <div className="flex justify-center mt-6">
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={!csvText || isParsing}
+              className="px-8 py-3 rounded-xl font-semibold disabled:opacity-50"
+              style={{
+                background:
+                  "linear-gradient(135deg, var(--accent-purple), var(--accent-blue))",
+                color: "white",
+              }}
+            >
+              {isParsing ? "Parsing..." : "Preview Import"}
+            </button>
+          </div>
         </div>
+
+        {preview && (
+          <ImportPreview
+            preview={preview}
+            stats={[
+              { label: "Rows", value: preview.stats.totalRows },
+              { label: "Valid Rows", value: preview.stats.validRows },
+              { label: "Rows To Fix", value: preview.stats.invalidRows },
+              { label: "Funds", value: preview.stats.funds },
+            ]}
+            isSubmitting={isSubmitting}
+            onCancel={() => setPreview(null)}
+            onSave={handleSave}
+            rowErrorsTitle="Rows To Fix"
+          />
+        )}
       </div>
     </PrivateLayout>
   );
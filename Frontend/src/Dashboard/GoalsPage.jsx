@@ -0,0 +1,248 @@
+import { useState, useEffect } from "react";
+import PrivateLayout from "./PrivateLayout";
+import GoalCard from "./Goals_Components/GoalCard";
+import GoalForm from "./Goals_Components/GoalForm";
+import {
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  getGoalAnalysis,
+} from "../service/goalService";
+import { getPortfolios } from "../service/portfolioService";
+import { Plus, Target } from "lucide-react";
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+export default function GoalsPage() {
+  const [analysis, setAnalysis] = useState(null);
+  const [portfolios, setPortfolios] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [deleteId, setDeleteId] = useState(null);
+  // null: form closed, {}: new goal, goal projection: editing it
+  const [editing, setEditing] = useState(null);
+
+  // Fetch goal projections and portfolios (for fund links) on mount
+  useEffect(() => {
+    fetchGoals();
+  }, []);
+
+  const fetchGoals = async () => {
+    try {
+      setIsLoading(true);
+      setError("");
+      const [goalResponse, portfolioResponse] = await Promise.all([
+        getGoalAnalysis(),
+        getPortfolios(),
+      ]);
+      setAnalysis(goalResponse.data);
+      setPortfolios(portfolioResponse.data.portfolios);
+    } catch (err) {
+      setError(err.message || "Failed to load goals");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = async (goalData) => {
+    if (editing?.goalId) {
+      await updateGoal(editing.goalId, goalData);
+    } else {
+      await createGoal(goalData);
+    }
+    setEditing(null);
+    await fetchGoals();
+  };
+
+  const handleDelete = async (goalId) => {
+    if (!window.confirm("Are you sure you want to delete this goal?")) {
+      return;
+    }
+
+    try {
+      setDeleteId(goalId);
+      await deleteGoal(goalId);
+      await fetchGoals();
+    } catch (err) {
+      setError(err.message || "Failed to delete goal");
+    } finally {
+      setDeleteId(null);
+    }
+  };
+
+  const goals = analysis?.goals || [];
+  const summary = analysis?.summary;
+
+  return (
+    <PrivateLayout pageTitle="Goals">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-8">
+        <div>
+          <h1
+            className="text-2xl font-bold mb-1"
+            style={{ color: "var(--text-primary)" }}
+          >
+            My Goals
+          </h1>
+          <p style={{ color: "var(--text-secondary)" }}>
+            Link funds to each goal and see whether it stays on track
+          </p>
+        </div>
+        {!editing && (
+          <button
+            onClick={() => setEditing({})}
+            className="flex items-center gap-2 px-5 py-2.5 rounded-xl font-medium transition-all hover:opacity-90 hover:scale-105"
+            style={{
+              background:
+                "linear-gradient(135deg, var(--accent-purple), var(--accent-blue))",
+              color: "white",
+            }}
+          >
+            <Plus className="w-5 h-5" />
+            Add Goal
+          </button>
+        )}
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div
+          className="mb-6 p-4 rounded-xl flex items-center justify-between"
+          style={{
+            backgroundColor: "rgba(239, 68, 68, 0.1)",
+            border: "1px solid rgba(239, 68, 68, 0.3)",
+            color: "#ef4444",
+          }}
+        >
+          <span>{error}</span>
+          <button
+            onClick={fetchGoals}
+            className="ml-4 px-3 py-1 rounded-lg text-sm font-medium hover:bg-red-500/20 transition-colors"
+          >
+            Retry
+          </button>
+        </div>
+      )}
+
+      {editing && (
+        <GoalForm
+          key={editing.goalId || "new"}
+          goal={editing.goalId ? editing : null}
+          portfolios={portfolios}
+          onSubmit={handleSubmit}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {/* Loading State */}
+      {isLoading && (
+        <div className="flex flex-col justify-center items-center py-20">
+          <div
+            className="w-12 h-12 border-4 border-t-transparent rounded-full animate-spin mb-4"
+            style={{
+              borderColor: "var(--accent-purple)",
+              borderTopColor: "transparent",
+            }}
+          />
+          <p style={{ color: "var(--text-secondary)" }}>
+            Loading your goals...
+          </p>
+        </div>
+      )}
+
+      {/* Empty State */}
+      {!isLoading && !error && goals.length === 0 && !editing && (
+        <div
+          className="p-12 rounded-2xl text-center"
+          style={{
+            backgroundColor: "var(--bg-card)",
+            border: "1px solid var(--border-subtle)",
+            boxShadow: "var(--shadow-card)",
+          }}
+        >
+          <Target
+            className="w-12 h-12 mx-auto mb-4"
+            style={{ color: "var(--accent-purple)" }}
+          />
+          <h3
+            className="text-xl font-semibold mb-2"
+            style={{ color: "var(--text-primary)" }}
+          >
+            No goals yet
+          </h3>
+          <p
+            className="max-w-md mx-auto"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Add a goal - a house, education, retirement - and link funds to it
+            to see the projected corpus and the SIP needed to get there.
+          </p>
+        </div>
+      )}
+
+      {/* Summary */}
+      {!isLoading && summary && goals.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          {[
+            ["Total target", formatCurrency(summary.totalTarget)],
+            ["Value today", formatCurrency(summary.totalCurrentValue)],
+            ["Projected", formatCurrency(summary.totalProjected)],
+            [
+              "Extra SIP needed",
+              `${formatCurrency(summary.totalExtraMonthlySip)}/mo`,
+            ],
+          ].map(([label, value]) => (
+            <div
+              key={label}
+              className="p-4 rounded-2xl border"
+              style={{
+                backgroundColor: "var(--bg-card)",
+                borderColor: "var(--border-subtle)",
+              }}
+            >
+              <p
+                className="text-sm"
+                style={{ color: "var(--text-secondary)" }}
+              >
+                {label}
+              </p>
+              <p
+                className="text-xl font-bold"
+                style={{ color: "var(--text-primary)" }}
+              >
+                {value}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Goal Cards */}
+      {!isLoading && goals.length > 0 && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {goals.map((goal) => (
+            <GoalCard
+              key={goal.goalId}
+              goal={goal}
+              onEdit={setEditing}
+              onDelete={handleDelete}
+              isDeleting={deleteId === goal.goalId}
+            />
+          ))}
+        </div>
+      )}
+
+      {!isLoading && analysis?.asOf && goals.length > 0 && (
+        <p className="mt-6 text-xs" style={{ color: "var(--text-secondary)" }}>
+          Projections start from NAVs as of {analysis.asOf} and assume fixed
+          long-run returns by asset type. Not financial advice.
+        </p>
+      )}
+    </PrivateLayout>
+  );
+}
@@ -0,0 +1,207 @@
+import { Calendar, Edit3, Trash2, Target } from "lucide-react";
+
+/**
+ * Goal Card Component
+ *
+ * One goal's projection from GET /api/goals/analysis
+ * - Progress bar: value today vs the inflated target, with the
+ *   projected corpus shown behind it
+ * - Shortfall and the extra monthly SIP that would close it
+ */
+
+const STATUS_STYLES = {
+  achieved: { label: "Achieved", color: "#22c55e" },
+  on_track: { label: "On track", color: "#22c55e" },
+  at_risk: { label: "At risk", color: "#f59e0b" },
+  off_track: { label: "Off track", color: "#ef4444" },
+};
+
+const PRIORITY_LABELS = { high: "High", medium: "Medium", low: "Low" };
+
+const SHORT_MONTHS = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(" ");
+
+const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return "—";
+  return new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+export default function GoalCard({ goal, onEdit, onDelete, isDeleting }) {
+  const status = STATUS_STYLES[goal.status] || STATUS_STYLES.off_track;
+  const progress = Math.min(goal.progressPercent, 100);
+  const projected = Math.min(goal.projectedPercent, 100);
+
+  return (
+    <div
+      className="rounded-2xl border p-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        borderColor: "var(--border-subtle)",
+        boxShadow: "var(--shadow-card)",
+      }}
+    >
+      {/* Header */}
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div className="flex items-center gap-3">
+          <div
+            className="w-10 h-10 rounded-xl flex items-center justify-center"
+            style={{ backgroundColor: "rgba(139, 92, 246, 0.1)" }}
+          >
+            <Target
+              className="w-5 h-5"
+              style={{ color: "var(--accent-purple)" }}
+            />
+          </div>
+          <div>
+            <h3
+              className="text-lg font-semibold"
+              style={{ color: "var(--text-primary)" }}
+            >
+              {goal.name}
+            </h3>
+            <p
+              className="text-sm flex items-center gap-1"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              <Calendar className="w-3.5 h-3.5" />
+              {SHORT_MONTHS[goal.targetMonth - 1]} {goal.targetYear} ·{" "}
+              {PRIORITY_LABELS[goal.priority]} priority
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <span
+            className="px-2.5 py-1 rounded-full text-xs font-semibold"
+            style={{
+              color: status.color,
+              backgroundColor: `${status.color}1a`,
+            }}
+          >
+            {status.label}
+          </span>
+          <button
+            onClick={() => onEdit(goal)}
+            className="p-2 rounded-lg hover:bg-white/5"
+            style={{ color: "var(--text-secondary)" }}
+            title="Edit goal"
+          >
+            <Edit3 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => onDelete(goal.goalId)}
+            disabled={isDeleting}
+            className="p-2 rounded-lg hover:bg-red-500/10 disabled:opacity-50"
+            style={{ color: "#ef4444" }}
+            title="Delete goal"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {/* Progress: today (solid) and projected (faded) */}
+      <div className="mb-2 flex justify-between text-sm">
+        <span style={{ color: "var(--text-secondary)" }}>
+          {formatCurrency(goal.currentValue)} of{" "}
+          {formatCurrency(goal.inflatedTarget)}
+        </span>
+        <span style={{ color: "var(--text-primary)" }}>
+          {goal.progressPercent.toFixed(0)}%
+        </span>
+      </div>
+      <div
+        className="relative h-3 rounded-full overflow-hidden mb-1"
+        style={{ backgroundColor: "var(--bg-app)" }}
+      >
+        <div
+          className="absolute inset-y-0 left-0 rounded-full"
+          style={{
+            width: `${projected}%`,
+            backgroundColor: status.color,
+            opacity: 0.25,
+          }}
+        />
+        <div
+          className="absolute inset-y-0 left-0 rounded-full"
+          style={{
+            width: `${progress}%`,
+            backgroundColor: status.color,
+          }}
+        />
+      </div>
+      <p className="text-xs mb-4" style={{ color: "var(--text-secondary)" }}>
+        Projected {goal.projectedPercent.toFixed(0)}% by the target date ·{" "}
+        {formatCurrency(goal.targetAmount)} in today&apos;s money at{" "}
+        {goal.inflationRate}% inflation
+      </p>
+
+      {/* Numbers */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        {[
+          ["Projected", formatCurrency(goal.projectedValue)],
+          ["Monthly SIP", formatCurrency(goal.monthlySip)],
+          ["Shortfall", formatCurrency(goal.shortfall)],
+          [
+            "Extra SIP needed",
+            goal.shortfall > 0
+              ? `${formatCurrency(goal.extraMonthlySip)}/mo`
+              : "—",
+          ],
+        ].map(([label, value]) => (
+          <div
+            key={label}
+            className="p-3 rounded-xl"
+            style={{ backgroundColor: "var(--bg-app)" }}
+          >
+            <p className="text-xs" style={{ color: "var(--text-secondary)" }}>
+              {label}
+            </p>
+            <p
+              className="font-semibold"
+              style={{ color: "var(--text-primary)" }}
+            >
+              {value}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Linked funds */}
+      {goal.funds.length > 0 ? (
+        <div className="space-y-1">
+          {goal.funds.map((fund) => (
+            <div
+              key={`${fund.portfolioId}-${fund.fundName}`}
+              className="flex justify-between text-sm"
+            >
+              <span style={{ color: "var(--text-secondary)" }}>
+                {fund.fundName}
+                {fund.allocationPercent < 100 &&
+                  ` (${fund.allocationPercent}%)`}
+              </span>
+              <span style={{ color: "var(--text-primary)" }}>
+                {formatCurrency(fund.currentValue)}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          No funds linked yet - edit the goal to link funds from your
+          portfolios.
+        </p>
+      )}
+
+      {goal.warnings.length > 0 && (
+        <ul className="mt-3 text-xs" style={{ color: "#f59e0b" }}>
+          {goal.warnings.map((w) => (
+            <li key={w}>{w}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,349 @@
+import { useState } from "react";
+import { Plus, X } from "lucide-react";
+
+/**
+ * Goal Form Component
+ *
+ * Create or edit a goal and link funds from the user's portfolios
+ * - Target amount is in today's rupees (inflation applied by the backend)
+ * - Each link takes a share of one fund; a fund can be split across goals
+ */
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const inputStyle = {
+  backgroundColor: "var(--bg-app)",
+  border: "1px solid var(--border-subtle)",
+  color: "var(--text-primary)",
+};
+
+const labelClass = "block text-sm font-medium mb-1";
+
+/**
+ * Form state from a goal projection (edit) or blank (create)
+ */
+const toFormState = (goal) => ({
+  name: goal?.name || "",
+  targetAmount: goal?.targetAmount ?? "",
+  targetMonth: goal?.targetMonth || 1,
+  targetYear: goal?.targetYear || new Date().getFullYear() + 5,
+  inflationRate: goal?.inflationRate ?? 6,
+  priority: goal?.priority || "medium",
+  linkedFunds: (goal?.funds || []).map((f) => ({
+    key: `${f.portfolioId}::${f.fundName}`,
+    allocationPercent: f.allocationPercent,
+  })),
+});
+
+export default function GoalForm({ goal, portfolios, onSubmit, onCancel }) {
+  const [form, setForm] = useState(() => toFormState(goal));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Every fund across the user's portfolios, once per portfolio
+  const fundOptions = portfolios.flatMap((p) =>
+    [...new Set(p.funds.map((f) => f.assetName))].map((fundName) => ({
+      key: `${p._id}::${fundName}`,
+      label: `${fundName} — ${p.name}`,
+    }))
+  );
+
+  const update = (field, value) => setForm({ ...form, [field]: value });
+
+  const updateLink = (index, field, value) =>
+    update(
+      "linkedFunds",
+      form.linkedFunds.map((link, i) =>
+        i === index ? { ...link, [field]: value } : link
+      )
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      setIsSaving(true);
+      await onSubmit({
+        name: form.name.trim(),
+        targetAmount: parseFloat(form.targetAmount),
+        targetMonth: parseInt(form.targetMonth),
+        targetYear: parseInt(form.targetYear),
+        inflationRate: parseFloat(form.inflationRate),
+        priority: form.priority,
+        linkedFunds: form.linkedFunds
+          .filter((link) => link.key)
+          .map((link) => {
+            const [portfolioId, fundName] = link.key.split("::");
+            return {
+              portfolioId,
+              fundName,
+              allocationPercent: parseFloat(link.allocationPercent) || 100,
+            };
+          }),
+      });
+    } catch (err) {
+      setError(err.message || "Failed to save goal");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="rounded-2xl border p-6 mb-8 space-y-4"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        borderColor: "var(--border-subtle)",
+        boxShadow: "var(--shadow-card)",
+      }}
+    >
+      <h3
+        className="text-lg font-semibold"
+        style={{ color: "var(--text-primary)" }}
+      >
+        {goal ? "Edit Goal" : "New Goal"}
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Goal name
+          </label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => update("name", e.target.value)}
+            placeholder="e.g., House down payment"
+            required
+            maxLength={100}
+            className="w-full p-3 rounded-xl outline-none"
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label
+            className={labelClass}
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Target amount (today&apos;s ₹)
+          </label>
+          <input
+            type="number"
+            value={form.targetAmount}
+            onChange={(e) => update("targetAmount", e.target.value)}
+            placeholder="2000000"
+            min="1"
+            required
+            className="w-full p-3 rounded-xl outline-none"
+            style={inputStyle}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label
+              className={labelClass}
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Target month
+            </label>
+            <select
+              value={form.targetMonth}
+              onChange={(e) => update("targetMonth", e.target.value)}
+              className="w-full p-3 rounded-xl outline-none"
+              style={inputStyle}
+            >
+              {MONTHS.map((month, i) => (
+                <option key={month} value={i + 1}>
+                  {month}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label
+              className={labelClass}
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Target year
+            </label>
+            <input
+              type="number"
+              value={form.targetYear}
+              onChange={(e) => update("targetYear", e.target.value)}
+              min={new Date().getFullYear()}
+              max="2100"
+              required
+              className="w-full p-3 rounded-xl outline-none"
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label
+              className={labelClass}
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Inflation (% p.a.)
+            </label>
+            <input
+              type="number"
+              value={form.inflationRate}
+              onChange={(e) => update("inflationRate", e.target.value)}
+              min="0"
+              max="20"
+              step="0.5"
+              className="w-full p-3 rounded-xl outline-none"
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label
+              className={labelClass}
+              style={{ color: "var(--text-secondary)" }}
+            >
+              Priority
+            </label>
+            <select
+              value={form.priority}
+              onChange={(e) => update("priority", e.target.value)}
+              className="w-full p-3 rounded-xl outline-none"
+              style={inputStyle}
+            >
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Linked funds */}
+      <div>
+        <p className={labelClass} style={{ color: "var(--text-secondary)" }}>
+          Linked funds
+        </p>
+        {fundOptions.length === 0 && (
+          <p
+            className="text-sm mb-2"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Add a portfolio first to link its funds to this goal.
+          </p>
+        )}
+        <div className="space-y-2">
+          {form.linkedFunds.map((link, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select
+                value={link.key}
+                onChange={(e) => updateLink(index, "key", e.target.value)}
+                className="flex-1 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+              >
+                <option value="">Select a fund</option>
+                {fundOptions.map((option) => (
+                  <option key={option.key} value={option.key}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={link.allocationPercent}
+                onChange={(e) =>
+                  updateLink(index, "allocationPercent", e.target.value)
+                }
+                min="1"
+                max="100"
+                className="w-20 p-2 rounded-lg outline-none text-sm"
+                style={inputStyle}
+                title="Share of this fund counted for the goal"
+              />
+              <span style={{ color: "var(--text-secondary)" }}>%</span>
+              <button
+                type="button"
+                onClick={() =>
+                  update(
+                    "linkedFunds",
+                    form.linkedFunds.filter((_, i) => i !== index)
+                  )
+                }
+                className="p-2 rounded-lg hover:bg-red-500/10"
+                style={{ color: "#ef4444" }}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        {fundOptions.length > 0 && (
+          <button
+            type="button"
+            onClick={() =>
+              update("linkedFunds", [
+                ...form.linkedFunds,
+                { key: "", allocationPercent: 100 },
+              ])
+            }
+            className="mt-2 flex items-center gap-1 text-sm font-medium"
+            style={{ color: "var(--accent-purple)" }}
+          >
+            <Plus className="w-4 h-4" />
+            Link a fund
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm" style={{ color: "#ef4444" }}>
+          {error}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-5 py-2.5 rounded-xl font-medium"
+          style={{
+            backgroundColor: "var(--bg-app)",
+            border: "1px solid var(--border-subtle)",
+            color: "var(--text-primary)",
+          }}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-5 py-2.5 rounded-xl font-medium transition-all hover:opacity-90 disabled:opacity-50"
+          style={{
+            background:
+              "linear-gradient(135deg, var(--accent-purple), var(--accent-blue))",
+            color: "white",
+          }}
+        >
+          {isSaving ? "Saving..." : goal ? "Save Goal" : "Create Goal"}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -3,6 +3,7 @@ import { useAnalysis } from "../../context/AnalysisContext";
 import { usePortfolio } from "../../context/PortfolioContext";
 import DemoDisclaimer, { DemoBadge } from "../../components/DemoDisclaimer";
 import { AllocationDonutChart } from "../../components/charts";
+import ProjectionSection from "./ProjectionSection";
 import {
   Sparkles,
   RefreshCw,
@@ -262,6 +263,7 @@ export default function InsightsResults() {
     performance?.fundPerformance || performance?.funds || [];
   const assetAllocation = diversification?.assetAllocation || {};
   const categoryDistribution = diversification?.categoryDistribution || {};
+  const byMarketValue = diversification?.weightBasis === "marketValue";
 
   return (
     <div className="space-y-6">
@@ -490,7 +492,12 @@ export default function InsightsResults() {
             size={200}
             strokeWidth={35}
             showLegend={true}
-            totalInvested={performanceSummary?.totalInvested || null}
+            totalInvested={
+              (byMarketValue
+                ? performanceSummary?.currentValue
+                : performanceSummary?.totalInvested) || null
+            }
+            totalLabel={byMarketValue ? "Market Value" : "Total Invested"}
           />
         </div>
 
@@ -729,6 +736,11 @@ export default function InsightsResults() {
         </div>
       </div>
 
+      {/* Projection (saved portfolios only) */}
+      {portfolioSummary?.id && !portfolioSummary.isSample && (
+        <ProjectionSection portfolioId={portfolioSummary.id} />
+      )}
+
       {/* Recommendations */}
       {recommendations.length > 0 && (
         <div
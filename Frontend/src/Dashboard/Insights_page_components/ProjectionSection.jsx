@@ -0,0 +1,189 @@
+import { useState } from "react";
+import { ProjectionFanChart } from "../../components/charts";
+import { getProjection } from "../../service/analysisService";
+import { Play } from "lucide-react";
+
+/**
+ * Projection Section
+ *
+ * Monte Carlo what-if for a saved portfolio: the user picks a horizon
+ * (and optionally a target), the backend simulates and returns yearly
+ * 10/50/90 percentile bands, shown as a fan chart.
+ */
+
+const HORIZONS = [5, 10, 15, 20, 25, 30];
+
+const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return "—";
+  return new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const inputStyle = {
+  backgroundColor: "var(--bg-input)",
+  border: "1px solid var(--border-subtle)",
+  color: "var(--text-primary)",
+};
+
+export default function ProjectionSection({ portfolioId }) {
+  const [years, setYears] = useState(10);
+  const [target, setTarget] = useState("");
+  const [projection, setProjection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const runProjection = async () => {
+    try {
+      setLoading(true);
+      setError("");
+      const response = await getProjection(portfolioId, {
+        years,
+        ...(parseFloat(target) > 0 && { target: parseFloat(target) }),
+      });
+      setProjection(response.data);
+    } catch (err) {
+      setError(err.message || "Failed to run projection");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="rounded-xl p-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <h2
+        className="text-xl font-bold mb-1"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Future Value Projection
+      </h2>
+      <p className="text-sm mb-6" style={{ color: "var(--text-secondary)" }}>
+        Monte Carlo simulation of today&apos;s holdings plus your ongoing SIPs
+      </p>
+
+      {/* Inputs */}
+      <div className="flex flex-wrap items-end gap-4 mb-6">
+        <div>
+          <label
+            className="block text-xs font-medium mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Horizon
+          </label>
+          <select
+            value={years}
+            onChange={(e) => setYears(parseInt(e.target.value))}
+            className="p-2 rounded-lg outline-none text-sm"
+            style={inputStyle}
+          >
+            {HORIZONS.map((y) => (
+              <option key={y} value={y}>
+                {y} years
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label
+            className="block text-xs font-medium mb-1"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            Target amount (optional)
+          </label>
+          <input
+            type="number"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder="5000000"
+            min="0"
+            className="p-2 rounded-lg outline-none text-sm w-40"
+            style={inputStyle}
+          />
+        </div>
+        <button
+          onClick={runProjection}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all hover:opacity-90 disabled:opacity-50"
+          style={{
+            background:
+              "linear-gradient(135deg, var(--accent-purple), var(--accent-blue))",
+            color: "white",
+          }}
+        >
+          <Play className="w-4 h-4" />
+          {loading ? "Simulating..." : "Run projection"}
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm mb-4" style={{ color: "#ef4444" }}>
+          {error}
+        </p>
+      )}
+
+      {projection && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {[
+              ["Pessimistic (10th)", formatCurrency(projection.final.p10)],
+              ["Median", formatCurrency(projection.final.p50)],
+              ["Optimistic (90th)", formatCurrency(projection.final.p90)],
+              projection.target
+                ? ["Chance of target", `${projection.target.probability}%`]
+                : ["Money put in", formatCurrency(projection.final.contributed)],
+            ].map(([label, value]) => (
+              <div
+                key={label}
+                className="rounded-lg p-4"
+                style={{
+                  backgroundColor: "var(--bg-input)",
+                  border: "1px solid var(--border-subtle)",
+                }}
+              >
+                <p
+                  className="text-xs"
+                  style={{ color: "var(--text-tertiary)" }}
+                >
+                  {label}
+                </p>
+                <p
+                  className="text-lg font-bold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {value}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <ProjectionFanChart
+            bands={projection.bands}
+            target={projection.target?.amount}
+          />
+
+          <p className="text-xs mt-4" style={{ color: "var(--text-tertiary)" }}>
+            {projection.simulations} simulations from {projection.asOf} with
+            a monthly SIP of {formatCurrency(projection.monthlySip)}. Returns
+            and volatility come from each fund&apos;s NAV history (or its
+            category pattern). Simulated data - not a forecast.
+          </p>
+          {projection.warnings.length > 0 && (
+            <ul className="mt-2 text-xs" style={{ color: "#f59e0b" }}>
+              {projection.warnings.map((w) => (
+                <li key={w}>{w}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
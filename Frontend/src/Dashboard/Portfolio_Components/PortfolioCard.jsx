@@ -387,11 +387,11 @@ function PortfolioDetailsModal({
     const startDate = `${formatMonth(sip.startMonth)} ${sip.startYear}`;
 
     if (sip.isOngoing !== false) {
-      // Ongoing SIP - evaluated till Dec 2024 (NAV cutoff)
+      // Ongoing SIP - evaluated till the latest NAV month
       return {
         main: `${amount}/month`,
-        duration: `${startDate} – Dec 2024`,
-        status: "Ongoing (evaluated till Dec 2024)",
+        duration: `${startDate} – Present`,
+        status: "Ongoing (evaluated till latest NAV)",
         isOngoing: true,
       };
     } else {
@@ -1,10 +1,11 @@
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import PrivateLayout from "../PrivateLayout";
 import { useAnalysis } from "../../context/AnalysisContext";
 import { usePortfolio } from "../../context/PortfolioContext";
 import DemoDisclaimer, { DemoBadge } from "../../components/DemoDisclaimer";
 import ReportEmptyState from "./ReportEmptyState";
+import { getTaxReport } from "../../service/analysisService";
 import {
   PieChart,
   ShieldAlert,
@@ -14,11 +15,13 @@ import {
   Download,
   TrendingUp,
   BarChart3,
+  Receipt,
 } from "lucide-react";
 import {
   AllocationDonutChart,
   SectorConcentrationChart,
   InvestmentGrowthChart,
+  OverlapVisualization,
 } from "../../components/charts";
 
 /**
@@ -33,6 +36,15 @@ const formatCurrency = (amount) => {
   }).format(amount);
 };
 
+/**
+ * Format a "YYYY-MM" key as "Mar 2020"
+ */
+const SHORT_MONTHS = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(" ");
+const formatMonth = (key) =>
+  key
+    ? `${SHORT_MONTHS[parseInt(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}`
+    : "—";
+
 const ReportTab = () => {
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState("summary");
@@ -62,6 +74,7 @@ const ReportTab = () => {
     { id: "performance", label: "Performance", icon: "📈" },
     { id: "allocation", label: "Allocation", icon: "🎯" },
     { id: "risk", label: "Risk", icon: "⚠️" },
+    { id: "tax", label: "Tax", icon: "🧾" },
   ];
 
   // Handle generate analysis
@@ -229,12 +242,19 @@ const ReportTab = () => {
   const performanceSummary = performance?.summary || {};
   const fundPerformance =
     performance?.fundPerformance || performance?.funds || [];
-  const cashflows = performance?.cashflows || [];
+  const timeSeries = performance?.timeSeries || [];
   const assetAllocation = diversification?.assetAllocation || {};
   const categoryDistribution = diversification?.categoryDistribution || {};
   const marketCapExposure = diversification?.marketCapExposure || {};
   const sectorExposure = diversification?.sectorExposure || {};
+  const stockOverlap = diversification?.stockOverlap || [];
+  const fundOverlap = diversification?.fundOverlap || [];
   const concentrationRisks = diversification?.concentrationRisks || [];
+  const weightBasis = diversification?.weightBasis || "cost";
+  const allocationByCost = diversification?.allocationByCost || null;
+  const allocationByMarketValue =
+    diversification?.allocationByMarketValue || null;
+  const priceRisk = performance?.risk || null;
 
   const renderTabContent = () => {
     switch (activeTab) {
@@ -253,7 +273,7 @@ const ReportTab = () => {
             performanceSummary={performanceSummary}
             fundPerformance={fundPerformance}
             reportData={reportData}
-            cashflows={cashflows}
+            timeSeries={timeSeries}
           />
         );
       case "allocation":
@@ -263,18 +283,35 @@ const ReportTab = () => {
             categoryDistribution={categoryDistribution}
             marketCapExposure={marketCapExposure}
             sectorExposure={sectorExposure}
+            stockOverlap={stockOverlap}
+            fundOverlap={fundOverlap}
             fundPerformance={fundPerformance}
             totalInvested={performanceSummary.totalInvested}
+            currentValue={performanceSummary.currentValue}
+            weightBasis={weightBasis}
+            allocationByCost={allocationByCost}
+            allocationByMarketValue={allocationByMarketValue}
           />
         );
       case "risk":
         return (
           <RiskTab
+            priceRisk={priceRisk}
             concentrationRisks={concentrationRisks}
             insights={insights}
             reportData={reportData}
           />
         );
+      case "tax":
+        return (
+          <TaxTab
+            portfolioId={portfolioSummary?.id}
+            isSample={
+              portfolioSummary?.isSample ||
+              portfolioSummary?.id === "sample-portfolio"
+            }
+          />
+        );
       default:
         return null;
     }
@@ -734,11 +771,424 @@ const SummaryTab = ({
 // ═══════════════════════════════════════════════════════════════
 // PERFORMANCE TAB
 // ═══════════════════════════════════════════════════════════════
+const GainCard = ({ label, value, note, color }) => (
+  <div
+    className="rounded-xl p-5"
+    style={{
+      backgroundColor: "var(--bg-card)",
+      border: "1px solid var(--border-subtle)",
+    }}
+  >
+    <p className="text-sm font-medium" style={{ color: "var(--text-secondary)" }}>
+      {label}
+    </p>
+    <p className="mt-2 text-2xl font-bold" style={{ color }}>
+      {value}
+    </p>
+    <p className="mt-1 text-xs" style={{ color: "var(--text-tertiary)" }}>
+      {note}
+    </p>
+  </div>
+);
+
+const signedPercent = (value) =>
+  value === null || value === undefined
+    ? "—"
+    : `${value >= 0 ? "+" : ""}${value}%`;
+
+const BenchmarkComparison = ({ summary, fundPerformance }) => {
+  const compared = fundPerformance.filter((fund) => fund.benchmark);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <GainCard
+          label="Same Money in Benchmarks"
+          value={formatCurrency(summary.benchmarkValue)}
+          note={`vs ${formatCurrency(summary.fundValue)} in your funds`}
+          color="var(--text-primary)"
+        />
+        <GainCard
+          label="Benchmark XIRR"
+          value={`${summary.xirr ?? 0}%`}
+          note={`Your funds: ${summary.fundXirr ?? 0}%`}
+          color="#3b82f6"
+        />
+        <GainCard
+          label="Alpha"
+          value={signedPercent(summary.alpha)}
+          note={`${summary.fundsBeatingBenchmark} of ${summary.fundsCompared} funds beat their index`}
+          color={summary.excessReturn >= 0 ? "#22c55e" : "#ef4444"}
+        />
+      </div>
+
+      <div
+        className="rounded-xl overflow-hidden"
+        style={{
+          backgroundColor: "var(--bg-card)",
+          border: "1px solid var(--border-subtle)",
+        }}
+      >
+        <div
+          className="px-6 py-4"
+          style={{ borderBottom: "1px solid var(--border-subtle)" }}
+        >
+          <h3
+            className="text-lg font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Fund vs Benchmark
+          </h3>
+          <p className="text-sm mt-1" style={{ color: "var(--text-tertiary)" }}>
+            Each fund&apos;s cashflows replayed into its benchmark index
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead style={{ background: "var(--bg-input)" }}>
+              <tr>
+                {["Fund", "Benchmark", "Fund XIRR", "Index XIRR", "Alpha"].map(
+                  (heading, i) => (
+                    <th
+                      key={heading}
+                      className={`px-6 py-4 text-xs font-semibold uppercase tracking-wider ${
+                        i < 2 ? "text-left" : "text-right"
+                      }`}
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {heading}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {compared.map((fund, index) => {
+                const alphaColor =
+                  fund.benchmark.beatBenchmark ? "#22c55e" : "#ef4444";
+
+                return (
+                  <tr
+                    key={index}
+                    style={{
+                      borderBottom:
+                        index !== compared.length - 1
+                          ? "1px solid var(--border-subtle)"
+                          : "none",
+                    }}
+                  >
+                    <td
+                      className="px-6 py-4 text-sm font-semibold"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {fund.fundName}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-sm"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {fund.benchmark.name}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right text-sm"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {fund.xirr ?? "—"}%
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right text-sm"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {fund.benchmark.xirr ?? "—"}%
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <span
+                        className="text-sm font-semibold"
+                        style={{ color: alphaColor }}
+                      >
+                        {fund.benchmark.beatBenchmark ? "✓" : "✗"}{" "}
+                        {signedPercent(fund.benchmark.alpha)}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const FixedDepositSummary = ({ fundPerformance }) => {
+  const deposits = fundPerformance.filter((fund) => fund.fixedDeposit);
+  if (deposits.length === 0) return null;
+
+  return (
+    <div
+      className="rounded-xl p-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <h3
+        className="text-lg font-semibold"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Fixed Deposits
+      </h3>
+      <p className="text-sm mt-1" style={{ color: "var(--text-tertiary)" }}>
+        Valued by interest accrued so far; paid out at maturity
+      </p>
+
+      <div className="mt-4 space-y-3">
+        {deposits.map((fund) => {
+          const deposit = fund.fixedDeposit;
+          const isMatured = deposit.status === "matured";
+
+          return (
+            <div
+              key={fund.fundName}
+              className="flex flex-wrap items-center justify-between gap-3 rounded-lg p-4"
+              style={{ backgroundColor: "var(--bg-input)" }}
+            >
+              <div>
+                <p
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {fund.fundName}
+                </p>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{ color: "var(--text-tertiary)" }}
+                >
+                  {deposit.rate}% ({deposit.effectiveYield}% effective) •{" "}
+                  {formatCurrency(deposit.principal)} from{" "}
+                  {formatMonth(deposit.startMonth)}
+                </p>
+              </div>
+              <div className="text-right">
+                <p
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {formatCurrency(deposit.maturityAmount)} on{" "}
+                  {formatMonth(deposit.maturityMonth)}
+                </p>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{
+                    color: isMatured ? "#22c55e" : "var(--text-tertiary)",
+                  }}
+                >
+                  {isMatured
+                    ? "Matured"
+                    : `Matures in ${deposit.monthsToMaturity} month${
+                        deposit.monthsToMaturity === 1 ? "" : "s"
+                      }`}{" "}
+                  • {formatCurrency(deposit.accruedInterest)} interest
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// What can be taken out of a retirement scheme as of the valuation month
+const SCHEME_STATUS_LABELS = {
+  locked: "Locked in",
+  partial_withdrawal: "Partial withdrawals allowed",
+  open: "Withdraw any time",
+  matured: "Matured",
+};
+
+const RetirementSchemeSummary = ({ fundPerformance }) => {
+  const accounts = fundPerformance.filter((fund) => fund.scheme);
+  if (accounts.length === 0) return null;
+
+  const describeTerms = (scheme) => {
+    if (scheme.scheme === "PPF") {
+      return `${scheme.rate}% • opened ${formatMonth(
+        scheme.openedMonth
+      )} • ${formatCurrency(scheme.depositedThisYear)} of ${formatCurrency(
+        scheme.yearlyLimit
+      )} deposited this FY`;
+    }
+    if (scheme.scheme === "EPF") {
+      return `${scheme.rate}% • ${formatCurrency(
+        scheme.employeeContributed
+      )} yours + ${formatCurrency(scheme.employerContributed)} employer`;
+    }
+    const { E, C, G } = scheme.allocation;
+    return `Tier ${scheme.tier} • E ${E}% / C ${C}% / G ${G}%`;
+  };
+
+  return (
+    <div
+      className="rounded-xl p-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <h3
+        className="text-lg font-semibold"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Lock-in & Maturity
+      </h3>
+      <p className="text-sm mt-1" style={{ color: "var(--text-tertiary)" }}>
+        PPF and EPF earn notified rates; NPS follows its E / C / G schemes
+      </p>
+
+      <div className="mt-4 space-y-3">
+        {accounts.map((fund) => {
+          const scheme = fund.scheme;
+          const isFree = ["matured", "open"].includes(scheme.status);
+
+          return (
+            <div
+              key={fund.fundName}
+              className="flex flex-wrap items-center justify-between gap-3 rounded-lg p-4"
+              style={{ backgroundColor: "var(--bg-input)" }}
+            >
+              <div>
+                <p
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {fund.fundName}{" "}
+                  <span style={{ color: "var(--text-tertiary)" }}>
+                    ({scheme.scheme})
+                  </span>
+                </p>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{ color: "var(--text-tertiary)" }}
+                >
+                  {describeTerms(scheme)}
+                </p>
+              </div>
+              <div className="text-right">
+                <p
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {scheme.maturityMonth
+                    ? `Matures ${formatMonth(scheme.maturityMonth)}`
+                    : scheme.lockInRule}
+                </p>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{
+                    color: isFree ? "#22c55e" : "var(--text-tertiary)",
+                  }}
+                >
+                  {SCHEME_STATUS_LABELS[scheme.status]}
+                  {scheme.status === "partial_withdrawal" &&
+                    ` (since ${formatMonth(scheme.withdrawalFrom)})`}
+                  {scheme.monthsToMaturity > 0 &&
+                    ` • ${scheme.monthsToMaturity} month${
+                      scheme.monthsToMaturity === 1 ? "" : "s"
+                    } to go`}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const ManualAssetSummary = ({ fundPerformance }) => {
+  const assets = fundPerformance.filter((fund) => fund.manualAsset);
+  if (assets.length === 0) return null;
+
+  return (
+    <div
+      className="rounded-xl p-6"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <h3
+        className="text-lg font-semibold"
+        style={{ color: "var(--text-primary)" }}
+      >
+        Real Estate, Gold & Other Assets
+      </h3>
+      <p className="text-sm mt-1" style={{ color: "var(--text-tertiary)" }}>
+        Valued from your own estimates, in a straight line between them
+      </p>
+
+      <div className="mt-4 space-y-3">
+        {assets.map((fund) => {
+          const asset = fund.manualAsset;
+
+          return (
+            <div
+              key={fund.fundName}
+              className="flex flex-wrap items-center justify-between gap-3 rounded-lg p-4"
+              style={{ backgroundColor: "var(--bg-input)" }}
+            >
+              <div>
+                <p
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {fund.fundName}
+                </p>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{ color: "var(--text-tertiary)" }}
+                >
+                  Bought {formatMonth(asset.purchaseMonth)} for{" "}
+                  {formatCurrency(asset.purchaseCost)} •{" "}
+                  {`${asset.valuationCount} valuation${
+                    asset.valuationCount === 1 ? "" : "s"
+                  }`}
+                </p>
+              </div>
+              <div className="text-right">
+                <p
+                  className="text-sm font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {formatCurrency(fund.currentValue)}
+                </p>
+                <p
+                  className="text-xs mt-0.5"
+                  style={{
+                    color: asset.isStale ? "#f59e0b" : "var(--text-tertiary)",
+                  }}
+                >
+                  {asset.lastValuation
+                    ? `Last valued ${formatMonth(asset.lastValuation.month)}`
+                    : "Not valued since purchase"}
+                  {asset.isStale && " - worth updating"}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 const PerformanceTab = ({
   performanceSummary,
   fundPerformance,
   reportData,
-  cashflows = [],
+  timeSeries = [],
 }) => {
   const performanceReport = reportData.performanceReport || {};
 
@@ -814,15 +1264,67 @@ const PerformanceTab = ({
         </div>
       </div>
 
+      {/* Realized vs Unrealized (only once something has been redeemed) */}
+      {performanceSummary.totalRedeemed > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <GainCard
+            label="Redeemed"
+            value={formatCurrency(performanceSummary.totalRedeemed)}
+            note="Proceeds from withdrawals"
+            color="var(--text-primary)"
+          />
+          <GainCard
+            label="Realized Gain"
+            value={formatCurrency(performanceSummary.realizedGain)}
+            note="Booked on units sold (FIFO)"
+            color={performanceSummary.realizedGain >= 0 ? "#22c55e" : "#ef4444"}
+          />
+          <GainCard
+            label="Unrealized Gain"
+            value={formatCurrency(performanceSummary.unrealizedGain)}
+            note="On units still held"
+            color={
+              performanceSummary.unrealizedGain >= 0 ? "#22c55e" : "#ef4444"
+            }
+          />
+        </div>
+      )}
+
+      {/* IDCW dividends (only for holdings on a payout / reinvest plan) */}
+      {(performanceSummary.dividendIncome > 0 ||
+        performanceSummary.dividendsReinvested > 0) && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <GainCard
+            label="Dividend Income"
+            value={formatCurrency(performanceSummary.dividendIncome)}
+            note="IDCW payouts, included in returns and XIRR"
+            color="#22c55e"
+          />
+          <GainCard
+            label="Dividends Reinvested"
+            value={formatCurrency(performanceSummary.dividendsReinvested)}
+            note="Bought new units at that month's NAV"
+            color="var(--text-primary)"
+          />
+        </div>
+      )}
+
       {/* Investment Growth Chart */}
       <InvestmentGrowthChart
-        cashflows={cashflows}
-        fundPerformance={fundPerformance}
+        timeSeries={timeSeries}
         totalInvested={performanceSummary.totalInvested || 0}
         currentValue={performanceSummary.currentValue || 0}
         height={320}
       />
 
+      {/* Fund vs Benchmark (only when an index series exists) */}
+      {performanceSummary.benchmark && (
+        <BenchmarkComparison
+          summary={performanceSummary.benchmark}
+          fundPerformance={fundPerformance}
+        />
+      )}
+
       {/* Fund-wise Performance */}
       <div
         className="rounded-xl overflow-hidden"
@@ -999,6 +1501,15 @@ const PerformanceTab = ({
         )}
       </div>
 
+      {/* Fixed deposits (maturity amount and date) */}
+      <FixedDepositSummary fundPerformance={fundPerformance} />
+
+      {/* PPF / EPF / NPS (lock-in and maturity) */}
+      <RetirementSchemeSummary fundPerformance={fundPerformance} />
+
+      {/* Real estate / gold / other (purchase and valuations) */}
+      <ManualAssetSummary fundPerformance={fundPerformance} />
+
       {/* Performance Period */}
       {performanceReport.period && (
         <div
@@ -1022,14 +1533,123 @@ const PerformanceTab = ({
 // ═══════════════════════════════════════════════════════════════
 // ALLOCATION TAB
 // ═══════════════════════════════════════════════════════════════
-const AllocationTab = ({
-  assetAllocation,
-  categoryDistribution,
-  marketCapExposure,
-  sectorExposure,
-  fundPerformance,
-  totalInvested,
-}) => {
+const AllocationBasisComparison = ({ byCost, byMarketValue }) => {
+  const assets = [
+    ...new Set([...Object.keys(byMarketValue), ...Object.keys(byCost)]),
+  ];
+
+  return (
+    <div
+      className="rounded-xl overflow-hidden"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <div
+        className="px-6 py-4"
+        style={{ borderBottom: "1px solid var(--border-subtle)" }}
+      >
+        <h3
+          className="text-lg font-semibold"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Cost vs Market Value
+        </h3>
+        <p className="text-sm mt-1" style={{ color: "var(--text-tertiary)" }}>
+          How growth has shifted your mix since you invested
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead style={{ background: "var(--bg-input)" }}>
+            <tr>
+              {["Asset", "By Cost", "By Market Value", "Shift"].map(
+                (heading, i) => (
+                  <th
+                    key={heading}
+                    className={`px-6 py-4 text-xs font-semibold uppercase tracking-wider ${
+                      i === 0 ? "text-left" : "text-right"
+                    }`}
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    {heading}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {assets.map((asset, index) => {
+              const shift = (byMarketValue[asset] || 0) - (byCost[asset] || 0);
+              return (
+                <tr
+                  key={asset}
+                  className="text-sm"
+                  style={{
+                    borderBottom:
+                      index !== assets.length - 1
+                        ? "1px solid var(--border-subtle)"
+                        : "none",
+                  }}
+                >
+                  <td
+                    className="px-6 py-4 font-semibold"
+                    style={{ color: "var(--text-primary)" }}
+                  >
+                    {asset}
+                  </td>
+                  <td
+                    className="px-6 py-4 text-right"
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    {byCost[asset] || 0}%
+                  </td>
+                  <td
+                    className="px-6 py-4 text-right"
+                    style={{ color: "var(--text-primary)" }}
+                  >
+                    {byMarketValue[asset] || 0}%
+                  </td>
+                  <td
+                    className="px-6 py-4 text-right font-medium"
+                    style={{
+                      color:
+                        Math.abs(shift) < 0.5
+                          ? "var(--text-tertiary)"
+                          : shift > 0
+                          ? "#10b981"
+                          : "#ef4444",
+                    }}
+                  >
+                    {signedPercent(Number(shift.toFixed(2)))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const AllocationTab = ({
+  assetAllocation,
+  categoryDistribution,
+  marketCapExposure,
+  sectorExposure,
+  stockOverlap = [],
+  fundOverlap = [],
+  fundPerformance,
+  totalInvested,
+  currentValue,
+  weightBasis = "cost",
+  allocationByCost,
+  allocationByMarketValue,
+}) => {
+  const byMarketValue = weightBasis === "marketValue";
+
   return (
     <div className="space-y-6">
       {/* Asset Allocation Chart */}
@@ -1046,17 +1666,30 @@ const AllocationTab = ({
         >
           Asset Allocation
         </h3>
+        <p className="text-sm mb-2" style={{ color: "var(--text-tertiary)" }}>
+          Weighted by{" "}
+          {byMarketValue ? "current market value" : "money invested"}
+        </p>
         <div className="flex justify-center py-4">
           <AllocationDonutChart
             data={assetAllocation}
             size={220}
             strokeWidth={38}
             showLegend={true}
-            totalInvested={totalInvested}
+            totalInvested={byMarketValue ? currentValue : totalInvested}
+            totalLabel={byMarketValue ? "Market Value" : "Total Invested"}
           />
         </div>
       </div>
 
+      {/* Cost vs Market Value weights */}
+      {allocationByCost && allocationByMarketValue && (
+        <AllocationBasisComparison
+          byCost={allocationByCost.assetAllocation}
+          byMarketValue={allocationByMarketValue.assetAllocation}
+        />
+      )}
+
       {/* Category & Market Cap */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Category Distribution */}
@@ -1208,6 +1841,69 @@ const AllocationTab = ({
           </div>
         </div>
       )}
+
+      {/* Stock Overlap (look-through) */}
+      {fundOverlap.length > 0 && (
+        <div
+          className="rounded-xl p-6"
+          style={{
+            backgroundColor: "var(--bg-card)",
+            border: "1px solid var(--border-subtle)",
+          }}
+        >
+          <h3
+            className="text-lg font-semibold mb-4"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Fund Overlap
+          </h3>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <OverlapVisualization
+              stockOverlap={stockOverlap}
+              totalFunds={stockOverlap[0]?.totalFunds || 0}
+            />
+            <div className="space-y-3">
+              {fundOverlap.slice(0, 6).map((pair, index) => (
+                <div
+                  key={index}
+                  className="p-3 rounded-lg"
+                  style={{
+                    backgroundColor: "var(--bg-input)",
+                    border: "1px solid var(--border-subtle)",
+                  }}
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <p
+                      className="text-sm font-medium"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {pair.fundA} ↔ {pair.fundB}
+                    </p>
+                    <span
+                      className="text-sm font-bold"
+                      style={{
+                        color: pair.overlapPercent > 50 ? "#ef4444" : "#f59e0b",
+                      }}
+                    >
+                      {pair.overlapPercent}%
+                    </span>
+                  </div>
+                  <p
+                    className="text-xs mt-1"
+                    style={{ color: "var(--text-tertiary)" }}
+                  >
+                    {pair.commonStocks.length} common stock
+                    {pair.commonStocks.length > 1 ? "s" : ""}
+                    {pair.estimated
+                      ? " · estimated from category template"
+                      : ""}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1215,12 +1911,306 @@ const AllocationTab = ({
 // ═══════════════════════════════════════════════════════════════
 // RISK TAB
 // ═══════════════════════════════════════════════════════════════
-const RiskTab = ({ concentrationRisks, insights, reportData }) => {
+const formatDrawdown = (drawdown) => {
+  if (!drawdown || drawdown.drawdownPercent === 0) return "No drawdown";
+  const recovery = drawdown.recoveryMonth
+    ? `recovered in ${drawdown.recoveryMonths} mo`
+    : "not yet recovered";
+  return `${formatMonth(drawdown.peakMonth)} → ${formatMonth(
+    drawdown.troughMonth
+  )}, ${recovery}`;
+};
+
+const PriceRiskSection = ({ priceRisk }) => {
+  const portfolio = priceRisk.portfolio;
+  const drawdown = portfolio.maxDrawdown;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <GainCard
+          label="Volatility (Annualized)"
+          value={`${portfolio.volatility}%`}
+          note={`From ${portfolio.months} monthly returns`}
+          color="var(--text-primary)"
+        />
+        <GainCard
+          label="Sharpe Ratio"
+          value={portfolio.sharpeRatio}
+          note={`Return over ${priceRisk.riskFreeRate}% risk-free, per unit of risk`}
+          color="#8b5cf6"
+        />
+        <GainCard
+          label="Sortino Ratio"
+          value={portfolio.sortinoRatio ?? "—"}
+          note="Like Sharpe, counting only downside swings"
+          color="#3b82f6"
+        />
+        <GainCard
+          label="Max Drawdown"
+          value={drawdown ? `-${drawdown.drawdownPercent}%` : "—"}
+          note={formatDrawdown(drawdown)}
+          color="#ef4444"
+        />
+      </div>
+
+      {priceRisk.funds.length > 0 && (
+        <div
+          className="rounded-xl overflow-hidden"
+          style={{
+            backgroundColor: "var(--bg-card)",
+            border: "1px solid var(--border-subtle)",
+          }}
+        >
+          <div
+            className="px-6 py-4"
+            style={{ borderBottom: "1px solid var(--border-subtle)" }}
+          >
+            <h3
+              className="text-lg font-semibold"
+              style={{ color: "var(--text-primary)" }}
+            >
+              Fund-wise Price Risk
+            </h3>
+            <p
+              className="text-sm mt-1"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              Monthly NAV movements since your first purchase
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead style={{ background: "var(--bg-input)" }}>
+                <tr>
+                  {[
+                    "Fund",
+                    "Volatility",
+                    "Sharpe",
+                    "Sortino",
+                    "Max Drawdown",
+                    "Recovery",
+                  ].map((heading, i) => (
+                    <th
+                      key={heading}
+                      className={`px-6 py-4 text-xs font-semibold uppercase tracking-wider ${
+                        i === 0 ? "text-left" : "text-right"
+                      }`}
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {priceRisk.funds.map((fund, index) => (
+                  <tr
+                    key={index}
+                    className="text-sm"
+                    style={{
+                      borderBottom:
+                        index !== priceRisk.funds.length - 1
+                          ? "1px solid var(--border-subtle)"
+                          : "none",
+                    }}
+                  >
+                    <td
+                      className="px-6 py-4 font-semibold"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {fund.fundName}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right"
+                      style={{ color: "var(--text-primary)" }}
+                    >
+                      {fund.volatility}%
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {fund.sharpeRatio}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right"
+                      style={{ color: "var(--text-secondary)" }}
+                    >
+                      {fund.sortinoRatio ?? "—"}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right font-medium"
+                      style={{ color: "#ef4444" }}
+                    >
+                      {fund.maxDrawdown
+                        ? `-${fund.maxDrawdown.drawdownPercent}%`
+                        : "—"}
+                    </td>
+                    <td
+                      className="px-6 py-4 text-right"
+                      style={{ color: "var(--text-tertiary)" }}
+                    >
+                      {fund.maxDrawdown?.recoveryMonth
+                        ? `${fund.maxDrawdown.recoveryMonths} mo`
+                        : fund.maxDrawdown?.drawdownPercent > 0
+                        ? "Not yet"
+                        : "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SUITABILITY_LABELS = {
+  Equity: "Equity",
+  Debt: "Debt",
+  Gold: "Gold",
+  MidCap: "Mid Cap",
+  SmallCap: "Small Cap",
+};
+
+const SuitabilitySection = ({ suitability }) => {
+  const statusColor = (status) =>
+    status === "within"
+      ? "#10b981"
+      : status === "over"
+      ? "#ef4444"
+      : "#f59e0b";
+
+  return (
+    <div
+      className="rounded-xl overflow-hidden"
+      style={{
+        backgroundColor: "var(--bg-card)",
+        border: "1px solid var(--border-subtle)",
+      }}
+    >
+      <div
+        className="px-6 py-4 flex items-center justify-between"
+        style={{ borderBottom: "1px solid var(--border-subtle)" }}
+      >
+        <div>
+          <h3
+            className="text-lg font-semibold"
+            style={{ color: "var(--text-primary)" }}
+          >
+            Fit With Your Risk Profile
+          </h3>
+          <p
+            className="text-sm mt-1"
+            style={{ color: "var(--text-tertiary)" }}
+          >
+            {suitability.category} investor
+            {suitability.horizon && ` · ${suitability.horizon}`}
+            {suitability.goal && ` · ${suitability.goal}`}
+          </p>
+        </div>
+        <span
+          className="px-3 py-1 rounded-full text-xs font-semibold"
+          style={{
+            backgroundColor: suitability.suitable
+              ? "rgba(16, 185, 129, 0.2)"
+              : "rgba(239, 68, 68, 0.2)",
+            color: suitability.suitable ? "#10b981" : "#ef4444",
+          }}
+        >
+          {suitability.suitable
+            ? "Suitable"
+            : `${suitability.mismatches.length} mismatch${
+                suitability.mismatches.length > 1 ? "es" : ""
+              }`}
+        </span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead style={{ background: "var(--bg-input)" }}>
+            <tr>
+              {["Exposure", "Yours", "Suggested", "Status"].map(
+                (heading, i) => (
+                  <th
+                    key={heading}
+                    className={`px-6 py-4 text-xs font-semibold uppercase tracking-wider ${
+                      i === 0 ? "text-left" : "text-right"
+                    }`}
+                    style={{ color: "var(--text-secondary)" }}
+                  >
+                    {heading}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {suitability.checks.map((check, index) => (
+              <tr
+                key={check.asset}
+                className="text-sm"
+                style={{
+                  borderBottom:
+                    index !== suitability.checks.length - 1
+                      ? "1px solid var(--border-subtle)"
+                      : "none",
+                }}
+              >
+                <td
+                  className="px-6 py-4 font-semibold"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {SUITABILITY_LABELS[check.asset] || check.asset}
+                </td>
+                <td
+                  className="px-6 py-4 text-right"
+                  style={{ color: "var(--text-primary)" }}
+                >
+                  {check.actual}%
+                </td>
+                <td
+                  className="px-6 py-4 text-right"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  {check.type === "market_cap"
+                    ? `≤ ${check.max}%`
+                    : `${check.min}-${check.max}%`}
+                </td>
+                <td
+                  className="px-6 py-4 text-right font-medium capitalize"
+                  style={{ color: statusColor(check.status) }}
+                >
+                  {check.status === "within" ? "OK" : check.status}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const RiskTab = ({ priceRisk, concentrationRisks, insights, reportData }) => {
   const risks = insights?.risks || [];
-  const warnings = reportData?.warnings || [];
+  const warnings = [
+    ...(reportData?.warnings || []),
+    ...(priceRisk?.warnings || []),
+  ];
 
   return (
     <div className="space-y-6">
+      {/* Price Risk (volatility, Sharpe, Sortino, drawdown) */}
+      {priceRisk?.portfolio && <PriceRiskSection priceRisk={priceRisk} />}
+
+      {/* Suitability against the investor's risk profile */}
+      {insights?.suitability && (
+        <SuitabilitySection suitability={insights.suitability} />
+      )}
+
       {/* Concentration Risks */}
       {concentrationRisks.length > 0 && (
         <div
@@ -1389,6 +2379,329 @@ const RiskTab = ({ concentrationRisks, insights, reportData }) => {
   );
 };
 
+// ═══════════════════════════════════════════════════════════════
+// TAX TAB
+// ═══════════════════════════════════════════════════════════════
+const SLAB_RATES = [0, 5, 10, 15, 20, 30];
+
+const TERM_LABELS = { short: "Short term", long: "Long term" };
+
+const TaxTab = ({ portfolioId, isSample }) => {
+  const [taxReport, setTaxReport] = useState(null);
+  const [fy, setFy] = useState("");
+  const [slabRate, setSlabRate] = useState(30);
+  const [taxLoading, setTaxLoading] = useState(false);
+  const [taxError, setTaxError] = useState("");
+
+  const fetchTaxReport = useCallback(async () => {
+    try {
+      setTaxLoading(true);
+      setTaxError("");
+      const response = await getTaxReport(portfolioId, {
+        fy: fy || undefined,
+        slabRate,
+      });
+      setTaxReport(response.data);
+    } catch (err) {
+      setTaxError(err.message || "Failed to load tax report");
+    } finally {
+      setTaxLoading(false);
+    }
+  }, [portfolioId, fy, slabRate]);
+
+  // Refetch whenever the financial year or slab changes
+  useEffect(() => {
+    if (!isSample && portfolioId) {
+      fetchTaxReport();
+    }
+  }, [fetchTaxReport, isSample, portfolioId]);
+
+  if (isSample || !portfolioId) {
+    return (
+      <div
+        className="rounded-xl p-8 text-center"
+        style={{
+          backgroundColor: "var(--bg-card)",
+          border: "1px solid var(--border-subtle)",
+        }}
+      >
+        <Receipt
+          className="w-10 h-10 mx-auto mb-4"
+          style={{ color: "var(--accent-purple)" }}
+        />
+        <h3
+          className="text-lg font-semibold mb-2"
+          style={{ color: "var(--text-primary)" }}
+        >
+          Tax report needs a saved portfolio
+        </h3>
+        <p className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          Add your investments and redemptions to estimate capital gains tax.
+        </p>
+      </div>
+    );
+  }
+
+  // FY of the latest data plus the two before it
+  const fyOptions = [];
+  if (taxReport) {
+    const [asOfYear, asOfMonth] = taxReport.asOf.split("-").map(Number);
+    const latestStart = asOfMonth >= 4 ? asOfYear : asOfYear - 1;
+    for (let start = latestStart; start > latestStart - 3; start--) {
+      fyOptions.push(`${start}-${String(start + 1).slice(2)}`);
+    }
+  }
+
+  const realized = taxReport?.realized;
+  const unrealized = taxReport?.unrealized;
+
+  return (
+    <div className="space-y-6">
+      {/* Controls */}
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          Financial year{" "}
+          <select
+            value={fy || taxReport?.financialYear || ""}
+            onChange={(e) => setFy(e.target.value)}
+            className="ml-2 p-2 rounded-lg text-sm outline-none"
+            style={{
+              backgroundColor: "var(--bg-input)",
+              border: "1px solid var(--border-subtle)",
+              color: "var(--text-primary)",
+            }}
+          >
+            {fyOptions.map((option) => (
+              <option key={option} value={option}>
+                FY {option}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm" style={{ color: "var(--text-secondary)" }}>
+          Income tax slab{" "}
+          <select
+            value={slabRate}
+            onChange={(e) => setSlabRate(parseInt(e.target.value))}
+            className="ml-2 p-2 rounded-lg text-sm outline-none"
+            style={{
+              backgroundColor: "var(--bg-input)",
+              border: "1px solid var(--border-subtle)",
+              color: "var(--text-primary)",
+            }}
+          >
+            {SLAB_RATES.map((rate) => (
+              <option key={rate} value={rate}>
+                {rate}%
+              </option>
+            ))}
+          </select>
+        </label>
+        {taxLoading && (
+          <RefreshCw
+            className="w-4 h-4 animate-spin"
+            style={{ color: "var(--text-tertiary)" }}
+          />
+        )}
+      </div>
+
+      {taxError && (
+        <div
+          className="p-4 rounded-xl text-sm"
+          style={{
+            backgroundColor: "rgba(239, 68, 68, 0.1)",
+            border: "1px solid rgba(239, 68, 68, 0.3)",
+            color: "#ef4444",
+          }}
+        >
+          {taxError}
+        </div>
+      )}
+
+      {taxReport && (
+        <>
+          {/* Headline numbers */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <GainCard
+              label={`Tax on Realized Gains (FY ${taxReport.financialYear})`}
+              value={formatCurrency(realized.totalTax)}
+              note={`On ${formatCurrency(realized.taxableGain)} taxable gain, incl. ${taxReport.assumptions.cessRate}% cess`}
+              color="var(--text-primary)"
+            />
+            <GainCard
+              label="Unrealized Gain"
+              value={formatCurrency(unrealized.totalGain)}
+              note={`${formatCurrency(unrealized.shortTermGain)} short term · ${formatCurrency(unrealized.longTermGain)} long term`}
+              color={unrealized.totalGain >= 0 ? "#22c55e" : "#ef4444"}
+            />
+            <GainCard
+              label="Tax if Sold Today"
+              value={formatCurrency(unrealized.estimatedTax)}
+              note={`${formatCurrency(unrealized.exemptionAvailable)} LTCG exemption left`}
+              color="#f59e0b"
+            />
+          </div>
+
+          {/* Realized breakdown */}
+          <div
+            className="rounded-xl p-6"
+            style={{
+              backgroundColor: "var(--bg-card)",
+              border: "1px solid var(--border-subtle)",
+            }}
+          >
+            <h3
+              className="text-lg font-semibold mb-4"
+              style={{ color: "var(--text-primary)" }}
+            >
+              Realized Gains — FY {taxReport.financialYear}
+            </h3>
+            {realized.breakdown.length === 0 ? (
+              <p className="text-sm" style={{ color: "var(--text-tertiary)" }}>
+                No redemptions in this financial year
+              </p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ color: "var(--text-tertiary)" }}>
+                    <th className="text-left py-2">Type</th>
+                    <th className="text-right py-2">Rate</th>
+                    <th className="text-right py-2">Gain</th>
+                    <th className="text-right py-2">Taxable</th>
+                    <th className="text-right py-2">Tax</th>
+                  </tr>
+                </thead>
+                <tbody style={{ color: "var(--text-secondary)" }}>
+                  {realized.breakdown.map((row, index) => (
+                    <tr
+                      key={index}
+                      style={{ borderTop: "1px solid var(--border-subtle)" }}
+                    >
+                      <td className="py-2">
+                        {TERM_LABELS[row.term]}
+                        {row.exemptionEligible && " (equity)"}
+                      </td>
+                      <td className="py-2 text-right">
+                        {row.rate === "slab"
+                          ? `Slab (${taxReport.assumptions.slabRate}%)`
+                          : `${row.rate}%`}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(row.gain)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(row.taxable)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(row.tax)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div
+              className="mt-4 flex flex-wrap gap-x-6 gap-y-1 text-xs"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              <span>Losses set off: {formatCurrency(realized.lossSetOff)}</span>
+              <span>
+                LTCG exemption used: {formatCurrency(realized.exemptionUsed)}
+              </span>
+              <span>
+                Loss to carry forward:{" "}
+                {formatCurrency(
+                  realized.carryForwardLoss.shortTerm +
+                    realized.carryForwardLoss.longTerm
+                )}
+              </span>
+            </div>
+          </div>
+
+          {/* Per fund */}
+          <div
+            className="rounded-xl p-6"
+            style={{
+              backgroundColor: "var(--bg-card)",
+              border: "1px solid var(--border-subtle)",
+            }}
+          >
+            <h3
+              className="text-lg font-semibold mb-4"
+              style={{ color: "var(--text-primary)" }}
+            >
+              Gains by Fund
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr style={{ color: "var(--text-tertiary)" }}>
+                    <th className="text-left py-2">Fund</th>
+                    <th className="text-right py-2">Realized ST</th>
+                    <th className="text-right py-2">Realized LT</th>
+                    <th className="text-right py-2">Unrealized ST</th>
+                    <th className="text-right py-2">Unrealized LT</th>
+                  </tr>
+                </thead>
+                <tbody style={{ color: "var(--text-secondary)" }}>
+                  {taxReport.funds.map((fund) => (
+                    <tr
+                      key={fund.fundName}
+                      style={{ borderTop: "1px solid var(--border-subtle)" }}
+                    >
+                      <td className="py-2">
+                        <span style={{ color: "var(--text-primary)" }}>
+                          {fund.fundName}
+                        </span>
+                        <span
+                          className="ml-2 text-xs capitalize"
+                          style={{ color: "var(--text-tertiary)" }}
+                        >
+                          {fund.taxClass}
+                        </span>
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(fund.realizedShortTerm)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(fund.realizedLongTerm)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(fund.unrealizedShortTerm)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatCurrency(fund.unrealizedLongTerm)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Assumptions */}
+          <div
+            className="rounded-xl p-4 text-xs"
+            style={{
+              backgroundColor: "var(--bg-input)",
+              border: "1px solid var(--border-subtle)",
+              color: "var(--text-tertiary)",
+            }}
+          >
+            <ul className="list-disc pl-5 space-y-1">
+              {[...taxReport.assumptions.notes, ...taxReport.warnings].map(
+                (note, index) => (
+                  <li key={index}>{note}</li>
+                )
+              )}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 // ═══════════════════════════════════════════════════════════════
 // HELPER COMPONENTS
 // ═══════════════════════════════════════════════════════════════
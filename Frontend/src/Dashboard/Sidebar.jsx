@@ -6,6 +6,7 @@ import {
   FileText,
   Settings,
   FlaskConical,
+  Target,
 } from "lucide-react";
 import Logo from "../components/Logo";
 import { usePortfolio, PORTFOLIO_MODE } from "../context/PortfolioContext";
@@ -13,6 +14,7 @@ import { usePortfolio, PORTFOLIO_MODE } from "../context/PortfolioContext";
 const navItems = [
   { path: "/dashboard", label: "Dashboard", icon: LayoutDashboard },
   { path: "/portfolio", label: "Portfolio", icon: Briefcase },
+  { path: "/goals", label: "Goals", icon: Target },
   { path: "/insights", label: "Insights", icon: TrendingUp },
   { path: "/reports", label: "Reports", icon: FileText },
   { path: "/settings", label: "Settings", icon: Settings },
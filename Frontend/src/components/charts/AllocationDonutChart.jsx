@@ -10,6 +10,7 @@ const AllocationDonutChart = ({
   strokeWidth = 35,
   showLegend = true,
   totalInvested = null, // Pass total invested amount for center display
+  totalLabel = "Total Invested", // Caption under the center amount
 }) => {
   const [hoveredSegment, setHoveredSegment] = useState(null);
   const [isAnimated, setIsAnimated] = useState(false);
@@ -44,6 +45,11 @@ const AllocationDonutChart = ({
         gradient: "#FDE047",
         glow: "rgba(250, 204, 21, 0.3)",
       },
+      "real estate": {
+        primary: "#F97316", // Orange
+        gradient: "#FB923C",
+        glow: "rgba(249, 115, 22, 0.3)",
+      },
       cash: {
         primary: "#9CA3AF", // Gray
         gradient: "#D1D5DB",
@@ -258,7 +264,7 @@ const AllocationDonutChart = ({
                 className="text-xs font-medium"
                 style={{ color: "var(--text-secondary)" }}
               >
-                Total Invested
+                {totalLabel}
               </span>
             </>
           ) : (
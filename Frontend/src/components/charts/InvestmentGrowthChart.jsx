@@ -5,7 +5,9 @@ import React, { useMemo, useState, useEffect, useRef } from "react";
  *
  * Dual-line time series chart showing:
  * - Invested Amount (cumulative SIP + Lumpsum)
- * - Portfolio Value (based on NAV)
+ * - Portfolio Value (units held × that month's NAV)
+ *
+ * Plots performance.timeSeries from the analysis as-is
  *
  * Features:
  * - Smooth curved lines with gradients
@@ -14,9 +16,25 @@ import React, { useMemo, useState, useEffect, useRef } from "react";
  * - Responsive design
  * - Dark mode support
  */
+const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const monthName = (key) => MONTH_LABELS[parseInt(key.slice(5, 7)) - 1];
+
 const InvestmentGrowthChart = ({
-  cashflows = [],
-  fundPerformance = [],
+  timeSeries = [],
   totalInvested = 0,
   currentValue = 0,
   height = 300,
@@ -47,84 +65,30 @@ const InvestmentGrowthChart = ({
     return () => clearTimeout(timer);
   }, []);
 
-  // Generate monthly data points from Jan 2024 to Dec 2024
+  // One data point per month of the valuation time series
   const chartData = useMemo(() => {
-    const months = [
-      "2024-01",
-      "2024-02",
-      "2024-03",
-      "2024-04",
-      "2024-05",
-      "2024-06",
-      "2024-07",
-      "2024-08",
-      "2024-09",
-      "2024-10",
-      "2024-11",
-      "2024-12",
-    ];
-
-    const monthLabels = [
-      "Jan",
-      "Feb",
-      "Mar",
-      "Apr",
-      "May",
-      "Jun",
-      "Jul",
-      "Aug",
-      "Sep",
-      "Oct",
-      "Nov",
-      "Dec",
-    ];
-
-    // Group cashflows by month
-    const monthlyInvestments = {};
-    months.forEach((m) => {
-      monthlyInvestments[m] = 0;
-    });
-
-    cashflows.forEach((cf) => {
-      const month = cf.date;
-      if (monthlyInvestments[month] !== undefined) {
-        monthlyInvestments[month] += cf.amount;
-      }
-    });
-
-    // Calculate cumulative invested and estimate value growth
-    let cumulativeInvested = 0;
-    const dataPoints = months.map((month, index) => {
-      cumulativeInvested += monthlyInvestments[month];
-
-      // Estimate portfolio value growth (linear interpolation for visualization)
-      // In reality, this would be calculated from NAV, but we approximate for smooth curve
-      const progress = (index + 1) / months.length;
-      const estimatedValue =
-        cumulativeInvested +
-        (currentValue - totalInvested) *
-          progress *
-          (cumulativeInvested / Math.max(totalInvested, 1));
-
-      return {
-        month,
-        label: monthLabels[index],
-        invested: cumulativeInvested,
-        value: Math.max(estimatedValue, cumulativeInvested * 0.95), // Ensure value doesn't go too negative
-        gain: estimatedValue - cumulativeInvested,
-      };
-    });
-
-    // Adjust final point to match actual values
-    if (dataPoints.length > 0) {
-      const lastPoint = dataPoints[dataPoints.length - 1];
-      lastPoint.invested = totalInvested;
-      lastPoint.value = currentValue;
-      lastPoint.gain = currentValue - totalInvested;
-    }
+    const spansYears = timeSeries.length > 12;
+
+    return timeSeries.map((point) => ({
+      month: point.month,
+      label: spansYears
+        ? `${monthName(point.month)} '${point.month.slice(2, 4)}`
+        : monthName(point.month),
+      fullLabel: `${monthName(point.month)} ${point.month.slice(0, 4)}`,
+      invested: point.invested,
+      value: point.value,
+      gain: point.unrealizedGain,
+    }));
+  }, [timeSeries]);
 
-    return dataPoints;
-  }, [cashflows, totalInvested, currentValue]);
+  // Label every nth month so long histories stay readable
+  const labelStep = Math.max(1, Math.ceil(chartData.length / 12));
+  const periodLabel =
+    chartData.length > 0
+      ? `${chartData[0].fullLabel} to ${
+          chartData[chartData.length - 1].fullLabel
+        }`
+      : "";
 
   // Format currency
   const formatCurrency = (amount) => {
@@ -140,6 +104,7 @@ const InvestmentGrowthChart = ({
   const padding = { top: 40, right: 30, bottom: 50, left: 70 };
   const chartWidth = dimensions.width - padding.left - padding.right;
   const chartHeight = dimensions.height - padding.top - padding.bottom;
+  const hoverWidth = Math.min(40, chartWidth / Math.max(chartData.length, 1));
 
   // Calculate scales
   const { minValue, maxValue, xScale, yScale } = useMemo(() => {
@@ -155,7 +120,8 @@ const InvestmentGrowthChart = ({
     const min = 0;
     const max = Math.max(...allValues) * 1.1; // Add 10% padding
 
-    const xScale = (index) => (index / (chartData.length - 1)) * chartWidth;
+    const xScale = (index) =>
+      (index / Math.max(chartData.length - 1, 1)) * chartWidth;
     const yScale = (value) =>
       chartHeight - ((value - min) / (max - min)) * chartHeight;
 
@@ -266,7 +232,7 @@ const InvestmentGrowthChart = ({
             Investment Growth
           </h3>
           <p className="text-sm" style={{ color: "var(--text-tertiary)" }}>
-            Track your portfolio's journey from Jan 2024 to Dec 2024
+            Track your portfolio's journey from {periodLabel}
           </p>
         </div>
 
@@ -362,18 +328,20 @@ const InvestmentGrowthChart = ({
           ))}
 
           {/* X-axis labels */}
-          {chartData.map((d, i) => (
-            <text
-              key={i}
-              x={xScale(i)}
-              y={chartHeight + 25}
-              textAnchor="middle"
-              fontSize={11}
-              fill="var(--text-tertiary)"
-            >
-              {d.label}
-            </text>
-          ))}
+          {chartData.map((d, i) =>
+            i % labelStep === 0 ? (
+              <text
+                  key={i}
+                x={xScale(i)}
+                y={chartHeight + 25}
+                textAnchor="middle"
+                fontSize={11}
+                fill="var(--text-tertiary)"
+              >
+                {d.label}
+              </text>
+            ) : null
+          )}
 
           {/* Value area fill */}
           <path
@@ -420,9 +388,9 @@ const InvestmentGrowthChart = ({
             <g key={i}>
               {/* Invisible hover area */}
               <rect
-                x={xScale(i) - 20}
+                x={xScale(i) - hoverWidth / 2}
                 y={0}
-                width={40}
+                width={hoverWidth}
                 height={chartHeight}
                 fill="transparent"
                 onMouseEnter={() => setHoveredPoint(i)}
@@ -455,7 +423,7 @@ const InvestmentGrowthChart = ({
                 opacity={isAnimated ? 1 : 0}
                 style={{
                   transition: `opacity 0.3s ease ${
-                    0.5 + i * 0.05
+                    0.5 + (i / chartData.length) * 0.6
                   }s, r 0.15s ease`,
                   cursor: "pointer",
                 }}
@@ -472,7 +440,7 @@ const InvestmentGrowthChart = ({
                 opacity={isAnimated ? 0.8 : 0}
                 style={{
                   transition: `opacity 0.3s ease ${
-                    0.5 + i * 0.05
+                    0.5 + (i / chartData.length) * 0.6
                   }s, r 0.15s ease`,
                   cursor: "pointer",
                 }}
@@ -497,7 +465,7 @@ const InvestmentGrowthChart = ({
           }}
         >
           <div className="text-sm font-semibold text-white mb-2">
-            {chartData[hoveredPoint].label} 2024
+            {chartData[hoveredPoint].fullLabel}
           </div>
           <div className="space-y-1.5">
             <div className="flex items-center justify-between gap-4">
@@ -512,7 +480,7 @@ const InvestmentGrowthChart = ({
             <div className="flex items-center justify-between gap-4">
               <div className="flex items-center gap-2">
                 <div className="w-2 h-2 rounded-full bg-purple-500" />
-                <span className="text-xs text-slate-400">Value</span>
+                <span className="text-xs text-slate-400">Market Value</span>
               </div>
               <span className="text-sm font-medium text-white">
                 {formatCurrency(chartData[hoveredPoint].value)}
@@ -522,7 +490,7 @@ const InvestmentGrowthChart = ({
               className="flex items-center justify-between gap-4 pt-1.5 mt-1.5"
               style={{ borderTop: "1px solid rgba(255,255,255,0.1)" }}
             >
-              <span className="text-xs text-slate-400">Gain</span>
+              <span className="text-xs text-slate-400">Unrealized Gain</span>
               <span
                 className="text-sm font-bold"
                 style={{
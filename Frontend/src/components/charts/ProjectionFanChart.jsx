@@ -0,0 +1,221 @@
+import React, { useMemo, useState, useEffect, useRef } from "react";
+
+/**
+ * Projection Fan Chart
+ *
+ * Monte Carlo projection bands, one point per year:
+ * - Shaded band between the 10th and 90th percentile
+ * - Median (50th percentile) line
+ * - Money put in (today's value + SIPs) as a dashed line
+ * - Optional target as a horizontal line
+ *
+ * Plots the bands from POST /api/analysis/projection as-is
+ */
+
+const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return "₹0";
+  const absAmount = Math.abs(amount);
+  if (absAmount >= 10000000) return `₹${(amount / 10000000).toFixed(2)}Cr`;
+  if (absAmount >= 100000) return `₹${(amount / 100000).toFixed(2)}L`;
+  if (absAmount >= 1000) return `₹${(amount / 1000).toFixed(1)}K`;
+  return `₹${Math.round(amount).toLocaleString("en-IN")}`;
+};
+
+const ProjectionFanChart = ({ bands = [], target = null, height = 320 }) => {
+  const [hoveredPoint, setHoveredPoint] = useState(null);
+  const [width, setWidth] = useState(600);
+  const containerRef = useRef(null);
+
+  // Responsive resize
+  useEffect(() => {
+    const updateWidth = () => {
+      if (containerRef.current) {
+        setWidth(containerRef.current.offsetWidth);
+      }
+    };
+    updateWidth();
+    window.addEventListener("resize", updateWidth);
+    return () => window.removeEventListener("resize", updateWidth);
+  }, []);
+
+  const padding = { top: 20, right: 30, bottom: 40, left: 70 };
+  const chartWidth = Math.max(width - padding.left - padding.right, 100);
+  const chartHeight = height - padding.top - padding.bottom;
+
+  const { xScale, yScale, yTicks } = useMemo(() => {
+    const max = Math.max(...bands.map((b) => b.p90), target || 0, 1) * 1.05;
+    const xScale = (index) =>
+      (index / Math.max(bands.length - 1, 1)) * chartWidth;
+    const yScale = (value) => chartHeight - (value / max) * chartHeight;
+    const yTicks = [0, 1, 2, 3, 4, 5].map((i) => (max * i) / 5);
+    return { xScale, yScale, yTicks };
+  }, [bands, target, chartWidth, chartHeight]);
+
+  if (bands.length < 2) return null;
+
+  const linePath = (accessor) =>
+    bands
+      .map(
+        (b, i) => `${i === 0 ? "M" : "L"} ${xScale(i)} ${yScale(accessor(b))}`
+      )
+      .join(" ");
+
+  const bandPath = `${linePath((b) => b.p90)} ${[...bands]
+    .reverse()
+    .map((b, i) => `L ${xScale(bands.length - 1 - i)} ${yScale(b.p10)}`)
+    .join(" ")} Z`;
+
+  // Label every nth year so long horizons stay readable
+  const labelStep = Math.max(1, Math.ceil(bands.length / 10));
+  const hovered = hoveredPoint !== null ? bands[hoveredPoint] : null;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <svg width={width} height={height} style={{ overflow: "visible" }}>
+        <g transform={`translate(${padding.left}, ${padding.top})`}>
+          {/* Grid lines */}
+          {yTicks.map((tick, i) => (
+            <g key={i}>
+              <line
+                x1={0}
+                y1={yScale(tick)}
+                x2={chartWidth}
+                y2={yScale(tick)}
+                stroke="var(--border-subtle)"
+                strokeWidth={1}
+                strokeDasharray={i === 0 ? "0" : "4 4"}
+                opacity={0.5}
+              />
+              <text
+                x={-10}
+                y={yScale(tick)}
+                textAnchor="end"
+                dominantBaseline="middle"
+                fontSize={11}
+                fill="var(--text-tertiary)"
+              >
+                {formatCurrency(tick)}
+              </text>
+            </g>
+          ))}
+
+          {/* X-axis labels (years from now) */}
+          {bands.map((b, i) =>
+            i % labelStep === 0 || i === bands.length - 1 ? (
+              <text
+                key={b.year}
+                x={xScale(i)}
+                y={chartHeight + 25}
+                textAnchor="middle"
+                fontSize={11}
+                fill="var(--text-tertiary)"
+              >
+                {b.year === 0 ? "Now" : `${b.year}y`}
+              </text>
+            ) : null
+          )}
+
+          {/* 10th-90th percentile band */}
+          <path d={bandPath} fill="#8b5cf6" opacity={0.18} />
+
+          {/* Money put in */}
+          <path
+            d={linePath((b) => b.contributed)}
+            fill="none"
+            stroke="#64748b"
+            strokeWidth={2}
+            strokeDasharray="6 4"
+            opacity={0.7}
+          />
+
+          {/* Target */}
+          {target && (
+            <g>
+              <line
+                x1={0}
+                y1={yScale(target)}
+                x2={chartWidth}
+                y2={yScale(target)}
+                stroke="#f59e0b"
+                strokeWidth={1.5}
+                strokeDasharray="2 4"
+              />
+              <text
+                x={chartWidth}
+                y={yScale(target) - 6}
+                textAnchor="end"
+                fontSize={11}
+                fill="#f59e0b"
+              >
+                Target {formatCurrency(target)}
+              </text>
+            </g>
+          )}
+
+          {/* Median */}
+          <path
+            d={linePath((b) => b.p50)}
+            fill="none"
+            stroke="#8b5cf6"
+            strokeWidth={3}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+
+          {/* Hover areas */}
+          {bands.map((b, i) => (
+            <g key={b.year}>
+              <rect
+                x={xScale(i) - chartWidth / (bands.length - 1) / 2}
+                y={0}
+                width={chartWidth / (bands.length - 1)}
+                height={chartHeight}
+                fill="transparent"
+                onMouseEnter={() => setHoveredPoint(i)}
+                onMouseLeave={() => setHoveredPoint(null)}
+                style={{ cursor: "crosshair" }}
+              />
+              {hoveredPoint === i && (
+                <circle
+                  cx={xScale(i)}
+                  cy={yScale(b.p50)}
+                  r={5}
+                  fill="#8b5cf6"
+                />
+              )}
+            </g>
+          ))}
+        </g>
+      </svg>
+
+      {/* Tooltip */}
+      {hovered && (
+        <div
+          className="absolute top-0 right-0 rounded-lg p-3 text-xs pointer-events-none"
+          style={{
+            backgroundColor: "var(--bg-card)",
+            border: "1px solid var(--border-subtle)",
+            boxShadow: "var(--shadow-card)",
+            color: "var(--text-secondary)",
+          }}
+        >
+          <p
+            className="font-semibold mb-1"
+            style={{ color: "var(--text-primary)" }}
+          >
+            {hovered.year === 0 ? "Today" : `After ${hovered.year} years`}
+          </p>
+          <p>Optimistic (90th): {formatCurrency(hovered.p90)}</p>
+          <p>Median: {formatCurrency(hovered.p50)}</p>
+          <p>Pessimistic (10th): {formatCurrency(hovered.p10)}</p>
+          <p>Put in: {formatCurrency(hovered.contributed)}</p>
+          {hovered.targetProbability !== null && (
+            <p>Chance of target: {hovered.targetProbability}%</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectionFanChart;
@@ -3,3 +3,4 @@ export { default as AllocationDonutChart } from "./AllocationDonutChart";
 export { default as OverlapVisualization } from "./OverlapVisualization";
 export { default as SectorConcentrationChart } from "./SectorConcentrationChart";
 export { default as InvestmentGrowthChart } from "./InvestmentGrowthChart";
+export { default as ProjectionFanChart } from "./ProjectionFanChart";
@@ -51,8 +51,9 @@ export function AnalysisProvider({ children }) {
   /**
    * Generate analysis for a specific portfolio
    * Called when user clicks "Generate Insights & Reports"
+   * Optional asOf ("YYYY-MM") values the portfolio as of that month
    */
-  const generateAnalysis = useCallback(async (portfolioId) => {
+  const generateAnalysis = useCallback(async (portfolioId, asOf) => {
     setAnalysisState((prev) => ({
       ...prev,
       loading: true,
@@ -60,7 +61,7 @@ export function AnalysisProvider({ children }) {
     }));
 
     try {
-      const response = await generateAnalysisAPI(portfolioId);
+      const response = await generateAnalysisAPI(portfolioId, asOf);
 
       if (response.success) {
         const data = response.data;
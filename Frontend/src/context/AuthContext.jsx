@@ -249,6 +249,35 @@ export function AuthProvider({ children }) {
     return data;
   };
 
+  /**
+   * Save onboarding survey answers (server derives the risk profile)
+   */
+  const saveRiskProfile = async (answers) => {
+    const response = await fetch(`${API_URL}/auth/risk-profile`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ answers }),
+    });
+
+    // Defensive JSON parsing
+    const contentType = response.headers.get("content-type");
+    if (!contentType || !contentType.includes("application/json")) {
+      throw new Error("Non-JSON response received");
+    }
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to save risk profile");
+    }
+
+    setUser(data.data.user);
+    return data;
+  };
+
   const value = {
     user,
     token,
@@ -262,6 +291,7 @@ export function AuthProvider({ children }) {
     logout,
     completeOnboarding,
     updateProfile,
+    saveRiskProfile,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -4,6 +4,8 @@
  * Handles all analysis-related API calls
  * - Generate analysis for a portfolio
  * - Generate sample analysis (no auth required)
+ * - Capital gains tax report
+ * - Monte Carlo projection
  */
 
 import { API_BASE_URL } from "../config/api.js";
@@ -62,13 +64,14 @@ const handleResponse = async (response) => {
 /**
  * Generate analysis for a specific portfolio
  * @param {string} portfolioId - Portfolio ID to analyze
+ * @param {string} [asOf] - Valuation month "YYYY-MM" (default: latest NAV)
  * @returns {Promise<Object>} Analysis results
  */
-export const generateAnalysis = async (portfolioId) => {
+export const generateAnalysis = async (portfolioId, asOf) => {
   const response = await fetch(`${API_URL}/analysis/generate`, {
     method: "POST",
     headers: getAuthHeaders(),
-    body: JSON.stringify({ portfolioId }),
+    body: JSON.stringify(asOf ? { portfolioId, asOf } : { portfolioId }),
   });
 
   return handleResponse(response);
@@ -104,8 +107,89 @@ export const getPortfolioSummary = async (portfolioId) => {
   return handleResponse(response);
 };
 
+/**
+ * Get capital gains tax estimate for a portfolio
+ * @param {string} portfolioId - Portfolio ID
+ * @param {Object} options - { fy: "2024-25", slabRate: 30 }
+ * @returns {Promise<Object>} Realized + unrealized tax report
+ */
+export const getTaxReport = async (portfolioId, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.fy) params.set("fy", options.fy);
+  if (options.slabRate !== undefined) params.set("slabRate", options.slabRate);
+
+  const query = params.toString();
+  const response = await fetch(
+    `${API_URL}/analysis/tax/${portfolioId}${query ? `?${query}` : ""}`,
+    {
+      method: "GET",
+      headers: getAuthHeaders(),
+    }
+  );
+
+  return handleResponse(response);
+};
+
+/**
+ * Run a Monte Carlo projection of a portfolio's future value
+ * @param {string} portfolioId - Portfolio ID
+ * @param {Object} options - { years, target?, simulations?, seed?,
+ *   assumptions?: "auto" | "history" | "pattern" }
+ * @returns {Promise<Object>} Yearly 10/50/90 percentile bands and the
+ *   chance of reaching the target
+ */
+export const getProjection = async (portfolioId, options = {}) => {
+  const response = await fetch(
+    `${API_URL}/analysis/projection/${portfolioId}`,
+    {
+      method: "POST",
+      headers: getAuthHeaders(),
+      body: JSON.stringify(options),
+    }
+  );
+
+  return handleResponse(response);
+};
+
+/**
+ * Analyze a portfolio without saving it (what-if)
+ * @param {Object} portfolioData - { name?, funds } in the same shape as
+ *   createPortfolio, plus optional asOf / weightBy
+ * @returns {Promise<Object>} Complete analysis, same shape as generate
+ */
+export const simulatePortfolio = async (portfolioData) => {
+  const response = await fetch(`${API_URL}/analysis/simulate`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify(portfolioData),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Apply edits to a copy of a saved portfolio and compare the analyses
+ * @param {string} portfolioId - Portfolio ID
+ * @param {Array} edits - e.g. { type: "set_sip", fundName, amount, from? }
+ * @param {Object} options - { asOf?, weightBy? }
+ * @returns {Promise<Object>} { edits, analysis, diff }
+ */
+export const forkPortfolio = async (portfolioId, edits, options = {}) => {
+  const response = await fetch(`${API_URL}/analysis/simulate/${portfolioId}`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ edits, ...options }),
+  });
+
+  return handleResponse(response);
+};
+
 export default {
   generateAnalysis,
   generateSampleAnalysis,
   getPortfolioSummary,
+  getTaxReport,
+  getProjection,
+  simulatePortfolio,
+  forkPortfolio,
 };
@@ -0,0 +1,96 @@
+/**
+ * Fund Reference API Service
+ *
+ * Handles fund reference data calls
+ * - NAV coverage (which months have NAV data)
+ * - Stock / ETF symbol search
+ */
+
+import { API_BASE_URL } from "../config/api.js";
+
+// Use centralized API configuration
+const API_URL = API_BASE_URL;
+
+/**
+ * Get auth headers with JWT token
+ */
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    "Content-Type": "application/json",
+    Authorization: token ? `Bearer ${token}` : "",
+  };
+};
+
+/**
+ * Handle API response with safe JSON parsing
+ * - Checks content-type before parsing
+ * - Logs non-JSON responses for debugging
+ * - Shows user-friendly error messages
+ */
+const handleResponse = async (response) => {
+  // Check content type before parsing
+  const contentType = response.headers.get("content-type");
+
+  if (!contentType || !contentType.includes("application/json")) {
+    // Log non-JSON response for debugging
+    const text = await response.text().catch(() => "[Could not read response]");
+    console.error("Non-JSON response received:", {
+      status: response.status,
+      contentType,
+      body: text.substring(0, 200), // First 200 chars for debugging
+    });
+    throw new Error("Server returned an invalid response. Please try again.");
+  }
+
+  // Safely parse JSON
+  let data;
+  try {
+    data = await response.json();
+  } catch (parseError) {
+    console.error("JSON parse error:", parseError);
+    throw new Error("Failed to parse server response. Please try again.");
+  }
+
+  if (!response.ok) {
+    throw new Error(data.message || "Something went wrong");
+  }
+
+  return data;
+};
+
+/**
+ * Get the month range covered by NAV data
+ * @returns {Promise<Object>} { data: { startKey, endKey, years } }
+ */
+export const getNavCoverage = async () => {
+  const response = await fetch(`${API_URL}/funds/meta/nav-coverage`, {
+    method: "GET",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Search listed stocks / ETFs by symbol or name
+ * @param {string} query - Search term
+ * @param {string} [type] - "Stock" or "ETF"
+ * @returns {Promise<Object>} { data: { securities } }
+ */
+export const searchSecurities = async (query, type) => {
+  const params = new URLSearchParams({ q: query, limit: "8" });
+  if (type) params.set("type", type);
+
+  const response = await fetch(`${API_URL}/funds/securities/search?${params}`, {
+    method: "GET",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+export default {
+  getNavCoverage,
+  searchSecurities,
+};
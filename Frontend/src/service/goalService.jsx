@@ -0,0 +1,137 @@
+/**
+ * Goal API Service
+ *
+ * Handles all goal-related API calls
+ * - Goal CRUD and fund links
+ * - Goal projections (corpus, shortfall, extra SIP needed)
+ * - Never sends userId (backend extracts from token)
+ */
+
+import { API_BASE_URL } from "../config/api.js";
+
+// Use centralized API configuration
+const API_URL = API_BASE_URL;
+
+/**
+ * Get auth headers with JWT token
+ */
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    "Content-Type": "application/json",
+    Authorization: token ? `Bearer ${token}` : "",
+  };
+};
+
+/**
+ * Handle API response with safe JSON parsing
+ * - Checks content-type before parsing
+ * - Logs non-JSON responses for debugging
+ * - Shows user-friendly error messages
+ */
+const handleResponse = async (response) => {
+  // Check content type before parsing
+  const contentType = response.headers.get("content-type");
+
+  if (!contentType || !contentType.includes("application/json")) {
+    // Log non-JSON response for debugging
+    const text = await response.text().catch(() => "[Could not read response]");
+    console.error("Non-JSON response received:", {
+      status: response.status,
+      contentType,
+      body: text.substring(0, 200), // First 200 chars for debugging
+    });
+    throw new Error("Server returned an invalid response. Please try again.");
+  }
+
+  // Safely parse JSON
+  let data;
+  try {
+    data = await response.json();
+  } catch (parseError) {
+    console.error("JSON parse error:", parseError);
+    throw new Error("Failed to parse server response. Please try again.");
+  }
+
+  if (!response.ok) {
+    throw new Error(data.message || "Something went wrong");
+  }
+
+  return data;
+};
+
+/**
+ * Create a new goal
+ * @param {Object} goalData - { name, targetAmount, targetMonth, targetYear,
+ *   inflationRate?, priority?, linkedFunds? }
+ */
+export const createGoal = async (goalData) => {
+  const response = await fetch(`${API_URL}/goals`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify(goalData),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Get all goals for logged-in user
+ */
+export const getGoals = async () => {
+  const response = await fetch(`${API_URL}/goals`, {
+    method: "GET",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Update goal
+ * @param {string} goalId
+ * @param {Object} updates - Any goal fields; linkedFunds replaces the list
+ */
+export const updateGoal = async (goalId, updates) => {
+  const response = await fetch(`${API_URL}/goals/${goalId}`, {
+    method: "PUT",
+    headers: getAuthHeaders(),
+    body: JSON.stringify(updates),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Delete goal
+ * @param {string} goalId
+ */
+export const deleteGoal = async (goalId) => {
+  const response = await fetch(`${API_URL}/goals/${goalId}`, {
+    method: "DELETE",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Project every goal from its linked funds
+ * @returns {Promise<Object>} { asOf, summary, goals, warnings }
+ */
+export const getGoalAnalysis = async () => {
+  const response = await fetch(`${API_URL}/goals/analysis`, {
+    method: "GET",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+export default {
+  createGoal,
+  getGoals,
+  updateGoal,
+  deleteGoal,
+  getGoalAnalysis,
+};
@@ -0,0 +1,165 @@
+/**
+ * Net Worth API Service
+ *
+ * Handles net worth and liability API calls
+ * - Liability CRUD (home / car / personal loans, credit cards)
+ * - Amortization schedule of a liability
+ * - Net worth: all portfolios minus liabilities, with monthly history
+ * - Never sends userId (backend extracts from token)
+ */
+
+import { API_BASE_URL } from "../config/api.js";
+
+// Use centralized API configuration
+const API_URL = API_BASE_URL;
+
+/**
+ * Get auth headers with JWT token
+ */
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    "Content-Type": "application/json",
+    Authorization: token ? `Bearer ${token}` : "",
+  };
+};
+
+/**
+ * Handle API response with safe JSON parsing
+ * - Checks content-type before parsing
+ * - Logs non-JSON responses for debugging
+ * - Shows user-friendly error messages
+ */
+const handleResponse = async (response) => {
+  // Check content type before parsing
+  const contentType = response.headers.get("content-type");
+
+  if (!contentType || !contentType.includes("application/json")) {
+    // Log non-JSON response for debugging
+    const text = await response.text().catch(() => "[Could not read response]");
+    console.error("Non-JSON response received:", {
+      status: response.status,
+      contentType,
+      body: text.substring(0, 200), // First 200 chars for debugging
+    });
+    throw new Error("Server returned an invalid response. Please try again.");
+  }
+
+  // Safely parse JSON
+  let data;
+  try {
+    data = await response.json();
+  } catch (parseError) {
+    console.error("JSON parse error:", parseError);
+    throw new Error("Failed to parse server response. Please try again.");
+  }
+
+  if (!response.ok) {
+    throw new Error(data.message || "Something went wrong");
+  }
+
+  return data;
+};
+
+/**
+ * Net worth today and month by month
+ * @returns {Promise<Object>} { asOf, summary, portfolios, liabilities,
+ *   history, warnings }
+ */
+export const getNetWorth = async () => {
+  const response = await fetch(`${API_URL}/net-worth`, {
+    method: "GET",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Add a liability
+ * @param {Object} liabilityData - { name, type, outstandingPrincipal,
+ *   interestRate, emi?, tenureMonths?, balanceMonth, balanceYear,
+ *   startMonth?, startYear? }
+ */
+export const createLiability = async (liabilityData) => {
+  const response = await fetch(`${API_URL}/net-worth/liabilities`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify(liabilityData),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Get all liabilities for logged-in user
+ */
+export const getLiabilities = async () => {
+  const response = await fetch(`${API_URL}/net-worth/liabilities`, {
+    method: "GET",
+    headers: getAuthHeaders(),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Update liability
+ * @param {string} liabilityId
+ * @param {Object} updates - Any liability fields
+ */
+export const updateLiability = async (liabilityId, updates) => {
+  const response = await fetch(
+    `${API_URL}/net-worth/liabilities/${liabilityId}`,
+    {
+      method: "PUT",
+      headers: getAuthHeaders(),
+      body: JSON.stringify(updates),
+    }
+  );
+
+  return handleResponse(response);
+};
+
+/**
+ * Delete liability
+ * @param {string} liabilityId
+ */
+export const deleteLiability = async (liabilityId) => {
+  const response = await fetch(
+    `${API_URL}/net-worth/liabilities/${liabilityId}`,
+    {
+      method: "DELETE",
+      headers: getAuthHeaders(),
+    }
+  );
+
+  return handleResponse(response);
+};
+
+/**
+ * Month-by-month amortization schedule of a liability
+ * @param {string} liabilityId
+ * @returns {Promise<Object>} { liability, schedule: { emi, rows,
+ *   totalInterest, totalPaid, payoffMonth, warnings } }
+ */
+export const getLiabilitySchedule = async (liabilityId) => {
+  const response = await fetch(
+    `${API_URL}/net-worth/liabilities/${liabilityId}/schedule`,
+    {
+      method: "GET",
+      headers: getAuthHeaders(),
+    }
+  );
+
+  return handleResponse(response);
+};
+
+export default {
+  getNetWorth,
+  createLiability,
+  getLiabilities,
+  updateLiability,
+  deleteLiability,
+  getLiabilitySchedule,
+};
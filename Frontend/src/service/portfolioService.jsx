@@ -126,10 +126,44 @@ export const deletePortfolio = async (portfolioId) => {
   return handleResponse(response);
 };
 
+/**
+ * Preview a CSV import (nothing is saved)
+ * @param {string} csv - Raw CSV text
+ * @param {string} [name] - Portfolio name for the preview
+ * @returns {Promise<Object>} { portfolio, rows, coverage, errors, stats, canImport }
+ */
+export const importCsvPortfolio = async (csv, name) => {
+  const response = await fetch(`${API_URL}/portfolio/import/csv`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ csv, ...(name ? { name } : {}) }),
+  });
+
+  return handleResponse(response);
+};
+
+/**
+ * Preview a CAS statement import (nothing is saved)
+ * @param {string} text - Statement text (plain or extracted from PDF)
+ * @param {string} [name] - Portfolio name for the preview
+ * @returns {Promise<Object>} { portfolio, folios, rows, coverage, errors, warnings, stats, canImport }
+ */
+export const importCasPortfolio = async (text, name) => {
+  const response = await fetch(`${API_URL}/portfolio/import/cas`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ text, ...(name ? { name } : {}) }),
+  });
+
+  return handleResponse(response);
+};
+
 export default {
   createPortfolio,
   getPortfolios,
   getPortfolioById,
   updatePortfolio,
   deletePortfolio,
+  importCsvPortfolio,
+  importCasPortfolio,
 };